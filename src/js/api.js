@@ -0,0 +1,450 @@
+/* eslint-env browser */
+// src/js/api.js
+// Automation API: a stable, versioned control surface on window.visualNoise for pages and
+// players that drive the app (digital signage, kiosks, tests). Field and event names here
+// don't follow the internal bus (bus.js), so scripts written against version 1 keep
+// working as the internals change.
+//
+//   visualNoise.version                   1
+//   visualNoise.getState()                { version, genre, style, flavor, vibe, speed, paused, seed, fx, params }
+//   visualNoise.setState(partial)         { ok: true, state } or { ok: false, errors: [{ field, message }] }
+//   visualNoise.listModes()               [{ id, label, genre, genreLabel, flavors, controls, speed }]
+//   visualNoise.listVibes()               [{ id, label, custom }]
+//   visualNoise.subscribe(event, fn)      → unsubscribe(); fn(state, event)
+//   visualNoise.snapshot()                JSON-safe { version, at, state, labels, modes, vibes }
+//   visualNoise.playlist.get()           { custom, shuffle, running, entries: [{ style, vibe?, speed?, durationSec }] }
+//   visualNoise.playlist.set(entries)     { ok: true, playlist } or { ok: false, errors }; [] = every style
+//   visualNoise.playlist.shuffle(on)      { ok: true, playlist } or { ok: false, errors }
+//   visualNoise.clear() / notify(text) / controls.{show,hide,toggle,lock}() / registerMode / loadModeModule
+//
+// setState checks every field against the registries before changing anything: one bad
+// field rejects the whole call, and nothing falls back to a default style or vibe.
+// Announces itself with a "visualnoise:ready" window event once installed.
+
+import {
+  cfg,
+  active,
+  registry,
+  familyOf,
+  getNode,
+  labelsForMode,
+  setMode,
+  setFlavor,
+  setSpeed,
+  setSeed,
+  togglePause,
+  toggleEffect,
+  controlsFor,
+  controlBounds,
+  getControl,
+  setControl,
+  clearAll,
+} from './state.js';
+import { on, off } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames, vibeLabel, isCustomVibe, setVibeByName } from './themes.js';
+import { registerMode, loadModeModule } from './mode_api.js';
+import { notify, NOTIFY } from './ui/notify.js';
+import { seedFrom } from './lib/utils.js';
+import {
+  MIN_DURATION_SEC,
+  getPlaylist as readPlaylist,
+  setPlaylist as writePlaylist,
+  setShuffle,
+  getRotationStatus,
+} from './playlist.js';
+
+export const API_VERSION = 1;
+
+// Public event → internal bus events that feed it. "change" covers all but "clear"; one
+// setState call can fire several (a new style also resets its flavor and speed).
+const EVENTS = {
+  style: ['style.change', 'flavor.change'],
+  vibe: ['vibe.change'],
+  speed: ['speed.change'],
+  paused: ['playback.pause'],
+  params: ['param.change'],
+  fx: ['fx.change'],
+  seed: ['seed.change'],
+  clear: ['playback.clear'],
+};
+const FIELDS = [
+  'version',
+  'genre',
+  'style',
+  'flavor',
+  'vibe',
+  'speed',
+  'paused',
+  'seed',
+  'fx',
+  'params',
+];
+
+/**
+ * Styles of a genre that are loaded and can run.
+ * @param {string} genre - Genre (family) id.
+ * @returns {string[]} Mode keys in menu order.
+ */
+function stylesOf(genre) {
+  return (registry.families[genre]?.modesOrder ?? []).filter((id) => modeRegistry[id]);
+}
+
+/**
+ * The current selection and settings, on the public scale.
+ * @returns {{version:number, genre:string, style:string, flavor:string, vibe:string, speed:number, paused:boolean, seed:number|null, fx:Record<string, boolean>, params:Record<string, number>}} State.
+ */
+export function getState() {
+  const style = cfg.persona;
+  return {
+    version: API_VERSION,
+    genre: familyOf(style),
+    style,
+    flavor: active.flavorId,
+    vibe: cfg.vibe ?? cfg.theme,
+    speed: active.speed,
+    paused: !!cfg.paused,
+    seed: cfg.seed ?? null,
+    fx: { ...cfg.fx },
+    params: Object.fromEntries(controlsFor(style).map((c) => [c.key, getControl(style, c.key)])),
+  };
+}
+
+/**
+ * The loaded styles with what setState accepts for each.
+ * @returns {{id:string, label:string, genre:string, genreLabel:string, flavors:{id:string, label:string}[], controls:object[], speed:{min:number, max:number}}[]} Styles in menu order.
+ */
+export function listModes() {
+  return registry.order.flatMap((genre) =>
+    stylesOf(genre).map((id) => {
+      const mode = registry.families[genre].modes[id];
+      const { familyLabel, typeLabel } = labelsForMode(id);
+      const first = mode.flavors[mode.flavorsOrder[0]];
+      return {
+        id,
+        label: typeLabel,
+        genre,
+        genreLabel: familyLabel,
+        flavors: mode.flavorsOrder.map((f) => ({ id: f, label: mode.flavors[f]?.name ?? f })),
+        controls: controlsFor(id).map((c) => {
+          const { type, min, max, step, def } = controlBounds(c);
+          return { key: c.key, label: c.label || c.key, type, min, max, step, default: def };
+        }),
+        speed: { min: first?.minSpeed ?? 1, max: first?.maxSpeed ?? 10 },
+      };
+    })
+  );
+}
+
+/**
+ * The vibes setState accepts.
+ * @returns {{id:string, label:string, custom:boolean}[]} Vibes in menu order.
+ */
+export function listVibes() {
+  return themeNames.map((id) => ({ id, label: vibeLabel(id), custom: isCustomVibe(id) }));
+}
+
+/**
+ * Check a partial state against the registries and work out the selection it leads to.
+ * @param {any} p - Partial state.
+ * @returns {{errors:{field:string, message:string}[], style:string, flavor:string|null}} Problems, plus the target style and flavor (null = the style's first).
+ */
+function validate(p) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (!p || typeof p !== 'object' || Array.isArray(p)) {
+    fail('', 'expected an object');
+    return { errors, style: cfg.persona, flavor: null };
+  }
+  for (const key of Object.keys(p)) {
+    if (!FIELDS.includes(key)) fail(key, 'unknown field');
+  }
+  if ('version' in p && p.version !== API_VERSION) {
+    fail('version', `this page speaks version ${API_VERSION}`);
+  }
+
+  let style = cfg.persona;
+  if ('genre' in p) {
+    const list = stylesOf(p.genre);
+    if (!list.length) fail('genre', `unknown genre ${JSON.stringify(p.genre)}`);
+    else if (!list.includes(style)) style = list[0];
+  }
+  if ('style' in p) {
+    if (typeof p.style !== 'string' || !modeRegistry[p.style] || !familyOf(p.style)) {
+      fail('style', `unknown style ${JSON.stringify(p.style)}`);
+    } else if ('genre' in p && familyOf(p.style) !== p.genre) {
+      fail('style', `"${p.style}" is not a style of genre "${p.genre}"`);
+    } else {
+      style = p.style;
+    }
+  }
+
+  const mode = registry.families[familyOf(style)]?.modes[style];
+  let flavor = style === cfg.persona ? active.flavorId : null;
+  if ('flavor' in p) {
+    if (typeof p.flavor !== 'string' || !mode?.flavors[p.flavor]) {
+      fail('flavor', `unknown flavor ${JSON.stringify(p.flavor)} for style "${style}"`);
+    } else {
+      flavor = p.flavor;
+    }
+  }
+
+  if ('speed' in p) {
+    const flav = mode?.flavors[flavor ?? mode.flavorsOrder[0]];
+    const min = flav?.minSpeed ?? 1;
+    const max = flav?.maxSpeed ?? 10;
+    if (!Number.isInteger(p.speed) || p.speed < min || p.speed > max) {
+      fail('speed', `expected a whole number from ${min} to ${max}`);
+    }
+  }
+  if ('paused' in p && typeof p.paused !== 'boolean') fail('paused', 'expected true or false');
+  if ('vibe' in p && !themeNames.includes(p.vibe)) {
+    fail('vibe', `unknown vibe ${JSON.stringify(p.vibe)}`);
+  }
+  if ('seed' in p) {
+    const ok =
+      p.seed === null ||
+      (Number.isInteger(p.seed) && p.seed >= 0) ||
+      (typeof p.seed === 'string' && p.seed.trim() !== '');
+    if (!ok) fail('seed', 'expected null, a whole number or a word');
+  }
+
+  if ('fx' in p) {
+    if (!p.fx || typeof p.fx !== 'object') fail('fx', 'expected an object');
+    else {
+      for (const [k, v] of Object.entries(p.fx)) {
+        if (!Object.hasOwn(cfg.fx, k)) fail(`fx.${k}`, 'unknown effect');
+        else if (typeof v !== 'boolean') fail(`fx.${k}`, 'expected true or false');
+      }
+    }
+  }
+
+  if ('params' in p) {
+    if (!p.params || typeof p.params !== 'object') fail('params', 'expected an object');
+    else {
+      for (const [k, v] of Object.entries(p.params)) {
+        const c = controlsFor(style).find((x) => x.key === k);
+        if (!c) {
+          fail(`params.${k}`, `style "${style}" has no control "${k}"`);
+          continue;
+        }
+        const { type, min, max } = controlBounds(c);
+        const n = type === 'toggle' && typeof v === 'boolean' ? Number(v) : v;
+        if (!Number.isFinite(n) || n < min || n > max) {
+          fail(`params.${k}`, `expected a number from ${min} to ${max}`);
+        }
+      }
+    }
+  }
+  return { errors, style, flavor };
+}
+
+/**
+ * Change any of the settings getState reports, through the regular setters. Nothing
+ * changes unless every field is valid.
+ * @param {object} partial - Fields to change (see getState).
+ * @returns {{ok:true, state:object}|{ok:false, errors:{field:string, message:string}[]}} Outcome.
+ */
+export function setState(partial) {
+  const { errors, style, flavor } = validate(partial);
+  if (errors.length) return { ok: false, errors };
+  const p = partial;
+
+  if (style !== cfg.persona) setMode(style);
+  if ('flavor' in p && flavor !== active.flavorId) setFlavor(flavor);
+  if ('speed' in p && p.speed !== active.speed) setSpeed(p.speed);
+  for (const [k, v] of Object.entries(p.params ?? {})) {
+    if (Number(v) !== getControl(style, k)) setControl(style, k, Number(v));
+  }
+  if ('vibe' in p && p.vibe !== (cfg.vibe ?? cfg.theme)) {
+    setVibeByName(p.vibe);
+  }
+  for (const [k, v] of Object.entries(p.fx ?? {})) {
+    if (cfg.fx[k] !== v) toggleEffect(k);
+  }
+  if ('seed' in p && seedFrom(p.seed) !== (cfg.seed ?? null)) setSeed(p.seed);
+  if ('paused' in p && p.paused !== !!cfg.paused) togglePause();
+  return { ok: true, state: getState() };
+}
+
+/**
+ * Listen for changes. The handler receives the whole state after the change and the
+ * public event name, so it needn't know which internal event fired.
+ * @param {'change'|'style'|'vibe'|'speed'|'paused'|'params'|'fx'|'seed'|'clear'} event - Public event.
+ * @param {(state:object, event:string)=>void} fn - Handler.
+ * @returns {()=>void} Call to unsubscribe.
+ */
+export function subscribe(event, fn) {
+  if (event !== 'change' && !Object.hasOwn(EVENTS, event)) {
+    throw new TypeError(
+      `visualNoise.subscribe: unknown event "${event}" (expected change, ${Object.keys(EVENTS).join(', ')})`
+    );
+  }
+  if (typeof fn !== 'function') throw new TypeError('visualNoise.subscribe: fn must be a function');
+
+  const pairs = [];
+  for (const [pub, internal] of Object.entries(EVENTS)) {
+    if (event !== pub && (event !== 'change' || pub === 'clear')) continue;
+    const handler = () => {
+      // A failing subscriber must not break the app's own listeners
+      try {
+        fn(getState(), pub);
+      } catch (err) {
+        console.error('[visualNoise] subscriber failed', err);
+      }
+    };
+    for (const evt of internal) {
+      on(evt, handler);
+      pairs.push([evt, handler]);
+    }
+  }
+  return () => pairs.forEach(([evt, handler]) => off(evt, handler));
+}
+
+/**
+ * Everything a player may want to log or inspect, as one JSON-safe object.
+ * @returns {{version:number, at:string, state:object, labels:object, modes:object[], vibes:object[]}} Snapshot.
+ */
+export function snapshot() {
+  const state = getState();
+  const { flav } = getNode();
+  const { familyLabel, typeLabel } = labelsForMode(state.style);
+  return JSON.parse(
+    JSON.stringify({
+      version: API_VERSION,
+      at: new Date().toISOString(),
+      state,
+      labels: {
+        genre: familyLabel,
+        style: typeLabel,
+        flavor: flav?.name ?? state.flavor,
+        vibe: vibeLabel(state.vibe),
+      },
+      modes: listModes(),
+      vibes: listVibes(),
+    })
+  );
+}
+
+/**
+ * The rotation playlist in API terms ("style" rather than the internal "mode").
+ * @returns {{custom:boolean, shuffle:boolean, running:boolean, entries:object[]}} Playlist.
+ */
+function getPlaylist() {
+  const { custom, shuffle, entries } = readPlaylist();
+  return {
+    custom,
+    shuffle,
+    running: getRotationStatus().running,
+    entries: entries.map(({ mode, ...rest }) => ({ style: mode, ...rest })),
+  };
+}
+
+/**
+ * Replace the rotation playlist. Nothing changes unless every entry is valid.
+ * @param {Array<{style:string, vibe?:string, speed?:number, durationSec?:number}>} entries - Entries in play order; [] goes back to every style.
+ * @returns {{ok:true, playlist:object}|{ok:false, errors:{field:string, message:string}[]}} Outcome.
+ */
+function setPlaylist(entries) {
+  if (!Array.isArray(entries)) {
+    return { ok: false, errors: [{ field: '', message: 'expected an array of entries' }] };
+  }
+  const errors = [];
+  entries.forEach((e, i) => {
+    const fail = (field, message) =>
+      errors.push({ field: `[${i}]${field && `.${field}`}`, message });
+    if (!e || typeof e !== 'object' || Array.isArray(e)) return fail('', 'expected an object');
+    for (const key of Object.keys(e)) {
+      if (!['style', 'vibe', 'speed', 'durationSec'].includes(key)) fail(key, 'unknown field');
+    }
+    if (typeof e.style !== 'string' || !modeRegistry[e.style] || !familyOf(e.style)) {
+      fail('style', `unknown style ${JSON.stringify(e.style)}`);
+    }
+    if ('vibe' in e && !themeNames.includes(e.vibe)) {
+      fail('vibe', `unknown vibe ${JSON.stringify(e.vibe)}`);
+    }
+    if ('speed' in e && (!Number.isInteger(e.speed) || e.speed < 1 || e.speed > 10)) {
+      fail('speed', 'expected a whole number from 1 to 10');
+    }
+    if (
+      'durationSec' in e &&
+      !(Number.isFinite(e.durationSec) && e.durationSec >= MIN_DURATION_SEC)
+    ) {
+      fail('durationSec', `expected at least ${MIN_DURATION_SEC} seconds`);
+    }
+  });
+  if (errors.length) return { ok: false, errors };
+  writePlaylist(entries.map(({ style, ...rest }) => ({ mode: style, ...rest })));
+  return { ok: true, playlist: getPlaylist() };
+}
+
+/**
+ * Turn playlist shuffle on or off (from the next cycle).
+ * @param {boolean} on - Shuffle state.
+ * @returns {{ok:true, playlist:object}|{ok:false, errors:{field:string, message:string}[]}} Outcome.
+ */
+function shufflePlaylist(on) {
+  if (typeof on !== 'boolean') {
+    return { ok: false, errors: [{ field: 'on', message: 'expected true or false' }] };
+  }
+  setShuffle(on);
+  return { ok: true, playlist: getPlaylist() };
+}
+
+/**
+ * Show a message toast on the display.
+ * @param {string} text - Message (up to 200 characters are shown).
+ * @param {{title?:string, durationMs?:number}} [opts] - Toast title and lifetime.
+ * @returns {{ok:boolean, errors?:{field:string, message:string}[]}} Outcome.
+ */
+function showMessage(text, opts = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { ok: false, errors: [{ field: 'text', message: 'expected some text' }] };
+  }
+  const { title, durationMs } = opts ?? {};
+  notify(NOTIFY.message, text.trim().slice(0, 200), {
+    ...(typeof title === 'string' && title && { title }),
+    ...(Number.isFinite(durationMs) && durationMs > 0 && { durationMs }),
+  });
+  return { ok: true };
+}
+
+/**
+ * Call the menu bar's show/hide helpers (from ui.js) once they exist.
+ * @param {'show'|'hide'|'toggle'|'lock'} name - Helper name.
+ * @returns {(...args:any[])=>void} Wrapper.
+ */
+const controlsCall =
+  (name) =>
+  (...args) =>
+    window.ControlsVisibility?.[name]?.(...args);
+
+/**
+ * Put the API on window.visualNoise and announce it.
+ * @returns {void}
+ */
+export function installApi() {
+  window.visualNoise = Object.freeze({
+    version: API_VERSION,
+    getState,
+    setState,
+    listModes,
+    listVibes,
+    subscribe,
+    snapshot,
+    clear: () => clearAll(),
+    notify: showMessage,
+    controls: Object.freeze({
+      show: controlsCall('show'),
+      hide: controlsCall('hide'),
+      toggle: controlsCall('toggle'),
+      lock: controlsCall('lock'),
+    }),
+    playlist: Object.freeze({ get: getPlaylist, set: setPlaylist, shuffle: shufflePlaylist }),
+    registerMode,
+    loadModeModule,
+  });
+  window.dispatchEvent(
+    new window.CustomEvent('visualnoise:ready', { detail: { version: API_VERSION } })
+  );
+}
@@ -0,0 +1,282 @@
+/* eslint-env browser */
+// src/js/bus.js
+// The app's one event bus. Every module, mode and plugin talks to the host through it:
+// built-in code imports { on, once, off, emit } from here, plugins get the same functions
+// as `events` in their registerMode API, and window.app.events / window.events point here
+// for older scripts.
+//
+// Events are namespaced ("style.change", "power.profile") and declared in EVENTS with a
+// payload check. emit() drops a payload that fails its check, and an event nobody
+// declared, with a console error instead of delivering it. Plugins declare their own with
+// defineEvent(). Subscribing takes an exact name, "ns.*" for a namespace or "*" for every
+// event; handlers get (payload, name). A handler that throws is logged and the others
+// still run. on() and once() return an unsubscribe function.
+//
+// Names from before the rename (mode/genre, flavor/style, theme/vibe, paused…) still work
+// through LEGACY: on() and emit() map them to the new name with a one-time deprecation
+// warning, so the two vocabularies can't feed each other in a loop. Where the payload
+// changed shape too (the old "style" carried a flavor id, "modes" an { added } object),
+// ADAPT converts it both ways: old-name emits are reshaped for the new event, and old-name
+// subscribers get the old shape back.
+//
+// Events (payload):
+//   style.change       mode key of the new style
+//   flavor.change      { modeId, flavorId, name }
+//   style.register     mode key a plugin registered
+//   vibe.change        vibe key
+//   vibe.list          vibe keys, after a custom vibe was added or removed
+//   theme.tokens       resolved vibe colors (theme_tokens.js)
+//   speed.change       speed multiplier
+//   speed.step         { index, total }
+//   playback.pause     true/false
+//   playback.clear     (none)
+//   param.change       { modeId, key, value }
+//   control.change     { modeId, key, label, value, text }
+//   fx.change          { scanlines, flicker }
+//   transition.change  { style, durationMs }
+//   seed.change        fixed seed, or null
+//   power.awake        wake lock on/off
+//   power.profile      profile status (power.js)
+//   capture.status     recording progress { state, … } (capture.js)
+//   export.status      frame export progress { state, … } (frame_export.js)
+//   idle.change        { active, mode }
+//   schedule.change    schedule rules
+//   rotation.status    playlist status (playlist.js)
+//   sync.status        multi-window sync status (sync.js)
+//   remote.status      LAN remote status (remote.js)
+//   remote.message     { text }
+//   history.change     { entries: [{ label, at }], index } (history.js)
+//   scene.list         scene names, after a scene was saved, deleted or imported
+//   fire.height, fire.fuel, rain.tail, rain.spawn   numbers
+
+import { cfg } from './state.js';
+
+const isStr = (v) => typeof v === 'string';
+const isNum = (v) => Number.isFinite(v);
+const isBool = (v) => typeof v === 'boolean';
+const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isNone = (v) => v === undefined;
+
+/** @type {Record<string, (payload:any)=>boolean>} */
+const EVENTS = {
+  'style.change': isStr,
+  'flavor.change': (v) => isObj(v) && isStr(v.modeId) && isStr(v.flavorId),
+  'style.register': isStr,
+  'vibe.change': isStr,
+  'vibe.list': (v) => Array.isArray(v) && v.every(isStr),
+  'theme.tokens': isObj,
+  'speed.change': isNum,
+  'speed.step': (v) => isObj(v) && isNum(v.index) && isNum(v.total),
+  'playback.pause': isBool,
+  'playback.clear': isNone,
+  'param.change': (v) => isObj(v) && isStr(v.modeId) && isStr(v.key) && isNum(v.value),
+  'control.change': (v) => isObj(v) && isStr(v.modeId) && isStr(v.key) && isNum(v.value),
+  'fx.change': isObj,
+  'transition.change': isObj,
+  'seed.change': (v) => v === null || isNum(v),
+  'power.awake': isBool,
+  'power.profile': isObj,
+  'capture.status': (v) => isObj(v) && isStr(v.state),
+  'export.status': (v) => isObj(v) && isStr(v.state),
+  'idle.change': (v) => isObj(v) && isBool(v.active),
+  'schedule.change': Array.isArray,
+  'rotation.status': isObj,
+  'sync.status': isObj,
+  'remote.status': (v) => isObj(v) && isStr(v.state),
+  'remote.message': (v) => isObj(v) && isStr(v.text),
+  'history.change': (v) => isObj(v) && Array.isArray(v.entries) && isNum(v.index),
+  'scene.list': (v) => Array.isArray(v) && v.every(isStr),
+  'fire.height': isNum,
+  'fire.fuel': isNum,
+  'rain.tail': isNum,
+  'rain.spawn': isNum,
+};
+
+// Old name → new name
+const LEGACY = Object.freeze({
+  mode: 'style.change',
+  genre: 'style.change',
+  flavor: 'flavor.change',
+  style: 'flavor.change',
+  modes: 'style.register',
+  theme: 'vibe.change',
+  vibe: 'vibe.change',
+  vibes: 'vibe.list',
+  themeTokens: 'theme.tokens',
+  speed: 'speed.change',
+  paused: 'playback.pause',
+  clear: 'playback.clear',
+  param: 'param.change',
+  control: 'control.change',
+  fx: 'fx.change',
+  transition: 'transition.change',
+  seed: 'seed.change',
+  power: 'power.awake',
+  powerProfile: 'power.profile',
+  capture: 'capture.status',
+  frameExport: 'export.status',
+  idle: 'idle.change',
+  schedule: 'schedule.change',
+  rotation: 'rotation.status',
+  sync: 'sync.status',
+  remote: 'remote.status',
+});
+
+// Old name → payload converters, for aliases whose payload changed shape.
+// toNew: old payload → new event's payload; toOld: the reverse, for old-name subscribers.
+// cfg is read when an event fires, never while the modules load.
+const ADAPT = Object.freeze({
+  style: {
+    toNew: (v) => (isStr(v) ? { modeId: cfg.persona, flavorId: v } : v),
+    toOld: (v) => v.flavorId,
+  },
+  modes: {
+    toNew: (v) => (isObj(v) ? v.added : v),
+    toOld: (v) => ({ added: v }),
+  },
+});
+
+const listeners = new Map(); // name or pattern -> Set<fn>
+const warned = new Set();
+const adapted = new WeakMap(); // handler -> Map<old name, wrapper that converts payloads>
+
+/**
+ * The handler to store for a subscription: a wrapper that converts payloads back to the
+ * old shape for adapted legacy names, the handler itself otherwise.
+ * @param {string} name - Name the caller subscribed with.
+ * @param {(payload:any, name:string)=>void} fn - Caller's handler.
+ * @returns {(payload:any, name:string)=>void} Handler to store.
+ */
+function wrapperFor(name, fn) {
+  if (!Object.hasOwn(ADAPT, name)) return fn;
+  if (!adapted.has(fn)) adapted.set(fn, new Map());
+  const byName = adapted.get(fn);
+  if (!byName.has(name)) {
+    byName.set(name, (payload, evt) => fn(ADAPT[name].toOld(payload), evt));
+  }
+  return byName.get(name);
+}
+
+/**
+ * Map a legacy name to its replacement, warning once per name.
+ * @param {string} name - Event name or pattern.
+ * @returns {string} Current name.
+ */
+function current(name) {
+  if (!Object.hasOwn(LEGACY, name)) return name;
+  if (!warned.has(name)) {
+    warned.add(name);
+    console.warn(`[bus] event "${name}" is deprecated; use "${LEGACY[name]}"`);
+  }
+  return LEGACY[name];
+}
+
+/**
+ * Whether a subscription name is a declared event or a pattern.
+ * @param {string} name - Event name or pattern.
+ * @returns {boolean} True if it can ever fire.
+ */
+function known(name) {
+  if (name === '*' || Object.hasOwn(EVENTS, name)) return true;
+  if (!name.endsWith('.*')) return false;
+  const ns = name.slice(0, -1);
+  return Object.keys(EVENTS).some((evt) => evt.startsWith(ns));
+}
+
+/**
+ * Declare an event (plugins, extensions) so it can be emitted.
+ * @param {string} name - Namespaced name, e.g. "tides.wave".
+ * @param {(payload:any)=>boolean} [check] - Payload check (any payload when omitted).
+ * @returns {void}
+ */
+export function defineEvent(name, check = () => true) {
+  if (!/^[\w-]+(\.[\w-]+)+$/.test(name)) {
+    throw new Error(`[bus] defineEvent("${name}"): use a namespaced name like "plugin.thing"`);
+  }
+  if (Object.hasOwn(EVENTS, name)) throw new Error(`[bus] event "${name}" is already defined`);
+  EVENTS[name] = check;
+}
+
+/**
+ * Subscribe to an event, a namespace ("power.*") or everything ("*").
+ * @param {string} name - Event name or pattern.
+ * @param {(payload:any, name:string)=>void} fn - Handler.
+ * @returns {()=>void} Unsubscribe.
+ */
+export function on(name, fn) {
+  const key = current(name);
+  const handler = wrapperFor(name, fn);
+  if (!known(key)) console.warn(`[bus] subscribing to undeclared event "${key}"`);
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(handler);
+  return () => off(key, handler);
+}
+
+/**
+ * Subscribe for one delivery only.
+ * @param {string} name - Event name or pattern.
+ * @param {(payload:any, name:string)=>void} fn - Handler.
+ * @returns {()=>void} Unsubscribe (before it fires).
+ */
+export function once(name, fn) {
+  const wrapped = (payload, evt) => {
+    stop();
+    fn(payload, evt);
+  };
+  const stop = on(name, wrapped);
+  return stop;
+}
+
+/**
+ * Unsubscribe a handler.
+ * @param {string} name - Name or pattern it was subscribed with.
+ * @param {(payload:any, name:string)=>void} fn - Handler.
+ * @returns {void}
+ */
+export function off(name, fn) {
+  const handler = adapted.get(fn)?.get(name) ?? fn;
+  listeners.get(current(name))?.delete(handler);
+}
+
+/**
+ * Deliver an event to its handlers, then namespace and "*" subscribers. Undeclared
+ * events and payloads that fail their check are logged and dropped.
+ * @param {string} name - Event name.
+ * @param {any} [payload] - Payload.
+ * @returns {void}
+ */
+export function emit(name, payload) {
+  const evt = current(name);
+  if (Object.hasOwn(ADAPT, name)) payload = ADAPT[name].toNew(payload);
+  const check = Object.hasOwn(EVENTS, evt) ? EVENTS[evt] : null;
+  if (!check) {
+    console.error(`[bus] emit of undeclared event "${evt}"`);
+    return;
+  }
+  if (!check(payload)) {
+    console.error(`[bus] bad payload for "${evt}"`, payload);
+    return;
+  }
+  const ns = `${evt.slice(0, evt.indexOf('.'))}.*`;
+  for (const key of [evt, ns, '*']) {
+    // Copy so handlers can unsubscribe (once) while we iterate
+    for (const fn of [...(listeners.get(key) ?? [])]) {
+      try {
+        fn(payload, evt);
+      } catch (err) {
+        console.error(`[bus] "${evt}" handler failed`, err);
+      }
+    }
+  }
+}
+
+/**
+ * Declared event names.
+ * @returns {string[]} Names, for tooling and docs.
+ */
+export function eventNames() {
+  return Object.keys(EVENTS);
+}
+
+/** The bus as one object, for window.app.events and the plugin API. */
+export const events = Object.freeze({ on, once, off, emit, defineEvent, eventNames });
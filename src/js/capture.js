@@ -0,0 +1,372 @@
+/* eslint-env browser */
+// src/js/capture.js
+// Record the visible canvas to a WebM video (MediaRecorder on a canvas stream) or a short
+// looping GIF (lib/gif.js). Frames are copied from #canvas onto a capture canvas, with the
+// CRT overlays painted in when they are on, so the file looks like the screen without the
+// cursor, toasts or menu bar a screen recorder would pick up.
+//
+// Progress goes out as "capture.status" events (notify.js turns them into a toast):
+//   { state: 'recording'|'encoding'|'done'|'error', format, elapsed, seconds, progress, file?, error? }
+//
+// Stored under "vn.capture": { format, seconds, overlays }
+
+import { cfg } from './state.js';
+import { on, off, emit } from './bus.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+import { downloadBlob } from './lib/download.js';
+import { buildPalette, paletteIndexer, gifHeader, gifFrame, GIF_TRAILER } from './lib/gif.js';
+
+/**
+ * Local typedef alias so eslint-plugin-jsdoc recognizes the DOM type.
+ * @typedef {globalThis.Blob} Blob
+ */
+
+const STORAGE_KEY = 'vn.capture';
+
+/** Output formats, in the order the capture panel lists them. */
+export const CAPTURE_FORMATS = ['webm', 'gif'];
+
+// Longest recording per format (GIF frames are kept raw until encoding)
+const MAX_SECONDS = { webm: 60, gif: 10 };
+const WEBM_FPS = 30;
+const WEBM_BITRATE = 8_000_000;
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const GIF_FPS = 15;
+const GIF_MAX_WIDTH = 480;
+
+// Strength of the CSS scanline layers (.scanlines::before / ::after in styles.css)
+const SCANLINE_DARK_ALPHA = 0.16;
+const SCANLINE_LIGHT_ALPHA = 0.08;
+
+const opts = { format: 'webm', seconds: 10, overlays: true };
+
+/**
+ * In-flight recording, if any.
+ * @type {{format:string, seconds:number, overlays:boolean, source:any, canvas:any, g:any, start:number, lastSec:number, frame:number, scanlines:any, stop:()=>void, done:Promise<Blob|null>}|null}
+ */
+let job = null;
+
+/**
+ * Clamp stored or requested settings to something recordable.
+ * @param {any} o - Candidate settings.
+ * @returns {{format:string, seconds:number, overlays:boolean}} Clean settings.
+ */
+function sanitize(o) {
+  const format = CAPTURE_FORMATS.includes(o?.format) ? o.format : 'webm';
+  const seconds = Number.isFinite(o?.seconds) ? Math.round(o.seconds) : opts.seconds;
+  return {
+    format,
+    seconds: Math.max(1, Math.min(MAX_SECONDS[format], seconds)),
+    overlays: typeof o?.overlays === 'boolean' ? o.overlays : true,
+  };
+}
+
+Object.assign(opts, sanitize(readJSON(STORAGE_KEY) ?? opts));
+
+/**
+ * Current capture settings.
+ * @returns {{format:string, seconds:number, overlays:boolean}} Copy of the settings.
+ */
+export function getCaptureOptions() {
+  return { ...opts };
+}
+
+/**
+ * Change and persist capture settings (seconds are clamped to the format's limit).
+ * @param {{format?:string, seconds?:number, overlays?:boolean}} next - Fields to change.
+ * @returns {{format:string, seconds:number, overlays:boolean}} The settings now in effect.
+ */
+export function setCaptureOptions(next) {
+  Object.assign(opts, sanitize({ ...opts, ...next }));
+  writeJSON(STORAGE_KEY, opts);
+  return getCaptureOptions();
+}
+
+/**
+ * Best WebM type this browser can record, if any.
+ * @returns {string} MIME type, or "" when MediaRecorder/WebM isn't available.
+ */
+function webmType() {
+  const MR = window.MediaRecorder;
+  if (!MR || !document.createElement('canvas').captureStream) return '';
+  return WEBM_TYPES.find((t) => MR.isTypeSupported?.(t)) ?? '';
+}
+
+/**
+ * Which formats can be recorded here.
+ * @returns {{webm:boolean, gif:boolean}} Support flags.
+ */
+export function captureSupport() {
+  return { webm: !!webmType(), gif: true };
+}
+
+/**
+ * Whether a recording (or its GIF encoding) is running.
+ * @returns {boolean} True while busy.
+ */
+export function isCapturing() {
+  return !!job;
+}
+
+/**
+ * Repeating scanline tile: one dark/light row every 3 CSS px, as in styles.css.
+ * @param {string} color - Line color (--scanline-dark or --scanline-light).
+ * @param {number} scale - Output pixels per CSS pixel.
+ * @param {any} g - Context the pattern is created on.
+ * @returns {any} CanvasPattern.
+ */
+function scanlinePattern(color, scale, g) {
+  const tile = document.createElement('canvas');
+  tile.width = 1;
+  tile.height = Math.max(2, Math.round(3 * scale));
+  const tg = tile.getContext('2d');
+  tg.fillStyle = color;
+  tg.fillRect(0, 0, 1, Math.max(1, Math.round(scale)));
+  return g.createPattern(tile, 'repeat');
+}
+
+/**
+ * Read the scanline colors in effect (vibe plus any mode-scoped override on <body>).
+ * @param {number} scale - Output pixels per CSS pixel.
+ * @param {any} g - Capture context.
+ * @returns {{dark:any, light:any}} Patterns for both layers.
+ */
+function readScanlines(scale, g) {
+  const style = window.getComputedStyle(document.body);
+  const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+  return {
+    dark: scanlinePattern(read('--scanline-dark', '#001003'), scale, g),
+    light: scanlinePattern(read('--scanline-light', '#002016'), scale, g),
+  };
+}
+
+/**
+ * Paint the enabled CRT overlays over the copied frame.
+ * body.flicker has no CSS animation, so the capture adds a slight brightness wobble for it.
+ * @param {NonNullable<typeof job>} j - Running job.
+ * @returns {void}
+ */
+function paintOverlays(j) {
+  const { g, canvas } = j;
+  if (cfg.fx.scanlines) {
+    g.save();
+    g.globalCompositeOperation = 'multiply';
+    g.globalAlpha = SCANLINE_DARK_ALPHA;
+    g.fillStyle = j.scanlines.dark;
+    g.fillRect(0, 0, canvas.width, canvas.height);
+    g.globalCompositeOperation = 'screen';
+    g.globalAlpha = SCANLINE_LIGHT_ALPHA;
+    g.fillStyle = j.scanlines.light;
+    g.fillRect(0, 0, canvas.width, canvas.height);
+    g.restore();
+  }
+  if (cfg.fx.flicker) {
+    g.save();
+    g.globalAlpha = 0.04 + 0.03 * Math.sin(j.frame * 2.1) * Math.sin(j.frame * 0.37);
+    g.fillStyle = '#000';
+    g.fillRect(0, 0, canvas.width, canvas.height);
+    g.restore();
+  }
+}
+
+/**
+ * Copy the current screen (plus overlays) onto the capture canvas.
+ * @param {NonNullable<typeof job>} j - Running job.
+ * @returns {void}
+ */
+function composite(j) {
+  const { g, canvas, source } = j;
+  g.drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (j.overlays) paintOverlays(j);
+  j.frame++;
+}
+
+/**
+ * Report progress on the bus.
+ * @param {object} status - Fields beyond format/seconds.
+ * @returns {void}
+ */
+function report(status) {
+  emit('capture.status', {
+    format: job?.format ?? opts.format,
+    seconds: job?.seconds ?? 0,
+    ...status,
+  });
+}
+
+/**
+ * Yield to the browser between encoding steps so toasts and the render loop keep going.
+ * @returns {Promise<void>} Resolves on the next task.
+ */
+const nextTask = () => new Promise((resolve) => window.setTimeout(resolve, 0));
+
+/**
+ * Encode grabbed GIF frames, reporting progress.
+ * @param {Array<Uint8ClampedArray>} frames - RGBA frames (released as they are encoded).
+ * @param {number} width - Frame width.
+ * @param {number} height - Frame height.
+ * @returns {Promise<Blob>} The GIF file.
+ */
+async function encodeGif(frames, width, height) {
+  report({ state: 'encoding', progress: 0 });
+  await nextTask();
+  // Sample every other pixel for the palette; the loop only has a few vibe colors anyway
+  const palette = buildPalette(frames, 2);
+  const toIndices = paletteIndexer(palette);
+  const parts = [gifHeader(width, height, palette)];
+  for (let i = 0; i < frames.length; i++) {
+    parts.push(gifFrame(toIndices(frames[i]), width, height, 1000 / GIF_FPS));
+    frames[i] = null;
+    report({ state: 'encoding', progress: (i + 1) / frames.length });
+    await nextTask();
+  }
+  parts.push(GIF_TRAILER);
+  return new window.Blob(parts, { type: 'image/gif' });
+}
+
+/**
+ * Start recording the visible canvas with the current settings (or one-off overrides).
+ * Resolves when the file has been offered for download.
+ * @param {{format?:string, seconds?:number, overlays?:boolean}} [overrides] - Settings for this recording only.
+ * @returns {Promise<Blob|null>} The recording, or null if it couldn't start.
+ */
+export function startCapture(overrides = {}) {
+  if (job) return job.done;
+  const { format, seconds, overlays } = sanitize({ ...opts, ...overrides });
+  const source = document.getElementById('canvas');
+  const type = format === 'webm' ? webmType() : 'image/gif';
+  const fail = (error) => {
+    console.warn(`[capture] ${error}`);
+    emit('capture.status', { state: 'error', format, seconds, error });
+    return Promise.resolve(null);
+  };
+  if (!source?.width) return fail('no canvas to record');
+  if (!type) return fail("WebM recording isn't supported in this browser");
+
+  // GIFs are scaled down: palette files grow fast with size
+  const scale = format === 'gif' ? Math.min(1, GIF_MAX_WIDTH / source.width) : 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  const g = canvas.getContext('2d');
+  const cssWidth = source.getBoundingClientRect().width || source.width;
+
+  /** @type {Array<Uint8ClampedArray>} */
+  const frames = [];
+  let recorder = null;
+  const chunks = [];
+  let nextGrab = 0;
+  let finish = () => {};
+  const stopped = new Promise((resolve) => (finish = resolve));
+
+  job = {
+    format,
+    seconds,
+    overlays,
+    source,
+    canvas,
+    g,
+    start: performance.now(),
+    lastSec: -1,
+    frame: 0,
+    scanlines: overlays ? readScanlines(canvas.width / cssWidth, g) : null,
+    stop: () => finish(),
+    done: null,
+  };
+  composite(job);
+
+  if (format === 'webm') {
+    const stream = canvas.captureStream(WEBM_FPS);
+    recorder = new window.MediaRecorder(stream, {
+      mimeType: type,
+      videoBitsPerSecond: WEBM_BITRATE,
+    });
+    recorder.ondataavailable = (e) => {
+      if (e.data?.size) chunks.push(e.data);
+    };
+    recorder.start(1000);
+  }
+
+  const tick = (t) => {
+    if (!job) return;
+    const elapsed = t - job.start;
+    composite(job);
+    if (format === 'gif' && elapsed >= nextGrab) {
+      frames.push(g.getImageData(0, 0, canvas.width, canvas.height).data);
+      nextGrab += 1000 / GIF_FPS;
+    }
+    const sec = Math.floor(elapsed / 1000);
+    if (sec !== job.lastSec) {
+      job.lastSec = sec;
+      report({
+        state: 'recording',
+        elapsed: sec,
+        progress: Math.min(1, elapsed / (seconds * 1000)),
+      });
+    }
+    if (elapsed >= seconds * 1000) finish();
+    else window.requestAnimationFrame(tick);
+  };
+  window.requestAnimationFrame(tick);
+
+  // Vibe or mode changes mid-recording can change the scanline colors
+  const refreshScanlines = () => {
+    if (job?.scanlines) job.scanlines = readScanlines(canvas.width / cssWidth, g);
+  };
+  const watch = ['theme.tokens', 'style.change', 'param.change'];
+  watch.forEach((evt) => on(evt, refreshScanlines));
+
+  job.done = stopped.then(async () => {
+    watch.forEach((evt) => off(evt, refreshScanlines));
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = `visual-noise-${cfg.persona}-${stamp}.${format}`;
+    let blob = null;
+    let error = '';
+    try {
+      if (recorder) {
+        await new Promise((resolve) => {
+          recorder.onstop = resolve;
+          recorder.stop();
+        });
+        recorder.stream.getTracks().forEach((track) => track.stop());
+        blob = new window.Blob(chunks, { type: 'video/webm' });
+      } else {
+        blob = await encodeGif(frames, canvas.width, canvas.height);
+      }
+    } catch (err) {
+      console.warn('[capture] failed', err);
+      error = String(err?.message || err);
+    }
+    // Idle again before the final event, so listeners see isCapturing() === false
+    job = null;
+    if (!blob) {
+      emit('capture.status', { state: 'error', format, seconds, error });
+      return null;
+    }
+    downloadBlob(file, blob);
+    emit('capture.status', { state: 'done', format, seconds, progress: 1, file });
+    return blob;
+  });
+  return job.done;
+}
+
+/**
+ * End the recording early; what was captured so far is still saved.
+ * @returns {void}
+ */
+export function stopCapture() {
+  job?.stop();
+}
+
+/**
+ * Start a recording, or end the running one (the hotkey and menu button).
+ * @returns {boolean} True if a recording was started.
+ */
+export function toggleCapture() {
+  if (job) {
+    stopCapture();
+    return false;
+  }
+  startCapture();
+  return true;
+}
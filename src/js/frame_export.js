@@ -0,0 +1,364 @@
+/* eslint-env browser */
+// src/js/frame_export.js
+// Offline frame export for video pipelines: step a mode with a fixed clock (every frame
+// is exactly 1/fps apart, however long it takes to render) at a chosen resolution, and
+// save the frames as numbered PNGs, zipped or into a folder. With a seed set the export
+// is repeatable frame for frame.
+//
+// "Seamless loop" makes the last frame run straight into the first, for players that
+// repeat the clip. Modes that support it (seamless: true — fire, fireAscii and the rain
+// styles) get ctx.loop = { frame, frames, blend } each frame: `frame` counts from the first
+// saved frame (negative while pre-rolling), `frames` is the clip length and `blend` how many
+// closing frames may crossfade back to the start (see lib/loop.js). The pre-roll is at
+// least one loop long so fading trails look the same at both ends.
+//
+// renderFrames() is the driver and only needs a canvas factory, so the same code runs
+// headless in Node (tools/render-frames.mjs). exportFrames() is the browser side: main.js
+// pauses the live loop on the "export.status" start event and restarts the mode when it ends.
+//
+// Progress goes out as "export.status" events (notify.js turns them into a toast):
+//   { state: 'start'|'rendering'|'done'|'error', mode, width, height, fps, frames, loop, progress, file?, error? }
+//
+// Stored under "vn.frameExport": { size, fps, seconds, warmup, output, loop }
+
+import { cfg, active } from './state.js';
+import { emit } from './bus.js';
+import { registry } from './modes/index.js';
+import { activeSeed, streamFor, useStream } from './rng.js';
+import { themeTokens } from './theme_tokens.js';
+import { applyMono, modular } from './lib/index.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+import { downloadBlob } from './lib/download.js';
+import { createZip } from './lib/zip.js';
+
+const STORAGE_KEY = 'vn.frameExport';
+
+/** Output sizes in device pixels ("screen" is the visible canvas as it is now). */
+export const EXPORT_SIZES = {
+  screen: null,
+  '720p': [1280, 720],
+  '1080p': [1920, 1080],
+  '4k': [3840, 2160],
+};
+
+/** Frame rates offered in the capture panel (any 1..120 works from code). */
+export const EXPORT_FPS = [24, 30, 60];
+
+/** Where the browser export puts the frames. */
+export const EXPORT_OUTPUTS = ['zip', 'folder'];
+
+const MAX_SECONDS = 120;
+const MAX_WARMUP = 30;
+// Same guardrails as the live loop: at most 100 ms of simulated time per frame
+const MAX_STEP_MS = 100;
+// Loop pre-roll floor: trails fading a few percent per frame need a few hundred frames to settle
+const LOOP_SETTLE_FRAMES = 300;
+// Longest crossfade back to the first frame
+const MAX_BLEND_S = 2;
+
+const opts = { size: '1080p', fps: 30, seconds: 10, warmup: 2, output: 'zip', loop: false };
+
+/**
+ * In-flight browser export, if any.
+ * @type {{cancelled:boolean}|null}
+ */
+let job = null;
+
+/**
+ * Clamp stored or requested settings to something renderable.
+ * @param {any} o - Candidate settings.
+ * @returns {{size:string, fps:number, seconds:number, warmup:number, output:string, loop:boolean}} Clean settings.
+ */
+function sanitize(o) {
+  const num = (v, lo, hi, fallback) =>
+    Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback;
+  return {
+    size: o?.size in EXPORT_SIZES ? o.size : '1080p',
+    fps: Math.round(num(o?.fps, 1, 120, 30)),
+    seconds: num(o?.seconds, 0.1, MAX_SECONDS, 10),
+    warmup: num(o?.warmup, 0, MAX_WARMUP, 2),
+    output: EXPORT_OUTPUTS.includes(o?.output) ? o.output : 'zip',
+    loop: !!o?.loop,
+  };
+}
+
+Object.assign(opts, sanitize(readJSON(STORAGE_KEY) ?? opts));
+
+/**
+ * Current export settings.
+ * @returns {{size:string, fps:number, seconds:number, warmup:number, output:string, loop:boolean}} Copy of the settings.
+ */
+export function getExportOptions() {
+  return { ...opts };
+}
+
+/**
+ * Change and persist export settings (values are clamped).
+ * @param {{size?:string, fps?:number, seconds?:number, warmup?:number, output?:string, loop?:boolean}} next - Fields to change.
+ * @returns {{size:string, fps:number, seconds:number, warmup:number, output:string, loop:boolean}} The settings now in effect.
+ */
+export function setExportOptions(next) {
+  Object.assign(opts, sanitize({ ...opts, ...next }));
+  writeJSON(STORAGE_KEY, opts);
+  return getExportOptions();
+}
+
+/**
+ * Whether a browser export is running.
+ * @returns {boolean} True while busy.
+ */
+export function isExporting() {
+  return !!job;
+}
+
+/**
+ * Whether frames can be written straight into a folder (File System Access API).
+ * @returns {boolean} True when a directory picker is available.
+ */
+export function canExportToFolder() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Whether a mode can render seamless loops.
+ * @param {string} modeId - Registry key.
+ * @returns {boolean} True when the mode handles ctx.loop.
+ */
+export function canLoop(modeId) {
+  return !!registry[modeId]?.seamless;
+}
+
+/**
+ * File name of a frame in the sequence (ffmpeg: -i frame_%05d.png).
+ * @param {number} i - Frame index from 0.
+ * @returns {string} e.g. "frame_00042.png".
+ */
+export function frameName(i) {
+  return `frame_${String(i).padStart(5, '0')}.png`;
+}
+
+/**
+ * Pixel size and DPR for a size preset. Presets default to 1080p-equivalent text size
+ * (DPR 1 up to 1080 lines, 2 for 4K); "screen" copies the visible canvas.
+ * @param {string} size - Key of EXPORT_SIZES, or "WIDTHxHEIGHT".
+ * @returns {{width:number, height:number, dpr:number}} Output geometry.
+ */
+export function resolveSize(size) {
+  const custom = /^(\d+)x(\d+)$/.exec(String(size));
+  let dims = custom ? [Number(custom[1]), Number(custom[2])] : EXPORT_SIZES[size];
+  if (size === 'screen') {
+    const canvas = document.getElementById('canvas');
+    if (canvas?.width) {
+      const dpr = Math.max(1, Math.min(window.devicePixelRatio || 1, 2));
+      return { width: canvas.width, height: canvas.height, dpr };
+    }
+  }
+  dims ||= EXPORT_SIZES['1080p'];
+  const [width, height] = dims.map((n) => Math.max(16, Math.min(8192, Math.round(n))));
+  return { width, height, dpr: Math.max(1, height / 1080) };
+}
+
+/**
+ * @typedef {object} RenderJob
+ * @property {string} modeId - Registry key of the mode to render.
+ * @property {string} [flavorId] - Flavor to select (modes with setFlavor).
+ * @property {number} width - Output width in px.
+ * @property {number} height - Output height in px.
+ * @property {number} [dpr] - Device pixels per CSS pixel (text and cell size); default 1.
+ * @property {number} fps - Frames per second of the sequence.
+ * @property {number} seconds - Length of the saved sequence.
+ * @property {number} [warmup] - Seconds rendered and thrown away first (rain filling the screen…).
+ * @property {boolean} [loop] - Make the sequence loop seamlessly (modes with `seamless`; ignored by others).
+ * @property {number} [speed] - Speed multiplier, as cfg.speed.
+ * @property {any} [theme] - Theme tokens (ctx.theme); default the current ones.
+ * @property {(w:number, h:number) => any} createCanvas - Canvas factory (DOM or node canvas).
+ */
+
+/**
+ * Render a mode frame by frame on a fixed clock. Modes are singletons, so nothing else
+ * may drive the same mode while this runs (main.js pauses its loop for browser exports).
+ * @param {RenderJob} job - What to render.
+ * @param {(canvas:any, index:number, total:number) => (boolean|void|Promise<boolean|void>)} onFrame - Called with each saved frame; return false to stop early.
+ * @returns {Promise<number>} Number of frames handed to onFrame.
+ */
+export async function renderFrames(job, onFrame) {
+  const mod = registry[job.modeId];
+  if (!mod?.frame) throw new Error(`unknown mode "${job.modeId}"`);
+
+  const canvas = job.createCanvas(job.width, job.height);
+  const rc = {
+    canvas,
+    ctx2d: canvas.getContext('2d'),
+    dpr: job.dpr || 1,
+    w: job.width,
+    h: job.height,
+    now: 0,
+    elapsed: 0,
+    dt: 0,
+    speed: job.speed ?? 1,
+    paused: false,
+    theme: job.theme ?? themeTokens(),
+    rng: streamFor(job.modeId),
+    needsFullClear: false,
+    loop: null,
+  };
+  const step = 1000 / job.fps;
+  const total = Math.max(1, Math.round(job.seconds * job.fps));
+  const looping = !!job.loop && !!mod.seamless;
+  let skip = Math.round((job.warmup || 0) * job.fps);
+  if (looping) skip = Math.max(skip, total, LOOP_SETTLE_FRAMES);
+  const blend = Math.max(1, Math.min(Math.round(total / 4), Math.round(MAX_BLEND_S * job.fps)));
+  const speed = Math.max(0.25, Math.min(4, rc.speed || 1));
+
+  rc.ctx2d.setTransform(rc.dpr, 0, 0, rc.dpr, 0, 0);
+  applyMono(rc.ctx2d, modular(0));
+  useStream(rc.rng);
+  mod.init?.(rc);
+  if (job.flavorId && mod.setFlavor) mod.setFlavor(rc, job.flavorId);
+  mod.start?.(rc);
+
+  let saved = 0;
+  try {
+    for (let i = 0; i < skip + total; i++) {
+      rc.now = (i + 1) * step;
+      rc.elapsed = Math.min(step * speed, MAX_STEP_MS);
+      rc.dt = rc.elapsed / 1000;
+      rc.loop = looping ? { frame: i - skip, frames: total, blend } : null;
+      rc.ctx2d.setTransform(rc.dpr, 0, 0, rc.dpr, 0, 0);
+      useStream(rc.rng);
+      mod.frame(rc);
+      if (i < skip) continue;
+      saved++;
+      if ((await onFrame(canvas, i - skip, total)) === false) break;
+    }
+  } finally {
+    mod.stop?.(rc);
+  }
+  return saved;
+}
+
+/**
+ * Encode a canvas as PNG bytes (node canvases via toBuffer, DOM canvases via toBlob).
+ * @param {any} canvas - Rendered canvas.
+ * @returns {Promise<Uint8Array>} PNG file contents.
+ */
+export async function framePng(canvas) {
+  if (typeof canvas.toBuffer === 'function') return new Uint8Array(canvas.toBuffer('image/png'));
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png')
+  );
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Base name for an export of the current selection.
+ * @param {{modeId:string, width:number, height:number, fps:number, loop?:boolean}} job - Render job.
+ * @returns {string} e.g. "visual-noise-matrix-1920x1080-30fps-seed42" ("-loop" added for loops).
+ */
+export function exportBaseName(job) {
+  const loop = job.loop && canLoop(job.modeId) ? '-loop' : '';
+  return `visual-noise-${job.modeId}-${job.width}x${job.height}-${job.fps}fps${loop}-seed${activeSeed()}`;
+}
+
+/**
+ * Export the current mode, vibe, speed and seed as a PNG sequence with the stored
+ * settings (or one-off overrides). Call from a click handler: saving to a folder asks
+ * for it first, which needs the click's user activation.
+ * @param {{size?:string, fps?:number, seconds?:number, warmup?:number, output?:string, loop?:boolean}} [overrides] - Settings for this export only.
+ * @returns {Promise<number>} Frames saved (0 if cancelled before the first or on error).
+ */
+export async function exportFrames(overrides = {}) {
+  if (job) return 0;
+  const o = sanitize({ ...opts, ...overrides });
+  const modeId = registry[cfg.persona] ? cfg.persona : 'crypto';
+  const { width, height, dpr } = resolveSize(o.size);
+  const info = {
+    mode: modeId,
+    width,
+    height,
+    fps: o.fps,
+    frames: Math.round(o.seconds * o.fps),
+    loop: o.loop && canLoop(modeId),
+  };
+  const fail = (error) => {
+    console.warn(`[frameExport] ${error}`);
+    emit('export.status', { state: 'error', ...info, error });
+    return 0;
+  };
+
+  let dir = null;
+  if (o.output === 'folder') {
+    if (!canExportToFolder()) return fail("saving to a folder isn't supported in this browser");
+    try {
+      dir = await window.showDirectoryPicker({ id: 'vn-frames', mode: 'readwrite' });
+    } catch {
+      return 0; // picker dismissed
+    }
+  }
+
+  job = { cancelled: false };
+  const current = job;
+  emit('export.status', { state: 'start', ...info, progress: 0 });
+
+  const render = {
+    modeId,
+    flavorId: active.modeId === modeId ? active.flavorId : undefined,
+    width,
+    height,
+    dpr,
+    fps: o.fps,
+    seconds: o.seconds,
+    warmup: o.warmup,
+    loop: info.loop,
+    speed: cfg.speed,
+    theme: themeTokens(),
+    createCanvas: (w, h) =>
+      Object.assign(document.createElement('canvas'), { width: w, height: h }),
+  };
+  const zip = dir ? null : createZip();
+  let pct = -1;
+  let saved = 0;
+  let error = '';
+  try {
+    await renderFrames(render, async (canvas, i, total) => {
+      if (current.cancelled) return false;
+      const bytes = await framePng(canvas);
+      if (dir) {
+        const file = await dir.getFileHandle(frameName(i), { create: true });
+        const out = await file.createWritable();
+        await out.write(bytes);
+        await out.close();
+      } else {
+        zip.add(frameName(i), bytes);
+      }
+      saved++;
+      const p = Math.floor(((i + 1) / total) * 100);
+      if (p !== pct) {
+        pct = p;
+        emit('export.status', { state: 'rendering', ...info, progress: (i + 1) / total });
+      }
+    });
+  } catch (err) {
+    console.warn('[frameExport] failed', err);
+    error = String(err?.message || err);
+  }
+
+  // Idle again before the final event, so main.js restarts the live mode
+  job = null;
+  if (error) return fail(error);
+  let file = dir ? `${dir.name}/` : '';
+  if (zip && saved > 0) {
+    file = `${exportBaseName(render)}.zip`;
+    downloadBlob(file, new window.Blob(zip.finish(), { type: 'application/zip' }));
+  }
+  emit('export.status', { state: 'done', ...info, frames: saved, progress: 1, file });
+  return saved;
+}
+
+/**
+ * Stop a running export; frames already rendered are still saved.
+ * @returns {void}
+ */
+export function cancelFrameExport() {
+  if (job) job.cancelled = true;
+}
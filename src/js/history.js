@@ -0,0 +1,231 @@
+/* eslint-env browser */
+// src/js/history.js
+// Undo/redo for the look: a stack of snapshots (style, flavor, vibe, speed index, the
+// style's control values and the CRT overlays) recorded from the bus. The changes from one
+// action, or a quick run of key presses, settle into one entry. Undo and redo apply a
+// snapshot through the regular setters, so the menu, persistence, sync and the remote
+// follow, and they don't record themselves. History lasts for the session only.
+//
+// Emits "history.change" { entries: [{ label, at }], index } when the stack or the position
+// moves.
+
+import {
+  cfg,
+  active,
+  setMode,
+  setFlavor,
+  setTheme,
+  setSpeed,
+  setModeParam,
+  toggleEffect,
+  controlsFor,
+  controlBounds,
+  getControl,
+  getNode,
+  labelsForGenreStyle,
+} from './state.js';
+import { on, emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames, vibeLabel } from './themes.js';
+
+const MAX_ENTRIES = 50;
+// A burst of changes closer together than this becomes one entry
+const SETTLE_MS = 500;
+const WATCHED = [
+  'style.change',
+  'flavor.change',
+  'vibe.change',
+  'speed.change',
+  'param.change',
+  'fx.change',
+];
+
+/**
+ * What undo, redo and scenes (scenes.js) restore.
+ * @typedef {object} Look
+ * @property {string} mode - Style (mode) key.
+ * @property {string} [flavor] - Flavor key.
+ * @property {string} [vibe] - Vibe key.
+ * @property {number} [speed] - Speed index.
+ * @property {Record<string, number>} params - The style's control values on their stored scale.
+ * @property {Record<string, boolean>} fx - CRT overlays.
+ */
+
+/** @type {{state:Look, label:string, at:number}[]} */
+const entries = [];
+let index = -1;
+let timer = 0;
+let applying = false;
+let installed = false;
+
+/**
+ * Capture the look as it is now.
+ * @returns {Look} Snapshot.
+ */
+export function captureLook() {
+  const mode = cfg.persona;
+  return {
+    mode,
+    flavor: active.flavorId,
+    vibe: cfg.vibe ?? cfg.theme,
+    speed: active.speed,
+    params: Object.fromEntries(controlsFor(mode).map((c) => [c.key, getControl(mode, c.key)])),
+    fx: { ...cfg.fx },
+  };
+}
+
+/**
+ * Whether two snapshots show the same look.
+ * @param {Look} a - Snapshot.
+ * @param {Look} b - Snapshot.
+ * @returns {boolean} True when nothing differs.
+ */
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Describe what changed between two snapshots, for the history list.
+ * @param {Look|undefined} prev - Earlier snapshot.
+ * @param {Look} next - Later snapshot.
+ * @returns {string} Short label, e.g. "Vibe: CLU, Speed 7".
+ */
+function describe(prev, next) {
+  if (!prev) return 'Start';
+  const parts = [];
+  if (next.mode !== prev.mode) {
+    const { genreLabel, styleLabel } = labelsForGenreStyle(next.mode);
+    parts.push(`${genreLabel} / ${styleLabel}`);
+  } else {
+    if (next.flavor !== prev.flavor) {
+      parts.push(`Flavor: ${getNode().mode?.flavors[next.flavor]?.name ?? next.flavor}`);
+    }
+    if (next.speed !== prev.speed) parts.push(`Speed ${next.speed}`);
+    for (const c of controlsFor(next.mode)) {
+      const v = next.params[c.key];
+      if (v === prev.params[c.key]) continue;
+      const toggle = controlBounds(c).type === 'toggle';
+      parts.push(`${c.label || c.key} ${toggle ? (v ? 'on' : 'off') : v}`);
+    }
+  }
+  if (next.vibe !== prev.vibe) parts.push(`Vibe: ${vibeLabel(next.vibe)}`);
+  for (const [k, v] of Object.entries(next.fx)) {
+    if (v !== prev.fx[k]) parts.push(`${k[0].toUpperCase()}${k.slice(1)} ${v ? 'on' : 'off'}`);
+  }
+  return parts.join(', ') || 'Change';
+}
+
+/**
+ * Tell listeners the stack or the position moved.
+ * @returns {void}
+ */
+function report() {
+  emit('history.change', getHistory());
+}
+
+/**
+ * Push the current look if it differs from the entry we're on. Entries after the current
+ * one (undone changes) are dropped, like any editor's redo stack.
+ * @returns {void}
+ */
+function record() {
+  window.clearTimeout(timer);
+  timer = 0;
+  const state = captureLook();
+  const cur = entries[index];
+  if (cur && same(cur.state, state)) return;
+  entries.splice(index + 1);
+  entries.push({ state, label: describe(cur?.state, state), at: Date.now() });
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  index = entries.length - 1;
+  report();
+}
+
+/**
+ * Record once the current burst of changes settles.
+ * @returns {void}
+ */
+function queueRecord() {
+  if (applying) return;
+  window.clearTimeout(timer);
+  timer = window.setTimeout(record, SETTLE_MS);
+}
+
+/**
+ * Set the look through the regular setters, touching only what differs so nothing
+ * restarts needlessly. A style that isn't loaded, or a vibe removed since (a deleted
+ * custom vibe), is skipped.
+ * @param {Look} s - Look to apply.
+ * @returns {void}
+ */
+export function applyLook(s) {
+  if (modeRegistry[s.mode] && s.mode !== cfg.persona) setMode(s.mode);
+  if (s.mode === cfg.persona) {
+    // Flavor first: selecting one resets its control and speed defaults
+    if (s.flavor && s.flavor !== active.flavorId) setFlavor(s.flavor);
+    for (const [key, value] of Object.entries(s.params)) setModeParam(s.mode, key, value);
+    if (Number.isFinite(s.speed) && s.speed !== active.speed) setSpeed(s.speed);
+  }
+  if (themeNames.includes(s.vibe) && s.vibe !== (cfg.vibe ?? cfg.theme)) setTheme(s.vibe);
+  for (const [k, v] of Object.entries(s.fx)) {
+    if (Object.hasOwn(cfg.fx, k) && cfg.fx[k] !== v) toggleEffect(k);
+  }
+}
+
+/**
+ * Jump to a history entry.
+ * @param {number} i - Entry index (0 is the oldest).
+ * @returns {boolean} True if the look changed.
+ */
+export function goTo(i) {
+  if (!installed) return false;
+  // A change still settling is recorded first, so undo returns to the look before it
+  if (timer) record();
+  if (!Number.isInteger(i) || i < 0 || i >= entries.length || i === index) return false;
+  index = i;
+  applying = true;
+  try {
+    applyLook(entries[i].state);
+  } finally {
+    applying = false;
+  }
+  report();
+  return true;
+}
+
+/**
+ * Step back one entry.
+ * @returns {boolean} True if there was something to undo.
+ */
+export function undo() {
+  if (timer) record();
+  return goTo(index - 1);
+}
+
+/**
+ * Step forward one entry.
+ * @returns {boolean} True if there was something to redo.
+ */
+export function redo() {
+  return goTo(index + 1);
+}
+
+/**
+ * The history list, oldest first.
+ * @returns {{entries:{label:string, at:number}[], index:number}} Labels, times and the current position.
+ */
+export function getHistory() {
+  return { entries: entries.map(({ label, at }) => ({ label, at })), index };
+}
+
+/**
+ * Start recording. Call once the session and URL settings are applied, so the first entry
+ * is the look the display starts with.
+ * @returns {void}
+ */
+export function installHistory() {
+  if (installed) return;
+  installed = true;
+  WATCHED.forEach((evt) => on(evt, queueRecord));
+  record();
+}
@@ -0,0 +1,240 @@
+/* eslint-env browser */
+// src/js/idle.js
+// Screensaver: after N minutes without pointer or keyboard input, hide the controls, go
+// fullscreen, optionally hold the screen wake lock and switch to a chosen mode. The next
+// input wakes it and puts back what it changed: the previous mode (unless something else
+// switched mode meanwhile), windowed view and the wake lock. The waking key press or
+// click is swallowed, so it doesn't also fire a hotkey or open the controls.
+//
+// Browsers only grant fullscreen from a user gesture, so from the idle timer it usually
+// works only where the page is already fullscreen or runs as a kiosk; otherwise the
+// screensaver stays windowed. "Start now" in the panel has a gesture and always can.
+//
+// Activity is timestamped, not timed out per event: a single timer fires at the earliest
+// possible deadline and re-arms itself if there was input in between.
+//
+// Emits "idle.change" { active, mode } on start and wake.
+// Stored under "vn.idle": { enabled, minutes, mode, fullscreen, awake } ('' mode = keep current)
+
+import { cfg, setMode } from './state.js';
+import { emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { WakeLock } from './lib/wake_lock.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+import { isCapturing } from './capture.js';
+import { isExporting } from './frame_export.js';
+
+const STORAGE_KEY = 'vn.idle';
+const MAX_MINUTES = 240;
+// While a recording/export runs or the tab is hidden, look again this much later
+const RETRY_MS = 30000;
+// Mouse jitter (a desk bump, an optical sensor) shouldn't end the screensaver
+const MOVE_SLOP_PX = 12;
+// The click that follows a waking pointerdown is swallowed too, within this window
+const CLICK_GRACE_MS = 1000;
+
+const opts = { enabled: false, minutes: 10, mode: '', fullscreen: true, awake: true };
+
+/**
+ * What the running screensaver changed, so waking can put it back.
+ * @type {{mode:string, switched:string|null, fullscreen:boolean, awake:boolean, x:number|null, y:number|null}|null}
+ */
+let saver = null;
+let lastInput = 0;
+let clickGuardUntil = 0;
+let timer = 0;
+
+/**
+ * Clamp stored or requested settings.
+ * @param {any} o - Candidate settings.
+ * @returns {{enabled:boolean, minutes:number, mode:string, fullscreen:boolean, awake:boolean}} Clean settings.
+ */
+function sanitize(o) {
+  const minutes = Number(o?.minutes);
+  return {
+    enabled: !!o?.enabled,
+    minutes: Number.isFinite(minutes)
+      ? Math.max(1, Math.min(MAX_MINUTES, Math.round(minutes)))
+      : 10,
+    mode: typeof o?.mode === 'string' && modeRegistry[o.mode] ? o.mode : '',
+    fullscreen: o?.fullscreen !== false,
+    awake: o?.awake !== false,
+  };
+}
+
+/**
+ * Current screensaver settings.
+ * @returns {{enabled:boolean, minutes:number, mode:string, fullscreen:boolean, awake:boolean}} Copy of the settings.
+ */
+export function getIdleOptions() {
+  return { ...opts };
+}
+
+/**
+ * Change and persist screensaver settings; the countdown restarts from now.
+ * @param {{enabled?:boolean, minutes?:number, mode?:string, fullscreen?:boolean, awake?:boolean}} next - Fields to change.
+ * @returns {{enabled:boolean, minutes:number, mode:string, fullscreen:boolean, awake:boolean}} The settings now in effect.
+ */
+export function setIdleOptions(next) {
+  Object.assign(opts, sanitize({ ...opts, ...next }));
+  writeJSON(STORAGE_KEY, opts);
+  lastInput = performance.now();
+  arm(opts.minutes * 60000);
+  return getIdleOptions();
+}
+
+/**
+ * Whether the screensaver is showing.
+ * @returns {boolean} True between start and wake.
+ */
+export function isIdle() {
+  return !!saver;
+}
+
+/**
+ * (Re)start the countdown timer, or stop it while disabled or showing.
+ * @param {number} ms - Delay until the next check.
+ * @returns {void}
+ */
+function arm(ms) {
+  window.clearTimeout(timer);
+  timer = opts.enabled && !saver ? window.setTimeout(check, ms) : 0;
+}
+
+/**
+ * Timer callback: start the screensaver if the idle time has really passed.
+ * @returns {void}
+ */
+function check() {
+  const left = opts.minutes * 60000 - (performance.now() - lastInput);
+  if (left > 0) arm(left);
+  else if (document.visibilityState !== 'visible' || isCapturing() || isExporting()) arm(RETRY_MS);
+  else startScreensaver();
+}
+
+/**
+ * Start the screensaver now (the idle timer calls this; so does "Start now").
+ * @returns {Promise<void>} Resolves once fullscreen and the wake lock were tried.
+ */
+export async function startScreensaver() {
+  if (saver) return;
+  const s = {
+    mode: cfg.persona,
+    switched: null,
+    fullscreen: false,
+    awake: false,
+    x: null,
+    y: null,
+  };
+  saver = s;
+  arm(0); // stops the countdown until wake()
+
+  window.ControlsVisibility?.hide?.();
+  if (opts.mode && opts.mode !== cfg.persona) {
+    setMode(opts.mode);
+    s.switched = opts.mode;
+  }
+  emit('idle.change', { active: true, mode: cfg.persona });
+
+  if (
+    opts.fullscreen &&
+    !document.fullscreenElement &&
+    document.documentElement.requestFullscreen
+  ) {
+    try {
+      await document.documentElement.requestFullscreen();
+      s.fullscreen = true;
+      // Woken while the request was pending
+      if (saver !== s) document.exitFullscreen?.()?.catch?.(() => {});
+    } catch {
+      console.info('[idle] fullscreen not allowed without a user gesture; staying windowed');
+    }
+  }
+
+  if (opts.awake && !WakeLock.isEnabled() && saver === s) {
+    s.awake = (await WakeLock.enable()) === true;
+    if (!s.awake || saver !== s) WakeLock.disable();
+    else emit('power.awake', true);
+  }
+}
+
+/**
+ * End the screensaver and undo what it changed.
+ * @returns {void}
+ */
+export function wake() {
+  const s = saver;
+  if (!s) return;
+  saver = null;
+  lastInput = performance.now();
+
+  // Leave a mode alone that the playlist, schedule or remote chose meanwhile
+  if (s.switched && cfg.persona === s.switched && modeRegistry[s.mode]) setMode(s.mode);
+  if (s.fullscreen && document.fullscreenElement) document.exitFullscreen?.()?.catch?.(() => {});
+  if (s.awake) {
+    WakeLock.disable();
+    emit('power.awake', false);
+  }
+  emit('idle.change', { active: false, mode: cfg.persona });
+  arm(opts.minutes * 60000);
+}
+
+/**
+ * Input handler: note the activity, or wake the screensaver (swallowing keys and presses).
+ * @param {any} e - Pointer or keyboard event.
+ * @returns {void}
+ */
+function onInput(e) {
+  lastInput = performance.now();
+  if (!saver) return;
+  if (e.type === 'pointermove') {
+    if (saver.x == null) {
+      saver.x = e.clientX;
+      saver.y = e.clientY;
+      return;
+    }
+    if (Math.hypot(e.clientX - saver.x, e.clientY - saver.y) < MOVE_SLOP_PX) return;
+  } else if (e.type !== 'wheel') {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.type === 'pointerdown') clickGuardUntil = lastInput + CLICK_GRACE_MS;
+  }
+  wake();
+}
+
+/**
+ * Load the settings and start watching for input. Call before the UI wires its own key
+ * and pointer handlers, so a waking key press can be swallowed ahead of them.
+ * @returns {void}
+ */
+export function installIdle() {
+  Object.assign(opts, sanitize(readJSON(STORAGE_KEY) ?? opts));
+  lastInput = performance.now();
+
+  for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel']) {
+    const passive = type === 'pointermove' || type === 'wheel';
+    window.addEventListener(type, onInput, { capture: true, passive });
+  }
+  // pointerdown can't be cancelled into suppressing its click, so drop that separately
+  window.addEventListener(
+    'click',
+    (e) => {
+      if (performance.now() > clickGuardUntil) return;
+      clickGuardUntil = 0;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    },
+    { capture: true }
+  );
+
+  // Esc leaves fullscreen without a keydown reaching the page: treat it as waking input
+  document.addEventListener('fullscreenchange', () => {
+    if (saver?.fullscreen && !document.fullscreenElement) wake();
+  });
+  // Coming back to the tab is activity too
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') lastInput = performance.now();
+  });
+
+  arm(opts.minutes * 60000);
+}
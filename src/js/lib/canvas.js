@@ -44,9 +44,10 @@ export function attachHiDPICanvas(canvas, targetDpr) {
  * @param {HTMLCanvasElement} canvas
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} [targetDpr]
+ * @param {number} [scale]  Render-scale factor applied after the clamp (power profiles).
  */
-export function resizeToDisplaySize(canvas, ctx, targetDpr) {
-  const dpr = clampDPR(targetDpr ?? getDPR());
+export function resizeToDisplaySize(canvas, ctx, targetDpr, scale = 1) {
+  const dpr = clampDPR(targetDpr ?? getDPR()) * scale;
   const { width: cssW, height: cssH } = canvas.getBoundingClientRect();
   const bsW = Math.floor(cssW * dpr);
   const bsH = Math.floor(cssH * dpr);
@@ -0,0 +1,33 @@
+/* eslint-env browser */
+// src/js/lib/download.js
+// Purpose: Save generated data as a file via a temporary <a download>.
+// Exports: downloadBlob, downloadJSON
+
+/**
+ * Offer a Blob to the user as a download.
+ * @param {string} filename - Suggested file name.
+ * @param {Blob} blob - File contents.
+ * @returns {void}
+ */
+export function downloadBlob(filename, blob) {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  window.setTimeout(() => window.URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Pretty-print a value and offer it as a .json download.
+ * @param {string} filename - Suggested file name.
+ * @param {any} data - JSON-serialisable value.
+ * @returns {string} The JSON text that was saved.
+ */
+export function downloadJSON(filename, data) {
+  const json = JSON.stringify(data, null, 2);
+  downloadBlob(filename, new window.Blob([json], { type: 'application/json' }));
+  return json;
+}
@@ -0,0 +1,250 @@
+// src/js/lib/gif.js
+// Purpose: Minimal animated GIF encoder for short loops (capture.js): median-cut palette
+// shared by all frames, LZW-compressed frames, endless looping. No dithering; the modes'
+// flat vibe colors survive quantization well.
+// Exports: buildPalette, paletteIndexer, gifHeader, gifFrame, GIF_TRAILER
+
+const MAX_COLORS = 256;
+
+/**
+ * 15-bit histogram key (5 bits per channel).
+ * @param {number} r - Red 0..255.
+ * @param {number} g - Green 0..255.
+ * @param {number} b - Blue 0..255.
+ * @returns {number} Bucket index 0..32767.
+ */
+const bucketOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Median-cut palette for a set of RGBA frames (alpha is ignored).
+ * @param {Array<Uint8ClampedArray>} frames - RGBA pixel data, e.g. ImageData.data.
+ * @param {number} [step] - Sample every n-th pixel (speed over accuracy on large frames).
+ * @returns {Uint8Array} 256 RGB triplets (unused entries are black).
+ */
+export function buildPalette(frames, step = 1) {
+  // Weighted color sums per bucket
+  const count = new Uint32Array(32768);
+  const sum = new Float64Array(32768 * 3);
+  for (const px of frames) {
+    for (let i = 0; i < px.length; i += 4 * step) {
+      const k = bucketOf(px[i], px[i + 1], px[i + 2]);
+      count[k]++;
+      sum[k * 3] += px[i];
+      sum[k * 3 + 1] += px[i + 1];
+      sum[k * 3 + 2] += px[i + 2];
+    }
+  }
+  /** @type {Array<{r:number, g:number, b:number, n:number}>} */
+  const colors = [];
+  for (let k = 0; k < 32768; k++) {
+    const n = count[k];
+    if (n) colors.push({ r: sum[k * 3] / n, g: sum[k * 3 + 1] / n, b: sum[k * 3 + 2] / n, n });
+  }
+
+  // Split the box with the widest channel range at its weighted median until full
+  let boxes = [colors];
+  while (boxes.length < MAX_COLORS) {
+    let pick = -1;
+    let pickRange = 0;
+    let pickKey = 'r';
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (const key of ['r', 'g', 'b']) {
+        let lo = 255;
+        let hi = 0;
+        for (const c of box) {
+          if (c[key] < lo) lo = c[key];
+          if (c[key] > hi) hi = c[key];
+        }
+        if (hi - lo > pickRange) {
+          pick = i;
+          pickRange = hi - lo;
+          pickKey = key;
+        }
+      }
+    });
+    if (pick < 0) break; // every box is a single color
+    const box = boxes[pick].sort((a, b) => a[pickKey] - b[pickKey]);
+    const half = box.reduce((t, c) => t + c.n, 0) / 2;
+    let acc = 0;
+    let cut = 1;
+    for (; cut < box.length - 1; cut++) {
+      acc += box[cut - 1].n;
+      if (acc >= half) break;
+    }
+    boxes = [...boxes.slice(0, pick), box.slice(0, cut), box.slice(cut), ...boxes.slice(pick + 1)];
+  }
+
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  boxes.forEach((box, i) => {
+    const n = box.reduce((t, c) => t + c.n, 0) || 1;
+    for (const [j, key] of ['r', 'g', 'b'].entries()) {
+      palette[i * 3 + j] = Math.round(box.reduce((t, c) => t + c[key] * c.n, 0) / n);
+    }
+  });
+  return palette;
+}
+
+/**
+ * Map RGBA frames to palette indices (nearest color, cached per 15-bit bucket).
+ * @param {Uint8Array} palette - RGB triplets from buildPalette.
+ * @returns {(px:Uint8ClampedArray) => Uint8Array} Converts one frame to indices.
+ */
+export function paletteIndexer(palette) {
+  const cache = new Int16Array(32768).fill(-1);
+  const nearest = (r, g, b) => {
+    let best = 0;
+    let bestD = Infinity;
+    for (let i = 0; i < palette.length; i += 3) {
+      const dr = palette[i] - r;
+      const dg = palette[i + 1] - g;
+      const db = palette[i + 2] - b;
+      const d = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (d < bestD) {
+        bestD = d;
+        best = i / 3;
+      }
+    }
+    return best;
+  };
+  return (px) => {
+    const out = new Uint8Array(px.length / 4);
+    for (let i = 0, p = 0; i < px.length; i += 4, p++) {
+      const k = bucketOf(px[i], px[i + 1], px[i + 2]);
+      let idx = cache[k];
+      if (idx < 0) idx = cache[k] = nearest(px[i], px[i + 1], px[i + 2]);
+      out[p] = idx;
+    }
+    return out;
+  };
+}
+
+/**
+ * Little-endian 16-bit value.
+ * @param {number} v - Value.
+ * @returns {Array<number>} Two bytes.
+ */
+const u16 = (v) => [v & 255, (v >> 8) & 255];
+
+/**
+ * GIF header: screen descriptor, global palette and the endless-loop extension.
+ * @param {number} width - Frame width in px.
+ * @param {number} height - Frame height in px.
+ * @param {Uint8Array} palette - 256 RGB triplets.
+ * @returns {Uint8Array} Bytes to start the file with.
+ */
+export function gifHeader(width, height, palette) {
+  return Uint8Array.from([
+    ...[...'GIF89a'].map((c) => c.charCodeAt(0)),
+    ...u16(width),
+    ...u16(height),
+    0xf7, // global color table, 8 bits per primary, 256 entries
+    0, // background color index
+    0, // pixel aspect ratio
+    ...palette,
+    // NETSCAPE2.0 application extension: loop forever
+    0x21,
+    0xff,
+    0x0b,
+    ...[...'NETSCAPE2.0'].map((c) => c.charCodeAt(0)),
+    0x03,
+    0x01,
+    ...u16(0),
+    0x00,
+  ]);
+}
+
+/**
+ * LZW-compress palette indices into GIF data sub-blocks.
+ * @param {Uint8Array} indices - One index per pixel.
+ * @returns {Array<number>} Minimum code size, sub-blocks and the block terminator.
+ */
+function lzw(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [minCodeSize];
+  let block = [];
+  let bitBuf = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let next = endCode + 1;
+  const dict = new Map();
+
+  const write = (code) => {
+    bitBuf |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuf & 255);
+      bitBuf >>>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block = [];
+      }
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = dict.get(key);
+    if (hit !== undefined) {
+      prefix = hit;
+      continue;
+    }
+    write(prefix);
+    if (next < 4096) {
+      dict.set(key, next++);
+      // The decoder widens one code later than it adds the entry, hence "> 1 << size"
+      if (next > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      write(clearCode);
+      dict.clear();
+      codeSize = minCodeSize + 1;
+      next = endCode + 1;
+    }
+    prefix = k;
+  }
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) block.push(bitBuf & 255);
+  if (block.length) out.push(block.length, ...block);
+  out.push(0);
+  return out;
+}
+
+/**
+ * One full-size animation frame using the global palette.
+ * @param {Uint8Array} indices - Palette index per pixel (width × height).
+ * @param {number} width - Frame width in px.
+ * @param {number} height - Frame height in px.
+ * @param {number} delayMs - Time until the next frame (stored in 10 ms units).
+ * @returns {Uint8Array} Frame bytes (graphic control extension + image).
+ */
+export function gifFrame(indices, width, height, delayMs) {
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  return Uint8Array.from([
+    // Graphic control extension: no transparency, keep the previous frame
+    0x21,
+    0xf9,
+    0x04,
+    0x04,
+    ...u16(delay),
+    0x00,
+    0x00,
+    // Image descriptor: full frame, no local color table
+    0x2c,
+    ...u16(0),
+    ...u16(0),
+    ...u16(width),
+    ...u16(height),
+    0x00,
+    ...lzw(indices),
+  ]);
+}
+
+/** Final byte of a GIF file. */
+export const GIF_TRAILER = Uint8Array.from([0x3b]);
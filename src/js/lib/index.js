@@ -2,3 +2,4 @@
 export * from './canvas.js';
 export * from './typography.js';
 export * from './utils.js';
+export * from './transitions.js';
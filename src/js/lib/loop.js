@@ -0,0 +1,84 @@
+// src/js/lib/loop.js
+// Purpose: Helpers for seamless loops (frame export's "Seamless loop"): modes that set
+// `seamless: true` get ctx.loop = { frame, frames, blend } and use these to make frame
+// `frames` look exactly like frame 0 — periodic positions for rain columns, a crossfade
+// back to the first frame's field for fire.
+// Exports: loopPhase, loopBlendWeight, blendFields, loopPass, loopPasses, loopRandom
+
+import { makeRng } from './utils.js';
+
+/**
+ * Position of a frame within the loop.
+ * @param {number} frame - Loop frame (negative during the pre-roll).
+ * @param {number} frames - Loop length in frames.
+ * @returns {number} 0..frames-1.
+ */
+export function loopPhase(frame, frames) {
+  return ((frame % frames) + frames) % frames;
+}
+
+/**
+ * How far to pull the picture toward the loop's first frame: 0 until the last `blend`
+ * frames, then rising toward 1, and exactly 1 when the loop comes round again.
+ * @param {{frame:number, frames:number, blend:number}} loop - ctx.loop.
+ * @returns {number} Weight 0..1.
+ */
+export function loopBlendWeight(loop) {
+  const phase = loopPhase(loop.frame, loop.frames);
+  if (phase === 0) return loop.frame > 0 ? 1 : 0;
+  const into = phase - (loop.frames - loop.blend);
+  return into < 0 ? 0 : (into + 1) / (loop.blend + 1);
+}
+
+/**
+ * Mix two byte fields (heat maps…) into `out`: out = from + (to - from) * w, rounded.
+ * @param {Uint8Array} out - Destination (same length as the inputs).
+ * @param {Uint8Array} from - Field at weight 0.
+ * @param {Uint8Array} to - Field at weight 1.
+ * @param {number} w - Weight 0..1.
+ * @returns {Uint8Array} `out`.
+ */
+export function blendFields(out, from, to, w) {
+  for (let i = 0; i < out.length; i++) out[i] = (from[i] + (to[i] - from[i]) * w + 0.5) | 0;
+  return out;
+}
+
+/**
+ * Progress through the current pass when `passes` equal passes fill one period, e.g. a
+ * rain column falling `passes` times per loop, offset by its own phase.
+ * @param {number} step - Frame or tick within the loop (any integer).
+ * @param {number} period - Loop length in the same units.
+ * @param {number} passes - Passes per loop (≥ 1).
+ * @param {number} [phase] - Offset in the same units.
+ * @returns {number} 0 ≤ result < period / passes.
+ */
+export function loopPass(step, period, passes, phase = 0) {
+  const len = period / passes;
+  const k = step + phase;
+  return k - Math.floor(k / len) * len;
+}
+
+/**
+ * Whole number of passes to fit into a loop: as many as the natural cycle (fall plus the
+ * wait before the next one) suggests, but never so many that a pass is too short to
+ * cover the full fall.
+ * @param {number} steps - Loop length (frames or ticks).
+ * @param {number} travel - Steps one fall takes at natural speed.
+ * @param {number} cycle - Steps from one fall to the next at natural speed.
+ * @returns {number} Passes ≥ 1.
+ */
+export function loopPasses(steps, travel, cycle) {
+  return Math.max(1, Math.min(Math.floor(steps / travel), Math.round(steps / cycle)));
+}
+
+/**
+ * Random numbers that repeat with the loop: the same sequence each time the loop comes
+ * round to a frame. For what a mode redraws at random every frame (rain glyphs), so the
+ * trails fading out at the end of the loop are the ones frame 0 starts with.
+ * @param {{frame:number, frames:number}} loop - ctx.loop.
+ * @param {number} seed - Drawn once per loop, e.g. with the loop plan.
+ * @returns {() => number} RNG returning floats in [0, 1).
+ */
+export function loopRandom(loop, seed) {
+  return makeRng((seed ^ Math.imul(loopPhase(loop.frame, loop.frames) + 1, 0x9e3779b1)) >>> 0);
+}
@@ -0,0 +1,118 @@
+/* eslint-env browser */
+// src/js/lib/palette.js
+// Purpose: Derive mode palettes (rain heads/trails/glow, fire heat ramps) from a vibe's
+// --bg / --fg / --accent (ctx.theme.rgba, see ../theme_tokens.js) so hardcoded-color
+// modes can follow the active vibe.
+// Exports: parseColor, mixColor, rgbTriplet, luminance, rainPalette, fireStops
+
+/**
+ * @typedef {{r:number, g:number, b:number, a:number}} RGBA
+ */
+
+/**
+ * Parse a CSS hex (#rgb, #rgba, #rrggbb, #rrggbbaa) or rgb()/rgba() color.
+ * @param {string} css - Color string.
+ * @returns {RGBA|null} Channels 0..255 with alpha 0..1, or null if unrecognized.
+ */
+export function parseColor(css) {
+  const s = String(css ?? '')
+    .trim()
+    .toLowerCase();
+  let m = s.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (m) {
+    let h = m[1];
+    if (h.length <= 4) h = [...h].map((x) => x + x).join('');
+    const n = (i) => parseInt(h.slice(i, i + 2), 16);
+    return { r: n(0), g: n(2), b: n(4), a: h.length === 8 ? n(6) / 255 : 1 };
+  }
+  m = s.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (m) {
+    const a = m[4] == null ? 1 : m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+    return { r: +m[1], g: +m[2], b: +m[3], a };
+  }
+  return null;
+}
+
+/**
+ * Linear blend of two colors (alpha is taken from `a`).
+ * @param {RGBA} a - Start color.
+ * @param {RGBA} b - End color.
+ * @param {number} t - 0 → a, 1 → b.
+ * @returns {RGBA} Blended color.
+ */
+export function mixColor(a, b, t) {
+  const k = Math.max(0, Math.min(1, t));
+  return {
+    r: a.r + (b.r - a.r) * k,
+    g: a.g + (b.g - a.g) * k,
+    b: a.b + (b.b - a.b) * k,
+    a: a.a,
+  };
+}
+
+/**
+ * "r, g, b" for use inside rgba(…).
+ * @param {RGBA} c - Color.
+ * @returns {string} Comma-separated integer channels.
+ */
+export function rgbTriplet(c) {
+  return `${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)}`;
+}
+
+/**
+ * Relative luminance (sRGB, 0..1).
+ * @param {RGBA} c - Color.
+ * @returns {number} Luminance.
+ */
+export function luminance(c) {
+  const lin = (v) => {
+    const x = v / 255;
+    return x <= 0.03928 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(c.r) + 0.7152 * lin(c.g) + 0.0722 * lin(c.b);
+}
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * The extreme (black or white) furthest from the background, for "hottest" highlights.
+ * @param {RGBA} bg - Background color.
+ * @returns {RGBA} White on dark backgrounds, black on light ones.
+ */
+function awayFrom(bg) {
+  return luminance(bg) > 0.35 ? BLACK : WHITE;
+}
+
+/**
+ * Rain colors from a vibe: trail in the foreground color, a near-extreme head and an
+ * accent glow, on the vibe background.
+ * @param {{bg:RGBA, fg:RGBA, accent:RGBA}} v - Vibe colors.
+ * @returns {{bg:string, fade:string, trail:string, head:string, glow:string}} bg/fade as CSS colors; the rest as "r, g, b".
+ */
+export function rainPalette(v) {
+  const bg = rgbTriplet(v.bg);
+  return {
+    bg: `rgb(${bg})`,
+    fade: `rgba(${bg}, 0.18)`,
+    trail: rgbTriplet(v.fg),
+    head: rgbTriplet(mixColor(v.fg, awayFrom(v.bg), 0.85)),
+    glow: rgbTriplet(v.accent),
+  };
+}
+
+/**
+ * Fire ramp stops from a vibe: background → accent → foreground → extreme.
+ * @param {{bg:RGBA, fg:RGBA, accent:RGBA}} v - Vibe colors.
+ * @returns {Array<[number, number, number, number]>} [t, r, g, b] stops, t ascending 0..1.
+ */
+export function fireStops(v) {
+  const stop = (t, c) => [t, Math.round(c.r), Math.round(c.g), Math.round(c.b)];
+  return [
+    stop(0, mixColor(v.bg, v.accent, 0.08)),
+    stop(0.3, mixColor(v.bg, v.accent, 0.55)),
+    stop(0.6, v.accent),
+    stop(0.85, v.fg),
+    stop(1, mixColor(v.fg, awayFrom(v.bg), 0.6)),
+  ];
+}
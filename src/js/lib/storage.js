@@ -0,0 +1,62 @@
+/* eslint-env browser */
+// src/js/lib/storage.js
+// Purpose: Safe localStorage access. Private mode, disabled storage and quota errors never throw.
+// Exports: storage, readJSON, writeJSON, removeKey
+
+/** @type {Storage|null} */
+export const storage = (() => {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+})();
+
+/**
+ * Read and parse a JSON value. Corrupt entries are removed so they can't wedge boot.
+ * @param {string} key
+ * @returns {any} Parsed value, or null when missing/unreadable.
+ */
+export function readJSON(key) {
+  let raw = null;
+  try {
+    raw = storage?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+  if (raw == null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn(`[storage] dropping corrupt "${key}"`);
+    removeKey(key);
+    return null;
+  }
+}
+
+/**
+ * Serialize and store a JSON value.
+ * @param {string} key
+ * @param {any} value
+ * @returns {boolean} True if the write succeeded.
+ */
+export function writeJSON(key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+    return !!storage;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove a key, ignoring storage errors.
+ * @param {string} key
+ */
+export function removeKey(key) {
+  try {
+    storage?.removeItem(key);
+  } catch {
+    /* ignore */
+  }
+}
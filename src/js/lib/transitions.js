@@ -0,0 +1,104 @@
+// src/js/lib/transitions.js
+// Purpose: Composite an outgoing and incoming layer during a mode switch.
+// Exports: TRANSITION_STYLES, compositeTransition, easeInOut
+//
+// Every style draws in device pixels with an identity transform:
+//   style(g, from, to, t, W, H)   t in 0..1 (already eased)
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+export function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// Cheap stable per-cell noise in 0..1 (no RNG state, so frames don’t shimmer)
+function cellNoise(x, y) {
+  const n = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+  return n - Math.floor(n);
+}
+
+function fade(g, from, to, t) {
+  g.drawImage(from, 0, 0);
+  g.globalAlpha = t;
+  g.drawImage(to, 0, 0);
+}
+
+function wipe(g, from, to, t, W, H) {
+  g.drawImage(from, 0, 0);
+  const x = Math.round(t * W);
+  if (x > 0) g.drawImage(to, 0, 0, x, H, 0, 0, x, H);
+  // Thin leading edge so the wipe reads on dark-on-dark switches
+  if (x > 0 && x < W) {
+    g.fillStyle = 'rgba(255,255,255,0.35)';
+    g.fillRect(x - 1, 0, 2, H);
+  }
+}
+
+function glitchDissolve(g, from, to, t, W, H, rng) {
+  const size = Math.max(16, Math.round(Math.min(W, H) / 24));
+  const cols = Math.ceil(W / size);
+  const rows = Math.ceil(H / size);
+  g.drawImage(from, 0, 0);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      if (cellNoise(i, j) >= t) continue;
+      const x = i * size;
+      const y = j * size;
+      const w = Math.min(size, W - x);
+      const h = Math.min(size, H - y);
+      g.drawImage(to, x, y, w, h, x, y, w, h);
+    }
+  }
+  // A few torn horizontal slices, strongest mid-transition
+  const tear = Math.sin(t * Math.PI);
+  const slices = Math.round(6 * tear);
+  for (let k = 0; k < slices; k++) {
+    const y = Math.floor(rng() * H);
+    const h = Math.max(2, Math.floor(rng() * size));
+    const dx = Math.round((rng() - 0.5) * size * 2 * tear);
+    const src = rng() < t ? to : from;
+    g.drawImage(src, 0, y, W, Math.min(h, H - y), dx, y, W, Math.min(h, H - y));
+  }
+}
+
+function scanlineRoll(g, from, to, t, W, H) {
+  g.drawImage(from, 0, 0);
+  // Incoming frame rolls down from above like a CRT losing vertical hold
+  const seam = Math.round(t * H);
+  if (seam > 0) g.drawImage(to, 0, H - seam, W, seam, 0, 0, W, seam);
+  const band = Math.max(4, Math.round(H / 40));
+  g.fillStyle = 'rgba(255,255,255,0.12)';
+  g.fillRect(0, seam - band, W, band);
+  g.fillStyle = 'rgba(0,0,0,0.25)';
+  for (let y = Math.max(0, seam - band); y < seam; y += 3) g.fillRect(0, y, W, 1);
+}
+
+/** Style key -> compositor. "none" is handled by callers (hard cut). */
+export const TRANSITION_STYLES = {
+  fade,
+  wipe,
+  'glitch-dissolve': glitchDissolve,
+  'scanline-roll': scanlineRoll,
+};
+
+/**
+ * Draw one transition frame onto the visible canvas.
+ * @param {string} style
+ * @param {CanvasRenderingContext2D} g
+ * @param {HTMLCanvasElement} from
+ * @param {HTMLCanvasElement} to
+ * @param {number} progress Linear 0..1; eased here.
+ * @param {() => number} [rng] Random source for glitchy styles (seeded streams from rng.js).
+ */
+export function compositeTransition(style, g, from, to, progress, rng = Math.random) {
+  const W = g.canvas.width;
+  const H = g.canvas.height;
+  const draw = TRANSITION_STYLES[style] || fade;
+  g.save();
+  g.setTransform(1, 0, 0, 1, 0, 0);
+  g.clearRect(0, 0, W, H);
+  draw(g, from, to, easeInOut(Math.max(0, Math.min(1, progress))), W, H, rng);
+  g.restore();
+}
@@ -20,3 +20,20 @@ export function makeRng(seed = Date.now()) {
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 }
+
+/**
+ * Turn a user-supplied seed into a 32-bit unsigned integer.
+ * Integers (or numeric text) are used as-is; any other text is hashed (FNV-1a), so
+ * "demo-loop" works as a seed too.
+ * @param {unknown} value - Seed as number or text.
+ * @returns {number|null} Unsigned 32-bit seed, or null for empty input.
+ */
+export function seedFrom(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
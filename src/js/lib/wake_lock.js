@@ -46,7 +46,13 @@ function stopHeartbeat() {
 async function acquire() {
   if (!navigator?.wakeLock) return false; // unsupported
   try {
-    wakeLock = await navigator.wakeLock.request('screen');
+    const lock = await navigator.wakeLock.request('screen');
+    // disable() may have run while the request was pending
+    if (!wantEnabled) {
+      lock.release?.();
+      return false;
+    }
+    wakeLock = lock;
     wakeLock.addEventListener?.('release', () => {
       // If the page lost the lock (tab hidden, etc.) and user still wants it, try to reacquire
       if (wantEnabled && document.visibilityState === 'visible') {
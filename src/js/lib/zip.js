@@ -0,0 +1,121 @@
+// src/js/lib/zip.js
+// Purpose: Minimal ZIP writer for bundling files that are already compressed (PNG frame
+// sequences): stored entries only, ASCII names, no ZIP64 (4 GB / 65535 entries max).
+// Exports: crc32, createZip
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE) of a byte array, as used by ZIP and PNG.
+ * @param {Uint8Array} bytes - Data.
+ * @returns {number} Unsigned checksum.
+ */
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date as MS-DOS time/date words.
+ * @param {Date} d - Local time.
+ * @returns {{time:number, date:number}} Packed values.
+ */
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * Little-endian record writer.
+ * @param {number} size - Record length in bytes.
+ * @returns {{bytes:Uint8Array, u16:(at:number, v:number)=>void, u32:(at:number, v:number)=>void}} Record and setters.
+ */
+function record(size) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  return {
+    bytes,
+    u16: (at, v) => view.setUint16(at, v, true),
+    u32: (at, v) => view.setUint32(at, v >>> 0, true),
+  };
+}
+
+/**
+ * Start a ZIP archive. Add entries in order, then finish() returns the file as parts
+ * (e.g. for `new Blob(parts)`), so entries aren't copied again. With a `write` callback,
+ * each entry is handed over as it is added (streaming to disk) and finish() returns only
+ * the trailing directory.
+ * @param {(part:Uint8Array)=>void} [write] - Receives the archive bytes in order.
+ * @returns {{add:(name:string, bytes:Uint8Array)=>void, finish:()=>Array<Uint8Array>, size:()=>number}} Writer.
+ */
+export function createZip(write) {
+  const parts = [];
+  const emit = write ?? ((part) => parts.push(part));
+  const central = [];
+  let offset = 0;
+  const stamp = dosDateTime(new Date());
+
+  const add = (name, bytes) => {
+    if (central.length >= 0xffff) throw new Error('zip: too many entries');
+    if (offset + bytes.length + 30 + name.length > 0xffffffff) throw new Error('zip: over 4 GB');
+    const nameBytes = Uint8Array.from(name, (ch) => ch.charCodeAt(0) & 0x7f);
+    const crc = crc32(bytes);
+
+    const local = record(30);
+    local.u32(0, 0x04034b50);
+    local.u16(4, 20); // version needed
+    local.u16(6, 0); // flags
+    local.u16(8, 0); // stored
+    local.u16(10, stamp.time);
+    local.u16(12, stamp.date);
+    local.u32(14, crc);
+    local.u32(18, bytes.length);
+    local.u32(22, bytes.length);
+    local.u16(26, nameBytes.length);
+    local.u16(28, 0);
+    emit(local.bytes);
+    emit(nameBytes);
+    emit(bytes);
+
+    const entry = record(46);
+    entry.u32(0, 0x02014b50);
+    entry.u16(4, 20); // version made by
+    entry.u16(6, 20);
+    entry.u16(8, 0);
+    entry.u16(10, 0);
+    entry.u16(12, stamp.time);
+    entry.u16(14, stamp.date);
+    entry.u32(16, crc);
+    entry.u32(20, bytes.length);
+    entry.u32(24, bytes.length);
+    entry.u16(28, nameBytes.length);
+    entry.u32(42, offset);
+    central.push(entry.bytes, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  };
+
+  const finish = () => {
+    const dirSize = central.reduce((t, p) => t + p.length, 0);
+    const end = record(22);
+    end.u32(0, 0x06054b50);
+    end.u16(8, central.length / 2);
+    end.u16(10, central.length / 2);
+    end.u32(12, dirSize);
+    end.u32(16, offset);
+    return [...parts, ...central, end.bytes];
+  };
+
+  return { add, finish, size: () => offset };
+}
@@ -9,33 +9,69 @@ import {
   clearCanvas,
   modular,
   applyMono,
+  compositeTransition,
 } from './lib/index.js';
 
-// App container on window (match your existing pattern)
-const app = window.app || { state: {}, ui: {}, events: window.events };
+// App container on window (match your existing pattern). Internal: scripts driving the page
+// use the versioned window.visualNoise API (api.js) instead.
+const app = window.app || { state: {}, ui: {} };
 window.app = app;
 
-// Keep a single render context object passed into modes.
-// (Use generic types here to avoid jsdoc/no-undefined-types on DOM classes.)
-/** @type {{canvas: any, ctx2d: any, dpr:number, w:number, h:number, now:number, elapsed:number, dt:number, speed:number, paused:boolean, needsFullClear:boolean}} */
-const ctx = {
-  canvas: null,
-  ctx2d: null,
+// The visible <canvas>. Modes never draw on it directly: each renders into its own
+// offscreen layer, which is copied here every frame (or composited with the outgoing
+// layer while a transition runs).
+/** @type {{canvas: any, g: any}} */
+const display = { canvas: null, g: null };
 
-  dpr: 1,
-  w: 0,
-  h: 0,
+/**
+ * Create a render context (the object passed into modes) backed by an offscreen layer.
+ * (Use generic types here to avoid jsdoc/no-undefined-types on DOM classes.)
+ * @returns {{canvas: any, ctx2d: any, dpr:number, w:number, h:number, now:number, elapsed:number, dt:number, speed:number, paused:boolean, theme:any, rng:any, needsFullClear:boolean, loop:any, span:any}} Fresh context.
+ */
+function makeRenderContext() {
+  const canvas = document.createElement('canvas');
+  return {
+    canvas,
+    ctx2d: canvas.getContext('2d'),
 
-  now: 0,
-  elapsed: 0,
-  dt: 0,
+    dpr: 1,
+    w: 0,
+    h: 0,
 
-  speed: 1,
-  paused: false,
+    now: 0,
+    elapsed: 0,
+    dt: 0,
 
-  // request a full clear on next frame (e.g., after mode switch / orientation change)
-  needsFullClear: false,
-};
+    speed: 1,
+    paused: false,
+
+    // active vibe colors (theme_tokens.js), kept current by the "theme.tokens" listener
+    theme: null,
+
+    // this layer's seeded random stream (rng.js), set when a mode starts on it
+    rng: null,
+
+    // request a full clear on next frame (e.g., after mode switch / orientation change)
+    needsFullClear: false,
+
+    // seamless-loop position (frame_export.js); always null for live playback
+    loop: null,
+
+    // place in a wall of synced windows (sync.js spanView), refreshed every frame
+    span: null,
+  };
+}
+
+// Render context of the active mode, plus a spare layer for the incoming mode of a transition.
+let ctx = makeRenderContext();
+let spareCtx = makeRenderContext();
+
+/**
+ * In-flight mode transition, if any.
+ * `from.module` is null when the outgoing frame is a frozen snapshot (same mode restarted).
+ * @type {{from:{module:any, rc:any}, start:number, durationMs:number, style:string, rng:() => number}|null}
+ */
+let transition = null;
 
 // --- MODE-SCOPED THEME OVERRIDES --------------------------------------------
 
@@ -51,8 +87,9 @@ const NEUTRAL_SCANLINES = {
 /**
  * Modes that should NOT inherit vibe colors for scanlines.
  * (Use registry keys exactly as defined in state.js)
+ * Modes with an "original" control (matrix, fire) follow the vibe unless it is on.
  */
-const VIBE_IMMUNE = new Set(['liveOutput', 'coding', 'matrix', 'fire']);
+const VIBE_IMMUNE = new Set(['liveOutput', 'coding']);
 
 /**
  * Return elements that host the scanlines pseudo-elements.
@@ -72,10 +109,10 @@ function scanlineHosts() {
  * Apply or clear mode-scoped CSS variables on the scanlines host(s)
  * so the overlay uses neutral colors in vibe-immune modes.
  * @param {string} modeName - Registry key of the active mode (e.g., "matrix", "fire").
+ * @param {boolean} [immune] - Override the VIBE_IMMUNE lookup (e.g. "Original colors" on).
  * @returns {void}
  */
-function applyModeScopedScanlinesForMode(modeName) {
-  const immune = VIBE_IMMUNE.has(modeName);
+function applyModeScopedScanlinesForMode(modeName, immune = VIBE_IMMUNE.has(modeName)) {
   for (const host of scanlineHosts()) {
     // Always clear first (restores current vibe defaults)
     host.style.removeProperty('--scanline-dark');
@@ -91,31 +128,60 @@ function applyModeScopedScanlinesForMode(modeName) {
 
 // Active mode orchestration
 let activeModule = null;
+let activeMode = ''; // registry key of activeModule
 let loopId = 0;
+// True while frame_export.js is rendering a mode offscreen (the live loop is parked)
+let exporting = false;
 let lastT = performance.now();
+// Active power profile (see power.js): frame cap for run(), render scale for fit()
+let power = { fps: 0, scale: 1 };
+// Ticks this close to the cap interval still render, so 60 Hz → 30 fps doesn't drop to 20
+const FRAME_SLACK_MS = 2;
+// Frame-time recorder from perf.js (set once it has loaded)
+let recordFrame = null;
+// Routes rng.js random() to a layer's stream before calling into its mode (set once loaded)
+let useStream = null;
+// Where this window sits among synced, spanning windows (sync.js; set once loaded)
+let spanView = null;
 
 // --- Canvas helpers wired to lib --- //
 
 /**
- * Ensure backing store and transform match the element’s CSS size.
+ * Match a layer's backing store and DPR transform to the visible canvas.
+ * @param {any} rc - Render context to update.
+ * @returns {boolean} True if the layer was resized (which also wipes it).
+ */
+function syncLayer(rc) {
+  const dprGuess = window.devicePixelRatio || 1;
+  rc.dpr = Math.max(1, Math.min(dprGuess, 2)) * power.scale;
+  const { width, height } = display.canvas;
+  const resized = rc.canvas.width !== width || rc.canvas.height !== height;
+  if (resized) {
+    rc.canvas.width = width;
+    rc.canvas.height = height;
+  }
+  rc.ctx2d.setTransform(rc.dpr, 0, 0, rc.dpr, 0, 0);
+  rc.w = width; // device-pixel width
+  rc.h = height; // device-pixel height
+  return resized;
+}
+
+/**
+ * Ensure backing stores and transforms match the element’s CSS size.
  * Updates ctx.dpr / ctx.w / ctx.h and reapplies DPR transform.
  */
 function fit() {
-  if (!ctx.canvas || !ctx.ctx2d) return;
+  if (!display.canvas || !display.g) return;
 
   // If CSS size changed, lib will resize backing store and reapply DPR transform
-  const resized = resizeToDisplaySize(ctx.canvas, ctx.ctx2d);
-
-  // Read back the current DPR we apply (attach/resize ensure transform = (dpr, 0, 0, dpr, 0, 0))
-  const dprGuess = window.devicePixelRatio || 1;
-
-  ctx.dpr = Math.max(1, Math.min(dprGuess, 2));
-  ctx.w = ctx.canvas.width; // device-pixel width
-  ctx.h = ctx.canvas.height; // device-pixel height
-
-  if (resized) {
-    // Let the active mode react to size changes
-    activeModule?.resize?.(ctx);
+  resizeToDisplaySize(display.canvas, display.g, undefined, power.scale);
+
+  // Let the active (and any outgoing) mode react to size changes
+  if (syncLayer(ctx)) activeModule?.resize?.(ctx);
+  if (transition && syncLayer(transition.from.rc)) {
+    useStream?.(transition.from.rc.rng);
+    transition.from.module?.resize?.(transition.from.rc);
+    useStream?.(ctx.rng);
   }
 }
 
@@ -125,6 +191,40 @@ function hardClear() {
   clearCanvas(ctx.canvas, ctx.ctx2d);
 }
 
+/**
+ * End the current transition: stop the outgoing mode and recycle its layer.
+ * @returns {void}
+ */
+function finishTransition() {
+  if (!transition) return;
+  const { from } = transition;
+  from.module?.stop?.(from.rc);
+  spareCtx = from.rc;
+  transition = null;
+}
+
+/**
+ * Show the active layer (or the transition composite) on the visible canvas.
+ * @param {number} t - DOMHighResTimeStamp of this frame.
+ * @returns {void}
+ */
+function present(t) {
+  const g = display.g;
+  if (!g) return;
+  if (transition) {
+    const p = transition.durationMs > 0 ? (t - transition.start) / transition.durationMs : 1;
+    const { style, from, rng } = transition;
+    compositeTransition(style, g, from.rc.canvas, ctx.canvas, p, rng);
+    if (p >= 1) finishTransition();
+    return;
+  }
+  g.save();
+  g.setTransform(1, 0, 0, 1, 0, 0);
+  g.clearRect(0, 0, display.canvas.width, display.canvas.height);
+  g.drawImage(ctx.canvas, 0, 0);
+  g.restore();
+}
+
 /** Make a resize/orientation feel like a mode switch: fresh size, fresh clear. */
 function refreshLikeModeChange() {
   fit();
@@ -137,6 +237,12 @@ function refreshLikeModeChange() {
  * @param {number} t - DOMHighResTimeStamp from window.requestAnimationFrame.
  */
 function run(t) {
+  // Power profile frame cap: skip this tick and let elapsed time accumulate
+  if (power.fps > 0 && t - lastT < 1000 / power.fps - FRAME_SLACK_MS) {
+    loopId = window.requestAnimationFrame(run);
+    return;
+  }
+
   const raw = t - lastT;
   lastT = t;
 
@@ -145,6 +251,8 @@ function run(t) {
   ctx.elapsed = ctx.paused ? 0 : Math.min(raw * s, 100);
   ctx.dt = ctx.elapsed / 1000;
   ctx.now = t;
+  const span = spanView?.() ?? null;
+  ctx.span = activeModule?.spannable ? span : null;
 
   // Defensive: enforce DPR transform each frame in case a mode changed it
   if (ctx.ctx2d) ctx.ctx2d.setTransform(ctx.dpr, 0, 0, ctx.dpr, 0, 0);
@@ -154,31 +262,132 @@ function run(t) {
     ctx.needsFullClear = false;
   }
 
+  const t0 = performance.now();
+  useStream?.(ctx.rng);
   activeModule?.frame?.(ctx);
+  const t1 = performance.now();
+
+  // The outgoing mode keeps animating underneath until the transition completes
+  const out = transition?.from;
+  if (out?.module) {
+    out.rc.elapsed = ctx.elapsed;
+    out.rc.dt = ctx.dt;
+    out.rc.now = t;
+    out.rc.speed = ctx.speed;
+    out.rc.paused = ctx.paused;
+    out.rc.span = out.module.spannable ? span : null;
+    out.rc.ctx2d.setTransform(out.rc.dpr, 0, 0, out.rc.dpr, 0, 0);
+    useStream?.(out.rc.rng);
+    out.module.frame?.(out.rc);
+    useStream?.(ctx.rng);
+  }
+  const t2 = performance.now();
+
+  present(t);
+  recordFrame?.({
+    t,
+    interval: raw,
+    modeMs: t1 - t0,
+    outMs: t2 - t1,
+    presentMs: performance.now() - t2,
+    mode: activeMode,
+  });
   loopId = window.requestAnimationFrame(run);
 }
 
 // --- Dynamic imports --- //
 (async () => {
-  const [stateMod, themesMod, modesMod, uiMod, gesturesMod, notifyMod] = await Promise.all([
+  const [
+    busMod,
+    stateMod,
+    themesMod,
+    modesMod,
+    uiMod,
+    gesturesMod,
+    notifyMod,
+    persistMod,
+    urlMod,
+    playlistMod,
+    scheduleMod,
+    idleMod,
+    syncMod,
+    remoteMod,
+    historyMod,
+    apiMod,
+    modeApiMod,
+    powerMod,
+    perfMod,
+    tokensMod,
+    rngMod,
+  ] = await Promise.all([
+    import('./bus.js'),
     import('./state.js'),
     import('./themes.js'),
     import('./modes/index.js'),
     import('./ui/ui.js'),
     import('./ui/gestures.js'),
     import('./ui/notify.js'),
+    import('./persist.js'),
+    import('./url_config.js'),
+    import('./playlist.js'),
+    import('./schedule.js'),
+    import('./idle.js'),
+    import('./sync.js'),
+    import('./remote.js'),
+    import('./history.js'),
+    import('./api.js'),
+    import('./mode_api.js'),
+    import('./power.js'),
+    import('./perf.js'),
+    import('./theme_tokens.js'),
+    import('./rng.js'),
   ]);
 
-  const { cfg, on, off, emit, labelsForMode, labelsForGenreStyle } = stateMod;
+  const { on, events } = busMod;
+  const { cfg, active, labelsForMode, labelsForGenreStyle, controlsFor, controlValue } = stateMod;
   const { initThemes, applyTheme } = themesMod;
   const { registry: modeRegistry } = modesMod;
   const { initUI } = uiMod;
   const { initGestures } = gesturesMod;
   const { initNotify } = notifyMod;
-
-  // Bridge modules that use window.app.events / window.events (themes.js) to the state bus.
-  window.events = { on, off, emit };
-  window.app.events = window.events;
+  const { restoreSession, installPersistence } = persistMod;
+  const { parseUrlConfig, applyUrlConfig, installHashSync } = urlMod;
+  const { installRotation } = playlistMod;
+  const { installSchedule } = scheduleMod;
+  const { installIdle } = idleMod;
+  const { installSync } = syncMod;
+  spanView = syncMod.spanView;
+  const { installRemote } = remoteMod;
+  const { installHistory } = historyMod;
+  const { installApi } = apiMod;
+  const { registerMode, registerBuiltinModes, loadModeModule, loadPlugins } = modeApiMod;
+  const { installPower, getPowerProfile, getPowerStatus } = powerMod;
+  const { recordFrame: record, setPerfSource } = perfMod;
+  const { themeTokens, refreshThemeTokens } = tokensMod;
+  const { activeSeed, streamFor } = rngMod;
+  useStream = rngMod.useStream;
+
+  // The one event bus (bus.js), also for older scripts that look for it on window
+  window.events = events;
+  app.events = events;
+
+  // Built-in styles first: they lead the genre and style order, and everything below reads them
+  registerBuiltinModes();
+
+  // Plugin API for embedding pages / devtools; configured plugin modules load first so a
+  // restored session or URL can select one of their modes.
+  app.registerMode = registerMode;
+  app.loadModeModule = loadModeModule;
+  await loadPlugins();
+
+  // Restore the last session into cfg/active before anything reads them (no events fired)
+  restoreSession();
+  // URL settings (?genre=rain&style=matrix&vibe=clu…) override the stored session.
+  // Listeners aren't wired yet, so the setters only update cfg/active here.
+  applyUrlConfig(parseUrlConfig());
+  // Pick the power profile (stored setting, battery, reduced motion) before the first fit()
+  installPower();
+  power = getPowerProfile();
 
   // ---------- One toast HUD instance ----------
   initNotify({ bus: { on }, labelsForMode, labelsForGenreStyle, debug: true });
@@ -191,34 +400,105 @@ function run(t) {
   }
 
   // Attach DPR-aware backing store & transform once at startup
-  const { ctx: g, dpr } = attachHiDPICanvas(canvas);
-  ctx.canvas = canvas;
-  ctx.ctx2d = g;
-  ctx.dpr = dpr;
+  const { ctx: g } = attachHiDPICanvas(canvas);
+  display.canvas = canvas;
+  display.g = g;
+
+  // Size the mode layers from the backing store
+  syncLayer(ctx);
+  syncLayer(spareCtx);
+  ctx.theme = spareCtx.theme = themeTokens();
+
+  // Diagnostics: per-frame timings from run(), plus what the overlay/export show as setup
+  recordFrame = record;
+  setPerfSource(() => {
+    const css = display.canvas.getBoundingClientRect();
+    return {
+      mode: activeMode,
+      backing: { w: display.canvas.width, h: display.canvas.height },
+      css: { w: Math.round(css.width), h: Math.round(css.height) },
+      dpr: Math.round(ctx.dpr * 100) / 100,
+      speed: Math.round((ctx.speed || 1) * 100) / 100,
+      paused: !!ctx.paused,
+      transition: transition ? transition.style : null,
+      fx: { ...cfg.fx },
+      power: getPowerStatus(),
+      seed: activeSeed(),
+    };
+  });
 
   // Optional, unified text baseline for any modes that draw text without setting fonts
-  applyMono(g, modular(0));
-
-  // Initialize width/height from backing store
-  ctx.w = canvas.width;
-  ctx.h = canvas.height;
+  applyMono(ctx.ctx2d, modular(0));
+  applyMono(spareCtx.ctx2d, modular(0));
 
   // ---------- Active mode bootstrap ----------
+  /**
+   * Whether a mode draws in its own colors, so the scanlines should stay neutral.
+   * @param {string} modeName - Registry key.
+   * @returns {boolean} True for VIBE_IMMUNE modes, or when the mode's "original" toggle is on.
+   */
+  function keepsOwnColors(modeName) {
+    if (controlsFor(modeName).some((c) => c.key === 'original')) {
+      return !!controlValue(modeName, 'original');
+    }
+    return VIBE_IMMUNE.has(modeName);
+  }
+
   /**
    * Start a mode by registry name; falls back to "crypto" if missing.
+   * Once something is on screen, the switch runs through the configured transition
+   * (cfg.transition); style "none" or a 0 ms duration is a hard cut.
    * Also applies neutral scanlines for vibe-immune modes so vibe color doesn't tint them.
    * @param {string} modeName - Registry key for the mode to start (e.g., "crypto", "matrix").
    * @returns {void}
    */
   function startModeByName(modeName) {
-    if (loopId) window.cancelAnimationFrame(loopId);
-    activeModule?.stop?.(ctx);
+    // A frame export drives the mode singletons; it restarts the selection when done
+    if (exporting) return;
+    const next = modeRegistry[modeName] ?? modeRegistry.crypto;
+    const { style, durationMs } = cfg.transition;
+
+    // A switch during a transition lands the previous one first
+    finishTransition();
+
+    if (activeModule && loopId && style !== 'none' && durationMs > 0) {
+      if (next === activeModule) {
+        // Same mode restarted: fade from a frozen copy of its last frame
+        syncLayer(spareCtx);
+        spareCtx.ctx2d.save();
+        spareCtx.ctx2d.setTransform(1, 0, 0, 1, 0, 0);
+        spareCtx.ctx2d.drawImage(ctx.canvas, 0, 0);
+        spareCtx.ctx2d.restore();
+        activeModule.stop?.(ctx);
+        transition = { from: { module: null, rc: spareCtx } };
+      } else {
+        // Outgoing keeps its layer and keeps running; incoming takes the spare
+        transition = { from: { module: activeModule, rc: ctx } };
+        spareCtx.speed = ctx.speed;
+        spareCtx.paused = ctx.paused;
+        ctx = spareCtx;
+      }
+      spareCtx = null;
+      Object.assign(transition, {
+        start: performance.now(),
+        durationMs,
+        style,
+        rng: streamFor(`transition:${modeName}`),
+      });
+    } else {
+      if (loopId) window.cancelAnimationFrame(loopId);
+      activeModule?.stop?.(ctx);
+    }
 
+    // Size the layers with the outgoing mode unset: the incoming one sizes itself in init
+    // below, and an outgoing mode still fading out is resized on its own layer
+    activeModule = null;
     refreshLikeModeChange();
-    activeModule = modeRegistry[modeName] ?? modeRegistry.crypto;
+    activeModule = next;
+    activeMode = modeRegistry[modeName] ? modeName : 'crypto';
 
     // ----- Scanlines override just for vibe-immune modes -----
-    applyModeScopedScanlinesForMode(modeName);
+    applyModeScopedScanlinesForMode(modeName, keepsOwnColors(modeName));
     // ---------------------------------------------------------
 
     // Footer labels — keep your existing labeling logic
@@ -237,9 +517,17 @@ function run(t) {
     if (genreEl) genreEl.textContent = genreLabel;
     if (styleEl) styleEl.textContent = styleLabel;
 
+    // Fresh seeded stream per start, so the same seed replays the same sequence
+    ctx.rng = streamFor(activeMode);
+    useStream(ctx.rng);
     activeModule?.init?.(ctx);
+    // Modes with real flavors pick up the selected one (restored session, URL, schedule)
+    if (activeModule?.setFlavor && active.modeId === modeName) {
+      activeModule.setFlavor(ctx, active.flavorId);
+    }
     activeModule?.start?.(ctx);
 
+    if (transition) return; // loop is already running
     lastT = performance.now();
     loopId = window.requestAnimationFrame(run);
   }
@@ -251,6 +539,8 @@ function run(t) {
   const vibeEl0 = document.getElementById('vibeName') || document.getElementById('themeName');
   if (vibeEl0) vibeEl0.textContent = initialVibe;
 
+  // Screensaver input watch goes first, so a waking key press never reaches the hotkeys
+  installIdle();
   initUI();
   // Fire up gestures; we don't use the disposer yet.
   initGestures?.();
@@ -284,13 +574,14 @@ function run(t) {
     window.setTimeout(refreshLikeModeChange, 50);
   });
 
-  // ---------- Bus wiring (new + legacy) ----------
+  // ---------- Bus wiring ----------
   /**
-   * Update the active mode's style (aka flavor), restarting if the mode lacks a setter.
-   * @param {string} id - Style identifier to apply.
+   * Update the active mode's flavor, restarting if the mode lacks a setter.
+   * @param {{flavorId:string,name?:string}} payload - The "flavor.change" event payload.
    */
-  function handleStyleOrFlavor(id) {
+  function handleFlavor(payload) {
     if (!activeModule) return;
+    const id = payload.flavorId;
     if (activeModule.setFlavor) {
       activeModule.setFlavor(ctx, id);
     } else {
@@ -300,7 +591,7 @@ function run(t) {
       activeModule.start?.(ctx);
     }
     const styleEl = document.getElementById('styleName') || document.getElementById('typeName');
-    if (styleEl) styleEl.textContent = id;
+    if (styleEl) styleEl.textContent = payload.name ?? id;
   }
 
   /**
@@ -310,8 +601,9 @@ function run(t) {
    * @param {string} v - Vibe key to apply (e.g., 'classic', 'gameboy').
    */
   function handleVibe(v) {
-    // Apply CSS vars at :root
+    // Apply CSS vars at :root, then resolve them once for the modes (ctx.theme)
     applyTheme(v);
+    refreshThemeTokens(v);
 
     // Update HUD
     const vibeEl = document.getElementById('vibeName') || document.getElementById('themeName');
@@ -323,7 +615,8 @@ function run(t) {
     // Re-assert scanline overrides for current mode (if immune)
     // We don't have the active mode name here, but we can infer it from cfg.persona.
     // (cfg.persona is maintained by setMode in state.js)
-    applyModeScopedScanlinesForMode(window.app?.state?.persona || cfg?.persona || 'crypto');
+    const persona = window.app?.state?.persona || cfg?.persona || 'crypto';
+    applyModeScopedScanlinesForMode(persona, keepsOwnColors(persona));
 
     // Repaint the canvas to the new bg immediately
     if (activeModule?.clear) {
@@ -333,37 +626,71 @@ function run(t) {
     }
   }
 
-  // Legacy names
-  on('mode', (name) => {
+  on('style.change', (name) => {
     startModeByName(name);
   });
-  on('flavor', (id) => {
-    handleStyleOrFlavor(id);
-  });
-  on('theme', (v) => {
-    handleVibe(v);
-  });
-
-  // New names
-  on('genre', (name) => {
-    startModeByName(name);
-  });
-  on('style', (id) => {
-    handleStyleOrFlavor(id);
-  });
-  on('vibe', (v) => {
+  on('flavor.change', handleFlavor);
+  on('vibe.change', (v) => {
     handleVibe(v);
   });
 
-  on('speed', (s) => {
+  on('speed.change', (s) => {
     ctx.speed = s;
   });
-  on('paused', (p) => {
+  on('playback.pause', (p) => {
     ctx.paused = p;
   });
-  on('clear', () => {
+  on('playback.clear', () => {
     activeModule?.clear?.(ctx);
   });
+  // "Original colors" flips the scanline tint along with the mode's palette
+  on('param.change', (p) => {
+    if (p?.key === 'original' && p.modeId === activeMode) {
+      applyModeScopedScanlinesForMode(activeMode, keepsOwnColors(activeMode));
+    }
+  });
+  // Every layer (active, spare, outgoing) draws with the current vibe's tokens
+  on('theme.tokens', (tokens) => {
+    for (const rc of [ctx, spareCtx, transition?.from.rc]) if (rc) rc.theme = tokens;
+  });
+  // A new seed replays the current mode from the start of its sequence
+  on('seed.change', () => {
+    startModeByName(activeMode);
+  });
+  // Frame export (frame_export.js) renders the modes offscreen: park the live loop
+  // meanwhile, then start whatever is selected by the time it finishes
+  on('export.status', (e) => {
+    if (e?.state === 'start') {
+      finishTransition();
+      if (loopId) window.cancelAnimationFrame(loopId);
+      loopId = 0;
+      activeModule?.stop?.(ctx);
+      activeModule = null;
+      exporting = true;
+    } else if (e?.state === 'done' || e?.state === 'error') {
+      if (!exporting) return;
+      exporting = false;
+      startModeByName(cfg.persona);
+    }
+  });
+  on('power.profile', () => {
+    power = getPowerProfile();
+    refreshLikeModeChange();
+  });
+
+  // Save selection/speed/FX/intensity changes from here on
+  installPersistence();
+  // Mirror the current look into location.hash ("copy link to this look")
+  installHashSync();
+  // Share the selection with other windows (before the playlist resumes, which defers to
+  // the leading window)
+  installSync();
+  // Take commands from phones paired through the LAN relay (when Remote is on)
+  installRemote();
+  // Undo/redo for style, vibe, speed, control and overlay changes (Ctrl+Z / Ctrl+Shift+Z)
+  installHistory();
+  // Stable automation API for signage players and embedding pages (window.visualNoise)
+  installApi();
 
   // ---------- Boot ----------
   // Seed speed/paused from cfg (match your prior behavior)
@@ -371,8 +698,16 @@ function run(t) {
   ctx.paused = cfg.paused;
 
   window.requestAnimationFrame(() => {
+    // initThemes() emitted before the vibe listener existed; apply the restored vibe's
+    // variables now so the first mode reads them (custom vibes included)
+    applyTheme(cfg.vibe || cfg.theme);
+    refreshThemeTokens(cfg.vibe || cfg.theme);
     refreshLikeModeChange();
     startModeByName(cfg.persona);
+    // Resume the playlist if it was rotating (its first entry replaces the boot mode)
+    installRotation();
+    // Time-of-day rules go last so an open window wins over the boot selection
+    installSchedule();
 
     const vibeEl = document.getElementById('vibeName') || document.getElementById('themeName');
     if (vibeEl && (cfg.vibe || cfg.theme)) {
@@ -0,0 +1,330 @@
+/* eslint-env browser */
+// src/js/mode_api.js
+// Mode plugin API: one call registers a mode everywhere the app looks for it —
+// the runtime registry (modes/index.js), the genre → style → flavor tree and the
+// label taxonomy (state.js) — after checking it honours the mode contract. The built-in
+// modes go through the same call (registerBuiltinModes), so their definitions in
+// modes/*.js are the only place they are described.
+//
+//   registerMode({
+//     id: 'tides',                      // unique key (letters, digits, _ and -)
+//     genre: 'rain',                    // existing or new genre (family)
+//     label: 'tides',                   // style label for the HUD (defaults to id)
+//     name: 'Tides',                    // optional: name in the style list and look links
+//                                       // (defaults to label)
+//     styles: ['classic', 'neon'],      // flavors; setFlavor(ctx, id) is called on change
+//                                       // or { id, label, speed, params } with the flavor's
+//                                       // own default speed and control values
+//     speed: { default: 5, min: 1, max: 10 },   // min <= default <= max
+//     controls: [                       // menu sliders/toggles, Shift+Arrow keys, toasts, URL
+//       { key: 'tail', label: 'Tail', stages: [0.5, 1, 2], default: 2, keys: ['ArrowDown', 'ArrowUp'] },
+//       { key: 'glow', label: 'Glow', type: 'toggle', default: true },
+//     ],
+//     init(ctx) {}, frame(ctx) {},      // required
+//     resize, start, stop, clear, setFlavor, speedModel   // optional
+//     seamless: true,                   // optional: frame(ctx) honours ctx.loop (frame export)
+//     spannable: true,                  // optional: frame(ctx) honours ctx.span (sync.js)
+//     unlisted: true,                   // optional: startable by id only; left out of the
+//                                       // genre/style cycles, menus and rotation
+//   });
+//
+// External modes live in their own ES module. Its default export may be a mode
+// definition, an array of them, or a function that receives { registerMode, controlValue,
+// events }. `events` is the app bus (bus.js): the one way a mode talks to the host, e.g.
+// events.on('vibe.change', …), or events.defineEvent('tides.wave') then emit it.
+// Modules are loaded from localStorage "vn.plugins" (JSON array of URLs) and from
+// ?plugins=… (same-origin paths only), before the session is restored.
+
+import { registry, taxonomy, controlValue } from './state.js';
+import { emit, events } from './bus.js';
+import { registry as modeRegistry, BUILTIN_MODES } from './modes/index.js';
+import { readJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.plugins';
+const ID_RE = /^[A-Za-z][\w-]*$/;
+const REQUIRED = ['init', 'frame'];
+const OPTIONAL = ['resize', 'start', 'stop', 'clear', 'setFlavor'];
+const CONTROL_TYPES = ['stages', 'range', 'toggle'];
+// Don't let a dead plugin host hold the first frame hostage
+const LOAD_TIMEOUT_MS = 4000;
+
+/** @typedef {import('./state.js').ModeControl} ModeControl */
+
+/**
+ * @typedef {object} ModeDefinition
+ * @property {string} id - Unique mode key.
+ * @property {string} genre - Family id; created if it doesn't exist.
+ * @property {string} [label] - Style label (defaults to id).
+ * @property {string} [name] - Name in the style list and look links (defaults to label).
+ * @property {boolean} [unlisted] - Startable by id only, outside the genre → style tree.
+ * @property {Array<string|{id:string,label?:string,speed?:number,params?:Record<string, number>}>} [styles] - Flavors (default ["classic"]), optionally with their own default speed and control values.
+ * @property {{default?:number,min?:number,max?:number}} [speed] - Speed index bounds.
+ * @property {ModeControl[]} [controls] - Adjustable per-mode parameters.
+ * @property {(ctx:object)=>void} init - Set up state for a render context.
+ * @property {(ctx:object)=>void} frame - Draw one frame.
+ */
+
+/**
+ * Check a definition against the mode contract.
+ * @param {any} def - Candidate definition.
+ * @returns {string[]} Problems found (empty when valid).
+ */
+export function validateMode(def) {
+  const problems = [];
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  if (typeof def.id !== 'string' || !ID_RE.test(def.id)) {
+    problems.push('id must be a string of letters, digits, "_" or "-" starting with a letter');
+  }
+  if (typeof def.genre !== 'string' || !ID_RE.test(def.genre)) {
+    problems.push('genre must be a string id (e.g. "rain")');
+  }
+  for (const fn of REQUIRED) {
+    if (typeof def[fn] !== 'function') problems.push(`${fn}(ctx) is required`);
+  }
+  for (const fn of OPTIONAL) {
+    if (def[fn] != null && typeof def[fn] !== 'function') problems.push(`${fn} must be a function`);
+  }
+  if (def.speed != null && (typeof def.speed !== 'object' || Array.isArray(def.speed))) {
+    problems.push('speed must be { default, min, max }');
+  }
+  const { min, max, dflt } = speedRange(def.speed);
+  for (const k of ['default', 'min', 'max']) {
+    if (def.speed?.[k] != null && !Number.isFinite(def.speed[k])) {
+      problems.push(`speed.${k} must be a number`);
+    }
+  }
+  if (min > max) problems.push(`speed.min (${min}) must not be above speed.max (${max})`);
+  else if (dflt < min || dflt > max) {
+    problems.push(`speed.default (${dflt}) must be within ${min}..${max}`);
+  }
+
+  if (def.styles != null) {
+    const ok =
+      Array.isArray(def.styles) &&
+      def.styles.length > 0 &&
+      def.styles.every((s) => typeof s === 'string' || typeof s?.id === 'string');
+    if (!ok) problems.push('styles must be a non-empty array of ids or { id, label }');
+    for (const s of ok ? def.styles.filter((x) => typeof x !== 'string') : []) {
+      if (s.speed != null && !(Number.isFinite(s.speed) && s.speed >= min && s.speed <= max)) {
+        problems.push(`style "${s.id}": speed must be within ${min}..${max}`);
+      }
+      const paramsOk =
+        s.params == null ||
+        (typeof s.params === 'object' && Object.values(s.params).every(Number.isFinite));
+      if (!paramsOk) problems.push(`style "${s.id}": params must map control keys to numbers`);
+    }
+  }
+  if (def.controls != null) {
+    const ok =
+      Array.isArray(def.controls) &&
+      def.controls.every((c) => typeof c?.key === 'string' && c.key.length > 0);
+    if (!ok) problems.push('controls must be an array of { key, ... }');
+    for (const c of ok ? def.controls : []) {
+      if (c.type != null && !CONTROL_TYPES.includes(c.type)) {
+        problems.push(`control "${c.key}": type must be one of ${CONTROL_TYPES.join(', ')}`);
+      }
+      const stagesOk =
+        Array.isArray(c.stages) && c.stages.length > 0 && c.stages.every(Number.isFinite);
+      if ((c.stages != null || c.type === 'stages') && !stagesOk) {
+        problems.push(`control "${c.key}": stages must be a non-empty array of numbers`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Speed index range of a definition, with defaults for missing fields.
+ * @param {any} speed - Declared speed ({ default, min, max }), if any.
+ * @returns {{min:number, max:number, dflt:number}} Bounds and default index.
+ */
+function speedRange(speed) {
+  const min = Number.isFinite(speed?.min) ? speed.min : 1;
+  const max = Number.isFinite(speed?.max) ? speed.max : 10;
+  const dflt = Number.isFinite(speed?.default) ? speed.default : Math.max(min, Math.min(max, 5));
+  return { min, max, dflt };
+}
+
+/**
+ * Fill defaults for a control declaration.
+ * @param {ModeControl} c - Declared control.
+ * @returns {ModeControl} Control with an explicit type, bounds and default.
+ */
+function normalizeControl(c) {
+  const base = { key: c.key, label: c.label || c.key };
+  const keys = Array.isArray(c.keys) && c.keys.length === 2 ? c.keys.map(String) : undefined;
+  if (keys) base.keys = keys;
+
+  if (c.type === 'toggle') return { ...base, type: 'toggle', default: !!c.default };
+  if (c.type === 'stages' || Array.isArray(c.stages)) {
+    const n = c.stages.length;
+    const dflt = Number.isFinite(c.default) ? c.default : Math.ceil(n / 2);
+    return {
+      ...base,
+      type: 'stages',
+      stages: [...c.stages],
+      default: Math.max(1, Math.min(n, Math.round(dflt))),
+    };
+  }
+
+  const min = Number.isFinite(c.min) ? c.min : 1;
+  const max = Number.isFinite(c.max) && c.max > min ? c.max : Math.max(min + 1, 10);
+  const step = Number.isFinite(c.step) && c.step > 0 ? c.step : 1;
+  const mid = Math.round((min + max) / 2);
+  const dflt = Number.isFinite(c.default) ? Math.max(min, Math.min(max, c.default)) : mid;
+  return { ...base, type: 'range', min, max, step, default: dflt };
+}
+
+/**
+ * Register a mode with every registry. Throws if the definition breaks the contract
+ * or the id is already taken.
+ * @param {ModeDefinition} def - Mode definition.
+ * @returns {object} The normalized mode object now in the runtime registry.
+ */
+export function registerMode(def) {
+  const problems = validateMode(def);
+  if (problems.length) {
+    throw new Error(`[modes] registerMode(${def?.id ?? '?'}): ${problems.join('; ')}`);
+  }
+  if (Object.hasOwn(modeRegistry, def.id) || Object.hasOwn(taxonomy, def.id)) {
+    throw new Error(`[modes] registerMode(${def.id}): id already registered`);
+  }
+
+  const label = typeof def.label === 'string' && def.label ? def.label : def.id;
+  const styles = (def.styles || ['classic']).map((s) =>
+    typeof s === 'string' ? { id: s, label: s } : { ...s, label: s.label || s.id }
+  );
+  const { min, max, dflt } = speedRange(def.speed);
+
+  // Runtime shape: every optional method present, so hosts never need to probe
+  const noop = () => {};
+  const mod = {
+    init: def.init,
+    frame: def.frame,
+    resize: def.resize || noop,
+    start: def.start || noop,
+    stop: def.stop || noop,
+    clear: def.clear || noop,
+    info: { family: def.genre, flavor: label },
+    controls: (def.controls || []).map(normalizeControl),
+  };
+  if (def.setFlavor) mod.setFlavor = def.setFlavor;
+  if (def.speedModel) mod.speedModel = def.speedModel;
+  if (def.seamless) mod.seamless = true;
+  if (def.spannable) mod.spannable = true;
+
+  // Taxonomy tree (genre -> style -> flavors); lookups by id never reach a prototype.
+  // Unlisted modes stay out of it, so no cycle, menu or rotation reaches them.
+  if (!def.unlisted) {
+    if (!Object.hasOwn(registry.families, def.genre)) {
+      registry.families[def.genre] = {
+        name: def.genre,
+        modesOrder: [],
+        modes: Object.create(null),
+      };
+      registry.order.push(def.genre);
+    }
+    const fam = registry.families[def.genre];
+    const flavors = Object.create(null);
+    for (const s of styles) {
+      flavors[s.id] = {
+        name: s.label,
+        defaultSpeed: s.speed ?? dflt,
+        minSpeed: min,
+        maxSpeed: max,
+        step: 1,
+        ...(s.params && { params: { ...s.params } }),
+      };
+    }
+    fam.modesOrder.push(def.id);
+    fam.modes[def.id] = {
+      name: typeof def.name === 'string' && def.name ? def.name : label,
+      flavorsOrder: styles.map((s) => s.id),
+      flavors,
+      impl: def.id,
+    };
+  }
+  taxonomy[def.id] = { family: def.genre, typeLabel: label };
+  modeRegistry[def.id] = mod;
+
+  emit('style.register', def.id);
+  return mod;
+}
+
+/**
+ * Register the built-in modes (modes/index.js). Call once at startup, before anything
+ * reads the registries.
+ * @returns {void}
+ */
+export function registerBuiltinModes() {
+  BUILTIN_MODES.forEach(registerMode);
+}
+
+/**
+ * Import an ES module and register the mode(s) it provides.
+ * @param {string} url - Module URL (absolute, or relative to the page).
+ * @returns {Promise<string[]>} Ids registered from this module.
+ */
+export async function loadModeModule(url) {
+  const href = new window.URL(url, window.location.href).href;
+  const ns = await import(/* @vite-ignore */ href);
+  const added = [];
+  const api = {
+    registerMode: (def) => {
+      registerMode(def);
+      added.push(def.id);
+    },
+    controlValue,
+    events,
+  };
+
+  const exported = ns.default ?? ns.modes ?? ns.mode;
+  if (typeof exported === 'function') await exported(api);
+  else [].concat(exported ?? []).forEach((def) => api.registerMode(def));
+
+  if (!added.length) console.warn(`[modes] ${href} registered no modes`);
+  return added;
+}
+
+/**
+ * Plugin URLs configured for this display.
+ * @returns {string[]} Stored URLs plus same-origin ?plugins= entries.
+ */
+function configuredPluginUrls() {
+  const stored = readJSON(STORAGE_KEY);
+  const urls = Array.isArray(stored) ? stored.filter((u) => typeof u === 'string') : [];
+
+  // Query-string plugins are limited to this origin so a shared link can't inject code
+  const q = new window.URLSearchParams(window.location.search).get('plugins');
+  for (const raw of (q || '').split(',')) {
+    const u = raw.trim();
+    if (!u) continue;
+    const href = new window.URL(u, window.location.href);
+    if (href.origin === window.location.origin) urls.push(href.href);
+    else console.warn(`[modes] ignoring cross-origin ?plugins entry ${href.href}`);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Load every configured plugin module. Failures are logged and skipped.
+ * @returns {Promise<string[]>} Ids of all modes registered.
+ */
+export async function loadPlugins() {
+  const urls = configuredPluginUrls();
+  if (!urls.length) return [];
+
+  const results = await Promise.all(
+    urls.map((url) => {
+      const timeout = new Promise((_, reject) =>
+        window.setTimeout(() => reject(new Error('timed out')), LOAD_TIMEOUT_MS)
+      );
+      return Promise.race([loadModeModule(url), timeout]).catch((err) => {
+        console.warn(`[modes] plugin ${url} failed:`, err?.message ?? err);
+        return [];
+      });
+    })
+  );
+  return results.flat();
+}
@@ -3,6 +3,7 @@
 // Program: Coding
 // Genre: Developer
 // Style: Split screen ~70/30 (code editor + live output)
+// Controls: split (code pane %, Shift+←/→), syntax (highlighting on/off)
 
 /**
  * Local typedefs so jsdoc/no-undefined-types doesn't complain in projects
@@ -17,13 +18,12 @@
  * @property {number} [dt] - Time since last frame in seconds (0 while paused)
  * @property {boolean} [paused] - Whether animation is paused
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6)
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors
  */
 
 import { modular } from '../lib/typography.js';
-
-// --- vibe/theme event hooks (cleanly attached/detached) ---
-let __onTheme = null;
-let __onVibe = null;
+import { controlValue } from '../state.js';
+import { random, fakeClock } from '../rng.js';
 
 export const coding = (() => {
   /** @type {string[]} */ let codeLines = [];
@@ -56,6 +56,9 @@ export const coding = (() => {
   let accCaretS = 0;
   let caretOn = true;
 
+  // Seeded start date plus the frame clock, for the "tick" lines (see fakeClock in rng.js)
+  let clock = (t) => new Date(t);
+
   // Typing state (left)
   /** @type {string|null} */ let partialLine = null;
   let partialIdx = 0;
@@ -67,50 +70,56 @@ export const coding = (() => {
   // Fixed left-pane background
   const LEFT_BG = '#000000';
 
-  // ---------- vibe-aware palette (robust fallbacks) ----------
-  /**
-   * Read a CSS variable with a JS fallback.
-   * @param {string} name - CSS variable name (e.g., "--output-fg").
-   * @param {string} fallback - Value to use if the variable is empty/unset.
-   * @returns {string} Resolved CSS value.
-   */
-  function cssVar(name, fallback) {
-    const v = window.getComputedStyle(document.documentElement).getPropertyValue(name).trim();
-    return v || fallback;
-  }
+  const controls = [
+    {
+      key: 'split',
+      label: 'Code pane %',
+      type: 'range',
+      min: 50,
+      max: 85,
+      step: 5,
+      default: 70,
+      keys: ['ArrowLeft', 'ArrowRight'],
+    },
+    { key: 'syntax', label: 'Syntax', type: 'toggle', default: true },
+  ];
 
+  // ---------- vibe-aware palette ----------
   /**
-   * Build the current palette from vibe/theme variables with safe fallbacks.
+   * Build the palette from the vibe's theme tokens (fallbacks already resolved there;
+   * --output-fg follows --fg when a vibe leaves it unset).
+   * @param {import('../theme_tokens.js').ThemeTokens} theme - ctx.theme.
    * @returns {{keyword:string,string:string,number:string,comment:string,punct:string,ident:string,divider:string,output:string,rightBg:string}} Palette for drawing.
    */
-  function readPalette() {
-    const bodyColor = (window.getComputedStyle(document.body).color || '').trim() || '#ffffff';
-    const doc = window.getComputedStyle(document.documentElement);
-    const varOr = (...names) => {
-      for (const n of names) {
-        const val = (doc.getPropertyValue(n) || '').trim();
-        if (val) return val;
-      }
-      return '';
-    };
-    const outputMono =
-      cssVar('--output-fg', varOr('--fg', '--accent', '--primary')) || bodyColor || '#ffffff';
-
+  function readPalette(theme) {
+    const { css } = theme;
     return {
       // Left syntax colors
-      keyword: cssVar('--code-keyword', '#e0b3ff'),
-      string: cssVar('--code-string', '#ffffff'),
-      number: cssVar('--code-number', '#ffd18a'),
-      comment: cssVar('--code-comment', '#03ffaf'),
-      punct: cssVar('--code-punct', '#cfcfcf'),
-      ident: cssVar('--code-ident', '#9de7ff'),
+      keyword: css.codeKeyword,
+      string: css.codeString,
+      number: css.codeNumber,
+      comment: css.codeComment,
+      punct: css.codePunct,
+      ident: css.codeIdent,
       // Layout + right side mono color (vibe-driven)
-      divider: cssVar('--pane-divider', '#3a3a3a'),
-      output: outputMono,
-      rightBg: cssVar('--bg', '#000000'), // right pane follows vibe
+      divider: css.paneDivider,
+      output: css.outputFg,
+      rightBg: css.bg, // right pane follows vibe
     };
   }
   let PALETTE = null;
+  let paletteVersion = -1; // theme token version PALETTE was built for
+
+  /**
+   * Rebuild PALETTE when the theme tokens changed since it was built.
+   * @param {RenderCtx} ctx - Render context carrying `theme`.
+   * @returns {void}
+   */
+  function syncPalette(ctx) {
+    if (PALETTE && ctx.theme.version === paletteVersion) return;
+    paletteVersion = ctx.theme.version;
+    PALETTE = readPalette(ctx.theme);
+  }
 
   // ---------- tiny tokenizer (JS-ish) ----------
   const reToken = new RegExp(
@@ -165,6 +174,11 @@ export const coding = (() => {
    * @returns {void}
    */
   function drawHighlightedLine(g, line, x, y) {
+    if (!controlValue('coding', 'syntax')) {
+      g.fillStyle = PALETTE.ident;
+      g.fillText(line, x, y);
+      return;
+    }
     let dx = x;
     const toks = tokenize(line);
     for (const t of toks) {
@@ -254,7 +268,7 @@ export const coding = (() => {
    * @returns {T} A random element from the array.
    */
   function pick(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(random() * arr.length)];
   }
 
   /**
@@ -337,7 +351,7 @@ export const coding = (() => {
    * @returns {void}
    */
   function init(ctx) {
-    PALETTE = readPalette();
+    syncPalette(ctx);
     syncTypography(ctx);
 
     codeLines = [];
@@ -349,42 +363,39 @@ export const coding = (() => {
     accTypeMs = 0;
     accCaretS = 0;
     caretOn = true;
+    clock = fakeClock();
 
     // seed right pane
     for (let i = 0; i < 3; i++) pushCapped(outLines, pick(OUTPUT_SNIPPETS), MAX_OUT_LINES);
 
-    // listen for vibe/theme changes → refresh palette
-    const bus = window.app && window.app.events;
-    if (bus && typeof bus.on === 'function') {
-      __onTheme = () => {
-        PALETTE = readPalette();
-      };
-      __onVibe = () => {
-        PALETTE = readPalette();
-      };
-      bus.on('theme', __onTheme);
-      bus.on('vibe', __onVibe);
-    }
-
     // compute layout before first background paint
     resize(ctx);
     paintBG(ctx);
   }
 
+  /**
+   * Width of the code pane for the current split control (default 70% code, 30% output).
+   * @param {number} W - Canvas width in CSS pixels.
+   * @returns {number} Code pane width in CSS pixels.
+   */
+  function splitWidth(W) {
+    return Math.floor((W * controlValue('coding', 'split')) / 100) | 0;
+  }
+
   /**
    * Handle resizes/DPR changes and recompute layout/visibility.
    * @param {RenderCtx} ctx - Updated render context.
    * @returns {void}
    */
   function resize(ctx) {
-    PALETTE = readPalette();
+    syncPalette(ctx);
     syncTypography(ctx);
 
     const dpr = ctx.dpr || window.devicePixelRatio || 1;
     const W = Math.max(1, Math.round(ctx.w / dpr));
     const H = Math.max(1, Math.round(ctx.h / dpr));
 
-    codeWidthPx = Math.floor(W * 0.7) | 0; // 70% code, 30% output
+    codeWidthPx = splitWidth(W);
     codeLinesVisible = Math.max(4, Math.floor(H / lineH));
     outLinesVisible = codeLinesVisible;
   }
@@ -405,7 +416,7 @@ export const coding = (() => {
     accCaretS = 0;
     caretOn = true;
 
-    PALETTE = readPalette();
+    syncPalette(ctx);
     paintBG(ctx);
   }
 
@@ -416,18 +427,10 @@ export const coding = (() => {
   function start() {}
 
   /**
-   * Stop hook; detaches theme/vibe listeners.
+   * Stop hook (no-op; present for API parity).
    * @returns {void}
    */
-  function stop() {
-    const bus = window.app && window.app.events;
-    if (bus && typeof bus.off === 'function') {
-      if (__onTheme) bus.off('theme', __onTheme);
-      if (__onVibe) bus.off('vibe', __onVibe);
-    }
-    __onTheme = null;
-    __onVibe = null;
-  }
+  function stop() {}
 
   /**
    * Per-frame update and draw of code (left) and output (right) panes.
@@ -437,12 +440,17 @@ export const coding = (() => {
   function frame(ctx) {
     const g = ctx.ctx2d;
 
-    // Always read the latest palette (ensures live vibe swap)
-    PALETTE = readPalette();
+    // Pick up vibe swaps (cheap version check; tokens are resolved once per change)
+    syncPalette(ctx);
 
     // Keep timing in sync with the global speed model
     applySpeed(ctx.speed);
 
+    // Follow live split changes
+    codeWidthPx = splitWidth(
+      Math.max(1, Math.round(ctx.w / (ctx.dpr || window.devicePixelRatio || 1)))
+    );
+
     const dtMs = ctx.elapsed; // 0 while paused
     const dtS = ctx.dt; // 0 while paused
 
@@ -459,7 +467,9 @@ export const coding = (() => {
       if (accCodeMs >= codeIntervalMs) {
         accCodeMs = 0;
         partialLine =
-          Math.random() < 0.12 ? `console.log('tick', ${Date.now() % 1000})` : pick(JS_SNIPPETS);
+          random() < 0.12
+            ? `console.log('tick', ${clock(ctx.now).getTime() % 1000})`
+            : pick(JS_SNIPPETS);
         partialIdx = 0;
       }
     } else {
@@ -527,7 +537,5 @@ export const coding = (() => {
     drawRightMono(g, outLines, codeWidthPx + 12, 8, outLinesVisible);
   }
 
-  const api = { init, resize, clear, start, stop, frame };
-  api.info = { family: 'developer', flavor: 'coding' };
-  return api;
+  return { id: 'coding', genre: 'developer', init, resize, clear, start, stop, frame, controls };
 })();
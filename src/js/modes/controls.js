@@ -0,0 +1,57 @@
+// src/js/modes/controls.js
+// Shared control schemas (see ModeControl in state.js). Modes list these in their
+// `controls` array; the menu panel, Shift+Arrow hotkeys, toasts, persistence and
+// URL config are all driven from the declaration.
+
+/** Rain tail multiplier per stage (1..10); stage 5 = 1.00×. */
+export const TAIL_STAGES = [0.01, 0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.25];
+
+/** Rain respawn probability per stage (1..10); stage 5 ≈ 5%. */
+export const SPAWN_STAGES = [0.005, 0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.225];
+
+/** Fire height boost per stage (1..10). */
+export const HEIGHT_STAGES = [1.0, 1.09, 1.18, 1.27, 1.36, 1.45, 1.54, 1.63, 1.72, 1.8];
+
+/** Fire fuel band (fraction of rows) per stage (1..10). */
+export const FUEL_STAGES = [0.05, 0.072, 0.094, 0.116, 0.138, 0.16, 0.182, 0.204, 0.226, 0.25];
+
+/** Tail length + spawn rate, shared by matrix, digitalrain and drizzle. */
+export const RAIN_CONTROLS = [
+  { key: 'tail', label: 'Tail', stages: TAIL_STAGES, default: 5, keys: ['ArrowDown', 'ArrowUp'] },
+  {
+    key: 'spawn',
+    label: 'Spawn',
+    stages: SPAWN_STAGES,
+    default: 5,
+    keys: ['ArrowLeft', 'ArrowRight'],
+  },
+];
+
+/**
+ * Opt-out of vibe-derived palettes for modes with a signature look (matrix, fire):
+ * on = the mode's own colors and neutral scanlines.
+ */
+export const ORIGINAL_COLORS = {
+  key: 'original',
+  label: 'Original colors',
+  type: 'toggle',
+  default: false,
+};
+
+/** Flame height + fuel band for the canvas fire. */
+export const FIRE_CONTROLS = [
+  {
+    key: 'height',
+    label: 'Height',
+    stages: HEIGHT_STAGES,
+    default: 5,
+    keys: ['ArrowDown', 'ArrowUp'],
+  },
+  {
+    key: 'fuel',
+    label: 'Fuel',
+    stages: FUEL_STAGES,
+    default: 5,
+    keys: ['ArrowLeft', 'ArrowRight'],
+  },
+];
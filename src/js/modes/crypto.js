@@ -1,16 +1,19 @@
 // src/js/modes/crypto.js
 /* eslint-env browser */
 
-import { randInt } from '../lib/index.js';
+import { random, randInt, randomBytes, fakeClock } from '../rng.js';
+import { controlValue } from '../state.js';
 
 /**
  * Program: Crypto
  * Genre: Systems
  * Style: Console log stream (mempool, peers, headers)
+ * Flavors: bitcoin (node log), ethereum (execution/consensus client), lightning (routing node)
  * Purpose: Emits timestamped crypto-ish log lines with a soft trailing effect.
  *
  * Exports:
- *   - init(ctx), resize(ctx), start(), stop(), clear(ctx), frame(ctx)
+ *   - init(ctx), resize(ctx), start(), stop(), clear(ctx), frame(ctx), setFlavor(ctx, id)
+ *   - controls: trail (fade stages, Shift+↑/↓), trace (verbose trace lines on/off)
  */
 export const crypto = (() => {
   // ——— Internal state ———
@@ -25,14 +28,26 @@ export const crypto = (() => {
   let running = false;
   let emitAccumulator = 0; // accumulates ctx.elapsed toward emitIntervalMs
 
+  // Timestamps: seeded start date plus the frame clock (see fakeClock in rng.js)
+  let clock = (t) => new Date(t);
+  let now = 0;
+
   const spinner = ['|', '/', '-', '\\'];
   let spinIdx = 0;
 
-  // CSS theme helpers
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-  const getBG = () => (readVar('--bg', '#000000') || '#000000').trim();
-  const getFG = () => (readVar('--fg', '#03ffaf') || '#03ffaf').trim();
+  // Per-frame fade alpha toward the background; later stages keep longer trails
+  const TRAIL_FADE = [0.5, 0.35, 0.25, 0.18, 0.12, 0.08, 0.05];
+  const controls = [
+    {
+      key: 'trail',
+      label: 'Trail',
+      stages: TRAIL_FADE,
+      default: 4,
+      keys: ['ArrowDown', 'ArrowUp'],
+    },
+    { key: 'trace', label: 'Trace', type: 'toggle', default: true },
+  ];
+  const traceOn = () => controlValue('crypto', 'trace');
 
   /**
    * Return a hex string of length 2*n.
@@ -40,13 +55,14 @@ export const crypto = (() => {
    * @returns {string} Hex string (lowercase), 2 characters per byte.
    */
   function randHex(n) {
-    const bytes = new Uint8Array(n);
-    globalThis.crypto.getRandomValues(bytes);
-    return [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+    return [...randomBytes(n)].map((b) => b.toString(16).padStart(2, '0')).join('');
   }
 
   const shortHash = () => randHex(4) + '…' + randHex(2);
   const addr = () => 'bc1q' + randHex(10).slice(0, 10);
+  const ethAddr = () => '0x' + randHex(3) + '…' + randHex(2);
+  const nodeId = () => '02' + randHex(3) + '…';
+  const chanId = () => `${randInt(840000, 855000)}x${randInt(1, 3200)}x${randInt(0, 3)}`;
 
   /**
    * Push a line into the ring buffer.
@@ -59,38 +75,118 @@ export const crypto = (() => {
   }
 
   /**
-   * Emit one or more sample lines (tx, net, chain, sync).
+   * Bitcoin node: mempool, peers, headers, sync and blocks.
    * @returns {void}
    */
-  function sampleLines() {
-    const roll = Math.random();
+  function bitcoinLines() {
+    const roll = random();
 
     if (roll < 0.4) {
-      const v = (Math.random() * 1.2).toFixed(4);
+      const v = (random() * 1.2).toFixed(4);
       push(`mempool: tx=${shortHash()} from=${addr()} fee=${randInt(2, 95)} sat/vB v=${v} BTC`);
     } else if (roll < 0.6) {
       push(
-        `peer: ${randInt(12, 223)}.${randInt(0, 255)}.${randInt(0, 255)}.${randInt(1, 254)} ver=${randInt(70015, 70030)} inv=${randInt(2, 18)} ping=${(Math.random() * 120).toFixed(1)}ms`
+        `peer: ${randInt(12, 223)}.${randInt(0, 255)}.${randInt(0, 255)}.${randInt(1, 254)} ver=${randInt(70015, 70030)} inv=${randInt(2, 18)} ping=${(random() * 120).toFixed(1)}ms`
       );
     } else if (roll < 0.75) {
       push(
-        `header: height=${randInt(845000, 855000)} diff=${(Math.random() * 1.0 + 1).toFixed(3)} target=${shortHash()}… time=${new Date().toISOString()}`
+        `header: height=${randInt(845000, 855000)} diff=${(random() * 1.0 + 1).toFixed(3)} target=${shortHash()}… time=${clock(now).toISOString()}`
       );
     } else if (roll < 0.9) {
       spinIdx = (spinIdx + 1) % spinner.length;
-      const pct = (Math.random() * 100).toFixed(2);
+      const pct = (random() * 100).toFixed(2);
       push(`sync ${spinner[spinIdx]} headers ${pct}%  tip=${shortHash()} peers=${randInt(6, 15)}`);
     } else {
       push(
-        `block: ${shortHash()} txs=${randInt(500, 3000)} size=${(Math.random() * 1.2 + 0.8).toFixed(2)}MB fees=${(Math.random() * 1.8).toFixed(2)} BTC nonce=${randInt(1e6, 9e6)}`
+        `block: ${shortHash()} txs=${randInt(500, 3000)} size=${(random() * 1.2 + 0.8).toFixed(2)}MB fees=${(random() * 1.8).toFixed(2)} BTC nonce=${randInt(1e6, 9e6)}`
       );
     }
 
-    if (Math.random() < 0.12) {
+    if (traceOn() && random() < 0.12) {
       push(`trace: verify sig=${shortHash()} ok • update utxo • write mempool journal`);
     }
   }
 
+  /**
+   * Ethereum client: txpool, gas, slots/attestations and imported blocks.
+   * @returns {void}
+   */
+  function ethereumLines() {
+    const roll = random();
+    const slot = randInt(9_800_000, 9_900_000);
+
+    if (roll < 0.35) {
+      const gwei = (random() * 40 + 2).toFixed(2);
+      push(
+        `txpool: add hash=0x${shortHash()} from=${ethAddr()} to=${ethAddr()} gas=${randInt(21000, 420000)} tip=${gwei} gwei`
+      );
+    } else if (roll < 0.55) {
+      push(
+        `beacon: slot=${slot} epoch=${Math.floor(slot / 32)} attestations=${randInt(60, 128)} participation=${(95 + random() * 5).toFixed(1)}%`
+      );
+    } else if (roll < 0.75) {
+      push(
+        `Imported new chain segment number=${randInt(20_400_000, 20_600_000)} hash=0x${shortHash()} txs=${randInt(80, 400)} mgas=${(random() * 30).toFixed(3)} elapsed=${randInt(40, 480)}ms`
+      );
+    } else if (roll < 0.9) {
+      push(
+        `p2p: peers=${randInt(25, 100)} inbound=${randInt(5, 40)} client=${['geth', 'nethermind', 'besu', 'erigon'][randInt(0, 3)]} rtt=${randInt(8, 220)}ms`
+      );
+    } else {
+      push(
+        `fork-choice: head=0x${shortHash()} justified=${Math.floor(slot / 32) - 1} finalized=${Math.floor(slot / 32) - 2} basefee=${(random() * 20 + 1).toFixed(2)} gwei`
+      );
+    }
+
+    if (traceOn() && random() < 0.12) {
+      push(`trace: engine_newPayloadV3 hash=0x${shortHash()} status=VALID • forkchoiceUpdated`);
+    }
+  }
+
+  /**
+   * Lightning routing node: HTLC forwards, invoices, channels and gossip.
+   * @returns {void}
+   */
+  function lightningLines() {
+    const roll = random();
+
+    if (roll < 0.4) {
+      const amt = randInt(1_000, 2_500_000);
+      push(
+        `htlc: forward ${amt} msat ${chanId()} → ${chanId()} fee=${Math.max(1, Math.round(amt * 0.000001 * randInt(1, 500)))} msat ok`
+      );
+    } else if (roll < 0.55) {
+      push(
+        `invoice: settled lnbc${randInt(1, 900)}u1p${randHex(4)}… preimage=${shortHash()} hops=${randInt(1, 5)}`
+      );
+    } else if (roll < 0.7) {
+      push(
+        `gossip: channel_update ${chanId()} base=${randInt(0, 1000)} ppm=${randInt(1, 800)} cltv=${[40, 80, 144][randInt(0, 2)]}`
+      );
+    } else if (roll < 0.85) {
+      spinIdx = (spinIdx + 1) % spinner.length;
+      push(
+        `pathfind ${spinner[spinIdx]} dest=${nodeId()} candidates=${randInt(3, 40)} prob=${random().toFixed(3)}`
+      );
+    } else if (roll < 0.95) {
+      push(
+        `channel: ${['open', 'active', 'rebalance', 'close'][randInt(0, 3)]} ${chanId()} peer=${nodeId()} capacity=${randInt(1, 50) * 100000} sat`
+      );
+    } else {
+      push(
+        `htlc: fail ${chanId()} reason=${['temporary_channel_failure', 'fee_insufficient', 'incorrect_cltv_expiry'][randInt(0, 2)]}`
+      );
+    }
+
+    if (traceOn() && random() < 0.12) {
+      push(`trace: onion peel ${chanId()} • verify hmac ok • commit_sig revoke_and_ack`);
+    }
+  }
+
+  // Flavor -> line generator (speed defaults live in state.js)
+  const FLAVORS = { bitcoin: bitcoinLines, ethereum: ethereumLines, lightning: lightningLines };
+  let sampleLines = bitcoinLines;
+
   // ——— Mode API ———
 
   /**
@@ -127,10 +223,13 @@ export const crypto = (() => {
     buffer = [];
     maxLines = rows * 5;
     emitAccumulator = 0;
+    cursorBlinkMs = 0;
+    spinIdx = 0;
+    clock = fakeClock();
 
     // Paint background (CSS pixels)
     g.save();
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -144,6 +243,16 @@ export const crypto = (() => {
     init(ctx);
   }
 
+  /**
+   * Switch log flavor; lines already on screen scroll away naturally.
+   * @param {*} ctx - Render context (unused).
+   * @param {string} id - Flavor key ("bitcoin", "ethereum", "lightning").
+   * @returns {void}
+   */
+  function setFlavor(ctx, id) {
+    sampleLines = FLAVORS[id] || bitcoinLines;
+  }
+
   /** Start emission. @returns {void} */
   function start() {
     running = true;
@@ -171,7 +280,7 @@ export const crypto = (() => {
 
     g.save();
     g.globalAlpha = 1;
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -201,12 +310,13 @@ export const crypto = (() => {
 
     // Apply global → per-mode speed mapping for cadence
     applySpeed(ctx.speed);
+    now = ctx.now;
 
     // Soft trail fade, using the vibe background with a small global alpha.
     // Works for #RRGGBB and #RRGGBBAA colors without string hacking.
     g.save();
-    g.globalAlpha = 0.18; // trail strength
-    g.fillStyle = getBG();
+    g.globalAlpha = controlValue('crypto', 'trail'); // trail strength
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
 
@@ -224,7 +334,7 @@ export const crypto = (() => {
 
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, monospace`;
     g.textBaseline = 'top';
-    g.fillStyle = getFG();
+    g.fillStyle = ctx.theme.css.fg;
 
     let y = 4;
     const xPad = 8;
@@ -239,5 +349,21 @@ export const crypto = (() => {
     if (cursorBlinkMs < 520) g.fillText('▍', xPad, y);
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return {
+    id: 'crypto',
+    genre: 'system',
+    styles: [
+      { id: 'bitcoin', speed: 5 },
+      { id: 'ethereum', speed: 6 },
+      { id: 'lightning', speed: 8 },
+    ],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    setFlavor,
+    controls,
+  };
 })();
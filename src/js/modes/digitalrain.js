@@ -1,12 +1,14 @@
 /* eslint-env browser */
 
-import { emit } from '../state.js';
+import { controlValue } from '../state.js';
+import { random } from '../rng.js';
+import { RAIN_CONTROLS } from './controls.js';
+import { loopPhase, loopPass, loopPasses, loopRandom } from '../lib/loop.js';
 
 /**
  * Local typedefs so jsdoc/no-undefined-types doesn't complain in projects
  * that don't load DOM lib types.
  * @typedef {unknown} CanvasRenderingContext2D
- * @typedef {unknown} KeyboardEvent
  * @typedef {object} RenderCtx
  * @property {CanvasRenderingContext2D} ctx2d - 2D drawing context (already DPR-scaled).
  * @property {number} w - Canvas width in device pixels.
@@ -15,6 +17,8 @@ import { emit } from '../state.js';
  * @property {number} [elapsed] - Time since last frame (ms).
  * @property {boolean} [paused] - Whether animation is paused.
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6).
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
+ * @property {{frame:number, frames:number, blend:number}|null} [loop] - Seamless-loop position (frame export).
  */
 
 export const digitalrain = (() => {
@@ -22,10 +26,6 @@ export const digitalrain = (() => {
 
   // ----- utils -----
   const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-  const getBG = () => (readVar('--bg', '#000000') || '#000000').trim(); // supports #RRGGBB and #RRGGBBAA
-  const getFG = () => (readVar('--fg', '#0f0') || '#0f0').trim();
 
   // Reset to identity, then apply DPR exactly once
   /**
@@ -43,33 +43,6 @@ export const digitalrain = (() => {
     g.shadowColor = 'rgba(0,0,0,0)';
   }
 
-  // ----- intensity STAGES (1..10; index 0 unused) -----
-  const TAIL_STAGES = [0, 0.01, 0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.25];
-  let tailIndex = 5; // default 1.00×
-  let TAIL_MULT = TAIL_STAGES[tailIndex];
-
-  const SPAWN_STAGES = [0, 0.005, 0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.225];
-  let spawnIndex = 5; // default ≈5%
-  let RESPAWN_P = SPAWN_STAGES[spawnIndex];
-
-  const clampStep = (i) => Math.max(1, Math.min(10, Math.round(i)));
-  const snapToTailIndex = (mult) => {
-    if (!Number.isFinite(mult)) return tailIndex;
-    let bestIdx = 1,
-      best = Infinity;
-    for (let i = 1; i <= 10; i++) {
-      const d = Math.abs(TAIL_STAGES[i] - mult);
-      if (d < best) {
-        best = d;
-        bestIdx = i;
-      }
-    }
-    return bestIdx;
-  };
-
-  const emitTailStep = () => emit('rain.tail.step', { index: tailIndex, total: 10 });
-  const emitSpawnStep = () => emit('rain.spawn.step', { index: spawnIndex, total: 10 });
-
   // ----- state -----
   let cols = 0,
     fontSize = 16;
@@ -78,16 +51,12 @@ export const digitalrain = (() => {
     tickAcc = 0,
     tickMs = 75;
 
-  // one-time guards
-  let wiredBus = false;
-  let keysBound = false;
-
-  // store last ctx so we can repaint on 'vibe'
-  /** @type {RenderCtx|null} */
-  let lastCtx = null;
+  // Theme token version the background was last painted for
+  let bgVersion = -1;
 
-  // Defer background repaint to next frame (avoid mid-frame re-entrancy)
-  let needsBGRepaint = false;
+  // Seamless loops (frame export): ticks per loop and per-column fall plan
+  /** @type {{ticks:number, seed:number, cols:Array<{start:number, phase:number, passes:number}>}|null} */
+  let loopPlan = null;
 
   // ----- layout / seed -----
   /**
@@ -107,7 +76,42 @@ export const digitalrain = (() => {
     cols = Math.max(1, Math.floor(W / fontSize));
 
     // Seed drops starting above the top
-    drops = new Array(cols).fill(0).map(() => Math.floor(Math.random() * -40));
+    drops = new Array(cols).fill(0).map(() => Math.floor(random() * -40));
+    loopPlan = null;
+  }
+
+  /**
+   * Place every drop for a seamless loop. Each column restarts above the top a whole
+   * number of times per loop (close to its natural fall-and-respawn rhythm), from its own
+   * phase, so positions repeat exactly after `frames` frames. Ticks are spread evenly over
+   * the loop; loops shorter than a fall tick faster.
+   * @param {{frame:number, frames:number}} loop - ctx.loop.
+   * @param {number} frameMs - Clock step per frame (ctx.elapsed).
+   * @param {number} exitRow - First row that is fully below the screen.
+   * @param {number} spawn - Chance per tick that an off-screen drop restarts.
+   * @returns {void}
+   */
+  function followLoop(loop, frameMs, exitRow, spawn) {
+    if (loopPlan?.cols.length !== cols) {
+      const starts = drops.map(() => Math.floor(-20 * random()));
+      const longest = exitRow + 1 - Math.min(0, ...starts);
+      const ticks = Math.max(Math.round((loop.frames * frameMs) / tickMs), longest);
+      loopPlan = {
+        ticks,
+        seed: (random() * 0x100000000) >>> 0,
+        cols: starts.map((start) => {
+          const travel = exitRow + 1 - start;
+          const passes = loopPasses(ticks, travel, travel + 1 / Math.max(spawn, 0.01));
+          return { start, phase: Math.floor(random() * ticks), passes };
+        }),
+      };
+    }
+    const { ticks } = loopPlan;
+    const tick = Math.floor((loopPhase(loop.frame, loop.frames) * ticks) / loop.frames);
+    for (let i = 0; i < cols; i++) {
+      const c = loopPlan.cols[i];
+      drops[i] = c.start + Math.floor(loopPass(tick, ticks, c.passes, c.phase));
+    }
   }
 
   /**
@@ -116,25 +120,25 @@ export const digitalrain = (() => {
    * @returns {void}
    */
   function paintBG(ctx) {
+    bgVersion = ctx.theme.version;
     const g = ctx.ctx2d;
     const W = ctx.w / ctx.dpr,
       H = ctx.h / ctx.dpr;
     g.save();
     g.globalAlpha = 1;
     g.globalCompositeOperation = 'source-over';
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
 
   // ----- lifecycle -----
   /**
-   * Initialize DPR, compute layout, wire event bus once, and paint vibe background.
+   * Initialize DPR, compute layout, and paint vibe background.
    * @param {RenderCtx} ctx - Render context with 2D canvas, sizes, and DPR.
    * @returns {void}
    */
   function init(ctx) {
-    lastCtx = ctx;
     const g = ctx.ctx2d;
 
     // Apply DPR once and set defaults
@@ -142,45 +146,10 @@ export const digitalrain = (() => {
 
     // Compute layout in CSS px
     calc(ctx);
+    tickAcc = 0;
 
     // Paint full vibe background once
     paintBG(ctx);
-
-    if (!wiredBus) {
-      const bus = (window.app && window.app.events) || window.events;
-      if (bus?.on) {
-        // Tail control
-        bus.on('rain.tail', (m) => {
-          if (m && typeof m === 'object' && Number.isFinite(m.index)) {
-            tailIndex = clampStep(m.index);
-          } else {
-            tailIndex = snapToTailIndex(Number(m));
-          }
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emitTailStep();
-        });
-
-        // Spawn control (authoritative index)
-        bus.on('rain.spawn', (payload) => {
-          if (!(payload && typeof payload === 'object' && Number.isFinite(payload.index))) return;
-          spawnIndex = clampStep(payload.index);
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', Math.round(RESPAWN_P * 100));
-          emitSpawnStep();
-        });
-
-        // Vibe change: request a repaint next frame
-        bus.on('vibe', () => {
-          needsBGRepaint = true;
-        });
-      }
-      wiredBus = true;
-    }
-
-    TAIL_MULT = TAIL_STAGES[tailIndex];
-    RESPAWN_P = SPAWN_STAGES[spawnIndex];
-    emitTailStep();
-    emitSpawnStep();
   }
 
   /**
@@ -193,27 +162,19 @@ export const digitalrain = (() => {
   }
 
   /**
-   * Begin animation and bind hotkeys (once).
+   * Begin animation.
    * @returns {void}
    */
   function start() {
     running = true;
-    if (!keysBound) {
-      window.addEventListener('keydown', onKey, { passive: false });
-      keysBound = true;
-    }
   }
 
   /**
-   * Stop animation and unbind hotkeys.
+   * Stop animation.
    * @returns {void}
    */
   function stop() {
     running = false;
-    if (keysBound) {
-      window.removeEventListener('keydown', onKey);
-      keysBound = false;
-    }
   }
 
   /**
@@ -222,7 +183,6 @@ export const digitalrain = (() => {
    * @returns {void}
    */
   function clear(ctx) {
-    lastCtx = ctx;
     reset2D(ctx.ctx2d, ctx.dpr);
     paintBG(ctx);
   }
@@ -238,57 +198,6 @@ export const digitalrain = (() => {
     tickMs = Math.max(16, Math.round(75 / m));
   }
 
-  // ----- hotkeys: Shift+Arrows -----
-  /**
-   * Handle Shift+Arrow hotkeys to adjust tail and spawn stages.
-   * @param {KeyboardEvent} e - Keyboard event from the window.
-   * @returns {void}
-   */
-  function onKey(e) {
-    if (!e.shiftKey) return;
-    let handled = false;
-    switch (e.key) {
-      case 'ArrowUp':
-        if (tailIndex < 10) {
-          tailIndex += 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emit('rain.tail', Number(TAIL_MULT));
-          emitTailStep();
-        }
-        handled = true;
-        break;
-      case 'ArrowDown':
-        if (tailIndex > 1) {
-          tailIndex -= 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emit('rain.tail', Number(TAIL_MULT));
-          emitTailStep();
-        }
-        handled = true;
-        break;
-      case 'ArrowRight':
-        if (spawnIndex < 10) {
-          spawnIndex += 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', { index: spawnIndex, total: 10 });
-        }
-        handled = true;
-        break;
-      case 'ArrowLeft':
-        if (spawnIndex > 1) {
-          spawnIndex -= 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', { index: spawnIndex, total: 10 });
-        }
-        handled = true;
-        break;
-    }
-    if (handled) {
-      e.preventDefault();
-      e.stopPropagation();
-    }
-  }
-
   // ----- frame -----
   /**
    * Render one frame and optionally advance column positions on tick.
@@ -302,11 +211,8 @@ export const digitalrain = (() => {
     const W = ctx.w / ctx.dpr,
       H = ctx.h / ctx.dpr;
 
-    // If a vibe just happened, repaint once now
-    if (needsBGRepaint && lastCtx) {
-      paintBG(lastCtx);
-      needsBGRepaint = false;
-    }
+    // If the vibe changed, repaint once now
+    if (ctx.theme.version !== bgVersion) paintBG(ctx);
 
     // Apply per-mode speed
     applySpeed(ctx.speed);
@@ -316,50 +222,69 @@ export const digitalrain = (() => {
       const next = new Array(cols);
       const n = Math.min(cols, drops.length);
       for (let i = 0; i < n; i++)
-        next[i] = Number.isFinite(drops[i]) ? drops[i] : Math.floor(Math.random() * -40);
-      for (let i = n; i < cols; i++) next[i] = Math.floor(Math.random() * -40);
+        next[i] = Number.isFinite(drops[i]) ? drops[i] : Math.floor(random() * -40);
+      for (let i = n; i < cols; i++) next[i] = Math.floor(random() * -40);
       drops = next;
     } else {
       for (let i = 0; i < cols; i++)
-        if (!Number.isFinite(drops[i])) drops[i] = Math.floor(Math.random() * -40);
+        if (!Number.isFinite(drops[i])) drops[i] = Math.floor(random() * -40);
     }
 
+    const RESPAWN_P = controlValue('digitalrain', 'spawn');
+
     // Trail fade toward the vibe background (keeps theme tint)
     const BASE_FADE = 0.08;
     const MIN_FADE = 0.02,
       MAX_FADE = 0.2;
-    const fadeAlpha = clamp(BASE_FADE / TAIL_MULT, MIN_FADE, MAX_FADE);
+    const fadeAlpha = clamp(BASE_FADE / controlValue('digitalrain', 'tail'), MIN_FADE, MAX_FADE);
 
     g.save();
     g.globalAlpha = fadeAlpha;
     g.globalCompositeOperation = 'source-over';
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
 
     // Draw streams
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
     g.textBaseline = 'top';
-    g.fillStyle = getFG();
+    g.fillStyle = ctx.theme.css.fg;
 
-    const doAdvance = running && !ctx.paused && tickAcc >= tickMs;
+    // Looping exports place the drops on the loop's own tick schedule instead
+    if (ctx.loop) followLoop(ctx.loop, ctx.elapsed, Math.floor(H / fontSize) + 1, RESPAWN_P);
+    const doAdvance = !ctx.loop && running && !ctx.paused && tickAcc >= tickMs;
     if (doAdvance) tickAcc -= tickMs;
+    // Glyphs that repeat with the loop, so the fading trails match at both ends
+    const glyphRandom = ctx.loop ? loopRandom(ctx.loop, loopPlan.seed) : random;
 
     for (let i = 0; i < cols; i++) {
       const x = i * fontSize;
       const y = drops[i] * fontSize;
-      const ch = GLYPHS[(Math.random() * GLYPHS.length) | 0];
+      const ch = GLYPHS[(glyphRandom() * GLYPHS.length) | 0];
       g.fillText(ch, x, y);
 
       if (!doAdvance) continue;
 
-      if (y > H && Math.random() < RESPAWN_P) {
-        drops[i] = Math.floor(-20 * Math.random()); // restart above top
+      if (y > H && random() < RESPAWN_P) {
+        drops[i] = Math.floor(-20 * random()); // restart above top
       } else {
         drops[i] += 1; // one row per tick; speed via tickMs
       }
     }
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return {
+    id: 'digitalrain',
+    genre: 'rain',
+    label: 'digital rain',
+    styles: [{ id: 'classic', speed: 6 }],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    controls: RAIN_CONTROLS,
+    seamless: true,
+  };
 })();
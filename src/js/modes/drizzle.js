@@ -1,9 +1,11 @@
 /* eslint-env browser */
 
-import { emit } from '../state.js';
+import { controlValue } from '../state.js';
+import { random } from '../rng.js';
+import { RAIN_CONTROLS } from './controls.js';
+import { loopPhase, loopPass, loopPasses, loopRandom } from '../lib/loop.js';
 
 /** @typedef {unknown} CanvasRenderingContext2D */
-/** @typedef {unknown} KeyboardEvent */
 /**
  * Render context passed by the host engine.
  * @typedef {object} RenderCtx
@@ -14,6 +16,8 @@ import { emit } from '../state.js';
  * @property {number} [elapsed] - Time since last frame (ms)
  * @property {boolean} [paused] - Whether animation is paused
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6)
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors
+ * @property {{frame:number, frames:number, blend:number}|null} [loop] - Seamless-loop position (frame export)
  */
 
 /**
@@ -30,57 +34,7 @@ export const drizzle = (() => {
   // ---------- visuals / glyphs ----------
   const GLYPHS = ['|', '/', '\\', '-', '.', '`', '*', ':', ';'];
 
-  // Theme helpers (read live so vibe swaps apply instantly)
-  /**
-   * Read a CSS custom property with a fallback.
-   * @param {string} name - CSS variable name, e.g. "--bg".
-   * @param {string} fallback - Value to use if the variable is unset/empty.
-   * @returns {string} Resolved value (trimmed).
-   */
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-
-  /** @returns {string} Current vibe background color (supports #RRGGBB[A]). */
-  const getBG = () => (readVar('--bg', '#000000') || '#000000').trim();
-  /** @returns {string} Current vibe foreground color. */
-  const getFG = () => (readVar('--fg', '#03ffaf') || '#03ffaf').trim();
-
-  const info = { family: 'rain', flavor: 'drizzle' };
-
-  // ---------- intensity STAGES (1..10; index 0 unused) ----------
-  const TAIL_STAGES = [0, 0.01, 0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.25];
-  let tailIndex = 5;
-  let TAIL_MULT = TAIL_STAGES[tailIndex];
-
-  const SPAWN_STAGES = [0, 0.005, 0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.225];
-  let spawnIndex = 5;
-  let RESPAWN_P = SPAWN_STAGES[spawnIndex];
-
   const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-  const clampStep = (i) => Math.max(1, Math.min(10, Math.round(i)));
-
-  /**
-   * Find the closest staged tail index to a raw multiplier.
-   * @param {number} mult - Desired raw tail multiplier.
-   * @returns {number} Matching staged index (1..10).
-   */
-  const snapToTailIndex = (mult) => {
-    if (!Number.isFinite(mult)) return tailIndex;
-    let bestIdx = 1,
-      best = Infinity;
-    for (let i = 1; i <= 10; i++) {
-      const d = Math.abs(TAIL_STAGES[i] - mult);
-      if (d < best) {
-        best = d;
-        bestIdx = i;
-      }
-    }
-    return bestIdx;
-  };
-
-  const emitTailStep = () => emit('rain.tail.step', { index: tailIndex, total: 10 });
-  const emitSpawnStep = () => emit('rain.spawn.step', { index: spawnIndex, total: 10 });
-
   // ---------- state ----------
   let cols = 0,
     rows = 0,
@@ -90,10 +44,9 @@ export const drizzle = (() => {
   let tickAcc = 0,
     tickMs = 80;
   let running = false;
-
-  // one-time guards
-  let wiredBus = false;
-  let keysBound = false;
+  // Seamless loops (frame export): ticks per loop and per-column fall plan
+  /** @type {{ticks:number, seed:number, cols:Array<{start:number, phase:number, passes:number}>}|null} */
+  let loopPlan = null;
 
   // ---------- small helpers ----------
   /**
@@ -123,7 +76,7 @@ export const drizzle = (() => {
     g.save();
     g.globalAlpha = 1;
     g.globalCompositeOperation = 'source-over';
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -148,7 +101,41 @@ export const drizzle = (() => {
     rows = Math.max(6, Math.floor(H / lineH));
 
     // Seed drops starting above the top
-    drops = new Array(cols).fill(0).map(() => Math.floor(-rows * Math.random()));
+    drops = new Array(cols).fill(0).map(() => Math.floor(-rows * random()));
+    loopPlan = null;
+  }
+
+  /**
+   * Place every drop for a seamless loop: each column restarts above the top a whole
+   * number of times per loop, from its own phase, so positions repeat exactly after
+   * `frames` frames. Loops shorter than a fall tick faster.
+   * @param {{frame:number, frames:number}} loop - ctx.loop.
+   * @param {number} frameMs - Clock step per frame (ctx.elapsed).
+   * @param {number} exitRow - First row that is fully below the screen.
+   * @param {number} spawn - Chance per tick that an off-screen drop restarts.
+   * @returns {void}
+   */
+  function followLoop(loop, frameMs, exitRow, spawn) {
+    if (loopPlan?.cols.length !== cols) {
+      const starts = drops.map(() => Math.floor(-rows * random()));
+      const longest = exitRow + 1 - Math.min(0, ...starts);
+      const ticks = Math.max(Math.round((loop.frames * frameMs) / tickMs), longest);
+      loopPlan = {
+        ticks,
+        seed: (random() * 0x100000000) >>> 0,
+        cols: starts.map((start) => {
+          const travel = exitRow + 1 - start;
+          const passes = loopPasses(ticks, travel, travel + 1 / Math.max(spawn, 0.01));
+          return { start, phase: Math.floor(random() * ticks), passes };
+        }),
+      };
+    }
+    const { ticks } = loopPlan;
+    const tick = Math.floor((loopPhase(loop.frame, loop.frames) * ticks) / loop.frames);
+    for (let c = 0; c < cols; c++) {
+      const plan = loopPlan.cols[c];
+      drops[c] = plan.start + Math.floor(loopPass(tick, ticks, plan.passes, plan.phase));
+    }
   }
 
   // ---------- lifecycle ----------
@@ -160,42 +147,9 @@ export const drizzle = (() => {
   function init(ctx) {
     const g = ctx.ctx2d;
     reset2D(g, ctx.dpr);
+    tickAcc = 0;
     compute(ctx); // seed columns based on CSS px
     paintBG(ctx); // lay vibe background
-
-    if (!wiredBus) {
-      const bus = (window.app && window.app.events) || window.events;
-
-      if (bus?.on) {
-        // Tail: accept raw multiplier or {index}
-        bus.on('rain.tail', (m) => {
-          if (m && typeof m === 'object' && Number.isFinite(m.index)) {
-            tailIndex = clampStep(m.index);
-          } else {
-            tailIndex = snapToTailIndex(Number(m));
-          }
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emitTailStep();
-        });
-
-        // Spawn: accept { index, total } OBJECT ONLY
-        bus.on('rain.spawn', (payload) => {
-          if (!(payload && typeof payload === 'object' && Number.isFinite(payload.index))) return;
-          spawnIndex = clampStep(payload.index);
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', Math.round(RESPAWN_P * 100)); // numeric %
-          emitSpawnStep(); // X/N
-        });
-      }
-
-      wiredBus = true;
-    }
-
-    // Baseline HUD toasts
-    TAIL_MULT = TAIL_STAGES[tailIndex];
-    RESPAWN_P = SPAWN_STAGES[spawnIndex];
-    emitTailStep();
-    emitSpawnStep();
   }
 
   /**
@@ -207,22 +161,14 @@ export const drizzle = (() => {
     init(ctx);
   }
 
-  /** Begin animation and bind hotkeys (once). */
+  /** Begin animation. */
   function start() {
     running = true;
-    if (!keysBound) {
-      window.addEventListener('keydown', onKey, { passive: true });
-      keysBound = true;
-    }
   }
 
-  /** Stop animation and unbind hotkeys. */
+  /** Stop animation. */
   function stop() {
     running = false;
-    if (keysBound) {
-      window.removeEventListener('keydown', onKey);
-      keysBound = false;
-    }
   }
 
   // IMPORTANT: on a clear (e.g., vibe change), we must RESEED and repaint BG
@@ -249,48 +195,6 @@ export const drizzle = (() => {
     tickMs = Math.max(16, Math.round(80 / m));
   }
 
-  // ---------- hotkeys: Shift+Arrows ----------
-  /**
-   * Handle Shift+Arrow hotkeys to adjust tail and spawn stages.
-   * @param {KeyboardEvent} e - Keydown event from the window.
-   * @returns {void}
-   */
-  function onKey(e) {
-    if (!e.shiftKey) return;
-    switch (e.key) {
-      case 'ArrowUp':
-        if (tailIndex < 10) {
-          tailIndex += 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emit('rain.tail', Number(TAIL_MULT));
-          emitTailStep();
-        }
-        break;
-      case 'ArrowDown':
-        if (tailIndex > 1) {
-          tailIndex -= 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emit('rain.tail', Number(TAIL_MULT));
-          emitTailStep();
-        }
-        break;
-      case 'ArrowRight':
-        if (spawnIndex < 10) {
-          spawnIndex += 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', { index: spawnIndex, total: 10 });
-        }
-        break;
-      case 'ArrowLeft':
-        if (spawnIndex > 1) {
-          spawnIndex -= 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn', { index: spawnIndex, total: 10 });
-        }
-        break;
-    }
-  }
-
   // ---------- frame ----------
   /**
    * Render one frame and optionally advance column positions on tick.
@@ -307,42 +211,60 @@ export const drizzle = (() => {
     // Apply per-mode speed
     applySpeed(ctx.speed);
 
+    const RESPAWN_P = controlValue('drizzle', 'spawn');
+
     // Trail fade: fade toward vibe background (NOT black)
     const BASE_FADE = 0.1;
     const MIN_FADE = 0.02,
       MAX_FADE = 0.25;
-    const fadeAlpha = clamp(BASE_FADE / TAIL_MULT, MIN_FADE, MAX_FADE);
+    const fadeAlpha = clamp(BASE_FADE / controlValue('drizzle', 'tail'), MIN_FADE, MAX_FADE);
 
     g.save();
     g.globalAlpha = fadeAlpha;
     g.globalCompositeOperation = 'source-over';
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
 
     // draw
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, monospace`;
     g.textBaseline = 'top';
-    g.fillStyle = getFG();
+    g.fillStyle = ctx.theme.css.fg;
 
-    const doAdvance = running && !ctx.paused && tickAcc >= tickMs;
+    // Looping exports place the drops on the loop's own tick schedule instead
+    if (ctx.loop) followLoop(ctx.loop, ctx.elapsed, Math.floor(H / lineH) + 1, RESPAWN_P);
+    const doAdvance = !ctx.loop && running && !ctx.paused && tickAcc >= tickMs;
     if (doAdvance) tickAcc -= tickMs;
+    // Glyphs that repeat with the loop, so the fading trails match at both ends
+    const glyphRandom = ctx.loop ? loopRandom(ctx.loop, loopPlan.seed) : random;
 
     for (let c = 0; c < cols; c++) {
       const x = c * fontSize;
       const y = drops[c] * lineH;
-      const ch = GLYPHS[(Math.random() * GLYPHS.length) | 0];
+      const ch = GLYPHS[(glyphRandom() * GLYPHS.length) | 0];
       g.fillText(ch, x, y);
 
       if (!doAdvance) continue;
 
-      if (y > H && Math.random() < RESPAWN_P) {
-        drops[c] = Math.floor(-rows * Math.random()); // restart above the top
+      if (y > H && random() < RESPAWN_P) {
+        drops[c] = Math.floor(-rows * random()); // restart above the top
       } else {
         drops[c] += 1; // one row per tick; timing via tickMs
       }
     }
   }
 
-  return { info, init, resize, start, stop, frame, clear };
+  return {
+    id: 'drizzle',
+    genre: 'rain',
+    styles: [{ id: 'classic', speed: 6 }],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    controls: RAIN_CONTROLS,
+    seamless: true,
+  };
 })();
@@ -1,7 +1,6 @@
 // src/js/modes/fire.js
 
 /** @typedef {unknown} CanvasRenderingContext2D */
-/** @typedef {unknown} KeyboardEvent */
 /**
  * @typedef {object} RenderCtx
  * @property {CanvasRenderingContext2D} ctx2d - 2D drawing context (DPR-scaled)
@@ -11,22 +10,26 @@
  * @property {number} [elapsed] - Time since last frame (ms)
  * @property {boolean} [paused] - Whether animation is paused
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6)
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors
+ * @property {{frame:number, frames:number, blend:number}|null} [loop] - Seamless-loop position (frame export)
  */
 
-import { emit } from '../state.js';
+import { controlValue } from '../state.js';
+import { random } from '../rng.js';
+import { FIRE_CONTROLS, ORIGINAL_COLORS } from './controls.js';
+import { fireStops, rgbTriplet } from '../lib/palette.js';
+import { loopBlendWeight, blendFields } from '../lib/loop.js';
 
 /**
- * ASCII Fire with staged intensity controls.
+ * ASCII Fire with staged intensity controls (FIRE_CONTROLS, read live each step).
  * Shift+↑/↓ : Height (staged boost index 1..10)
  * Shift+→/← : Fuel   (staged fraction index 1..10)
  *
- * Authoritative inputs:
- *   - emit('fire.height.idx', { index: 1..10 })
- *   - emit('fire.fuel.idx',   { index: 1..10 })
- *
- * HUD step toasts emitted by this module:
- *   - 'fire.height.step'  -> { index, total: 10 }
- *   - 'fire.fuel.step'    -> { index, total: 10 }
+ * Flavors (setFlavor): campfire (orange, dense), blueGas (blue burner, steady),
+ * embers (dim glow, sparse). Height/fuel/speed defaults per flavor live in state.js.
+ * The heat ramp follows the vibe unless "Original colors" is on, which restores
+ * the flavor's own palette on black.
+ * Seamless loops (frame export) crossfade the drawn heat back to the loop's first frame.
  */
 
 export const fire = (() => {
@@ -34,62 +37,97 @@ export const fire = (() => {
   const SCALE_X = 7;
   const SCALE_Y = 11;
   const PALETTE_SIZE = 64;
-  const TARGET_FPS = 30;
+  // Sim steps per second at 1× speed; how often frames are drawn is the power profile's call
+  const SIM_HZ = 30;
   const MAX_GLOW = 6;
   const BG = '#000000';
   const SHADES = [' ', '.', ':', '-', '~', '*', '+', '=', '%', '#', '@'];
 
-  // ---------- staged intensity (index 0 unused) ----------
-  // Height boost range (1.0 .. 1.8) → 10 stages
-  const HEIGHT_STAGES = [0, 1.0, 1.09, 1.18, 1.27, 1.36, 1.45, 1.54, 1.63, 1.72, 1.8];
-  // Fuel fraction range (0.05 .. 0.25) → 10 stages
-  const FUEL_STAGES = [0, 0.05, 0.072, 0.094, 0.116, 0.138, 0.16, 0.182, 0.204, 0.226, 0.25];
-
-  const clampStep = (i) => Math.max(1, Math.min(10, Math.round(i)));
-
-  // active stage indices + derived values
-  let heightIndex = 5; // default ~1.36
-  let HEIGHT_BOOST = HEIGHT_STAGES[heightIndex];
-
-  let fuelIndex = 5; // default ~0.138 (13.8%)
-  let FUEL_ROWS_FRAC = FUEL_STAGES[fuelIndex];
-
-  // step toasts
-  const emitHeightStep = () => emit('fire.height.step', { index: heightIndex, total: 10 });
-  const emitFuelStep = () => emit('fire.fuel.step', { index: fuelIndex, total: 10 });
-
-  // ---------- palette ----------
-  const PAL = new Array(PALETTE_SIZE);
-  (function buildPalette() {
+  // ---------- palettes ----------
+  /**
+   * Build a PALETTE_SIZE ramp by interpolating color stops.
+   * @param {Array<[number, number, number, number]>} stops - [t, r, g, b] with t ascending 0..1.
+   * @returns {string[]} CSS rgb() strings, coolest first.
+   */
+  function buildPalette(stops) {
+    const out = new Array(PALETTE_SIZE);
     for (let i = 0; i < PALETTE_SIZE; i++) {
       const t = i / (PALETTE_SIZE - 1);
-      let r, g, b;
-      if (t < 0.25) {
-        const k = t / 0.25;
-        r = 20 + 110 * k;
-        g = 0 + 15 * k;
-        b = 0;
-      } else if (t < 0.5) {
-        const k = (t - 0.25) / 0.25;
-        r = 130 + 90 * k;
-        g = 15 + 80 * k;
-        b = 0;
-      } else if (t < 0.8) {
-        const k = (t - 0.5) / 0.3;
-        r = 220 + 35 * k;
-        g = 95 + 130 * k;
-        b = 0;
-      } else {
-        const k = (t - 0.8) / 0.2;
-        r = 255;
-        g = 225 + 30 * k;
-        b = 40 + 60 * k;
-      }
-      PAL[i] = `rgb(${r | 0},${g | 0},${b | 0})`;
+      let j = 1;
+      while (j < stops.length - 1 && t > stops[j][0]) j++;
+      const [t0, r0, g0, b0] = stops[j - 1];
+      const [t1, r1, g1, b1] = stops[j];
+      const k = t1 > t0 ? Math.max(0, Math.min(1, (t - t0) / (t1 - t0))) : 1;
+      const r = r0 + (r1 - r0) * k;
+      const g = g0 + (g1 - g0) * k;
+      const b = b0 + (b1 - b0) * k;
+      out[i] = `rgb(${r | 0},${g | 0},${b | 0})`;
     }
-  })();
+    return out;
+  }
+
+  // ignite: chance a fuel cell flares each step
+  const FLAVORS = {
+    campfire: {
+      palette: buildPalette([
+        [0, 20, 0, 0],
+        [0.25, 130, 15, 0],
+        [0.5, 220, 95, 0],
+        [0.8, 255, 225, 40],
+        [1, 255, 255, 100],
+      ]),
+      ignite: 0.4,
+    },
+    blueGas: {
+      palette: buildPalette([
+        [0, 0, 0, 20],
+        [0.3, 10, 30, 140],
+        [0.6, 40, 110, 255],
+        [0.85, 140, 200, 255],
+        [1, 235, 245, 255],
+      ]),
+      ignite: 0.75,
+    },
+    embers: {
+      palette: buildPalette([
+        [0, 15, 0, 0],
+        [0.4, 90, 10, 0],
+        [0.75, 190, 50, 0],
+        [1, 255, 140, 30],
+      ]),
+      ignite: 0.12,
+    },
+  };
+  let flavor = 'campfire';
+  let PAL = FLAVORS.campfire.palette;
+  let IGNITE_P = FLAVORS.campfire.ignite;
+  let bgColor = BG;
+  let palDirty = true; // flavor changed since PAL was built
+  let palOriginal = null; // "original" toggle value PAL was built for
+  let palVersion = -1; // theme token version PAL was built for
+
+  /**
+   * Rebuild PAL/bgColor from the flavor (original colors) or the vibe, when stale.
+   * @param {import('../theme_tokens.js').ThemeTokens} theme - ctx.theme.
+   * @returns {void}
+   */
+  function syncPalette(theme) {
+    const original = controlValue('fire', 'original');
+    if (!palDirty && original === palOriginal && theme.version === palVersion) return;
+    palDirty = false;
+    palOriginal = original;
+    palVersion = theme.version;
+    if (original) {
+      PAL = FLAVORS[flavor].palette;
+      bgColor = BG;
+    } else {
+      PAL = buildPalette(fireStops(theme.rgba));
+      bgColor = `rgb(${rgbTriplet(theme.rgba.bg)})`;
+    }
+  }
 
   // ---------- PRNG ----------
+  // Cheap inline LCG for the per-cell sim; seeded from the global stream in init()
   let seed = 1337;
   const rand = () => (seed = (1664525 * seed + 1013904223) >>> 0) / 4294967296;
 
@@ -99,18 +137,17 @@ export const fire = (() => {
   /** @type {Uint8Array|null} */ let heat = null;
   let running = false;
   let fuelRows = 1;
+  // Seamless loops: heat of the loop's first frame, and the crossfaded field drawn near the end
+  /** @type {Uint8Array|null} */ let loopStart = null;
+  /** @type {Uint8Array|null} */ let loopView = null;
 
   // speed / stepping
-  const dtTarget = 1000 / TARGET_FPS;
+  const dtTarget = 1000 / SIM_HZ;
   let stepMs = dtTarget;
-  const nowMs = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
-  let lastT = 0,
+  // Last frame's ctx.now; null until the first frame after init/start
+  let lastT = null,
     acc = 0;
 
-  // one-time guards
-  let wiredBus = false;
-  let keysBound = false;
-
   // ---------- speed mapping ----------
   /**
    * Map the global speed multiplier to a fixed-step interval for the sim.
@@ -138,12 +175,12 @@ export const fire = (() => {
     Wc = Math.max(20, W);
     Hc = Math.max(12, H);
     heat = new Uint8Array(Wc * Hc);
-    fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
+    fuelRows = Math.max(1, Math.round(Hc * controlValue('fire', 'fuel')));
   }
 
   // ---------- lifecycle ----------
   /**
-   * Initialize DPR transforms, palette/geometry, and bus wiring.
+   * Initialize DPR transforms and palette/geometry.
    * @param {RenderCtx} ctx - Render context with 2D canvas and sizing.
    * @returns {void}
    */
@@ -155,39 +192,24 @@ export const fire = (() => {
     g.shadowBlur = 0;
     g.shadowColor = 'rgba(0,0,0,0)';
 
+    seed = (random() * 0x100000000) >>> 0;
     rebuild(ctx);
-    lastT = nowMs();
-
-    if (!wiredBus) {
-      const bus = (window.app && window.app.events) || window.events;
-      if (bus?.on) {
-        // Authoritative index channels (no numeric cross-talk)
-        bus.on('fire.height.idx', (payload) => {
-          const idx = payload && typeof payload === 'object' ? payload.index : payload;
-          if (!Number.isFinite(idx)) return;
-          heightIndex = clampStep(idx);
-          HEIGHT_BOOST = HEIGHT_STAGES[heightIndex];
-          emitHeightStep();
-        });
-
-        bus.on('fire.fuel.idx', (payload) => {
-          const idx = payload && typeof payload === 'object' ? payload.index : payload;
-          if (!Number.isFinite(idx)) return;
-          fuelIndex = clampStep(idx);
-          FUEL_ROWS_FRAC = FUEL_STAGES[fuelIndex];
-          fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
-          emitFuelStep();
-        });
-      }
-      wiredBus = true;
-    }
+    lastT = null;
+    acc = 0;
+    loopStart = null;
+  }
 
-    // Ensure derived values coherent and show baseline toasts on entry
-    HEIGHT_BOOST = HEIGHT_STAGES[heightIndex];
-    FUEL_ROWS_FRAC = FUEL_STAGES[fuelIndex];
-    fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
-    emitHeightStep();
-    emitFuelStep();
+  /**
+   * Switch palette and fuel density. Height/fuel defaults are written by
+   * state.setFlavor and read live each step.
+   * @param {RenderCtx} ctx - Render context (unused; the sim keeps running).
+   * @param {string} id - Flavor key ("campfire", "blueGas", "embers").
+   * @returns {void}
+   */
+  function setFlavor(ctx, id) {
+    flavor = FLAVORS[id] ? id : 'campfire';
+    IGNITE_P = FLAVORS[flavor].ignite;
+    palDirty = true;
   }
 
   /**
@@ -204,11 +226,7 @@ export const fire = (() => {
    */
   function start() {
     running = true;
-    lastT = nowMs();
-    if (!keysBound) {
-      window.addEventListener('keydown', onKey, { passive: false });
-      keysBound = true;
-    }
+    lastT = null;
   }
 
   /**
@@ -216,10 +234,6 @@ export const fire = (() => {
    */
   function stop() {
     running = false;
-    if (keysBound) {
-      window.removeEventListener('keydown', onKey);
-      keysBound = false;
-    }
   }
 
   /**
@@ -236,79 +250,18 @@ export const fire = (() => {
     g.restore();
   }
 
-  // ---------- hotkeys (Shift+Arrows) ----------
-  /**
-   * Handle Shift+Arrow hotkeys to adjust height/fuel stages.
-   * @param {KeyboardEvent} e - Keyboard event from window.
-   * @returns {void}
-   */
-  function onKey(e) {
-    if (!e.shiftKey) return;
-    let handled = false;
-    switch (e.key) {
-      case 'ArrowUp': {
-        // taller flames (next stage)
-        if (heightIndex < 10) {
-          heightIndex += 1;
-          HEIGHT_BOOST = HEIGHT_STAGES[heightIndex];
-          emitHeightStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowDown': {
-        // shorter flames (prev stage)
-        if (heightIndex > 1) {
-          heightIndex -= 1;
-          HEIGHT_BOOST = HEIGHT_STAGES[heightIndex];
-          emitHeightStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowRight': {
-        // more fuel (next stage)
-        if (fuelIndex < 10) {
-          fuelIndex += 1;
-          FUEL_ROWS_FRAC = FUEL_STAGES[fuelIndex];
-          fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
-          // Send authoritative stage index so any UI can sync, if desired
-          emit('fire.fuel.idx', { index: fuelIndex });
-          emitFuelStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowLeft': {
-        // less fuel (prev stage)
-        if (fuelIndex > 1) {
-          fuelIndex -= 1;
-          FUEL_ROWS_FRAC = FUEL_STAGES[fuelIndex];
-          fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
-          emit('fire.fuel.idx', { index: fuelIndex });
-          emitFuelStep();
-        }
-        handled = true;
-        break;
-      }
-    }
-    if (handled) {
-      e.preventDefault();
-      e.stopPropagation();
-    }
-  }
-
   // ---------- simulation ----------
   /**
    *
    */
   function stepSim() {
-    fuelRows = Math.max(1, Math.round(Hc * FUEL_ROWS_FRAC));
+    fuelRows = Math.max(1, Math.round(Hc * controlValue('fire', 'fuel')));
+    const HEIGHT_BOOST = controlValue('fire', 'height');
 
     // Fuel band at bottom
     for (let y = Hc - fuelRows; y < Hc; y++) {
       for (let x = 0; x < Wc; x++) {
-        if (rand() > 0.6) heat[y * Wc + x] = PALETTE_SIZE - 1;
+        if (rand() < IGNITE_P) heat[y * Wc + x] = PALETTE_SIZE - 1;
       }
     }
 
@@ -338,23 +291,34 @@ export const fire = (() => {
     const H = ctx.h / ctx.dpr;
 
     // Background
-    g.fillStyle = BG;
+    syncPalette(ctx.theme);
+    g.fillStyle = bgColor;
     g.fillRect(0, 0, W, H);
 
     // Apply speed multiplier
     applySpeed(ctx);
 
-    // Fixed-step simulation
-    const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
-    let dt = now - lastT;
+    // Fixed-step simulation on the driver's clock (rAF time live, fixed steps in frame export)
+    let dt = lastT == null ? 0 : ctx.now - lastT;
     if (dt > 250) dt = 250;
-    lastT = now;
+    lastT = ctx.now;
     acc += dt;
     while (running && !ctx.paused && acc >= stepMs) {
       stepSim();
       acc -= stepMs;
     }
 
+    // Seamless loop: the sim runs on, but what's drawn fades back into the first frame
+    let field = heat;
+    if (ctx.loop) {
+      if (ctx.loop.frame === 0) loopStart = heat.slice();
+      const w = loopStart?.length === heat.length ? loopBlendWeight(ctx.loop) : 0;
+      if (w > 0) {
+        if (loopView?.length !== heat.length) loopView = new Uint8Array(heat.length);
+        field = blendFields(loopView, heat, loopStart, w);
+      }
+    }
+
     // Draw heat as ASCII
     const cellW = Math.ceil(W / Wc);
     const cellH = Math.ceil(H / Hc);
@@ -369,7 +333,7 @@ export const fire = (() => {
       let glowing = false;
 
       for (let x = 0; x < Wc; x++) {
-        const v = heat[y * Wc + x];
+        const v = field[y * Wc + x];
         if (!v) continue;
 
         const shade = SHADES[Math.min(SHADES.length - 1, ((v * SHADES.length) / PALETTE_SIZE) | 0)];
@@ -399,6 +363,23 @@ export const fire = (() => {
     }
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return {
+    id: 'fire',
+    genre: 'fire',
+    styles: [
+      { id: 'campfire', speed: 6, params: { height: 5, fuel: 5 } },
+      { id: 'blueGas', label: 'blue gas', speed: 8, params: { height: 2, fuel: 3 } },
+      { id: 'embers', speed: 3, params: { height: 1, fuel: 2 } },
+    ],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    setFlavor,
+    controls: [...FIRE_CONTROLS, ORIGINAL_COLORS],
+    seamless: true,
+  };
 })();
 [];
@@ -1,6 +1,9 @@
 /* eslint-env browser */
+import { controlValue } from '../state.js';
+import { random } from '../rng.js';
+import { loopPhase, loopBlendWeight, blendFields } from '../lib/loop.js';
+
 /** @typedef {unknown} CanvasRenderingContext2D */
-/** @typedef {unknown} KeyboardEvent */
 /**
  * @typedef {object} RenderCtx
  * @property {CanvasRenderingContext2D} ctx2d - 2D drawing context (DPR-scaled)
@@ -8,8 +11,11 @@
  * @property {number} h - Canvas height in device pixels
  * @property {number} dpr - Device pixel ratio
  * @property {number} [elapsed] - Time since last frame (ms)
+ * @property {number} [now] - Frame timestamp (ms) on the driver's clock
  * @property {boolean} [paused] - Whether animation is paused
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6)
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors
+ * @property {{frame:number, frames:number, blend:number}|null} [loop] - Seamless-loop position (frame export)
  */
 
 /**
@@ -20,11 +26,15 @@
  *
  * Exports:
  *   - init(ctx), resize(ctx), start(), stop(), clear(ctx), frame(ctx)
- *   - info (for HUD), speedModel (for UI ranges/mapping)
+ *   - id/genre/label/styles (see mode_api.js), speedModel (for UI ranges/mapping), controls (height stages)
+ *   - seamless (frame export loops: the wavy top repeats, the heat crossfades to the start)
  */
 export const fireAscii = (() => {
   // Classic ASCII shade ramp (cool → hot)
   const SHADES = [' ', '.', ':', '-', '~', '*', '+', '=', '%', '#', '@'];
+  // Sim steps per second, whatever the frame rate (the look was tuned at 60 fps)
+  const SIM_HZ = 60;
+  const STEP_MS = 1000 / SIM_HZ;
 
   // Coarse cell targets (CSS px per cell)
   const SCALE_X = 7; // ~chars per 7px horizontally
@@ -44,21 +54,19 @@ export const fireAscii = (() => {
     },
   };
 
-  // CSS var helper
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-
   // ---------- Height Intensity (staged 1..10) ----------
   // 1/10 ≈ 10% screen, 5/10 ≈ ~50% screen, 10/10 ≈ full screen feel.
   // We apply a cooling band near a per-column, wavy cutoff for natural tips.
-  const HEIGHT_FRAC = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.65, 0.8, 0.9, 0.95, 1.0]; // index 0 unused
-  const HEIGHT_STEPS_TOTAL = 10;
-  let heightIndex = 5; // default ~half screen
-  const clampStep = (i) => Math.max(1, Math.min(10, Math.round(i)));
-  const emitHeightStep = () => {
-    const bus = (window.app && window.app.events) || window.events;
-    bus?.emit?.('fire.height.step', { index: heightIndex, total: HEIGHT_STEPS_TOTAL });
-  };
+  const HEIGHT_FRAC = [0.1, 0.2, 0.3, 0.4, 0.5, 0.65, 0.8, 0.9, 0.95, 1.0];
+  const controls = [
+    {
+      key: 'height',
+      label: 'Height',
+      stages: HEIGHT_FRAC,
+      default: 5, // ~half screen
+      keys: ['ArrowDown', 'ArrowUp'],
+    },
+  ];
 
   // --- coarse grid state ---
   let Wc = 0,
@@ -75,9 +83,16 @@ export const fireAscii = (() => {
   /** @type {Float32Array|null} */
   let ceilPhase = null;
 
-  // one-time guards
-  let wiredBus = false;
-  let keysBound = false;
+  // Seamless loops: wave phases and whole turns per loop, heat of the loop's first frame,
+  // and the crossfaded field drawn near the end
+  /** @type {{base:Float32Array, turns:Float32Array}|null} */
+  let loopWave = null;
+  /** @type {Uint8Array|null} */ let loopStart = null;
+  /** @type {Uint8Array|null} */ let loopView = null;
+
+  // Last frame's ctx.now (null until the first frame after init/start) and unsimulated time
+  let lastT = null,
+    acc = 0;
 
   /**
    * Rebuild coarse grid & buffers based on canvas size.
@@ -93,7 +108,7 @@ export const fireAscii = (() => {
 
     // init per-column wave phases
     ceilPhase = new Float32Array(Wc);
-    for (let x = 0; x < Wc; x++) ceilPhase[x] = Math.random() * Math.PI * 2;
+    for (let x = 0; x < Wc; x++) ceilPhase[x] = random() * Math.PI * 2;
   }
 
   /**
@@ -118,24 +133,10 @@ export const fireAscii = (() => {
   function init(ctx) {
     resetCanvasState(ctx);
     rebuild(ctx);
-
-    // Single authoritative bus wiring (optional external control)
-    if (!wiredBus) {
-      const bus = (window.app && window.app.events) || window.events;
-      if (bus?.on) {
-        // Accept {index} to set the height stage directly
-        bus.on('fire.height.idx', (payload) => {
-          const idx = payload && typeof payload === 'object' ? payload.index : payload;
-          if (!Number.isFinite(idx)) return;
-          heightIndex = clampStep(idx);
-          emitHeightStep();
-        });
-      }
-      wiredBus = true;
-    }
-
-    // Show baseline step on entry
-    emitHeightStep();
+    loopWave = null;
+    loopStart = null;
+    lastT = null;
+    acc = 0;
   }
 
   /**
@@ -150,18 +151,12 @@ export const fireAscii = (() => {
   /** Start simulation. @returns {void} */
   function start() {
     running = true;
-    if (!keysBound) {
-      window.addEventListener('keydown', onKey, { passive: false });
-      keysBound = true;
-    }
+    lastT = null;
+    acc = 0;
   }
   /** Stop simulation.  @returns {void} */
   function stop() {
     running = false;
-    if (keysBound) {
-      window.removeEventListener('keydown', onKey);
-      keysBound = false;
-    }
   }
 
   /**
@@ -199,40 +194,76 @@ export const fireAscii = (() => {
   }
 
   /**
-   * Shift+Up/Down → heightIndex (1..10). Emits fire.height.step for HUD.
-   * @param {KeyboardEvent} e - Keyboard event from window; only handles Shift+Arrow keys.
+   * Advance the heat field by one fixed step.
+   * @param {number} heightFrac - Flame height (0.10..1.00) from the Height control.
+   * @param {boolean} drift - Also drift the wavy top (off in seamless loops, which set it per frame).
    * @returns {void}
    */
-  function onKey(e) {
-    if (!e.shiftKey) return;
-    let handled = false;
-    switch (e.key) {
-      case 'ArrowUp': {
-        if (heightIndex < 10) {
-          heightIndex += 1;
-          emitHeightStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowDown': {
-        if (heightIndex > 1) {
-          heightIndex -= 1;
-          emitHeightStep();
-        }
-        handled = true;
-        break;
+  function stepSim(heightFrac, drift) {
+    // Global cutoff row and smoothing band
+    const cutoffRow = Math.floor((1 - heightFrac) * (Hc - 1));
+    const bandRows = Math.max(2, Math.floor(0.12 * Hc)); // smoothing band thickness
+    const bandStrength = (1 - heightFrac) * 10; // extra cooling strength
+
+    // Drift the per-column phase so the top wiggles
+    if (drift && ceilPhase && ceilPhase.length === Wc) {
+      for (let x = 0; x < Wc; x++) {
+        ceilPhase[x] += 0.03 + 0.02 * random(); // tiny, jittery
       }
     }
-    if (handled) {
-      e.preventDefault();
-      e.stopPropagation();
+
+    // 1) Seed bottom row with “fuel”
+    for (let x = 0; x < Wc; x++) {
+      heat[(Hc - 1) * Wc + x] = random() < emberChance ? 255 : 0;
+    }
+
+    // 2) Diffuse upward with lateral jitter, cooling, and occasional 2-row hop
+    for (let y = 0; y < Hc - 1; y++) {
+      const baseLift = 0.3 + 0.2 * (1 - y / (Hc - 1)); // 0.50 → 0.30
+      const hopBoost = 0.06 * (heightFrac - 0.5); // subtle extra lift at high stages
+      const liftHere = Math.max(0.2, Math.min(0.7, baseLift + hopBoost));
+
+      for (let x = 0; x < Wc; x++) {
+        const rx = (x + (((random() * 3) | 0) - 1) + Wc) % Wc;
+        const hop = random() < liftHere && y + 2 < Hc ? 2 : 1;
+        const below = heat[(y + hop) * Wc + rx];
+
+        const coolJitter = (random() * 2) | 0; // 0..1
+        const coolTaper = 0.95 - 0.05 * (y / (Hc - 1)); // 0.95 → 0.90
+
+        // Per-column local cutoff: gently undulate the top band
+        const localCutoff = Math.max(
+          0,
+          Math.min(
+            Hc - 1,
+            cutoffRow + Math.floor(bandRows * 0.6 * Math.sin(ceilPhase ? ceilPhase[x] : 0))
+          )
+        );
+
+        // Smooth 0→1 ramp ABOVE the local cutoff (toward the top)
+        const tLocal = (localCutoff - y) / bandRows;
+        const rampLocal = tLocal <= 0 ? 0 : tLocal >= 1 ? 1 : tLocal;
+
+        // base cooling + local extra band cooling
+        const coolEff = Math.max(
+          1,
+          (coolBase - 0.4 + coolJitter) * coolTaper + bandStrength * rampLocal
+        );
+
+        const i = y * Wc + x;
+        let h = below > coolEff ? below - coolEff : 0;
+
+        // Soft fade near/above the band (no “flat wall”)
+        h = (h * (1 - 0.65 * rampLocal)) | 0;
+
+        heat[i] = h;
+      }
     }
   }
 
   /**
    * Draw one frame and advance simulation when running.
-   * @param {*} ctx - Render context {ctx2d,dpr,w,h,elapsed,paused,speed}.
+   * @param {*} ctx - Render context {ctx2d,dpr,w,h,now,elapsed,paused,speed}.
    * @returns {void}
    */
   function frame(ctx) {
@@ -242,77 +273,55 @@ export const fireAscii = (() => {
 
     // --- Height shaping (natural tips) ---
     // heightFrac in [0.10..1.00]; higher → taller flames.
-    const heightFrac = HEIGHT_FRAC[heightIndex];
-
-    // Global cutoff row and smoothing band
-    const cutoffRow = Math.floor((1 - heightFrac) * (Hc - 1));
-    const bandRows = Math.max(2, Math.floor(0.12 * Hc)); // smoothing band thickness
-    const bandStrength = (1 - heightFrac) * 10; // extra cooling strength
-
-    // Drift the per-column phase so the top wiggles
-    if (ceilPhase && ceilPhase.length === Wc) {
-      for (let x = 0; x < Wc; x++) {
-        ceilPhase[x] += 0.03 + 0.02 * Math.random(); // tiny, jittery
+    const heightFrac = controlValue('fireAscii', 'height');
+
+    // Seamless loop: the wavy top is set from the loop position instead of drifting
+    if (ceilPhase && ceilPhase.length === Wc && ctx.loop) {
+      // Looping: each column turns a whole number of times per loop, at about the usual rate
+      const { frames } = ctx.loop;
+      if (loopWave?.base.length !== Wc) {
+        loopWave = { base: ceilPhase.slice(), turns: new Float32Array(Wc) };
+        for (let x = 0; x < Wc; x++) {
+          const drift = 0.03 + 0.02 * random();
+          loopWave.turns[x] = Math.max(1, Math.round((drift * frames) / (Math.PI * 2)));
+        }
       }
+      const t = (loopPhase(ctx.loop.frame, frames) / frames) * Math.PI * 2;
+      for (let x = 0; x < Wc; x++) ceilPhase[x] = loopWave.base[x] + loopWave.turns[x] * t;
     }
 
     const g = ctx.ctx2d;
     const W = ctx.w / ctx.dpr;
     const H = ctx.h / ctx.dpr;
 
-    // --- Simulation ---
+    // --- Simulation: fixed steps on the driver's clock (rAF time live, fixed steps in frame
+    // export), so a power profile's frame cap draws less often without slowing the fire ---
+    let dt = lastT == null ? STEP_MS : ctx.now - lastT;
+    if (!(dt >= 0)) dt = STEP_MS;
+    lastT = ctx.now;
     if (running && !ctx.paused) {
-      // 1) Seed bottom row with “fuel”
-      for (let x = 0; x < Wc; x++) {
-        heat[(Hc - 1) * Wc + x] = Math.random() < emberChance ? 255 : 0;
+      acc = Math.min(acc + dt, 250);
+      while (acc >= STEP_MS) {
+        stepSim(heightFrac, !ctx.loop);
+        acc -= STEP_MS;
       }
+    } else {
+      acc = 0;
+    }
 
-      // 2) Diffuse upward with lateral jitter, cooling, and occasional 2-row hop
-      for (let y = 0; y < Hc - 1; y++) {
-        const baseLift = 0.3 + 0.2 * (1 - y / (Hc - 1)); // 0.50 → 0.30
-        const hopBoost = 0.06 * (heightFrac - 0.5); // subtle extra lift at high stages
-        const liftHere = Math.max(0.2, Math.min(0.7, baseLift + hopBoost));
-
-        for (let x = 0; x < Wc; x++) {
-          const rx = (x + (((Math.random() * 3) | 0) - 1) + Wc) % Wc;
-          const hop = Math.random() < liftHere && y + 2 < Hc ? 2 : 1;
-          const below = heat[(y + hop) * Wc + rx];
-
-          const coolJitter = (Math.random() * 2) | 0; // 0..1
-          const coolTaper = 0.95 - 0.05 * (y / (Hc - 1)); // 0.95 → 0.90
-
-          // Per-column local cutoff: gently undulate the top band
-          const localCutoff = Math.max(
-            0,
-            Math.min(
-              Hc - 1,
-              cutoffRow + Math.floor(bandRows * 0.6 * Math.sin(ceilPhase ? ceilPhase[x] : 0))
-            )
-          );
-
-          // Smooth 0→1 ramp ABOVE the local cutoff (toward the top)
-          const tLocal = (localCutoff - y) / bandRows;
-          const rampLocal = tLocal <= 0 ? 0 : tLocal >= 1 ? 1 : tLocal;
-
-          // base cooling + local extra band cooling
-          const coolEff = Math.max(
-            1,
-            (coolBase - 0.4 + coolJitter) * coolTaper + bandStrength * rampLocal
-          );
-
-          const i = y * Wc + x;
-          let h = below > coolEff ? below - coolEff : 0;
-
-          // Soft fade near/above the band (no “flat wall”)
-          h = (h * (1 - 0.65 * rampLocal)) | 0;
-
-          heat[i] = h;
-        }
+    // Seamless loop: the sim runs on, but what's drawn fades back into the first frame
+    let field = heat;
+    if (ctx.loop) {
+      if (ctx.loop.frame === 0) loopStart = heat.slice();
+      const w = loopStart?.length === heat.length ? loopBlendWeight(ctx.loop) : 0;
+      if (w > 0) {
+        if (loopView?.length !== heat.length) loopView = new Uint8Array(heat.length);
+        field = blendFields(loopView, heat, loopStart, w);
       }
     }
 
     // --- Render ---
-    g.fillStyle = readVar('--bg', '#000');
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
 
     const cellW = Math.max(1, Math.ceil(W / Wc));
@@ -320,12 +329,12 @@ export const fireAscii = (() => {
 
     g.font = `${Math.max(10, cellH)}px ui-monospace, SFMono-Regular, Menlo, monospace`;
     g.textBaseline = 'top';
-    g.fillStyle = readVar('--fg', '#ffa500');
+    g.fillStyle = ctx.theme.css.fg;
 
     for (let y = 0; y < Hc; y++) {
       const yPix = y * cellH;
       for (let x = 0; x < Wc; x++) {
-        const v = heat[y * Wc + x];
+        const v = field[y * Wc + x];
         if (!v) continue;
         const ch = SHADES[Math.min(SHADES.length - 1, (v / 24) | 0)];
         g.fillText(ch, x * cellW, yPix);
@@ -333,8 +342,20 @@ export const fireAscii = (() => {
     }
   }
 
-  // metadata for HUD/flavor cycling
-  const info = { family: 'fire', flavor: 'ASCII' };
-
-  return { init, resize, start, stop, clear, frame, info, speedModel };
+  return {
+    id: 'fireAscii',
+    genre: 'fire',
+    label: 'ASCII',
+    name: 'fireAscii',
+    styles: [{ id: 'classic', speed: 6 }],
+    init,
+    resize,
+    start,
+    stop,
+    clear,
+    frame,
+    speedModel,
+    controls,
+    seamless: true,
+  };
 })();
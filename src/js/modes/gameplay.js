@@ -9,6 +9,7 @@
 // Draws to canvas and follows vibe (--bg / --fg / --accent).
 
 import { modular } from '../lib/typography.js';
+import { random } from '../rng.js';
 
 /** @typedef {any} CanvasRenderingContext2D */
 
@@ -23,6 +24,7 @@ import { modular } from '../lib/typography.js';
  * @property {number} [dt] - Delta time in seconds (for blink/caret).
  * @property {boolean} [paused] - Whether animation is paused.
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6).
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
  */
 
 // ———————————————————————————————————————————————
@@ -35,7 +37,7 @@ import { modular } from '../lib/typography.js';
  * @returns {number} Random integer from 0 up to but not including n.
  */
 function rand(n) {
-  return (Math.random() * n) | 0;
+  return (random() * n) | 0;
 }
 
 /**
@@ -54,7 +56,7 @@ function pick(arr) {
  * @returns {boolean} True with probability p, otherwise false.
  */
 function chance(p) {
-  return Math.random() < p;
+  return random() < p;
 }
 
 /**
@@ -64,7 +66,7 @@ function chance(p) {
  * @returns {number} Random integer in the half-open range [min, max).
  */
 function randInt(min, max) {
-  return (min + Math.random() * (max - min)) | 0;
+  return (min + random() * (max - min)) | 0;
 }
 
 /**
@@ -88,26 +90,13 @@ function format(tpl, obj) {
 }
 
 /**
- * Read a CSS variable, fallback if missing.
- * @param {string} name - CSS var name (e.g., '--bg').
- * @param {string} fallback - Fallback color/string.
- * @returns {string} Resolved CSS variable value (or fallback).
- */
-function cssVar(name, fallback) {
-  const v = window.getComputedStyle(document.documentElement).getPropertyValue(name).trim();
-  return v || fallback;
-}
-
-/**
- * Current palette from vibe.
+ * Current palette from the vibe's theme tokens.
+ * @param {import('../theme_tokens.js').ThemeTokens} theme - ctx.theme.
  * @returns {{bg:string, fg:string, accent:string}} Object containing background, foreground, and accent colors.
  */
-function readPalette() {
-  return {
-    bg: cssVar('--bg', '#0b0c10'),
-    fg: cssVar('--fg', '#c7f7c7'),
-    accent: cssVar('--accent', '#e3ffe3'),
-  };
+function readPalette(theme) {
+  const { bg, fg, accent } = theme.css;
+  return { bg, fg, accent };
 }
 
 // ———————————————————————————————————————————————
@@ -285,7 +274,9 @@ const DEATH = {
 // ———————————————————————————————————————————————
 // Internal state (render + game)
 // ———————————————————————————————————————————————
-let PALETTE = readPalette();
+/** @type {{bg:string, fg:string, accent:string}|null} */
+let PALETTE = null;
+let paletteVersion = -1; // theme token version PALETTE was built for
 let lineH = 18;
 let fontPx = 16;
 
@@ -618,7 +609,7 @@ function handleResponse(cmd, cmdType) {
  * @returns {void} No return value.
  */
 function scheduleTurn() {
-  const r = Math.random();
+  const r = random();
   let cmdType = 'move';
   if (r < DATA.weights.move) cmdType = 'move';
   else if (r < DATA.weights.move + DATA.weights.action) cmdType = 'action';
@@ -723,8 +714,16 @@ function drawBuffer(ctx) {
 // ———————————————————————————————————————————————
 // Lifecycle API (init/resize/clear/start/stop/frame)
 // ———————————————————————————————————————————————
-let __onTheme = null;
-let __onVibe = null;
+/**
+ * Rebuild PALETTE when the theme tokens changed since it was built.
+ * @param {RenderCtx} ctx - Render context carrying `theme`.
+ * @returns {void} No return value.
+ */
+function syncPalette(ctx) {
+  if (PALETTE && ctx.theme.version === paletteVersion) return;
+  paletteVersion = ctx.theme.version;
+  PALETTE = readPalette(ctx.theme);
+}
 
 /**
  * Initialize mode.
@@ -732,12 +731,15 @@ let __onVibe = null;
  * @returns {void} No return value.
  */
 function init(ctx) {
-  PALETTE = readPalette();
+  syncPalette(ctx);
   syncTypography(ctx);
   buffer = [];
   caretBlink = 0;
   caretOn = true;
   activeInput = null;
+  queue.length = 0;
+  typing = null;
+  frame._nextTurnAt = 0;
 
   // banner, then room + prompt
   pushLine('Welcome to Zorkish.');
@@ -745,18 +747,6 @@ function init(ctx) {
   pushLine('');
   enterNewRoom();
 
-  const bus = window.app && window.app.events;
-  if (bus && typeof bus.on === 'function') {
-    __onTheme = () => {
-      PALETTE = readPalette();
-    };
-    __onVibe = () => {
-      PALETTE = readPalette();
-    };
-    bus.on('theme', __onTheme);
-    bus.on('vibe', __onVibe);
-  }
-
   paintBG(ctx);
 }
 
@@ -766,7 +756,7 @@ function init(ctx) {
  * @returns {void} No return value.
  */
 function resize(ctx) {
-  PALETTE = readPalette();
+  syncPalette(ctx);
   syncTypography(ctx);
   paintBG(ctx);
 }
@@ -783,21 +773,14 @@ function clear(ctx) {
   caretBlink = 0;
   caretOn = true;
   activeInput = null;
-  PALETTE = readPalette();
+  syncPalette(ctx);
   paintBG(ctx);
 }
 
 /** @returns {void} No return value. */
 function start() {}
 /** @returns {void} No return value. */
-function stop() {
-  const bus = window.app && window.app.events;
-  if (bus && typeof bus.off === 'function') {
-    if (__onTheme) bus.off('theme', __onTheme);
-    if (__onVibe) bus.off('vibe', __onVibe);
-  }
-  __onTheme = __onVibe = null;
-}
+function stop() {}
 
 /**
  * Per-frame tick.
@@ -805,14 +788,16 @@ function stop() {
  * @returns {void} No return value.
  */
 function frame(ctx) {
-  PALETTE = readPalette();
+  syncPalette(ctx);
   applySpeed(ctx.speed);
+  // Frame clock from the driver (rAF time live, fixed steps in frame export)
+  const now = ctx.now;
 
   // schedule a new turn every ~1.6–3.2s (speed-scaled)
-  if (!frame._nextTurnAt) frame._nextTurnAt = performance.now() + randInt(900, 1300);
-  if (performance.now() >= frame._nextTurnAt) {
+  if (!frame._nextTurnAt) frame._nextTurnAt = now + randInt(900, 1300);
+  if (now >= frame._nextTurnAt) {
     scheduleTurn();
-    frame._nextTurnAt = performance.now() + scaledDelay(randInt(1600, 3200));
+    frame._nextTurnAt = now + scaledDelay(randInt(1600, 3200));
   }
 
   // dequeue → typing state setup
@@ -822,7 +807,7 @@ function frame(ctx) {
       typing = {
         text: task.text,
         i: 0,
-        preDelayUntil: performance.now() + TYPING.prePromptDelayMs,
+        preDelayUntil: now + TYPING.prePromptDelayMs,
         nextCharAt: 0,
         cmdType: task.meta.cmdType,
       };
@@ -838,16 +823,16 @@ function frame(ctx) {
 
   // typing loop (updates ONLY activeInput; commits once on completion)
   if (typing) {
-    if (performance.now() < typing.preDelayUntil) {
+    if (now < typing.preDelayUntil) {
       // waiting before typing
-    } else if (performance.now() >= typing.nextCharAt) {
+    } else if (now >= typing.nextCharAt) {
       const ch = typing.text.charAt(typing.i);
       activeInput = (activeInput ?? '') + ch;
       typing.i += 1;
 
       let delay = randInt(TYPING.charDelayMinMs, TYPING.charDelayMaxMs);
       if (chance(TYPING.jitterPauseChance)) delay += TYPING.jitterPauseMs;
-      typing.nextCharAt = performance.now() + scaledDelay(delay);
+      typing.nextCharAt = now + scaledDelay(delay);
 
       if (typing.i >= typing.text.length) {
         // Commit the full command ONCE, on one line
@@ -883,7 +868,16 @@ function frame(ctx) {
 
 // public API
 export const gameplay = (() => {
-  const api = { init, resize, clear, start, stop, frame };
-  api.info = { family: 'developer', flavor: 'game play' };
-  return api;
+  return {
+    id: 'gameplay',
+    genre: 'developer',
+    label: 'game play',
+    unlisted: true,
+    init,
+    resize,
+    clear,
+    start,
+    stop,
+    frame,
+  };
 })();
@@ -1,6 +1,8 @@
 // src/js/modes/index.js
+// Built-in modes. Each module exports a mode definition (id, genre, label, styles, speed;
+// see mode_api.js), and registerBuiltinModes registers them in this order, the same way as a
+// plugin. The order sets the genre order and each genre's style order.
 
-// Import the named exports (the actual mode objects)
 import { liveOutput } from './live_output.js';
 import { crypto } from './crypto.js';
 import { sysadmin } from './sysadmin.js';
@@ -8,14 +10,13 @@ import { coding } from './coding.js';
 import { mining } from './mining.js';
 import { gameplay } from './gameplay.js';
 import { matrix } from './matrix.js';
-import { digitalrain } from './digitalrain.js';
 import { rain_bsd } from './rain_bsd.js';
+import { digitalrain } from './digitalrain.js';
 import { drizzle } from './drizzle.js';
 import { fire } from './fire.js';
 import { fireAscii } from './fire_ascii.js';
 
-// Map keys directly to the mode objects
-export const registry = {
+export const BUILTIN_MODES = [
   liveOutput,
   crypto,
   sysadmin,
@@ -23,12 +24,16 @@ export const registry = {
   mining,
   gameplay,
   matrix,
+  rain_bsd,
   digitalrain,
-  bsd: rain_bsd,
   drizzle,
   fire,
   fireAscii,
-};
+];
+
+// Mode key -> runtime mode object, filled by registerMode. No prototype, so a key such as
+// "constructor" is only found if a mode registered it.
+export const registry = Object.create(null);
 
 export const variantsByFamily = (family) =>
   Object.entries(registry).filter(([, mod]) => mod?.info?.family === family);
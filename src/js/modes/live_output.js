@@ -3,6 +3,8 @@
 // Program: LiveOutput
 // Genre: System (full-screen logs/tests/mini-UI events stream)
 
+import { random } from '../rng.js';
+
 /**
  * Local typedef to keep JSDoc happy in plain JS builds where DOM lib
  * types aren't surfaced to the linter.
@@ -28,30 +30,24 @@ export const liveOutput = (() => {
   // Palette from vibe (with fallbacks)
   /** @type {Record<string,string>|null} */
   let SEV = null;
+  let sevVersion = -1; // theme token version SEV was built for
 
   /**
-   * Read a CSS variable from :root with a JS fallback.
-   * @param {string} name - CSS variable name (e.g., '--log-info').
-   * @param {string} fallback - Color to use if the variable is unset/empty.
-   * @returns {string} The resolved color value.
-   */
-  function readVar(name, fallback) {
-    const v = window.getComputedStyle(document.documentElement).getPropertyValue(name).trim();
-    return v || fallback;
-  }
-
-  /**
-   * Populate the severity palette from the current vibe/theme.
+   * Populate the severity palette from the vibe's theme tokens (when they changed).
+   * @param {import('../theme_tokens.js').ThemeTokens} theme - ctx.theme.
    * @returns {void} Initializes/updates the global SEV map.
    */
-  function readPalette() {
+  function readPalette(theme) {
+    if (SEV && theme.version === sevVersion) return;
+    sevVersion = theme.version;
+    const { css } = theme;
     SEV = {
-      INFO: readVar('--log-info', '#a9d1ff'),
-      DEBUG: readVar('--log-debug', '#cfcfcf'),
-      WARN: readVar('--log-warn', '#ffd37a'),
-      ERROR: readVar('--log-error', '#ff9e9e'),
-      PASS: readVar('--log-pass', '#b8ffb8'),
-      FAIL: readVar('--log-fail', '#ffb0b0'),
+      INFO: css.logInfo,
+      DEBUG: css.logDebug,
+      WARN: css.logWarn,
+      ERROR: css.logError,
+      PASS: css.logPass,
+      FAIL: css.logFail,
     };
   }
 
@@ -82,7 +78,7 @@ export const liveOutput = (() => {
    * @returns {T} A random element.
    */
   function pick(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(random() * arr.length)];
   }
 
   /**
@@ -105,7 +101,6 @@ export const liveOutput = (() => {
    * @returns {void} Renders one colored line at the provided Y.
    */
   function drawLine(g, y, sevRaw, txt) {
-    if (!SEV) readPalette();
     const key = String(sevRaw || 'INFO')
       .toUpperCase()
       .trim();
@@ -117,11 +112,11 @@ export const liveOutput = (() => {
 
   /**
    * Initialize / recompute all metrics from geometry & DPR.
-   * @param {{ctx2d:CanvasRenderingContext2D,w:number,h:number,dpr?:number}} ctx - Shared render context.
+   * @param {{ctx2d:CanvasRenderingContext2D,w:number,h:number,dpr?:number,theme:object}} ctx - Shared render context.
    * @returns {void}
    */
   function init(ctx) {
-    readPalette();
+    readPalette(ctx.theme);
 
     const g = ctx.ctx2d;
     g.font = font;
@@ -179,18 +174,21 @@ export const liveOutput = (() => {
 
   /** @returns {void} Start hook (no-op). */
   function start() {}
-  /** @returns {void} Stop hook (no-op). */
-  function stop() {}
+  /** @returns {void} Drop the scrollback so the next start re-seeds it (same seed, same log). */
+  function stop() {
+    lines = [];
+  }
 
   /**
    * Per-frame update & draw.
-   * @param {{ctx2d:CanvasRenderingContext2D,w:number,h:number,elapsed:number,dt:number,speed:number}} ctx - Shared
+   * @param {{ctx2d:CanvasRenderingContext2D,w:number,h:number,elapsed:number,dt:number,speed:number,theme:object}} ctx - Shared
    * render context providing timing deltas (`elapsed`/`dt`), the current speed multiplier (`speed`),
    * the canvas size (`w`/`h`), and the 2D drawing context (`ctx2d`).
    * @returns {void} Advances cadence and renders the latest lines.
    */
   function frame(ctx) {
     const g = ctx.ctx2d;
+    readPalette(ctx.theme);
 
     // cadence (dt already speed/paused aware from main.js run loop)
     accum += ctx.dt;
@@ -198,10 +196,10 @@ export const liveOutput = (() => {
       accum -= BASE_INTERVAL;
 
       // One RNG sample keeps predictable proportions
-      const r = Math.random();
+      const r = random();
       if (r < 0.1) {
-        const passed = 10 + Math.floor(Math.random() * 20);
-        const failed = Math.random() < 0.12 ? 1 : 0;
+        const passed = 10 + Math.floor(random() * 20);
+        const failed = random() < 0.12 ? 1 : 0;
         const sev = failed ? 'FAIL' : 'PASS';
         push(lines, `[${sev}] tests: ${passed} passed, ${failed} failed`);
       } else if (r < 0.2) {
@@ -225,7 +223,5 @@ export const liveOutput = (() => {
     }
   }
 
-  const api = { init, resize, clear, start, stop, frame };
-  api.info = { family: 'system', flavor: 'liveOutput' };
-  return api;
+  return { id: 'liveOutput', genre: 'system', init, resize, clear, start, stop, frame };
 })();
@@ -1,11 +1,15 @@
 // src/js/modes/matrix.js
 /* eslint-env browser */
 
-import { emit } from '../state.js';
+import { controlValue } from '../state.js';
+import { random } from '../rng.js';
+import { makeRng, seedFrom } from '../lib/utils.js';
+import { RAIN_CONTROLS, ORIGINAL_COLORS } from './controls.js';
+import { rainPalette } from '../lib/palette.js';
+import { loopPass, loopPasses, loopRandom } from '../lib/loop.js';
 
 // Local aliases for DOM types so jsdoc/no-undefined-types passes even without DOM lib types.
 /** @typedef {unknown} CanvasRenderingContext2D */
-/** @typedef {unknown} KeyboardEvent */
 
 /**
  * @typedef {object} RenderCtx
@@ -14,8 +18,12 @@ import { emit } from '../state.js';
  * @property {number} h - Canvas height in device pixels.
  * @property {number} dpr - Device pixel ratio used for scaling.
  * @property {number} [elapsed] - Time since last frame (ms).
+ * @property {number} [now] - Frame timestamp (ms) on the driver's clock.
  * @property {boolean} [paused] - Whether animation is paused.
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6).
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
+ * @property {{frame:number, frames:number, blend:number}|null} [loop] - Seamless-loop position (frame export).
+ * @property {{x:number, y:number, wall:{w:number, h:number}, time:number, seed:number}|null} [span] - Place in a wall of synced windows (sync.js).
  */
 
 /**
@@ -30,52 +38,26 @@ export const matrix = (() => {
     'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワン';
   const ASCII = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   const SYMBOLS = '!@#$%^&*<>+-/=';
-  const pickCharset = () => (Math.random() < 0.7 ? KATAKANA + ASCII : ASCII + SYMBOLS);
+
+  // Flavor -> column charset picker (defaults such as tail/spawn live in state.js)
+  const FLAVORS = {
+    classic: (rng) => (rng() < 0.7 ? KATAKANA + ASCII : ASCII + SYMBOLS),
+    katakana: () => KATAKANA,
+    binary: () => '01',
+    hex: () => '0123456789ABCDEF',
+  };
+  let flavor = 'classic';
+  const pickCharset = (rng = random) => FLAVORS[flavor](rng);
 
   // --- visuals ---
+  // Signature colors, used with "Original colors" on; otherwise derived from the vibe
   const TRAIL_COLOR = '#00d18f';
   const HEAD_COLOR = '#fff';
   const GLOW_COLOR = '#03FFAF';
 
   // -----------------------------
-  // Intensity controls (STAGES)
+  // State
   // -----------------------------
-  // Tail multiplier stages 1..10 (index 0 unused)
-  const TAIL_STAGES = [0, 0.01, 0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.25];
-  let tailIndex = 5; // default 1.00×
-  let TAIL_MULT = TAIL_STAGES[tailIndex];
-
-  // Spawn probability stages 1..10 (0..1)
-  const SPAWN_STAGES = [0, 0.005, 0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.225];
-  let spawnIndex = 5; // default ~5%
-  let RESPAWN_P = SPAWN_STAGES[spawnIndex];
-
-  const clampStep = (i) => Math.max(1, Math.min(10, Math.round(i)));
-
-  const snapToTailIndex = (mult) => {
-    if (!Number.isFinite(mult)) return tailIndex;
-    let bestIdx = 1,
-      best = Infinity;
-    for (let i = 1; i <= 10; i++) {
-      const d = Math.abs(TAIL_STAGES[i] - mult);
-      if (d < best) {
-        best = d;
-        bestIdx = i;
-      }
-    }
-    return bestIdx;
-  };
-
-  // HUD step toasts (X/N only — no % to avoid collisions)
-  const emitTailStep = () => emit('rain.tail.step', { index: tailIndex, total: 10 });
-  const emitSpawnStep = () => emit('rain.spawn.step', { index: spawnIndex, total: 10 });
-
-  // -----------------------------
-  // Guards & state
-  // -----------------------------
-  let wiredBus = false;
-  let keysBound = false;
-
   let cols = 0,
     rows = 0;
   let cellW = 10,
@@ -84,6 +66,24 @@ export const matrix = (() => {
   /** @type {Array<{y:number,speed:number,trail:number,charset:string}>} */
   let columns = [];
   let running = false;
+  // Last frame's ctx.now; null until the first frame after start
+  let lastT = null;
+  // Seamless loops (frame export): per-column fall plan, built on the first looped frame
+  /** @type {Array<{start:number, phase:number, passes:number, speed:number}>|null} */
+  let loopPlan = null;
+  let loopSeed = 0;
+  // Glyph picks: the mode's stream, or one that repeats with the loop (see loopRandom)
+  let glyphRandom = random;
+  // Spanning (synced windows): columns of the whole wall by wall column index, built as
+  // they scroll into view; `spanKey` names the settings they were built for
+  /** @type {Map<number, {start:number, speed:number, trail:number, charset:string, cycle:number, phase:number}>} */
+  const spanCols = new Map();
+  let spanKey = '';
+
+  /** @type {{bg:string, fade:string, trail:string, head:string, glow:string}|null} */
+  let pal = null;
+  let palOriginal = null; // "original" toggle value pal was built for
+  let palVersion = -1; // theme token version pal was built for
 
   // -----------------------------
   // Utils
@@ -107,6 +107,29 @@ export const matrix = (() => {
     return `${(v >> 16) & 255}, ${(v >> 8) & 255}, ${v & 255}`;
   }
 
+  /**
+   * Active colors: the signature palette, or one derived from the vibe. Rebuilt when the
+   * theme tokens change or the "Original colors" toggle flips.
+   * @param {import('../theme_tokens.js').ThemeTokens} theme - ctx.theme.
+   * @returns {{bg:string, fade:string, trail:string, head:string, glow:string}} Palette.
+   */
+  function palette(theme) {
+    const original = controlValue('matrix', 'original');
+    if (pal && original === palOriginal && theme.version === palVersion) return pal;
+    palOriginal = original;
+    palVersion = theme.version;
+    pal = original
+      ? {
+          bg: '#000',
+          fade: 'rgba(0,0,0,0.18)',
+          trail: hexToRgb(TRAIL_COLOR),
+          head: hexToRgb(HEAD_COLOR),
+          glow: hexToRgb(GLOW_COLOR),
+        }
+      : rainPalette(theme.rgba);
+    return pal;
+  }
+
   // -----------------------------
   // Layout / seed
   // -----------------------------
@@ -121,13 +144,7 @@ export const matrix = (() => {
     const H = ctx.h / ctx.dpr; // CSS px
 
     // Scale type from CSS size (not device pixels)
-    fontSize = Math.max(12, Math.floor(0.02 * Math.min(W, H)));
-    g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
-    g.textBaseline = 'top';
-
-    // Cell metrics in CSS px
-    cellW = Math.max(8, Math.ceil(g.measureText('M').width));
-    cellH = Math.max(fontSize, 16);
+    setFont(g, Math.max(12, Math.floor(0.02 * Math.min(W, H))));
 
     // Grid in CSS px
     cols = Math.ceil(W / cellW);
@@ -135,11 +152,28 @@ export const matrix = (() => {
 
     // (Re)seed columns
     columns = Array.from({ length: cols }, () => ({
-      y: Math.floor(-Math.random() * rows),
-      speed: 0.5 + Math.random() * 0.5,
-      trail: 6 + Math.floor(Math.random() * 13),
+      y: Math.floor(-random() * rows),
+      speed: 0.5 + random() * 0.5,
+      trail: 6 + Math.floor(random() * 13),
       charset: pickCharset(),
     }));
+    loopPlan = null;
+  }
+
+  /**
+   * Set the font size and measure the grid cell for it.
+   * @param {CanvasRenderingContext2D} g - 2D drawing context.
+   * @param {number} size - Font size in CSS px.
+   * @returns {void}
+   */
+  function setFont(g, size) {
+    fontSize = size;
+    g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
+    g.textBaseline = 'top';
+
+    // Cell metrics in CSS px
+    cellW = Math.max(8, Math.ceil(g.measureText('M').width));
+    cellH = Math.max(fontSize, 16);
   }
 
   // Seed a single column using current grid metrics
@@ -149,13 +183,35 @@ export const matrix = (() => {
    */
   function seedColumn() {
     return {
-      y: Math.floor(-Math.random() * rows),
-      speed: 0.5 + Math.random() * 0.5,
-      trail: 6 + Math.floor(Math.random() * 13),
+      y: Math.floor(-random() * rows),
+      speed: 0.5 + random() * 0.5,
+      trail: 6 + Math.floor(random() * 13),
       charset: pickCharset(),
     };
   }
 
+  /**
+   * Plan each column's fall for a seamless loop: a start row above the screen, a whole
+   * number of passes per loop (close to its natural fall-and-respawn rhythm) and a phase,
+   * so every position repeats after `frames` frames. Short loops speed the fall up.
+   * @param {number} frames - Loop length in frames.
+   * @param {number} rate - Rows per frame for a column of speed 1.
+   * @param {number} tailMult - Tail control value.
+   * @param {number} spawn - Chance per frame that an off-screen column restarts.
+   * @returns {Array<{start:number, phase:number, passes:number, speed:number}>} One plan per column.
+   */
+  function planLoop(frames, rate, tailMult, spawn) {
+    return columns.map((col) => {
+      const v = col.speed * rate;
+      const trailLen = Math.max(1, Math.min(40, Math.round(col.trail * tailMult)));
+      const start = Math.floor(-random() * rows);
+      const travel = rows + trailLen + 1 - start; // until the whole trail is below the screen
+      const passes = loopPasses(frames, travel / v, travel / v + 1 / Math.max(spawn, 0.01));
+      const speed = Math.max(v, (travel * passes) / frames);
+      return { start, phase: random() * frames, passes, speed };
+    });
+  }
+
   // Reset to identity, then apply DPR exactly once
   /**
    * Reset 2D canvas defaults and apply a DPR transform.
@@ -177,7 +233,7 @@ export const matrix = (() => {
   // -----------------------------
   /**
    * Initialize DPR transforms, reset canvas defaults, recompute layout,
-   * and wire the event bus (once).
+   * and paint the opaque base.
    * @param {RenderCtx} ctx - Render context with sizing and 2D canvas.
    * @returns {void}
    */
@@ -200,68 +256,25 @@ export const matrix = (() => {
       canvas.style.isolation = 'isolate';
     }
 
-    // Paint an opaque black base so Matrix doesn't pick up vibe background
+    // Paint an opaque base so Matrix doesn't pick up the page background
     const W = ctx.w / ctx.dpr;
     const H = ctx.h / ctx.dpr;
     g.save();
-    g.fillStyle = '#000';
+    g.fillStyle = palette(ctx.theme).bg;
     g.fillRect(0, 0, W, H);
     g.restore();
+  }
 
-    // Wire bus once
-    if (!wiredBus) {
-      const bus = (window.app && window.app.events) || window.events;
-      if (bus?.on) {
-        // Tail: raw multiplier (slider) OR {index}
-        bus.on('rain.tail', (m) => {
-          if (m && typeof m === 'object' && Number.isFinite(m.index)) {
-            tailIndex = clampStep(m.index);
-          } else {
-            tailIndex = snapToTailIndex(Number(m));
-          }
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emitTailStep();
-        });
-
-        // Spawn: authoritative index-only input
-        bus.on('rain.spawn.idx', (payload) => {
-          const idx = payload && typeof payload === 'object' ? payload.index : payload;
-          if (!Number.isFinite(idx)) return;
-          spawnIndex = clampStep(idx);
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emitSpawnStep();
-        });
-
-        // Vibe changes: repaint opaque black with a clean transform
-        bus.on('vibe', () => {
-          reset2D(g, ctx.dpr);
-          const W2 = ctx.w / ctx.dpr;
-          const H2 = ctx.h / ctx.dpr;
-          g.save();
-          g.fillStyle = '#000';
-          g.fillRect(0, 0, W2, H2);
-          g.restore();
-
-          // Re-assert canvas isolation after vibe flips classes/vars
-          const cv = g.canvas;
-          if (cv && cv.style) {
-            cv.style.mixBlendMode = 'normal';
-            cv.style.filter = 'none';
-            cv.style.backgroundColor = '#000';
-            cv.style.isolation = 'isolate';
-          }
-        });
-      }
-      wiredBus = true;
-    }
-
-    // Ensure staged values are coherent on init
-    TAIL_MULT = TAIL_STAGES[tailIndex];
-    RESPAWN_P = SPAWN_STAGES[spawnIndex];
-
-    // HUD steps on entry
-    emitSpawnStep();
-    emitTailStep();
+  /**
+   * Switch every stream to the flavor's glyph set. Tail/spawn defaults are
+   * written by state.setFlavor and read live each frame.
+   * @param {RenderCtx} ctx - Render context (unused; glyphs are drawn per frame).
+   * @param {string} id - Flavor key ("classic", "katakana", "binary", "hex").
+   * @returns {void}
+   */
+  function setFlavor(ctx, id) {
+    flavor = FLAVORS[id] ? id : 'classic';
+    for (const col of columns) if (col) col.charset = pickCharset();
   }
 
   /**
@@ -274,27 +287,20 @@ export const matrix = (() => {
   }
 
   /**
-   * Begin animation and bind hotkeys (once).
+   * Begin animation.
    * @returns {void}
    */
   function start() {
     running = true;
-    if (!keysBound) {
-      window.addEventListener('keydown', onKey, { passive: false });
-      keysBound = true;
-    }
+    lastT = null;
   }
 
   /**
-   * Stop animation and unbind hotkeys.
+   * Stop animation.
    * @returns {void}
    */
   function stop() {
     running = false;
-    if (keysBound) {
-      window.removeEventListener('keydown', onKey);
-      keysBound = false;
-    }
   }
 
   /**
@@ -308,7 +314,7 @@ export const matrix = (() => {
     const W = ctx.w / ctx.dpr;
     const H = ctx.h / ctx.dpr;
     g.save();
-    g.fillStyle = '#000';
+    g.fillStyle = palette(ctx.theme).bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -319,22 +325,21 @@ export const matrix = (() => {
   /**
    * Draw one glyph with head/trail styling.
    * @param {CanvasRenderingContext2D} g - 2D drawing context.
+   * @param {{head:string, glow:string, trail:string}} p - Colors from palette().
    * @param {string} ch - Single-character glyph to draw.
    * @param {number} x - X position in CSS pixels.
    * @param {number} y - Y position in CSS pixels.
    * @param {GlyphOpts} opts - Head/trail rendering options.
    * @returns {void}
    */
-  function drawGlyph(g, ch, x, y, opts) {
+  function drawGlyph(g, p, ch, x, y, opts) {
     const { isHead } = opts;
+    const { head, glow, trail } = p;
     if (isHead) {
-      const glow = hexToRgb(GLOW_COLOR);
-      const head = hexToRgb(HEAD_COLOR);
       g.shadowColor = `rgba(${glow}, 0.9)`;
       g.shadowBlur = 16;
       g.fillStyle = `rgba(${head}, 1.0)`;
     } else {
-      const trail = hexToRgb(TRAIL_COLOR);
       g.shadowBlur = 0;
       const a = opts.alpha > 0.95 ? 1 : 0.15 + opts.alpha * 0.85;
       g.fillStyle = `rgba(${trail}, ${a})`;
@@ -343,10 +348,110 @@ export const matrix = (() => {
     if (isHead) g.shadowBlur = 0;
   }
 
+  /**
+   * Draw one column: the glowing head and its fading trail above it.
+   * @param {CanvasRenderingContext2D} g - 2D drawing context.
+   * @param {{head:string, glow:string, trail:string}} p - Colors from palette().
+   * @param {{trail:number, charset:string}} col - Column state.
+   * @param {number} px - Column x in CSS pixels.
+   * @param {number} headGridY - Head row.
+   * @param {number} top - Row 0's distance above the window's top edge in CSS px (0 unless spanning).
+   * @param {number} H - Window height in CSS px.
+   * @param {number} tailMult - Tail control value.
+   * @returns {void}
+   */
+  function drawColumn(g, p, col, px, headGridY, top, H, tailMult) {
+    // head
+    {
+      const set = col.charset || pickCharset();
+      const ch = set[(glyphRandom() * set.length) | 0];
+      const y = headGridY * cellH - top;
+      if (y > -cellH && y < H + cellH) drawGlyph(g, p, ch, px, y, { isHead: true });
+    }
+
+    // trail using staged multiplier
+    const baseTrail = col.trail;
+    const trailLen = Math.max(1, Math.min(40, Math.round(baseTrail * tailMult)));
+    for (let t = 1; t <= trailLen; t++) {
+      const gy = headGridY - t;
+      const y = gy * cellH - top;
+      if (y < -cellH) break;
+      if (y > H) continue;
+      const set = col.charset || pickCharset();
+      const ch = set[(glyphRandom() * set.length) | 0];
+      const alpha = 1 - t / (trailLen + 1);
+      drawGlyph(g, p, ch, px, y, { isHead: false, alpha });
+    }
+  }
+
+  /**
+   * A column of the spanning wall, the same in every window: drawn from the shared seed
+   * and the column's index across the wall. It falls from its start row until its trail
+   * has left the bottom of the wall, then waits about as long as a respawn would.
+   * @param {number} c - Wall column index.
+   * @param {number} seed - Shared seed (ctx.span.seed).
+   * @param {number} wallRows - Rows from the top of the wall to its bottom.
+   * @param {number} tailMult - Tail control value.
+   * @param {number} spawn - Chance per frame that an off-screen column restarts.
+   * @returns {{start:number, speed:number, trail:number, charset:string, cycle:number, phase:number}} Column plan (cycle and phase in rows of fall).
+   */
+  function spanColumn(c, seed, wallRows, tailMult, spawn) {
+    let col = spanCols.get(c);
+    if (col) return col;
+    const rng = makeRng(/** @type {number} */ (seedFrom(`${seed}:matrix:${c}`)));
+    const speed = 0.5 + rng() * 0.5;
+    const trail = 6 + Math.floor(rng() * 13);
+    const trailLen = Math.max(1, Math.min(40, Math.round(trail * tailMult)));
+    const start = Math.floor(-rng() * wallRows);
+    const cycle = wallRows + trailLen + 1 - start + (FALL_RATE * speed) / Math.max(spawn, 0.01);
+    col = { start, speed, trail, charset: pickCharset(rng), cycle, phase: rng() * cycle };
+    spanCols.set(c, col);
+    return col;
+  }
+
+  /**
+   * Draw this window's part of rain spanning several synced windows. Every window builds
+   * the same columns and places them by the shared clock, so a column leaving one window
+   * carries on in the window next to it (or below it).
+   * @param {CanvasRenderingContext2D} g - 2D drawing context.
+   * @param {{head:string, glow:string, trail:string}} p - Colors from palette().
+   * @param {{x:number, y:number, wall:{w:number, h:number}, time:number, seed:number}} span - ctx.span.
+   * @param {number} W - Window width in CSS px.
+   * @param {number} H - Window height in CSS px.
+   * @param {number} tailMult - Tail control value.
+   * @param {number} spawn - Spawn control value.
+   * @returns {void}
+   */
+  function drawSpan(g, p, span, W, H, tailMult, spawn) {
+    // Type sized from the wall, so every window shares one grid
+    const size = Math.max(12, Math.floor(0.02 * Math.min(span.wall.w, span.wall.h)));
+    if (size !== fontSize) setFont(g, size);
+
+    const key = `${span.seed}:${span.wall.h}:${cellH}:${flavor}:${tailMult}:${spawn}`;
+    if (key !== spanKey) {
+      spanKey = key;
+      spanCols.clear();
+    }
+
+    const wallRows = Math.ceil(span.wall.h / cellH);
+    // Rows a speed-1 column has fallen since the shared clock started
+    const fallen = (span.time / FRAME_MS) * FALL_RATE;
+    for (let c = Math.floor(span.x / cellW); c * cellW < span.x + W; c++) {
+      const col = spanColumn(c, span.seed, wallRows, tailMult, spawn);
+      const headGridY = Math.floor(
+        col.start + loopPass(fallen * col.speed, col.cycle, 1, col.phase)
+      );
+      drawColumn(g, p, col, c * cellW - span.x, headGridY, span.y, H, tailMult);
+    }
+  }
+
   // Speed mapping (global speed multiplier)
   const MIN_MUL = 0.4,
     MAX_MUL = 1.6;
   const clampMul = (m) => Math.max(MIN_MUL, Math.min(MAX_MUL, Number(m) || 1));
+  // Rows per frame at speed 1, and the frame length that rate (and spanning windows' clock) is in
+  const FALL_RATE = 0.3;
+  const FRAME_MS = 1000 / 60;
 
   /**
    * Render one frame of Matrix rain and advance stream positions.
@@ -366,20 +471,42 @@ export const matrix = (() => {
     g.shadowBlur = 0;
     g.shadowColor = 'rgba(0,0,0,0)';
 
-    // Soft fade toward black (keeps trails)
-    g.fillStyle = 'rgba(0,0,0,0.18)';
+    // Soft fade toward the background (keeps trails)
+    const p = palette(ctx.theme);
+    const { bg, fade } = p;
+    g.fillStyle = fade;
     g.fillRect(0, 0, W, H);
 
-    // Keep backing visually black even if alpha is meddled with by host
+    // Keep backing visually opaque even if alpha is meddled with by host
     g.save();
     g.globalCompositeOperation = 'destination-over';
-    g.fillStyle = '#000';
+    g.fillStyle = bg;
     g.fillRect(-1, -1, W + 2, H + 2); // slight overfill for DPR edges
     g.restore();
 
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
     g.textBaseline = 'top';
 
+    if (ctx.span) {
+      glyphRandom = random;
+      drawSpan(
+        g,
+        p,
+        ctx.span,
+        W,
+        H,
+        controlValue('matrix', 'tail'),
+        controlValue('matrix', 'spawn')
+      );
+      return;
+    }
+    if (spanKey) {
+      // Back from spanning: this window's own grid again
+      spanKey = '';
+      spanCols.clear();
+      calc(ctx);
+    }
+
     // Ensure columns array matches current col count and has valid objects
     if (columns.length !== cols) {
       const next = new Array(cols);
@@ -392,101 +519,63 @@ export const matrix = (() => {
     }
 
     const mult = clampMul(ctx.speed);
-    const base = 0.3;
+    const base = FALL_RATE;
+    const TAIL_MULT = controlValue('matrix', 'tail');
+    const RESPAWN_P = controlValue('matrix', 'spawn');
+    const { loop } = ctx;
+    if (loop && loopPlan?.length !== cols) {
+      loopPlan = planLoop(loop.frames, base * mult, TAIL_MULT, RESPAWN_P);
+      loopSeed = (random() * 0x100000000) >>> 0;
+    }
+    glyphRandom = loop ? loopRandom(loop, loopSeed) : random;
+
+    // How many 60 fps frames this one stands for, so a power profile's frame cap (or a slow
+    // machine) draws less often without slowing the rain down
+    let dt = lastT == null ? FRAME_MS : ctx.now - lastT;
+    if (!(dt >= 0)) dt = FRAME_MS;
+    lastT = ctx.now;
+    const steps = Math.min(dt, 250) / FRAME_MS;
+    const respawnP = 1 - (1 - RESPAWN_P) ** steps;
 
     for (let i = 0; i < cols; i++) {
       let col = columns[i] || (columns[i] = seedColumn());
       const px = i * cellW;
 
-      if (running && !ctx.paused) col.y += col.speed * base * mult;
-
-      const headGridY = Math.floor(col.y);
-
-      // head
-      {
-        const set = col.charset || pickCharset();
-        const ch = set[(Math.random() * set.length) | 0];
-        const y = headGridY * cellH;
-        if (y > -cellH && y < H + cellH) drawGlyph(g, ch, px, y, { isHead: true });
+      if (loop) {
+        const plan = loopPlan[i];
+        col.y =
+          plan.start + loopPass(loop.frame, loop.frames, plan.passes, plan.phase) * plan.speed;
+      } else if (running && !ctx.paused) {
+        col.y += col.speed * base * mult * steps;
       }
 
-      // trail using staged multiplier
-      const baseTrail = col.trail;
-      const trailLen = Math.max(1, Math.min(40, Math.round(baseTrail * TAIL_MULT)));
-      for (let t = 1; t <= trailLen; t++) {
-        const gy = headGridY - t;
-        const y = gy * cellH;
-        if (y < -cellH) break;
-        if (y > H) continue;
-        const set = col.charset || pickCharset();
-        const ch = set[(Math.random() * set.length) | 0];
-        const alpha = 1 - t / (trailLen + 1);
-        drawGlyph(g, ch, px, y, { isHead: false, alpha });
-      }
+      const headGridY = Math.floor(col.y);
+      drawColumn(g, p, col, px, headGridY, 0, H, TAIL_MULT);
 
-      if (running && !ctx.paused && headGridY * cellH > H && Math.random() < RESPAWN_P) {
+      if (!loop && running && !ctx.paused && headGridY * cellH > H && random() < respawnP) {
         columns[i] = seedColumn();
       }
     }
   }
 
-  // -----------------------------
-  // Hotkeys: Shift+Arrows (with stopPropagation)
-  // -----------------------------
-  /**
-   * Handle Shift+Arrow intensity hotkeys for tails/spawn.
-   * @param {KeyboardEvent} e - Keyboard event from window.
-   * @returns {void}
-   */
-  function onKey(e) {
-    if (!e.shiftKey) return;
-    let handled = false;
-    switch (e.key) {
-      case 'ArrowUp': {
-        if (tailIndex < 10) {
-          tailIndex += 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emitTailStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowDown': {
-        if (tailIndex > 1) {
-          tailIndex -= 1;
-          TAIL_MULT = TAIL_STAGES[tailIndex];
-          emitTailStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowRight': {
-        if (spawnIndex < 10) {
-          spawnIndex += 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          // send authoritative index to our private input channel
-          emit('rain.spawn.idx', { index: spawnIndex });
-          emitSpawnStep();
-        }
-        handled = true;
-        break;
-      }
-      case 'ArrowLeft': {
-        if (spawnIndex > 1) {
-          spawnIndex -= 1;
-          RESPAWN_P = SPAWN_STAGES[spawnIndex];
-          emit('rain.spawn.idx', { index: spawnIndex });
-          emitSpawnStep();
-        }
-        handled = true;
-        break;
-      }
-    }
-    if (handled) {
-      e.preventDefault();
-      e.stopPropagation();
-    }
-  }
-
-  return { init, resize, start, stop, frame, clear };
+  return {
+    id: 'matrix',
+    genre: 'rain',
+    styles: [
+      { id: 'classic', speed: 6 },
+      { id: 'katakana', speed: 5, params: { tail: 7, spawn: 5 } },
+      { id: 'binary', speed: 7, params: { tail: 4, spawn: 7 } },
+      { id: 'hex', speed: 6, params: { tail: 5, spawn: 6 } },
+    ],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    setFlavor,
+    controls: [...RAIN_CONTROLS, ORIGINAL_COLORS],
+    seamless: true,
+    spannable: true,
+  };
 })();
@@ -1,7 +1,7 @@
 // src/js/modes/mining.js
 /* eslint-env browser */
 
-import { randInt, choice } from '../lib/index.js';
+import { random, randInt, choice, randomBytes, fakeClock } from '../rng.js';
 
 /**
  * Treat the browser 2D context as an opaque type for JSDoc linting.
@@ -19,6 +19,7 @@ import { randInt, choice } from '../lib/index.js';
  * @property {number} dt - Seconds since the last frame.
  * @property {boolean} paused - Whether the animation is paused.
  * @property {number} speed - Global speed multiplier (≈0.4–1.6).
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
  */
 
 /**
@@ -57,6 +58,10 @@ export const mining = (() => {
   let partialIdx = 0;
   let typeAccumulator = 0;
 
+  // Timestamps: seeded start date plus the frame clock (see fakeClock in rng.js)
+  let clock = (t) => new Date(t);
+  let now = 0;
+
   // ——— Operator prompt (user command) ———
   const PROMPT_PREFIX = '$ ';
   let promptActive = false; // currently typing a command
@@ -76,28 +81,13 @@ export const mining = (() => {
 
   // ——— Helpers ———
 
-  /**
-   * Read a CSS variable from :root with a fallback.
-   * @param {string} name - CSS variable name (e.g., "--fg").
-   * @param {string} fallback - Value to use if variable is empty/unset.
-   * @returns {string} Resolved CSS value.
-   */
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-
-  /** @returns {string} Current vibe foreground color for text. */
-  const getFG = () => (readVar('--fg', '#03ffaf') || '#03ffaf').trim();
-
-  /** @returns {string} Current vibe background color. */
-  const getBG = () => (readVar('--bg', '#000000') || '#000000').trim();
-
   /**
    * Random float in the half-open interval [min, max).
    * @param {number} min - Lower bound (inclusive).
    * @param {number} max - Upper bound (exclusive).
    * @returns {number} A random float in [min, max).
    */
-  const randFloat = (min, max) => min + Math.random() * (max - min);
+  const randFloat = (min, max) => min + random() * (max - min);
 
   /**
    * Random hex string of length 2*n (n bytes), lowercase.
@@ -105,13 +95,11 @@ export const mining = (() => {
    * @returns {string} Hex string (2*n chars), e.g. "0fa3…".
    */
   function randHex(n) {
-    const bytes = new Uint8Array(n);
-    globalThis.crypto.getRandomValues(bytes);
-    return [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+    return [...randomBytes(n)].map((b) => b.toString(16).padStart(2, '0')).join('');
   }
 
-  /** @returns {string} HH:MM:SS timestamp. */
-  const timeStamp = () => new Date().toTimeString().slice(0, 8);
+  /** @returns {string} HH:MM:SS timestamp (make-believe, see fakeClock). */
+  const timeStamp = () => clock(now).toISOString().slice(11, 19);
 
   /**
    * Push a line into the ring buffer, trimming when over capacity.
@@ -185,7 +173,7 @@ export const mining = (() => {
    * @returns {string} A single line to append to the buffer.
    */
   function makeLine() {
-    const roll = Math.random();
+    const roll = random();
     if (roll < 0.16) {
       progress += randInt(1, 7);
       if (progress > 100) progress = 0;
@@ -231,7 +219,7 @@ export const mining = (() => {
    * @returns {string} A shell-like command to type at the prompt.
    */
   function makeCommand() {
-    const t = Math.random();
+    const t = random();
     if (t < 0.2) {
       return `mine --pool ${choice(pools)} --threads ${randInt(2, 16)} --intensity ${randInt(1, 5)}`;
     } else if (t < 0.4) {
@@ -289,6 +277,8 @@ export const mining = (() => {
 
     emitAccumulator = 0;
     typeAccumulator = 0;
+    progress = 0;
+    clock = fakeClock();
     partialLine = null;
     partialIdx = 0;
 
@@ -303,7 +293,7 @@ export const mining = (() => {
 
     // Paint base background to current vibe bg
     g.save();
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -333,7 +323,7 @@ export const mining = (() => {
 
     g.save();
     g.globalAlpha = 1;
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -417,12 +407,13 @@ export const mining = (() => {
 
     // per-mode speed mapping
     applySpeed(ctx.speed);
+    now = ctx.now;
 
     // soft fade toward the vibe background (no transform changes here)
     g.save();
     g.globalCompositeOperation = 'source-over';
     g.globalAlpha = 0.18; // trail strength
-    g.fillStyle = getBG(); // vibe-aware background
+    g.fillStyle = ctx.theme.css.bg; // vibe-aware background
     g.fillRect(0, 0, W, H);
     g.restore();
 
@@ -459,13 +450,13 @@ export const mining = (() => {
             }
 
             // maybe start a new operator prompt
-            if (promptCooldownAcc >= promptCooldownMs && Math.random() < promptChancePerEmit) {
+            if (promptCooldownAcc >= promptCooldownMs && random() < promptChancePerEmit) {
               beginPrompt();
               break; // switch to prompt typing next frame
             }
 
             // else: background line (sometimes typed)
-            if (Math.random() < typingChance) {
+            if (random() < typingChance) {
               partialLine = makeLine();
               partialIdx = 0;
             } else {
@@ -481,7 +472,7 @@ export const mining = (() => {
 
     // draw buffer
     const lines = buffer.slice(Math.max(0, buffer.length - rows));
-    const fg = getFG();
+    const fg = ctx.theme.css.fg;
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
     g.textBaseline = 'top';
     g.fillStyle = fg;
@@ -505,5 +496,5 @@ export const mining = (() => {
     }
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return { id: 'mining', genre: 'developer', init, resize, start, stop, frame, clear };
 })();
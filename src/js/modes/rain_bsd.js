@@ -1,10 +1,12 @@
 /* eslint-env browser */
 
+import { random } from '../rng.js';
+
 /**
  * Program: Rain_BSD
  * Genre: Rain
  * Style: BSD (curses-style)
- * Vibe: Uses CSS variables (--bg, --fg, --accent)
+ * Vibe: Uses the vibe's theme tokens (ctx.theme: bg, fg)
  *
  * Purpose:
  *   Classic BSD 'rain' feel with staged splash rings drawn in a terminal-style grid.
@@ -31,19 +33,11 @@
  * @property {number} [elapsed] - Milliseconds since last frame.
  * @property {boolean} [paused] - Global pause flag.
  * @property {number} [speed] - Global speed multiplier (~0.4–1.6).
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
  */
 
 export const rain_bsd = (() => {
   // --- helpers --------------------------------------------------------------
-  /**
-   * Read a CSS variable with a fallback.
-   * @param {string} name - CSS custom property name, e.g. "--fg".
-   * @param {string} fallback - Value to use if the variable is unset.
-   * @returns {string} Resolved value (trimmed).
-   */
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-
   /**
    * Inclusive random integer using an injected RNG.
    * @param {()=>number} rng - Function returning a float in [0,1).
@@ -130,7 +124,7 @@ export const rain_bsd = (() => {
     charH = 18,
     fontPx = 18;
 
-  // palette (reads from CSS variables)
+  // palette (from the vibe's theme tokens)
   let fg = '#2aa3ff',
     bg = '#000000';
 
@@ -145,14 +139,13 @@ export const rain_bsd = (() => {
 
   // --- palette refresh (fix for vibe changes) ------------------------------
   /**
-   * Refresh the foreground/background colors from CSS variables.
+   * Refresh the foreground/background colors from the render context's theme tokens.
+   * @param {VNRenderContext} ctx - Render context carrying `theme`.
    * @returns {void}
    */
-  function updatePaletteFromCss() {
-    const newFg = readVar('--fg', readVar('--accent', '#2aa3ff'));
-    const newBg = readVar('--bg', '#000');
-    if (newFg) fg = newFg;
-    if (newBg) bg = newBg;
+  function updatePalette(ctx) {
+    fg = ctx.theme.css.fg;
+    bg = ctx.theme.css.bg;
   }
 
   // --- lifecycle -----------------------------------------------------------
@@ -182,13 +175,13 @@ export const rain_bsd = (() => {
     rows = Math.max(6, Math.floor(H / charH));
 
     // Initial palette
-    updatePaletteFromCss();
+    updatePalette(ctx);
 
     // Seed a handful like the original
     entries.length = 0;
     for (let j = 0; j < 5; j++) {
       const { x, y } = randomInnerCell();
-      entries.push({ x, y, stage: rndInt(Math.random, 0, 4) });
+      entries.push({ x, y, stage: rndInt(random, 0, 4) });
     }
     tickAccMs = 0;
 
@@ -252,7 +245,7 @@ export const rain_bsd = (() => {
     reset2D(ctx.ctx2d, ctx.dpr || window.devicePixelRatio || 1);
     const W = (ctx.w || ctx.canvas?.width || 0) / (ctx.dpr || 1);
     const H = (ctx.h || ctx.canvas?.height || 0) / (ctx.dpr || 1);
-    updatePaletteFromCss();
+    updatePalette(ctx);
     ctx.ctx2d.fillStyle = bg;
     ctx.ctx2d.fillRect(0, 0, W, H);
   }
@@ -267,7 +260,7 @@ export const rain_bsd = (() => {
     if (!g) return;
 
     // pick up vibe changes live
-    updatePaletteFromCss();
+    updatePalette(ctx);
 
     // GLOBAL range 0.4..1.6; align with other modes
     const m = Math.max(0.4, Math.min(1.6, Number(ctx.speed) || 1));
@@ -311,8 +304,8 @@ export const rain_bsd = (() => {
     const top = 2,
       bottom = rows - 3;
     return {
-      x: rndInt(Math.random, left, Math.max(left, right)),
-      y: rndInt(Math.random, top, Math.max(top, bottom)),
+      x: rndInt(random, left, Math.max(left, right)),
+      y: rndInt(random, top, Math.max(top, bottom)),
     };
   }
 
@@ -394,5 +387,5 @@ export const rain_bsd = (() => {
     if (entries.length > 5) entries.splice(0, entries.length - 5);
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return { id: 'bsd', genre: 'rain', name: 'BSD', init, resize, start, stop, frame, clear };
 })();
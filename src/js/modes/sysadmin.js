@@ -1,6 +1,7 @@
 /* eslint-env browser */
 
-import { randInt } from '../lib/index.js';
+import { random, randInt, fakeClock } from '../rng.js';
+import { controlValue } from '../state.js';
 
 /**
  * Treat the browser 2D context as an opaque type for JSDoc linting.
@@ -21,11 +22,14 @@ import { randInt } from '../lib/index.js';
  * @property {number} elapsed - Time since the last frame in milliseconds.
  * @property {boolean} paused - Global paused flag; when true, emission is suspended.
  * @property {number} speed - Global speed multiplier (≈ 0.4–1.6) affecting line emission cadence.
+ * @property {import('../theme_tokens.js').ThemeTokens} theme - Active vibe colors.
  */
 
 /**
  * Sysadmin console: emits status lines (CPU/MEM/NET/DISK) with vibe-aware trail.
- * Exports: init, resize, start, stop, frame, clear.
+ * Flavors: linux (status bars), windows (Event Viewer log), kubernetes (cluster events).
+ * Controls: bar (linux bar width, Shift+←/→), verbose (DEBUG/TRACE chatter on/off).
+ * Exports: init, resize, start, stop, frame, clear, setFlavor, controls.
  */
 export const sysadmin = (() => {
   // ------- internal state -------
@@ -42,21 +46,23 @@ export const sysadmin = (() => {
   let emitAccumulator = 0;
   let emitIntervalMs = 140;
 
-  // ------- theming -------
-  /**
-   * Read a CSS custom property with a fallback.
-   * @param {string} name - CSS variable name (e.g., "--bg").
-   * @param {string} fallback - Fallback value if the variable is not set.
-   * @returns {string} Resolved value (trimmed).
-   */
-  const readVar = (name, fallback) =>
-    window.getComputedStyle(document.documentElement).getPropertyValue(name)?.trim() || fallback;
-
-  /** @returns {string} Background color derived from the current vibe. */
-  const getBG = () => (readVar('--bg', '#000000') || '#000000').trim();
-
-  /** @returns {string} Foreground color derived from the current vibe. */
-  const getFG = () => (readVar('--fg', '#03ffaf') || '#03ffaf').trim();
+  // Timestamps: seeded start date plus the frame clock (see fakeClock in rng.js)
+  let clock = (t) => new Date(t);
+  let now = 0;
+
+  const controls = [
+    {
+      key: 'bar',
+      label: 'Bar width',
+      type: 'range',
+      min: 10,
+      max: 40,
+      step: 5,
+      default: 20,
+      keys: ['ArrowLeft', 'ArrowRight'],
+    },
+    { key: 'verbose', label: 'Verbose', type: 'toggle', default: true },
+  ];
 
   // ------- line generators -------
   const barFill = '█';
@@ -68,14 +74,14 @@ export const sysadmin = (() => {
    * @param {number} [width] - Total bar width in glyphs.
    * @returns {string} A textual bar (e.g., "█████············").
    */
-  const makeBar = (pct, width = 20) => {
+  const makeBar = (pct, width = controlValue('sysadmin', 'bar')) => {
     const p = Math.max(0, Math.min(100, pct));
     const filled = Math.round((p / 100) * width);
     return barFill.repeat(filled) + barEmpty.repeat(width - filled);
   };
 
-  /** @returns {string} Current time HH:MM:SS. */
-  const timeStamp = () => new Date().toTimeString().slice(0, 8);
+  /** @returns {string} Make-believe current time HH:MM:SS. */
+  const timeStamp = () => clock(now).toISOString().slice(11, 19);
 
   /**
    * Push a new line into the ring buffer.
@@ -88,11 +94,11 @@ export const sysadmin = (() => {
   };
 
   /**
-   * Create a new synthetic sysadmin status line.
+   * Create a new synthetic Linux status line.
    * @returns {string} A single log-like status line.
    */
-  function makeLine() {
-    const r = Math.random();
+  function linuxLine() {
+    const r = random();
     if (r < 0.2) {
       const core = randInt(0, 7);
       const pct = randInt(1, 99);
@@ -113,7 +119,9 @@ export const sysadmin = (() => {
       const dn = (randInt(1, 950) / 10).toFixed(1);
       return `[${timeStamp()}] NET    ${ifc}  ↑${up}MB/s  ↓${dn}MB/s`;
     }
-    const lvls = ['INFO', 'WARN', 'DEBUG', 'TRACE'];
+    const lvls = controlValue('sysadmin', 'verbose')
+      ? ['INFO', 'WARN', 'DEBUG', 'TRACE']
+      : ['INFO', 'WARN'];
     const msgs = [
       'healthcheck ok',
       'rotating logs',
@@ -129,6 +137,105 @@ export const sysadmin = (() => {
     return `[${timeStamp()}] ${lvl.padEnd(5, ' ')} ${msg}`;
   }
 
+  // [level, source, event id, message]
+  const WIN_EVENTS = [
+    [
+      'Information',
+      'Service Control Manager',
+      7036,
+      'The Windows Update service entered the running state.',
+    ],
+    [
+      'Information',
+      'Microsoft-Windows-Kernel-General',
+      16,
+      'The access history in hive was cleared.',
+    ],
+    [
+      'Information',
+      'Microsoft-Windows-Security-Auditing',
+      4624,
+      'An account was successfully logged on.',
+    ],
+    [
+      'Information',
+      'Microsoft-Windows-Security-Auditing',
+      4672,
+      'Special privileges assigned to new logon.',
+    ],
+    ['Warning', 'Microsoft-Windows-DNS-Client', 1014, 'Name resolution for the name timed out.'],
+    [
+      'Warning',
+      'Microsoft-Windows-Time-Service',
+      36,
+      'The time service has not synchronized the system time.',
+    ],
+    [
+      'Information',
+      'Microsoft-Windows-GroupPolicy',
+      1502,
+      'The Group Policy settings for the computer were processed successfully.',
+    ],
+    [
+      'Error',
+      'Microsoft-Windows-DistributedCOM',
+      10016,
+      'The application-specific permission settings do not grant Local Activation permission.',
+    ],
+    ['Information', 'Microsoft-Windows-Kernel-Power', 566, 'The system session has transitioned.'],
+    ['Warning', 'disk', 153, 'The IO operation at logical block address was retried.'],
+  ];
+
+  /**
+   * Create a new synthetic Windows Event Viewer line.
+   * @returns {string} A single event log line.
+   */
+  function windowsLine() {
+    const [lvl, source, id, msg] = WIN_EVENTS[randInt(0, WIN_EVENTS.length - 1)];
+    const d = clock(now);
+    const date = `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
+    return `${date} ${timeStamp()}  ${lvl.padEnd(11, ' ')} ${source} (${id})  ${msg}`;
+  }
+
+  const K8S_NS = ['default', 'kube-system', 'payments', 'ingress-nginx', 'monitoring'];
+  const K8S_APPS = ['api', 'web', 'worker', 'redis', 'coredns', 'prometheus', 'ingress'];
+  // [type, reason, message]
+  const K8S_EVENTS = [
+    ['Normal', 'Scheduled', 'Successfully assigned to node-{n}'],
+    ['Normal', 'Pulled', 'Container image already present on machine'],
+    ['Normal', 'Created', 'Created container {app}'],
+    ['Normal', 'Started', 'Started container {app}'],
+    ['Normal', 'ScalingReplicaSet', 'Scaled up replica set {app}-{h} to {r}'],
+    ['Normal', 'SuccessfulCreate', 'Created pod: {app}-{h}-{s}'],
+    ['Warning', 'BackOff', 'Back-off restarting failed container {app}'],
+    ['Warning', 'Unhealthy', 'Readiness probe failed: HTTP probe failed with statuscode: 503'],
+    ['Normal', 'Killing', 'Stopping container {app}'],
+  ];
+
+  /**
+   * Create a new synthetic `kubectl get events -w` line.
+   * @returns {string} A single cluster event line.
+   */
+  function kubernetesLine() {
+    const ns = K8S_NS[randInt(0, K8S_NS.length - 1)];
+    const app = K8S_APPS[randInt(0, K8S_APPS.length - 1)];
+    const hash = random().toString(36).slice(2, 12);
+    const suffix = random().toString(36).slice(2, 7);
+    const [type, reason, tpl] = K8S_EVENTS[randInt(0, K8S_EVENTS.length - 1)];
+    const msg = tpl
+      .replace('{n}', String(randInt(1, 12)))
+      .replace('{app}', app)
+      .replace('{h}', hash)
+      .replace('{s}', suffix)
+      .replace('{r}', String(randInt(2, 12)));
+    const age = `${randInt(0, 59)}s`;
+    return `${ns.padEnd(14, ' ')} ${age.padStart(3, ' ')}  ${type.padEnd(7, ' ')} ${reason.padEnd(17, ' ')} pod/${app}-${hash}-${suffix}  ${msg}`;
+  }
+
+  // Flavor -> line generator (speed defaults live in state.js)
+  const FLAVORS = { linux: linuxLine, windows: windowsLine, kubernetes: kubernetesLine };
+  let makeLine = linuxLine;
+
   // ------- lifecycle -------
   /**
    * Initialize DPR-safe canvas defaults and sizing (mirrors crypto).
@@ -161,10 +268,11 @@ export const sysadmin = (() => {
     buffer = [];
     maxLines = rows * 5;
     emitAccumulator = 0;
+    clock = fakeClock();
 
     // Paint base background
     g.save();
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -178,6 +286,16 @@ export const sysadmin = (() => {
     init(ctx);
   }
 
+  /**
+   * Switch log flavor; lines already on screen scroll away naturally.
+   * @param {VNRenderContext} ctx - Render context (unused).
+   * @param {string} id - Flavor key ("linux", "windows", "kubernetes").
+   * @returns {void}
+   */
+  function setFlavor(ctx, id) {
+    makeLine = FLAVORS[id] || linuxLine;
+  }
+
   /**
    * Begin emitting lines each frame.
    * @returns {void}
@@ -212,7 +330,7 @@ export const sysadmin = (() => {
 
     g.save();
     g.globalAlpha = 1;
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
   }
@@ -241,11 +359,12 @@ export const sysadmin = (() => {
     const H = ctx.h / ctx.dpr;
 
     applySpeed(ctx.speed);
+    now = ctx.now;
 
     // Trail fade toward vibe background (mirror crypto’s approach)
     g.save();
     g.globalAlpha = 0.18;
-    g.fillStyle = getBG();
+    g.fillStyle = ctx.theme.css.bg;
     g.fillRect(0, 0, W, H);
     g.restore();
 
@@ -262,7 +381,7 @@ export const sysadmin = (() => {
     const lines = buffer.slice(Math.max(0, buffer.length - rows));
     g.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
     g.textBaseline = 'top';
-    g.fillStyle = getFG();
+    g.fillStyle = ctx.theme.css.fg;
 
     let y = 4;
     const xPad = 8;
@@ -274,5 +393,21 @@ export const sysadmin = (() => {
     }
   }
 
-  return { init, resize, start, stop, frame, clear };
+  return {
+    id: 'sysadmin',
+    genre: 'system',
+    styles: [
+      { id: 'linux', speed: 5 },
+      { id: 'windows', label: 'windows event log', speed: 4 },
+      { id: 'kubernetes', speed: 6 },
+    ],
+    init,
+    resize,
+    start,
+    stop,
+    frame,
+    clear,
+    setFlavor,
+    controls,
+  };
 })();
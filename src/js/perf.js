@@ -0,0 +1,164 @@
+/* eslint-env browser */
+// src/js/perf.js
+// Frame-time diagnostics. main.js records one sample per rendered frame (interval since
+// the previous frame plus the cost of each phase of run()); the overlay in
+// ui/perf_overlay.js reads the stats, and the rolling history can be exported as JSON
+// to attach to a performance issue.
+//
+// A frame whose interval is long while the JS phases are cheap points at the browser's
+// own work — compositing the CRT overlays in styles.css, or a large backing store.
+
+import { downloadJSON } from './lib/download.js';
+
+const HISTORY_SIZE = 1200; // ~20 s at 60 fps
+
+/**
+ * @typedef {object} FrameSample
+ * @property {number} t - rAF timestamp (ms).
+ * @property {number} interval - Time since the previous rendered frame (ms).
+ * @property {number} modeMs - Active mode's frame() cost (ms).
+ * @property {number} outMs - Outgoing mode's frame() cost during a transition (ms).
+ * @property {number} presentMs - Copy/composite onto the visible canvas (ms).
+ * @property {string} mode - Active mode id.
+ */
+
+/** @type {FrameSample[]} */
+const history = [];
+let head = 0; // next write index once the ring is full
+
+/** @type {()=>object} */
+let source = () => ({});
+
+/**
+ * Append one frame to the rolling history.
+ * @param {FrameSample} sample - Timings for the frame just rendered.
+ * @returns {void}
+ */
+export function recordFrame(sample) {
+  if (history.length < HISTORY_SIZE) history.push(sample);
+  else history[head] = sample;
+  head = (head + 1) % HISTORY_SIZE;
+}
+
+/**
+ * Register the callback that describes the render setup (canvas size, DPR, speed…).
+ * @param {()=>object} fn - Returns a plain object; called when stats are read.
+ * @returns {void}
+ */
+export function setPerfSource(fn) {
+  if (typeof fn === 'function') source = fn;
+}
+
+/**
+ * History in chronological order, optionally limited to the most recent samples.
+ * @param {number} [last] - How many of the newest samples to return.
+ * @returns {FrameSample[]} Samples, oldest first.
+ */
+export function perfHistory(last = HISTORY_SIZE) {
+  const ordered =
+    history.length < HISTORY_SIZE ? history : history.slice(head).concat(history.slice(0, head));
+  return ordered.slice(-Math.max(1, last));
+}
+
+/**
+ * Nearest-rank percentile of a numeric list.
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} p - Percentile (0..100).
+ * @returns {number} The value at that rank (0 for an empty list).
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const i = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, i)];
+}
+
+/**
+ * Round to 0.01 ms for display/export.
+ * @param {number} v - Milliseconds.
+ * @returns {number} Rounded value.
+ */
+const r2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Summarise the recent history.
+ * @param {number} [last] - Window size in frames (default ~2 s at 60 fps).
+ * @returns {{frames:number, fps:number, frame:{p50:number,p95:number,p99:number,max:number}, work:{avg:number,p95:number}, modes:Record<string,{frames:number,avg:number,p95:number,max:number}>}} Stats.
+ */
+export function perfStats(last = 120) {
+  const samples = perfHistory(last);
+  const intervals = samples.map((s) => s.interval).sort((a, b) => a - b);
+  const work = samples.map((s) => s.modeMs + s.outMs + s.presentMs).sort((a, b) => a - b);
+  const total = intervals.reduce((a, b) => a + b, 0);
+
+  const byMode = {};
+  for (const s of samples) (byMode[s.mode] ||= []).push(s.modeMs);
+  const modes = {};
+  for (const [id, costs] of Object.entries(byMode)) {
+    costs.sort((a, b) => a - b);
+    modes[id] = {
+      frames: costs.length,
+      avg: r2(costs.reduce((a, b) => a + b, 0) / costs.length),
+      p95: r2(percentile(costs, 95)),
+      max: r2(costs[costs.length - 1]),
+    };
+  }
+
+  return {
+    frames: samples.length,
+    fps: total > 0 ? Math.round((samples.length * 10000) / total) / 10 : 0,
+    frame: {
+      p50: r2(percentile(intervals, 50)),
+      p95: r2(percentile(intervals, 95)),
+      p99: r2(percentile(intervals, 99)),
+      max: r2(intervals[intervals.length - 1] || 0),
+    },
+    work: {
+      avg: r2(work.reduce((a, b) => a + b, 0) / (work.length || 1)),
+      p95: r2(percentile(work, 95)),
+    },
+    modes,
+  };
+}
+
+/**
+ * Current render setup as reported by main.js.
+ * @returns {object} Snapshot (empty before main.js registers a source).
+ */
+export function perfEnv() {
+  try {
+    return source() || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Everything needed for a performance report: environment, stats and the full history.
+ * @returns {object} Plain JSON-safe report.
+ */
+export function perfReport() {
+  return {
+    app: 'visual-noise',
+    createdAt: new Date().toISOString(),
+    userAgent: window.navigator?.userAgent ?? '',
+    env: perfEnv(),
+    stats: perfStats(HISTORY_SIZE),
+    history: perfHistory().map((s) => ({
+      t: r2(s.t),
+      interval: r2(s.interval),
+      modeMs: r2(s.modeMs),
+      outMs: r2(s.outMs),
+      presentMs: r2(s.presentMs),
+      mode: s.mode,
+    })),
+  };
+}
+
+/**
+ * Download the report as a JSON file.
+ * @returns {string} The JSON that was exported.
+ */
+export function exportPerfJSON() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return downloadJSON(`visual-noise-perf-${stamp}.json`, perfReport());
+}
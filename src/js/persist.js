@@ -0,0 +1,207 @@
+// src/js/persist.js
+// Versioned session persistence around cfg/active.
+// Restores the last genre/style/vibe, speed index, CRT effects and each mode's staged
+// intensity indices after a reload (kiosk reboots, browser crashes).
+//
+// Stored shape (localStorage "vn.session"):
+//   { v: 1, mode, flavor, vibe, speed, fx: { scanlines, flicker }, params: { [modeId]: { [key]: n } },
+//     transition: { style, durationMs }, seed? }
+
+import {
+  cfg,
+  active,
+  selectMode,
+  getNode,
+  initDefaults,
+  transitionNames,
+  MAX_TRANSITION_MS,
+} from './state.js';
+import { on } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames } from './themes.js';
+import { applyEffects } from './ui/effects.js';
+import { readJSON, writeJSON, removeKey } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.session';
+export const SESSION_VERSION = 1;
+
+// Debounce so a burst of key presses becomes one write
+const SAVE_DELAY_MS = 250;
+
+// Set by clearSession so leaving the page doesn't write the forgotten session straight back
+let cleared = false;
+
+/**
+ * Upgraders keyed by the version they read. Each returns data at version + 1.
+ * @type {Record<number, (data:object)=>object>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Bring stored data up to SESSION_VERSION.
+ * @param {any} data - Parsed storage payload.
+ * @returns {object|null} Current-version data, or null if it can't be upgraded.
+ */
+function migrate(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.v)) return null;
+  let out = data;
+  while (out.v < SESSION_VERSION) {
+    const up = MIGRATIONS[out.v];
+    if (!up) return null;
+    out = up(out);
+  }
+  return out.v === SESSION_VERSION ? out : null;
+}
+
+/**
+ * Keep only fields that still make sense against the current registries.
+ * Anything unknown (removed modes, renamed vibes, junk values) is dropped.
+ * @param {object} data - Current-version session data.
+ * @returns {{mode?:string, flavor?:string, vibe?:string, speed?:number, fx?:object, params:object, transition?:object, seed?:number}} Clean session.
+ */
+function sanitize(data) {
+  const out = { params: {} };
+
+  if (typeof data.mode === 'string' && modeRegistry[data.mode]) out.mode = data.mode;
+  if (typeof data.flavor === 'string') out.flavor = data.flavor;
+  if (typeof data.vibe === 'string' && themeNames.includes(data.vibe)) out.vibe = data.vibe;
+  if (Number.isFinite(data.speed)) out.speed = Math.round(data.speed);
+  if (Number.isInteger(data.seed) && data.seed >= 0) out.seed = data.seed >>> 0;
+
+  if (data.fx && typeof data.fx === 'object') {
+    out.fx = {};
+    for (const k of Object.keys(cfg.fx)) {
+      if (typeof data.fx[k] === 'boolean') out.fx[k] = data.fx[k];
+    }
+  }
+
+  if (data.transition && typeof data.transition === 'object') {
+    const { style, durationMs } = data.transition;
+    out.transition = {};
+    if (transitionNames.includes(style)) out.transition.style = style;
+    if (Number.isFinite(durationMs)) {
+      out.transition.durationMs = Math.max(0, Math.min(MAX_TRANSITION_MS, Math.round(durationMs)));
+    }
+  }
+
+  if (data.params && typeof data.params === 'object') {
+    for (const [modeId, vals] of Object.entries(data.params)) {
+      if (!modeRegistry[modeId] || !vals || typeof vals !== 'object') continue;
+      for (const [key, v] of Object.entries(vals)) {
+        if (!Number.isFinite(v)) continue;
+        (out.params[modeId] ||= {})[key] = v;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Capture the current session in storage shape.
+ * @returns {object} Serializable session snapshot.
+ */
+export function snapshotSession() {
+  return {
+    v: SESSION_VERSION,
+    mode: cfg.persona,
+    flavor: active.flavorId,
+    vibe: cfg.vibe ?? cfg.theme,
+    speed: active.speed,
+    fx: { ...cfg.fx },
+    params: JSON.parse(JSON.stringify(cfg.params)),
+    transition: { ...cfg.transition },
+    // Only a fixed seed is kept; an unset one stays random per launch
+    ...(cfg.seed != null && { seed: cfg.seed }),
+  };
+}
+
+/**
+ * Apply a stored session to cfg/active. Does not emit; call before the first mode starts.
+ * @returns {boolean} True if a stored session was found and applied.
+ */
+export function restoreSession() {
+  const data = migrate(readJSON(STORAGE_KEY));
+  if (!data) {
+    removeKey(STORAGE_KEY);
+    return false;
+  }
+  const s = sanitize(data);
+
+  if (s.vibe) {
+    cfg.vibe = s.vibe;
+    cfg.theme = s.vibe;
+    active.themeId = s.vibe;
+  }
+  if (s.fx) {
+    Object.assign(cfg.fx, s.fx);
+    applyEffects(cfg.fx);
+  }
+  cfg.params = s.params;
+  if (s.transition) Object.assign(cfg.transition, s.transition);
+  if (s.seed != null) cfg.seed = s.seed;
+
+  if (s.mode) selectMode(s.mode, s.flavor);
+  if (s.speed != null) {
+    const { flav } = getNode();
+    const min = flav?.minSpeed ?? 1;
+    const max = flav?.maxSpeed ?? 10;
+    active.speed = Math.max(min, Math.min(max, s.speed));
+    initDefaults(); // re-derive the cfg.speed multiplier from the index
+  }
+  return true;
+}
+
+/**
+ * Write the current session immediately.
+ * @returns {void}
+ */
+export function saveSession() {
+  writeJSON(STORAGE_KEY, snapshotSession());
+}
+
+/**
+ * Forget the stored session (next reload starts from defaults). It stays forgotten until the
+ * look changes again.
+ * @returns {void}
+ */
+export function clearSession() {
+  cleared = true;
+  removeKey(STORAGE_KEY);
+}
+
+/**
+ * Save on every relevant bus event (debounced) and when the page is hidden.
+ * @returns {void}
+ */
+export function installPersistence() {
+  let timer = 0;
+  const schedule = () => {
+    cleared = false;
+    if (timer) window.clearTimeout(timer);
+    timer = window.setTimeout(() => {
+      timer = 0;
+      if (!cleared) saveSession();
+    }, SAVE_DELAY_MS);
+  };
+  const flush = () => {
+    if (timer) window.clearTimeout(timer);
+    timer = 0;
+    if (!cleared) saveSession();
+  };
+
+  [
+    'style.change',
+    'flavor.change',
+    'vibe.change',
+    'speed.change',
+    'fx.change',
+    'param.change',
+    'transition.change',
+    'seed.change',
+  ].forEach((evt) => on(evt, schedule));
+
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+}
@@ -0,0 +1,289 @@
+/* eslint-env browser */
+// src/js/playlist.js
+// Playlist / auto-rotation: steps through { mode, vibe, speed, durationSec } entries on a timer.
+// Each step goes through setMode/setTheme/setSpeed, so it behaves exactly like a user change
+// (restarting the mode gives a clean canvas between entries).
+//
+// Timing only advances while cfg.paused is false. The config is stored under "vn.playlist":
+//   { enabled, shuffle, entries: [{ mode, vibe?, speed?, durationSec? }] }
+// With no stored entries the rotation walks the taxonomy (registry.order → modesOrder).
+// With multi-window sync on, only the leading window counts down (see sync.js); the others
+// follow its switches.
+
+import { cfg, registry, setMode, setTheme, setSpeed } from './state.js';
+import { on, emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames } from './themes.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+import { streamFor } from './rng.js';
+import { isSyncFollower } from './sync.js';
+
+const STORAGE_KEY = 'vn.playlist';
+export const DEFAULT_DURATION_SEC = 120;
+export const MIN_DURATION_SEC = 5;
+const TICK_MS = 250;
+
+/**
+ * @typedef {object} PlaylistEntry
+ * @property {string} mode - Mode key (e.g., "matrix").
+ * @property {string} [vibe] - Vibe key to apply with the mode.
+ * @property {number} [speed] - Speed index 1..10.
+ * @property {number} durationSec - Seconds to stay on this entry.
+ */
+
+const rot = {
+  /** @type {PlaylistEntry[]} */
+  entries: [],
+  custom: false, // entries came from the user, not the taxonomy
+  shuffle: false,
+  running: false,
+  order: [], // indices into entries, in play order
+  pos: -1, // position in order
+  remainingMs: 0,
+  lastTick: 0,
+  timer: 0,
+  lastShownSec: -1,
+  rng: Math.random, // shuffle stream, reseeded on start
+};
+
+/**
+ * Validate one user entry; drops unknown modes/vibes and clamps numbers.
+ * @param {any} e - Raw entry.
+ * @returns {PlaylistEntry|null} Clean entry, or null if unusable.
+ */
+function sanitizeEntry(e) {
+  if (!e || typeof e !== 'object' || !modeRegistry[e.mode]) return null;
+  const out = { mode: e.mode, durationSec: DEFAULT_DURATION_SEC };
+  if (typeof e.vibe === 'string' && themeNames.includes(e.vibe)) out.vibe = e.vibe;
+  if (Number.isFinite(e.speed)) out.speed = Math.max(1, Math.min(10, Math.round(e.speed)));
+  if (Number.isFinite(e.durationSec)) out.durationSec = Math.max(MIN_DURATION_SEC, e.durationSec);
+  return out;
+}
+
+/**
+ * The natural cycle: every style of every genre, in taxonomy order.
+ * @returns {PlaylistEntry[]} One entry per mode with the default duration.
+ */
+export function defaultPlaylist() {
+  return registry.order.flatMap((famId) =>
+    registry.families[famId].modesOrder
+      .filter((m) => modeRegistry[m])
+      .map((mode) => ({ mode, durationSec: DEFAULT_DURATION_SEC }))
+  );
+}
+
+/**
+ * Build the play order, reshuffling each cycle when shuffle is on.
+ * Avoids repeating the entry that just played at a cycle boundary.
+ * @returns {void}
+ */
+function buildOrder() {
+  const idx = rot.entries.map((_, i) => i);
+  if (rot.shuffle) {
+    for (let i = idx.length - 1; i > 0; i--) {
+      const j = Math.floor(rot.rng() * (i + 1));
+      [idx[i], idx[j]] = [idx[j], idx[i]];
+    }
+    const prev = rot.order[rot.pos];
+    if (idx.length > 1 && idx[0] === prev) [idx[0], idx[1]] = [idx[1], idx[0]];
+  }
+  rot.order = idx;
+  rot.pos = -1;
+}
+
+/**
+ * Persist the playlist config.
+ * @returns {void}
+ */
+function save() {
+  writeJSON(STORAGE_KEY, {
+    enabled: rot.running,
+    shuffle: rot.shuffle,
+    entries: rot.custom ? rot.entries : [],
+  });
+}
+
+/**
+ * Report rotation state on the bus ("rotation.status") for the menu indicator.
+ * @returns {void}
+ */
+function report() {
+  rot.lastShownSec = Math.ceil(rot.remainingMs / 1000);
+  emit('rotation.status', getRotationStatus());
+}
+
+/**
+ * Apply one entry through the regular state setters.
+ * @param {PlaylistEntry} entry - Entry to show.
+ * @returns {void}
+ */
+function applyEntry(entry) {
+  setMode(entry.mode);
+  if (entry.vibe) setTheme(entry.vibe);
+  if (entry.speed != null) setSpeed(entry.speed);
+}
+
+/**
+ * Advance to the next (or previous) entry and restart its countdown.
+ * @param {number} [dir] - +1 for next, -1 for previous.
+ * @returns {void}
+ */
+export function nextEntry(dir = +1) {
+  if (!rot.entries.length) return;
+  if (!rot.order.length) buildOrder();
+  let pos = rot.pos + Math.sign(dir || 1);
+  if (pos >= rot.order.length) {
+    buildOrder();
+    pos = 0;
+  } else if (pos < 0) {
+    pos = rot.order.length - 1;
+  }
+  rot.pos = pos;
+  const entry = rot.entries[rot.order[pos]];
+  rot.remainingMs = entry.durationSec * 1000;
+  applyEntry(entry);
+  report();
+}
+
+/**
+ * Timer callback: count down only while not paused.
+ * @returns {void}
+ */
+function tick() {
+  const now = performance.now();
+  const dt = now - rot.lastTick;
+  rot.lastTick = now;
+  if (cfg.paused || isSyncFollower()) return;
+
+  rot.remainingMs -= dt;
+  if (rot.remainingMs <= 0) {
+    nextEntry(+1);
+  } else if (Math.ceil(rot.remainingMs / 1000) !== rot.lastShownSec) {
+    report();
+  }
+}
+
+/**
+ * Replace the playlist. Pass an empty list to go back to the taxonomy cycle.
+ * Restarts from the first entry if the rotation is running.
+ * @param {Array<Partial<PlaylistEntry>>} entries - User entries; invalid ones are dropped.
+ * @returns {number} Number of usable entries.
+ */
+export function setPlaylist(entries) {
+  const clean = (Array.isArray(entries) ? entries : []).map(sanitizeEntry).filter(Boolean);
+  rot.custom = clean.length > 0;
+  rot.entries = rot.custom ? clean : defaultPlaylist();
+  rot.order = [];
+  rot.pos = -1;
+  save();
+  if (rot.running) nextEntry(+1);
+  else report();
+  return clean.length;
+}
+
+/**
+ * Start rotating from the first entry (or a shuffled one).
+ * @returns {void}
+ */
+export function startRotation() {
+  if (rot.running || !rot.entries.length) return;
+  rot.running = true;
+  // Seeded, so the same seed shuffles the same order
+  rot.rng = streamFor('playlist');
+  buildOrder();
+  rot.lastTick = performance.now();
+  rot.timer = window.setInterval(tick, TICK_MS);
+  save();
+  // A synced follower keeps what the leader shows until the leader moves on
+  if (isSyncFollower()) report();
+  else nextEntry(+1);
+}
+
+/**
+ * Stop rotating; the current entry stays on screen.
+ * @returns {void}
+ */
+export function stopRotation() {
+  if (!rot.running) return;
+  rot.running = false;
+  window.clearInterval(rot.timer);
+  rot.timer = 0;
+  save();
+  report();
+}
+
+/**
+ * Toggle the rotation on/off.
+ * @returns {boolean} True if the rotation is now running.
+ */
+export function toggleRotation() {
+  if (rot.running) stopRotation();
+  else startRotation();
+  return rot.running;
+}
+
+/**
+ * Turn shuffle on/off (takes effect from the next cycle).
+ * @param {boolean} on - Shuffle state.
+ * @returns {void}
+ */
+export function setShuffle(on) {
+  rot.shuffle = !!on;
+  save();
+  report();
+}
+
+/**
+ * The playlist as stored, for editors. Without a custom list this is the taxonomy cycle.
+ * @returns {{custom:boolean, shuffle:boolean, entries:PlaylistEntry[]}} Copies of the entries.
+ */
+export function getPlaylist() {
+  return {
+    custom: rot.custom,
+    shuffle: rot.shuffle,
+    entries: rot.entries.map((e) => ({ ...e })),
+  };
+}
+
+/**
+ * Current rotation state for UI.
+ * @returns {{running:boolean, shuffle:boolean, index:number, count:number, entry:PlaylistEntry|null, remainingSec:number}} Snapshot.
+ */
+export function getRotationStatus() {
+  const i = rot.order[rot.pos];
+  return {
+    running: rot.running,
+    shuffle: rot.shuffle,
+    index: i ?? -1,
+    count: rot.entries.length,
+    entry: rot.entries[i] ?? null,
+    remainingSec: Math.max(0, Math.ceil(rot.remainingMs / 1000)),
+  };
+}
+
+/**
+ * Load the stored playlist and resume rotating if it was on.
+ * Call after the first mode has started.
+ * @returns {void}
+ */
+export function installRotation() {
+  const data = readJSON(STORAGE_KEY) || {};
+  rot.shuffle = data.shuffle === true;
+  const clean = (Array.isArray(data.entries) ? data.entries : [])
+    .map(sanitizeEntry)
+    .filter(Boolean);
+  rot.custom = clean.length > 0;
+  rot.entries = rot.custom ? clean : defaultPlaylist();
+
+  // Modes registered later (plugins) join the default playlist
+  on('style.register', () => {
+    if (rot.custom) return;
+    rot.entries = defaultPlaylist();
+    rot.order = [];
+    rot.pos = -1;
+    report();
+  });
+
+  if (data.enabled === true) startRotation();
+  else report();
+}
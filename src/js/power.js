@@ -0,0 +1,148 @@
+/* eslint-env browser */
+// src/js/power.js
+// Power profiles: cap the main loop's frame rate and scale down the render resolution
+// so long display sessions go easier on laptops and tablets.
+//
+//   full      every animation frame, full resolution (DPR capped at 2)
+//   balanced  30 fps, 75% resolution
+//   saver     20 fps, 50% resolution
+//
+// The setting is "auto" (default) or a fixed profile. Auto picks "saver" while the
+// Battery Status API reports discharging or the OS asks for reduced motion, else "full".
+// main.js reads the active profile in run() (frame cap) and fit() (render scale).
+//
+// Stored under "vn.power": { setting }
+
+import { emit } from './bus.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.power';
+
+/**
+ * @typedef {object} PowerProfile
+ * @property {string} id - Profile key.
+ * @property {string} label - Human label for the HUD.
+ * @property {number} fps - Frame cap; 0 renders every animation frame.
+ * @property {number} scale - Render resolution factor (0..1] applied on top of the DPR.
+ */
+
+/** @type {Record<string, PowerProfile>} */
+export const PROFILES = {
+  full: { id: 'full', label: 'Full', fps: 0, scale: 1 },
+  balanced: { id: 'balanced', label: 'Balanced', fps: 30, scale: 0.75 },
+  saver: { id: 'saver', label: 'Low power', fps: 20, scale: 0.5 },
+};
+
+/** Valid settings, in the order the menu button cycles through them. */
+export const POWER_SETTINGS = ['auto', ...Object.keys(PROFILES)];
+
+const pwr = {
+  setting: 'auto',
+  /** @type {PowerProfile} */
+  profile: PROFILES.full,
+  reason: 'auto', // why the profile is active: manual, on battery, reduced motion, auto
+  discharging: false,
+  reducedMotion: false,
+};
+
+/**
+ * Work out the profile for the current setting and device signals.
+ * @returns {{profile:PowerProfile, reason:string}} Profile plus the reason it applies.
+ */
+function resolve() {
+  if (pwr.setting !== 'auto') return { profile: PROFILES[pwr.setting], reason: 'manual' };
+  if (pwr.reducedMotion) return { profile: PROFILES.saver, reason: 'reduced motion' };
+  if (pwr.discharging) return { profile: PROFILES.saver, reason: 'on battery' };
+  return { profile: PROFILES.full, reason: 'auto' };
+}
+
+/**
+ * Re-resolve the profile and emit "power.profile" when it (or the setting) changed.
+ * @param {boolean} [force] - Emit even if nothing changed.
+ * @returns {void}
+ */
+function update(force = false) {
+  const { profile, reason } = resolve();
+  const changed = profile !== pwr.profile || reason !== pwr.reason;
+  pwr.profile = profile;
+  pwr.reason = reason;
+  if (changed || force) emit('power.profile', getPowerStatus());
+}
+
+/**
+ * The profile the main loop should honour right now.
+ * @returns {PowerProfile} Active profile.
+ */
+export function getPowerProfile() {
+  return pwr.profile;
+}
+
+/**
+ * Setting, active profile and reason, for the HUD.
+ * @returns {PowerProfile & {setting:string, reason:string}} Snapshot.
+ */
+export function getPowerStatus() {
+  return { ...pwr.profile, setting: pwr.setting, reason: pwr.reason };
+}
+
+/**
+ * Choose "auto" or a fixed profile; persisted.
+ * @param {string} next - One of POWER_SETTINGS.
+ * @returns {void}
+ */
+export function setPowerSetting(next) {
+  if (!POWER_SETTINGS.includes(next)) return;
+  pwr.setting = next;
+  writeJSON(STORAGE_KEY, { setting: next });
+  update(true);
+}
+
+/**
+ * Step to the next/previous setting (auto → full → balanced → saver → auto).
+ * @param {number} [dir] - +1 for next, -1 for previous.
+ * @returns {string} The new setting.
+ */
+export function cyclePowerSetting(dir = +1) {
+  const n = POWER_SETTINGS.length;
+  const i = POWER_SETTINGS.indexOf(pwr.setting);
+  setPowerSetting(POWER_SETTINGS[(i + (dir < 0 ? -1 : 1) + n) % n]);
+  return pwr.setting;
+}
+
+/**
+ * Restore the stored setting and start watching battery / reduced-motion signals.
+ * Call at boot before the first frame; the initial profile is applied without an event.
+ * @returns {void}
+ */
+export function installPower() {
+  const saved = readJSON(STORAGE_KEY);
+  if (POWER_SETTINGS.includes(saved?.setting)) pwr.setting = saved.setting;
+
+  const mq = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+  if (mq) {
+    pwr.reducedMotion = !!mq.matches;
+    mq.addEventListener?.('change', (e) => {
+      pwr.reducedMotion = !!e.matches;
+      update();
+    });
+  }
+
+  // Battery Status API is Chromium-only; elsewhere auto just follows reduced motion
+  window.navigator
+    ?.getBattery?.()
+    .then((battery) => {
+      const read = () => {
+        pwr.discharging = !battery.charging;
+        update();
+      };
+      battery.addEventListener('chargingchange', read);
+      read();
+    })
+    .catch(() => {
+      /* blocked by permissions policy */
+    });
+
+  const { profile, reason } = resolve();
+  pwr.profile = profile;
+  pwr.reason = reason;
+}
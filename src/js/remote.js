@@ -0,0 +1,412 @@
+/* eslint-env browser */
+// src/js/remote.js
+// LAN remote control, display side. With Remote on, the app connects to the relay's
+// WebSocket (tools/remote-relay.mjs) under a six-digit pairing code, turns commands from
+// paired phones (remote.html) into the regular state setters, and sends back what's on
+// screen so the phone can show it. The connection retries with backoff while the relay
+// is unreachable.
+//
+// Commands ({ type: 'cmd', cmd, ... }):
+//   genre    { value: familyId } or { step: ±1 }
+//   style    { value: modeId } or { step: ±1 }   (step stays within the genre)
+//   flavor   { value: flavorId } or { step: ±1 }
+//   vibe     { value: vibe } or { step: ±1 }
+//   speed    { value: 1..10 } or { step: ±1 }
+//   pause    { value?: boolean }                 (toggles without a value)
+//   clear
+//   message  { text }                            shown as a toast ("remote.message" on the bus)
+//
+// Emits "remote.status" { state: 'off'|'connecting'|'connected'|'error', code, remotes, error?,
+// joined? } on every status change (joined: a phone just paired).
+// Stored under "vn.remote": { enabled, relay, code, key } ('' relay = port 8787 of the page's
+// host). The key is a secret this display joins with, so no other display can take its code.
+
+import {
+  cfg,
+  active,
+  registry,
+  familyOf,
+  labelsForMode,
+  setMode,
+  setFlavor,
+  stepFlavor,
+  setSpeed,
+  stepSpeed,
+  speedBounds,
+  togglePause,
+  clearAll,
+} from './state.js';
+import { on, emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames, vibeLabel, setVibeByName, cycleVibe } from './themes.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.remote';
+export const DEFAULT_RELAY_PORT = 8787;
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// Coalesce bursts of changes (a style switch also sets flavor and speed) into one update
+const STATE_DELAY_MS = 100;
+const MAX_MESSAGE_CHARS = 200;
+// What the phone shows changes with these
+const STATE_EVENTS = [
+  'style.change',
+  'flavor.change',
+  'vibe.change',
+  'speed.change',
+  'playback.pause',
+  'style.register',
+  'vibe.list',
+];
+
+// Settings in effect: the stored ones (saved) with this page load's URL overrides on top
+const opts = { enabled: false, relay: '', code: '' };
+const saved = { ...opts };
+/** @type {{enabled?:boolean, relay?:string}} From ?remote=; never saved */
+let session = {};
+// Display key (see displayKey); kept out of opts so the settings API never hands it out
+let key = '';
+
+/** @type {any} WebSocket while enabled */
+let ws = null;
+let retryMs = RETRY_MIN_MS;
+let retryTimer = 0;
+let stateTimer = 0;
+let installed = false;
+/** @type {{state:string, code:string, remotes:number, error?:string}} */
+let status = { state: 'off', code: '', remotes: 0 };
+
+/**
+ * A fresh pairing code. Drawn from crypto, not the seeded stream, so it can't be predicted
+ * from a shared look link.
+ * @returns {string} Six digits.
+ */
+function newCode() {
+  const n = window.crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+  return String(n).padStart(6, '0');
+}
+
+/**
+ * The secret this display claims its pairing code with at the relay; made once and stored.
+ * @returns {string} 32 hex digits.
+ */
+function displayKey() {
+  if (key) return key;
+  const stored = readJSON(STORAGE_KEY)?.key;
+  if (/^[0-9a-f]{32}$/.test(stored)) key = stored;
+  else {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    key = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+  return key;
+}
+
+/**
+ * Persist the settings together with the display key.
+ * @returns {void}
+ */
+function save() {
+  writeJSON(STORAGE_KEY, { ...saved, key: displayKey() });
+}
+
+/**
+ * Clean stored or requested settings.
+ * @param {any} o - Candidate settings.
+ * @returns {{enabled:boolean, relay:string, code:string}} Clean settings.
+ */
+function sanitize(o) {
+  return {
+    enabled: !!o?.enabled,
+    relay: typeof o?.relay === 'string' ? o.relay.trim() : '',
+    code: /^\d{6}$/.test(o?.code) ? o.code : newCode(),
+  };
+}
+
+/**
+ * Turn a relay address as typed ("192.168.1.5", "box:8787", "ws://box:8787/relay") into a
+ * WebSocket URL; empty means port 8787 of the host the page came from.
+ * @param {string} raw - Relay setting.
+ * @returns {string} ws:// or wss:// URL.
+ */
+export function relayUrl(raw = opts.relay) {
+  const secure = window.location.protocol === 'https:';
+  let s = String(raw || '').trim();
+  if (!s) s = `${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+  if (!/^wss?:\/\//i.test(s)) s = `${secure ? 'wss' : 'ws'}://${s.replace(/^https?:\/\//i, '')}`;
+  const url = new window.URL(s);
+  if (!url.port && !/^wss?:\/\/[^/]*:\d+/i.test(s)) url.port = String(DEFAULT_RELAY_PORT);
+  if (url.pathname === '/' || !url.pathname) url.pathname = '/relay';
+  return url.toString();
+}
+
+/**
+ * Address a phone opens to reach the remote page for this display.
+ * @returns {string} http(s) URL of remote.html with the pairing code.
+ */
+export function remotePageUrl() {
+  const url = new window.URL(relayUrl());
+  url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+  url.pathname = '/remote.html';
+  url.search = `?code=${opts.code}`;
+  return url.toString();
+}
+
+/**
+ * Current remote settings.
+ * @returns {{enabled:boolean, relay:string, code:string}} Copy of the settings.
+ */
+export function getRemoteOptions() {
+  return { ...opts };
+}
+
+/**
+ * Work out the settings in effect and reconnect when the relay or code changed.
+ * @returns {{enabled:boolean, relay:string, code:string}} The settings now in effect.
+ */
+function refresh() {
+  const before = { ...opts };
+  Object.assign(opts, sanitize({ ...saved, ...session }));
+  if (!installed) return getRemoteOptions();
+  const changed = opts.relay !== before.relay || opts.code !== before.code;
+  if (!opts.enabled) disconnect();
+  else if (!ws || changed) connect();
+  return getRemoteOptions();
+}
+
+/**
+ * Change and persist remote settings; a field set here replaces its URL override.
+ * @param {{enabled?:boolean, relay?:string, code?:string}} next - Fields to change; code: 'new' picks a fresh code.
+ * @returns {{enabled:boolean, relay:string, code:string}} The settings now in effect.
+ */
+export function setRemoteOptions(next) {
+  const code = next.code === 'new' ? newCode() : next.code;
+  Object.assign(saved, sanitize({ ...saved, ...next, code: code ?? saved.code }));
+  for (const k of Object.keys(next)) delete session[k];
+  save();
+  return refresh();
+}
+
+/**
+ * Override remote settings for this page load only (?remote=); the stored ones stay as they
+ * are. May be called before installRemote, which applies it on top of the stored settings.
+ * @param {{enabled?:boolean, relay?:string}} next - Fields to override.
+ * @returns {{enabled:boolean, relay:string, code:string}} The settings now in effect.
+ */
+export function overrideRemoteOptions(next) {
+  session = { ...session, ...next };
+  return installed ? refresh() : getRemoteOptions();
+}
+
+/**
+ * Remote connection status for the UI.
+ * @returns {{state:string, code:string, remotes:number, error?:string}} Copy of the status.
+ */
+export function getRemoteStatus() {
+  return { ...status };
+}
+
+/**
+ * Update the status and emit "remote.status".
+ * @param {object} next - Fields to change.
+ * @returns {void}
+ */
+function report(next) {
+  const joined = next.remotes > status.remotes;
+  status = { state: status.state, code: opts.code, remotes: status.remotes, ...next };
+  if (status.state !== 'error') delete status.error;
+  emit('remote.status', { ...status, joined });
+}
+
+/**
+ * Send a message to the relay if connected.
+ * @param {object} msg - Message.
+ * @returns {void}
+ */
+function send(msg) {
+  if (ws?.readyState === 1) ws.send(JSON.stringify(msg));
+}
+
+/**
+ * What the phone shows: the selection, plus the choices for its pickers.
+ * @returns {object} State message body.
+ */
+function remoteState() {
+  const genres = registry.order.map((famId) => {
+    const fam = registry.families[famId];
+    const styles = fam.modesOrder
+      .filter((m) => modeRegistry[m])
+      .map((m) => ({
+        id: m,
+        label: labelsForMode(m).typeLabel,
+        flavors: fam.modes[m].flavorsOrder.map((f) => ({
+          id: f,
+          label: fam.modes[m].flavors[f]?.name ?? f,
+        })),
+      }));
+    return { id: famId, label: labelsForMode(styles[0]?.id).familyLabel || famId, styles };
+  });
+  return {
+    genre: familyOf(cfg.persona),
+    style: cfg.persona,
+    flavor: active.modeId === cfg.persona ? active.flavorId : null,
+    vibe: cfg.vibe ?? cfg.theme,
+    speed: active.speed,
+    speedMax: speedBounds().max,
+    paused: cfg.paused,
+    genres,
+    vibes: themeNames.map((v) => ({ id: v, label: vibeLabel(v) })),
+  };
+}
+
+/**
+ * Send the current state to the phones soon (coalesced).
+ * @returns {void}
+ */
+function queueState() {
+  if (stateTimer || !ws) return;
+  stateTimer = window.setTimeout(() => {
+    stateTimer = 0;
+    send({ type: 'state', state: remoteState() });
+  }, STATE_DELAY_MS);
+}
+
+/**
+ * Next or previous entry of a list, wrapping around.
+ * @template T
+ * @param {T[]} list - Entries.
+ * @param {T} cur - Current entry (the first is used when it isn't listed).
+ * @param {number} step - Direction (sign is used).
+ * @returns {T} Entry `step` away.
+ */
+function stepIn(list, cur, step) {
+  const i = Math.max(0, list.indexOf(cur));
+  return list[(i + Math.sign(step) + list.length) % list.length];
+}
+
+const COMMANDS = {
+  genre(m) {
+    const famId = m.step ? stepIn(registry.order, familyOf(cfg.persona), m.step) : m.value;
+    const first = registry.families[famId]?.modesOrder.find((id) => modeRegistry[id]);
+    if (first) setMode(first);
+  },
+  style(m) {
+    const fam = registry.families[familyOf(cfg.persona)];
+    const list = fam ? fam.modesOrder.filter((id) => modeRegistry[id]) : [];
+    const id = m.step ? stepIn(list, cfg.persona, m.step) : m.value;
+    if (modeRegistry[id]) setMode(id);
+  },
+  flavor(m) {
+    if (active.modeId !== cfg.persona) return;
+    if (m.step) stepFlavor(Math.sign(m.step));
+    else if (typeof m.value === 'string') setFlavor(m.value);
+  },
+  vibe(m) {
+    if (m.step) cycleVibe(Math.sign(m.step));
+    else if (typeof m.value === 'string' && themeNames.includes(m.value)) setVibeByName(m.value);
+  },
+  speed(m) {
+    if (m.step) stepSpeed(Math.sign(m.step));
+    else if (Number.isFinite(m.value)) setSpeed(m.value);
+  },
+  pause(m) {
+    if (typeof m.value !== 'boolean' || m.value !== cfg.paused) togglePause();
+  },
+  clear() {
+    clearAll();
+  },
+  message(m) {
+    const text = String(m.text ?? '')
+      .trim()
+      .slice(0, MAX_MESSAGE_CHARS);
+    if (text) emit('remote.message', { text });
+  },
+};
+
+/**
+ * Handle a message from the relay.
+ * @param {any} msg - Parsed message.
+ * @returns {void}
+ */
+function onMessage(msg) {
+  if (msg?.type === 'joined') {
+    retryMs = RETRY_MIN_MS;
+    report({ state: 'connected' });
+    send({ type: 'state', state: remoteState() });
+  } else if (msg?.type === 'remotes') {
+    report({ remotes: Math.max(0, Number(msg.count) || 0) });
+  } else if (msg?.type === 'error') {
+    report({ state: 'error', error: String(msg.message ?? 'relay error') });
+  } else if (msg?.type === 'cmd' && Object.hasOwn(COMMANDS, msg.cmd)) {
+    COMMANDS[msg.cmd](msg);
+  }
+}
+
+/**
+ * (Re)connect to the relay and join under the pairing code. Retries keep the error status,
+ * so a relay that stays down is reported once.
+ * @param {boolean} [retry] - Called from the backoff timer.
+ * @returns {void}
+ */
+function connect(retry = false) {
+  disconnect();
+  if (!retry) retryMs = RETRY_MIN_MS;
+  if (!window.WebSocket) {
+    report({ state: 'error', error: 'WebSockets are not supported here' });
+    return;
+  }
+  let sock;
+  try {
+    sock = new window.WebSocket(relayUrl());
+  } catch {
+    report({ state: 'error', error: 'Invalid relay address' });
+    return;
+  }
+  ws = sock;
+  if (!retry || status.state !== 'error') report({ state: 'connecting', remotes: 0 });
+  sock.onopen = () =>
+    sock.send(
+      JSON.stringify({ type: 'join', role: 'display', code: opts.code, key: displayKey() })
+    );
+  sock.onmessage = (e) => {
+    try {
+      onMessage(JSON.parse(e.data));
+    } catch {
+      // not JSON: ignored
+    }
+  };
+  sock.onclose = () => {
+    if (ws !== sock) return;
+    ws = null;
+    if (status.state !== 'error') report({ state: 'error', error: "Can't reach the relay" });
+    retryTimer = window.setTimeout(() => connect(true), retryMs);
+    retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+  };
+}
+
+/**
+ * Close the connection and stop retrying.
+ * @returns {void}
+ */
+function disconnect() {
+  window.clearTimeout(retryTimer);
+  retryTimer = 0;
+  const sock = ws;
+  ws = null;
+  sock?.close();
+  if (status.state !== 'off' && !opts.enabled) report({ state: 'off', remotes: 0 });
+}
+
+/**
+ * Load the settings, keep paired phones up to date and connect if Remote is on.
+ * @returns {void}
+ */
+export function installRemote() {
+  Object.assign(saved, sanitize(readJSON(STORAGE_KEY) ?? saved));
+  // Keep the generated code and key, so the display pairs under the same code after a reload
+  save();
+  Object.assign(opts, sanitize({ ...saved, ...session }));
+  installed = true;
+  status.code = opts.code;
+  for (const evt of STATE_EVENTS) on(evt, queueState);
+  if (opts.enabled) connect();
+}
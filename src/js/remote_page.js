@@ -0,0 +1,204 @@
+/* eslint-env browser */
+// src/js/remote_page.js
+// The phone side of the LAN remote (remote.html, served by tools/remote-relay.mjs). Pairs
+// with a display by its six-digit code over the relay's WebSocket, mirrors the display's
+// state in the pickers, and sends commands (see remote.js for the list). Loads none
+// of the app, so it stays light on a phone.
+// Stored under "vn.remote.code": the last code that paired
+
+const STORAGE_KEY = 'vn.remote.code';
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 15000;
+
+const $ = (id) => document.getElementById(id);
+const ui = {
+  pair: $('pair'),
+  code: $('code'),
+  status: $('status'),
+  controls: $('controls'),
+  genre: $('genre'),
+  style: $('style'),
+  flavor: $('flavor'),
+  vibe: $('vibe'),
+  speed: $('speed'),
+  speedOut: $('speedOut'),
+  pause: $('pause'),
+  message: $('message'),
+  text: $('text'),
+};
+
+/** @type {any} WebSocket to the relay */
+let ws = null;
+let code = '';
+let retryMs = RETRY_MIN_MS;
+let retryTimer = 0;
+/** @type {any} Last state from the display */
+let state = null;
+
+/**
+ * Show a status line.
+ * @param {string} text - Status text.
+ * @returns {void}
+ */
+function setStatus(text) {
+  ui.status.textContent = text;
+}
+
+/**
+ * Send a command to the display.
+ * @param {string} cmd - Command name.
+ * @param {object} [args] - value / step / text.
+ * @returns {void}
+ */
+function command(cmd, args = {}) {
+  if (ws?.readyState === 1) ws.send(JSON.stringify({ type: 'cmd', cmd, ...args }));
+}
+
+/**
+ * Replace a select's options, keeping the selection on `value`.
+ * @param {any} select - Select element.
+ * @param {{id:string, label:string}[]} items - Options.
+ * @param {string|null} value - Selected id.
+ * @returns {void}
+ */
+function fillSelect(select, items, value) {
+  const key = items.map((i) => `${i.id}\t${i.label}`).join('\n');
+  if (select.dataset.key !== key) {
+    select.replaceChildren(
+      ...items.map((i) => {
+        const opt = document.createElement('option');
+        opt.value = i.id;
+        opt.textContent = i.label;
+        return opt;
+      })
+    );
+    select.dataset.key = key;
+  }
+  select.value = value ?? '';
+  select.disabled = items.length < 2;
+}
+
+/**
+ * Show the display's state.
+ * @returns {void}
+ */
+function render() {
+  if (!state) return;
+  const genre = state.genres.find((g) => g.id === state.genre) ?? state.genres[0];
+  const style = genre?.styles.find((s) => s.id === state.style);
+  fillSelect(ui.genre, state.genres, state.genre);
+  fillSelect(ui.style, genre?.styles ?? [], state.style);
+  fillSelect(ui.flavor, style?.flavors ?? [], state.flavor);
+  fillSelect(ui.vibe, state.vibes, state.vibe);
+  // Leave the slider alone while a finger is on it
+  if (document.activeElement !== ui.speed) {
+    ui.speed.max = String(state.speedMax ?? 10);
+    ui.speed.value = String(state.speed);
+  }
+  ui.speedOut.textContent = `${state.speed}/${state.speedMax ?? 10}`;
+  ui.pause.textContent = state.paused ? 'Resume' : 'Pause';
+  ui.pause.setAttribute('aria-pressed', String(!!state.paused));
+}
+
+/**
+ * Handle a message from the relay.
+ * @param {any} msg - Parsed message.
+ * @returns {void}
+ */
+function onMessage(msg) {
+  if (msg?.type === 'joined') {
+    retryMs = RETRY_MIN_MS;
+    window.localStorage?.setItem(STORAGE_KEY, code);
+    setStatus(`Paired with ${code}`);
+    ui.controls.hidden = false;
+  } else if (msg?.type === 'displays') {
+    setStatus(msg.count ? `Paired with ${code}` : 'The display went away; waiting for it');
+  } else if (msg?.type === 'state' && msg.state) {
+    state = msg.state;
+    render();
+  } else if (msg?.type === 'error') {
+    // A wrong code (or a lockout) needs the user; don't retry it
+    code = '';
+    ui.controls.hidden = true;
+    setStatus(String(msg.message ?? 'Relay error'));
+    ws?.close();
+  }
+}
+
+/**
+ * Connect to the relay this page came from and pair under `code`.
+ * @returns {void}
+ */
+function connect() {
+  window.clearTimeout(retryTimer);
+  const old = ws;
+  ws = null;
+  old?.close();
+  if (!code) return;
+
+  const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  const sock = new window.WebSocket(`${proto}://${window.location.host}/relay`);
+  ws = sock;
+  setStatus('Connecting…');
+  sock.onopen = () => sock.send(JSON.stringify({ type: 'join', role: 'remote', code }));
+  sock.onmessage = (e) => {
+    try {
+      onMessage(JSON.parse(e.data));
+    } catch {
+      // not JSON: ignored
+    }
+  };
+  sock.onclose = () => {
+    if (ws !== sock) return;
+    ws = null;
+    if (!code) return;
+    setStatus(`Lost the relay; retrying in ${Math.round(retryMs / 1000)}s`);
+    retryTimer = window.setTimeout(connect, retryMs);
+    retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+  };
+}
+
+ui.pair.addEventListener('submit', (e) => {
+  e.preventDefault();
+  code = ui.code.value.replace(/\D/g, '');
+  if (code.length !== 6) {
+    code = '';
+    setStatus('Codes have six digits');
+    return;
+  }
+  retryMs = RETRY_MIN_MS;
+  connect();
+});
+
+ui.genre.addEventListener('change', () => command('genre', { value: ui.genre.value }));
+ui.style.addEventListener('change', () => command('style', { value: ui.style.value }));
+ui.flavor.addEventListener('change', () => command('flavor', { value: ui.flavor.value }));
+ui.vibe.addEventListener('change', () => command('vibe', { value: ui.vibe.value }));
+ui.speed.addEventListener('input', () => {
+  ui.speedOut.textContent = `${ui.speed.value}/${ui.speed.max}`;
+  command('speed', { value: Number(ui.speed.value) });
+});
+
+ui.controls.addEventListener('click', (e) => {
+  const btn = e.target.closest?.('button[data-cmd]');
+  if (!btn) return;
+  if (btn.dataset.step) command(btn.dataset.cmd, { step: Number(btn.dataset.step) });
+  else if (btn.dataset.cmd === 'pause') command('pause', { value: !state?.paused });
+  else command(btn.dataset.cmd);
+});
+
+ui.message.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = ui.text.value.trim();
+  if (!text) return;
+  command('message', { text });
+  ui.text.value = '';
+});
+
+// ?code=123456 (from the display's panel) or the last code that paired
+const initial =
+  new window.URLSearchParams(window.location.search).get('code') ??
+  window.localStorage?.getItem(STORAGE_KEY) ??
+  '';
+ui.code.value = initial.replace(/\D/g, '').slice(0, 6);
+if (ui.code.value.length === 6) ui.pair.requestSubmit();
@@ -0,0 +1,97 @@
+/* eslint-env browser */
+// src/js/rng.js
+// Seeded randomness. Every mode, the transitions and the playlist shuffle draw from
+// here instead of Math.random(), so a seed plus the same settings replays the same
+// sequence (reproducible bug reports, identical demo loops).
+//
+// The seed is cfg.seed (menu field, ?seed=, stored with the session); when it's unset a
+// new one is picked per launch and shown in the menu and the diagnostics export.
+// Each consumer gets its own stream derived from the seed and a key, so a mode's
+// sequence doesn't depend on what ran before it:
+//
+//   main.js   ctx.rng = streamFor(modeId); useStream(ctx.rng) before calling into a mode
+//   modes     random(), randInt(lo, hi), choice(arr), randomBytes(n), fakeClock()
+
+import { cfg } from './state.js';
+import { makeRng, seedFrom } from './lib/utils.js';
+
+// Seed for this launch when cfg.seed isn't set (the one source of true entropy)
+const launchSeed = (Math.random() * 0x100000000) >>> 0;
+
+let current = makeRng(launchSeed);
+
+/**
+ * The seed in effect: the fixed one, else this launch's.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function activeSeed() {
+  return cfg.seed ?? launchSeed;
+}
+
+/**
+ * A fresh generator for one consumer, derived from the active seed.
+ * @param {string} key - Consumer id (mode id, "transition", "playlist"…).
+ * @returns {() => number} RNG returning floats in [0, 1).
+ */
+export function streamFor(key) {
+  return makeRng(/** @type {number} */ (seedFrom(`${activeSeed()}:${key}`)));
+}
+
+/**
+ * Route random() to a stream (main.js switches it per render layer).
+ * @param {(() => number)|null|undefined} stream - Generator from streamFor; ignored if empty.
+ * @returns {void}
+ */
+export function useStream(stream) {
+  if (stream) current = stream;
+}
+
+/**
+ * Seeded replacement for Math.random().
+ * @returns {number} Float in [0, 1).
+ */
+export function random() {
+  return current();
+}
+
+/**
+ * Inclusive random integer (seeded counterpart of lib/utils randInt).
+ * @param {number} lo - Lower bound.
+ * @param {number} hi - Upper bound.
+ * @returns {number} Integer in [lo, hi].
+ */
+export function randInt(lo, hi) {
+  return lo + Math.floor(current() * (hi - lo + 1));
+}
+
+/**
+ * Random element of an array.
+ * @template T
+ * @param {T[]} arr - Candidates.
+ * @returns {T} One element.
+ */
+export function choice(arr) {
+  return arr[Math.floor(current() * arr.length)];
+}
+
+/**
+ * Make-believe wall clock for timestamps in the text styles: a start date drawn from the
+ * stream plus the frame clock (ctx.now), so seeded runs and frame exports print the same
+ * times. Draw it in init, like the rest of a mode's seeded state.
+ * @returns {(now:number) => Date} Date for a ctx.now value (read it with the UTC getters).
+ */
+export function fakeClock() {
+  const base = Date.UTC(2024, 0, 1) + Math.floor(current() * 365 * 86400000);
+  return (now) => new Date(base + now);
+}
+
+/**
+ * Seeded replacement for crypto.getRandomValues() (not for anything secret).
+ * @param {number} n - Number of bytes.
+ * @returns {Uint8Array} Random bytes.
+ */
+export function randomBytes(n) {
+  const bytes = new Uint8Array(n);
+  for (let i = 0; i < n; i++) bytes[i] = (current() * 256) | 0;
+  return bytes;
+}
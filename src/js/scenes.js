@@ -0,0 +1,194 @@
+/* eslint-env browser */
+// src/js/scenes.js
+// Scenes: named looks (style, flavor, vibe, speed, the style's controls and the CRT
+// overlays) saved from the current settings and recalled in one step, from the Scenes
+// panel (ui/scene_panel.js) or Alt+1..9 for the first nine. Recalling a scene goes through
+// the regular setters (history.js applyLook), so it is one undo step.
+//
+// Stored under "vn.scenes": { format: 'visual-noise/scenes', version: 1, scenes: [...] };
+// export and import use the same shape, so a file can move a team's scenes between displays.
+// Each scene: { name, mode, flavor?, vibe?, speed?, params: { [key]: n }, fx: { scanlines, flicker } }
+//
+// Emits "scene.list" with the scene names when scenes are saved, deleted or imported.
+
+import { emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { captureLook, applyLook } from './history.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.scenes';
+const PACK_FORMAT = 'visual-noise/scenes';
+export const MAX_SCENES = 30;
+const MAX_NAME = 40;
+const KEY_RE = /^[A-Za-z][\w-]*$/;
+
+/**
+ * A saved look with a name.
+ * @typedef {import('./history.js').Look & {name:string}} Scene
+ */
+
+/** @type {Scene[]} */
+const scenes = [];
+
+/**
+ * Check and normalise a scene from storage, an import or the current settings. Styles
+ * are checked when the scene is recalled, since plugin styles load after this module.
+ * @param {any} raw - Candidate scene.
+ * @returns {Scene|null} Clean scene, or null when it can't be used.
+ */
+function cleanScene(raw) {
+  const name = String(raw?.name ?? '')
+    .trim()
+    .slice(0, MAX_NAME);
+  if (!name || typeof raw.mode !== 'string' || !KEY_RE.test(raw.mode)) return null;
+  const out = { name, mode: raw.mode, params: {}, fx: {} };
+  if (typeof raw.flavor === 'string' && KEY_RE.test(raw.flavor)) out.flavor = raw.flavor;
+  if (typeof raw.vibe === 'string' && raw.vibe) out.vibe = raw.vibe;
+  if (Number.isFinite(raw.speed)) out.speed = Math.round(raw.speed);
+  if (raw.params && typeof raw.params === 'object') {
+    for (const [key, v] of Object.entries(raw.params)) {
+      if (KEY_RE.test(key) && Number.isFinite(v)) out.params[key] = v;
+    }
+  }
+  if (raw.fx && typeof raw.fx === 'object') {
+    for (const k of ['scanlines', 'flicker']) {
+      if (typeof raw.fx[k] === 'boolean') out.fx[k] = raw.fx[k];
+    }
+  }
+  return out;
+}
+
+/**
+ * Position of a scene by name (case-insensitive).
+ * @param {string} name - Scene name.
+ * @returns {number} Index, or -1.
+ */
+function indexOfName(name) {
+  const want = String(name).trim().toLowerCase();
+  return scenes.findIndex((s) => s.name.toLowerCase() === want);
+}
+
+/**
+ * Add a scene, replacing one with the same name in place (it keeps its Alt+ number).
+ * @param {Scene} scene - Clean scene.
+ * @returns {boolean} False when the list is full.
+ */
+function addScene(scene) {
+  const i = indexOfName(scene.name);
+  if (i >= 0) scenes[i] = scene;
+  else if (scenes.length >= MAX_SCENES) return false;
+  else scenes.push(scene);
+  return true;
+}
+
+/**
+ * Persist the scenes and tell listeners the list changed.
+ * @returns {void}
+ */
+function commit() {
+  writeJSON(STORAGE_KEY, exportScenes());
+  emit(
+    'scene.list',
+    scenes.map((s) => s.name)
+  );
+}
+
+/**
+ * Saved scenes, in Alt+1..9 order.
+ * @returns {Scene[]} Copies of the scenes.
+ */
+export function listScenes() {
+  return scenes.map((s) => JSON.parse(JSON.stringify(s)));
+}
+
+/**
+ * Save the current look under a name, replacing a scene with the same name.
+ * @param {string} name - Scene name (up to 40 characters).
+ * @returns {Scene|null} The saved scene, or null if the name is empty or the list is full.
+ */
+export function saveScene(name) {
+  const scene = cleanScene({ ...captureLook(), name });
+  if (!scene || !addScene(scene)) return null;
+  commit();
+  return scene;
+}
+
+/**
+ * Delete a scene.
+ * @param {string} name - Scene name.
+ * @returns {boolean} True if something was removed.
+ */
+export function deleteScene(name) {
+  const i = indexOfName(name);
+  if (i < 0) return false;
+  scenes.splice(i, 1);
+  commit();
+  return true;
+}
+
+/**
+ * Move a scene up or down the list (and so to another Alt+ number).
+ * @param {string} name - Scene name.
+ * @param {number} dir - -1 for up, +1 for down.
+ * @returns {boolean} True if it moved.
+ */
+export function moveScene(name, dir) {
+  const i = indexOfName(name);
+  const j = i + Math.sign(dir);
+  if (i < 0 || j < 0 || j >= scenes.length) return false;
+  [scenes[i], scenes[j]] = [scenes[j], scenes[i]];
+  commit();
+  return true;
+}
+
+/**
+ * Recall a scene.
+ * @param {string|number} ref - Scene name, or its position (0 = Alt+1).
+ * @returns {{ok:true, scene:Scene}|{ok:false, error:string}} The scene, or why it can't be shown.
+ */
+export function applyScene(ref) {
+  const scene = typeof ref === 'number' ? scenes[ref] : scenes[indexOfName(ref)];
+  if (!scene) {
+    const error = typeof ref === 'number' ? `No scene ${ref + 1}` : `No scene "${ref}"`;
+    return { ok: false, error };
+  }
+  if (!modeRegistry[scene.mode]) {
+    return { ok: false, error: `${scene.name}: style "${scene.mode}" isn't loaded` };
+  }
+  applyLook(scene);
+  return { ok: true, scene: JSON.parse(JSON.stringify(scene)) };
+}
+
+/**
+ * Build a scene file for export.
+ * @param {string[]} [names] - Scenes to include (default: all).
+ * @returns {{format:string, version:number, scenes:Scene[]}} Pack object.
+ */
+export function exportScenes(names) {
+  const want = names?.map((n) => n.toLowerCase());
+  const list = listScenes().filter((s) => !want || want.includes(s.name.toLowerCase()));
+  return { format: PACK_FORMAT, version: 1, scenes: list };
+}
+
+/**
+ * Add the scenes from a scene file. Invalid entries are skipped; a scene whose name
+ * already exists replaces it.
+ * @param {any} pack - Parsed file ({ scenes: [...] } or a bare array).
+ * @returns {{added:string[], skipped:number}} Result summary.
+ */
+export function importScenes(pack) {
+  const list = Array.isArray(pack) ? pack : Array.isArray(pack?.scenes) ? pack.scenes : [];
+  const added = [];
+  for (const raw of list) {
+    const scene = cleanScene(raw);
+    if (scene && addScene(scene)) added.push(scene.name);
+  }
+  if (added.length) commit();
+  return { added, skipped: list.length - added.length };
+}
+
+// Stored scenes load with the module; nothing else reads them before the UI is up
+(readJSON(STORAGE_KEY)?.scenes || []).forEach((raw) => {
+  const scene = cleanScene(raw);
+  if (scene) addScene(scene);
+});
@@ -0,0 +1,243 @@
+/* eslint-env browser */
+// src/js/schedule.js
+// Time-of-day schedule: daily rules that switch mode/vibe/speed, dim the canvas and
+// hold or release the screen wake lock, e.g.
+//   18:00–23:00  fire + mainframe
+//   23:00–07:00  drizzle, brightness 40%
+//   01:00–07:00  release WakeLock
+//
+// Rules are wall-clock windows in local time, evaluated against the real clock on every
+// minute boundary (never by accumulating timers). Overlapping rules merge; later rules win
+// per field. Changes are applied only on transitions, so manual tweaks inside a window stick
+// until the next rule boundary.
+//
+// DST: every tick reads the wall clock afresh, so the first tick after a jump sees the new
+// local time (offset changes are logged).
+// A window that falls entirely inside the skipped spring-forward hour does not run that day;
+// a window that starts inside it begins at the jump. A window inside the repeated autumn hour
+// runs for both passes (the wall clock really does show those times twice).
+//
+// Stored under "vn.schedule":
+//   { rules: [{ id, start, end, days?, mode?, vibe?, speed?, brightness?, awake? }] }
+
+import { cfg, active, setMode, setTheme, setSpeed } from './state.js';
+import { emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { themeNames } from './themes.js';
+import { WakeLock } from './lib/wake_lock.js';
+import { storage, readJSON, writeJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.schedule';
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @typedef {object} ScheduleRule
+ * @property {string} id - Stable identifier.
+ * @property {string} start - Window start "HH:MM" (local time).
+ * @property {string} end - Window end "HH:MM"; earlier than start means overnight; equal means all day.
+ * @property {number[]} [days] - Days the window starts on (0=Sun..6=Sat); omitted = every day.
+ * @property {string} [mode] - Mode key to switch to.
+ * @property {string} [vibe] - Vibe key to apply.
+ * @property {number} [speed] - Speed index 1..10.
+ * @property {number} [brightness] - Canvas brightness percent (10..100).
+ * @property {boolean} [awake] - true holds the wake lock, false releases it.
+ */
+
+/** @type {ScheduleRule[]} */
+let rules = [];
+let timer = 0;
+let lastOffset = null;
+/** Merged fields from the last evaluation (what we last applied). */
+let applied = {};
+
+/**
+ * Parse "HH:MM" into minutes after midnight.
+ * @param {string} hhmm - Time string.
+ * @returns {number|null} Minutes 0..1439, or null if malformed.
+ */
+function toMinutes(hhmm) {
+  const m = TIME_RE.exec(String(hhmm).trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Validate one rule; drops unknown modes/vibes and clamps numbers.
+ * @param {any} r - Raw rule.
+ * @param {number} i - Position (used for a fallback id).
+ * @returns {ScheduleRule|null} Clean rule, or null if the times are unusable.
+ */
+function sanitizeRule(r, i) {
+  if (!r || typeof r !== 'object') return null;
+  if (toMinutes(r.start) == null || toMinutes(r.end) == null) return null;
+
+  const out = {
+    id: typeof r.id === 'string' && r.id ? r.id : `rule-${i + 1}`,
+    start: r.start.trim().padStart(5, '0'),
+    end: r.end.trim().padStart(5, '0'),
+  };
+  if (Array.isArray(r.days)) {
+    const days = [...new Set(r.days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))];
+    if (days.length && days.length < 7) out.days = days.sort();
+  }
+  if (typeof r.mode === 'string' && modeRegistry[r.mode]) out.mode = r.mode;
+  if (typeof r.vibe === 'string' && themeNames.includes(r.vibe)) out.vibe = r.vibe;
+  if (Number.isFinite(r.speed)) out.speed = Math.max(1, Math.min(10, Math.round(r.speed)));
+  if (Number.isFinite(r.brightness)) {
+    out.brightness = Math.max(10, Math.min(100, Math.round(r.brightness)));
+  }
+  if (typeof r.awake === 'boolean') out.awake = r.awake;
+  return out;
+}
+
+/**
+ * Is a rule's window open at the given local time?
+ * Overnight windows belong to the day they start on.
+ * @param {ScheduleRule} rule - Rule to test.
+ * @param {Date} date - Moment to test (local wall clock is used).
+ * @returns {boolean} True if the window contains the moment.
+ */
+export function ruleIsActive(rule, date) {
+  const s = toMinutes(rule.start);
+  const e = toMinutes(rule.end);
+  const m = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  const onDay = (d) => !rule.days || rule.days.includes(d);
+
+  if (s === e) return onDay(today);
+  if (s < e) return onDay(today) && m >= s && m < e;
+  return (onDay(today) && m >= s) || (onDay(yesterday) && m < e);
+}
+
+/**
+ * Merge the fields of every rule open at a moment (later rules win per field).
+ * @param {ScheduleRule[]} list - Rules to consider.
+ * @param {Date} date - Moment to evaluate.
+ * @returns {{mode?:string, vibe?:string, speed?:number, brightness?:number, awake?:boolean}} Merged target.
+ */
+export function targetAt(list, date) {
+  const out = {};
+  for (const r of list) {
+    if (!ruleIsActive(r, date)) continue;
+    for (const k of ['mode', 'vibe', 'speed', 'brightness', 'awake']) {
+      if (r[k] !== undefined) out[k] = r[k];
+    }
+  }
+  return out;
+}
+
+/**
+ * Dim (or restore) the canvas.
+ * @param {number} [pct] - Brightness percent; undefined restores full brightness.
+ * @returns {void}
+ */
+function applyBrightness(pct) {
+  const canvas = document.getElementById('canvas');
+  if (!canvas) return;
+  canvas.style.filter = pct != null && pct < 100 ? `brightness(${pct}%)` : '';
+}
+
+/**
+ * Hold/release the wake lock; undefined falls back to the user's Awake preference.
+ * @param {boolean} [want] - Desired state from the schedule.
+ * @returns {Promise<void>}
+ */
+async function applyAwake(want) {
+  let on = want;
+  if (on === undefined) {
+    const stored = (storage?.getItem('vn.keepAwake') || '').trim().toLowerCase();
+    on = stored === '1' || stored === 'true';
+  }
+  let effective = false;
+  if (on) effective = (await WakeLock.enable()) === true;
+  if (!effective) WakeLock.disable();
+  emit('power.awake', effective);
+}
+
+/**
+ * Apply the schedule for a moment, changing only fields whose target moved.
+ * @param {Date} [now] - Moment to evaluate (defaults to the current time).
+ * @returns {object} The merged target now in force.
+ */
+export function evaluateSchedule(now = new Date()) {
+  const target = targetAt(rules, now);
+  const changed = (k) => target[k] !== applied[k];
+
+  if (changed('mode') && target.mode && target.mode !== cfg.persona) setMode(target.mode);
+  if (changed('vibe') && target.vibe && target.vibe !== (cfg.vibe ?? cfg.theme)) {
+    setTheme(target.vibe);
+  }
+  if (changed('speed') && target.speed != null && target.speed !== active.speed) {
+    setSpeed(target.speed);
+  }
+  if (changed('brightness')) applyBrightness(target.brightness);
+  if (changed('awake')) applyAwake(target.awake);
+
+  applied = target;
+  return target;
+}
+
+/**
+ * Tick on the next minute boundary of the real clock.
+ * @returns {void}
+ */
+function scheduleTick() {
+  window.clearTimeout(timer);
+  const now = new Date();
+  const msToNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds()) + 50;
+  timer = window.setTimeout(tick, msToNextMinute);
+}
+
+/**
+ * Evaluate against the current wall clock, logging UTC offset changes (DST).
+ * @returns {void}
+ */
+function tick() {
+  const now = new Date();
+  const offset = now.getTimezoneOffset();
+  if (lastOffset != null && offset !== lastOffset) {
+    console.info(`[schedule] UTC offset changed (${-lastOffset / 60}h → ${-offset / 60}h)`);
+  }
+  lastOffset = offset;
+  evaluateSchedule(now);
+  scheduleTick();
+}
+
+/**
+ * Current rules (copies).
+ * @returns {ScheduleRule[]} Rules in priority order (later wins).
+ */
+export function getRules() {
+  return rules.map((r) => (r.days ? { ...r, days: [...r.days] } : { ...r }));
+}
+
+/**
+ * Replace, persist and immediately evaluate the rules.
+ * @param {Array<Partial<ScheduleRule>>} next - Raw rules; invalid ones are dropped.
+ * @returns {ScheduleRule[]} The rules that were kept.
+ */
+export function setRules(next) {
+  rules = (Array.isArray(next) ? next : []).map(sanitizeRule).filter(Boolean);
+  writeJSON(STORAGE_KEY, { rules });
+  emit('schedule.change', getRules());
+  evaluateSchedule();
+  return getRules();
+}
+
+/**
+ * Load stored rules and start ticking. Call after the first mode has started.
+ * @returns {void}
+ */
+export function installSchedule() {
+  const data = readJSON(STORAGE_KEY);
+  rules = (Array.isArray(data?.rules) ? data.rules : []).map(sanitizeRule).filter(Boolean);
+
+  // Nothing applied yet: with no open rule the Awake preference and brightness are left alone
+  applied = {};
+
+  // Timers are throttled or frozen in background tabs and across sleep; catch up on return
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') tick();
+  });
+  tick();
+}
@@ -3,6 +3,9 @@
 import { registry as modeRegistry } from './modes/index.js';
 import { DEFAULT_SPEED_MODEL } from './lib/speed.js';
 import { applyEffects } from './ui/effects.js';
+import { TRANSITION_STYLES } from './lib/transitions.js';
+import { seedFrom } from './lib/utils.js';
+import { emit } from './bus.js';
 
 /**
  * -------------------------
@@ -20,168 +23,30 @@ export const cfg = {
     scanlines: true,
     flicker: true,
   },
+  // Per-mode staged intensity indices (1..10), e.g. { matrix: { tail: 5, spawn: 5 } }
+  params: {},
+  // Mode-switch transition ("none" = hard cut)
+  transition: { style: 'fade', durationMs: 700 },
+  // Fixed random seed (see rng.js); null picks a new one each launch
+  seed: null,
 };
 
+/** Transition style keys accepted by setTransition. */
+export const transitionNames = ['none', ...Object.keys(TRANSITION_STYLES)];
+/** Longest mode-switch transition setTransition accepts, in ms. */
+export const MAX_TRANSITION_MS = 5000;
+
 // Apply global CRT overlays once on boot
 applyEffects(cfg.fx);
 
-// Simple event bus (unchanged)
-const listeners = new Map(); // event -> Set<fn>
-
-/**
- * Subscribe a handler to an event name.
- * @param {string} evt - Event name (e.g., "mode", "flavor", "theme", "speed").
- * @param {(data:any)=>void} fn - Handler invoked with event payload.
- * @returns {void}
- */
-export function on(evt, fn) {
-  if (!listeners.has(evt)) listeners.set(evt, new Set());
-  listeners.get(evt).add(fn);
-}
-
-/**
- * Unsubscribe a handler from an event name.
- * @param {string} evt - Event name previously used with {@link on}.
- * @param {(data:any)=>void} fn - Handler to remove.
- * @returns {void}
- */
-export function off(evt, fn) {
-  listeners.get(evt)?.delete(fn);
-}
-
-/**
- * Emit an event to all subscribers.
- * @param {string} evt - Event name to emit.
- * @param {any} [data] - Optional payload for subscribers.
- * @returns {void}
- */
-export function emit(evt, data) {
-  listeners.get(evt)?.forEach((fn) => fn(data));
-}
-
 // -------------------------
-// NEW: Single Source of Truth
-// genre -> style -> vibe
+// genre -> style -> flavor tree, filled by registerMode (mode_api.js): the built-ins from
+// modes/index.js first, then plugins. Lookup tables have no prototype, so ids such as
+// "constructor" only resolve once something registers them.
 // -------------------------
 export const registry = {
-  order: ['system', 'developer', 'rain', 'fire'],
-  families: {
-    system: {
-      name: 'system',
-      modesOrder: ['liveOutput', 'crypto', 'sysadmin'],
-      modes: {
-        liveOutput: {
-          name: 'liveOutput',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'liveOutput',
-        },
-        crypto: {
-          name: 'crypto',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'crypto',
-        },
-        sysadmin: {
-          name: 'sysadmin',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'sysadmin',
-        },
-      },
-    },
-
-    developer: {
-      name: 'developer',
-      modesOrder: ['coding', 'mining'],
-      modes: {
-        coding: {
-          name: 'coding',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'coding',
-        },
-        mining: {
-          name: 'mining',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'mining',
-        },
-      },
-    },
-
-    rain: {
-      name: 'rain',
-      modesOrder: ['matrix', 'bsd', 'digitalrain', 'drizzle'],
-      modes: {
-        matrix: {
-          name: 'matrix',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 6, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'matrix',
-        },
-        bsd: {
-          name: 'BSD',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 5, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'rain_bsd',
-        },
-        digitalrain: {
-          name: 'digital rain',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 6, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'digitalrain',
-        },
-        drizzle: {
-          name: 'drizzle',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 6, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'drizzle',
-        },
-      },
-    },
-
-    fire: {
-      name: 'fire',
-      modesOrder: ['fire', 'fireAscii'],
-      modes: {
-        fire: {
-          name: 'fire',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 6, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'fire',
-        },
-        fireAscii: {
-          name: 'fireAscii',
-          flavorsOrder: ['classic'],
-          flavors: {
-            classic: { name: 'classic', defaultSpeed: 6, minSpeed: 1, maxSpeed: 10, step: 1 },
-          },
-          impl: 'fireAscii',
-        },
-      },
-    },
-  },
+  order: [],
+  families: Object.create(null),
 };
 
 // Active selection in the taxonomy
@@ -278,17 +143,23 @@ export function setModeInActiveFamily(nextModeId) {
 }
 
 /**
- * Select a flavor (style) for the current mode.
- * Emits "flavor" after updating.
+ * Select a flavor (style) for the current mode and apply its defaults: the flavor's
+ * defaultSpeed and any control values it declares (e.g. matrix tail/spawn stages).
+ * Emits "flavor.change" after updating, so the mode can swap glyphs/palettes in its setFlavor.
  * @param {string} nextFlavorId - Flavor key present in the current mode.
  * @returns {void}
  */
 export function setFlavor(nextFlavorId) {
   const { mode } = getNode();
-  if (!mode?.flavors[nextFlavorId]) return;
+  const flav = mode?.flavors[nextFlavorId];
+  if (!flav) return;
   active.flavorId = nextFlavorId;
-  initDefaults();
-  emit('flavor', { modeId: active.modeId, flavorId: active.flavorId });
+  for (const [key, value] of Object.entries(flav.params || {})) {
+    setModeParam(active.modeId, key, value);
+  }
+  if (Number.isFinite(flav.defaultSpeed)) setSpeed(flav.defaultSpeed);
+  else initDefaults();
+  emit('flavor.change', { modeId: active.modeId, flavorId: active.flavorId, name: flav.name });
 }
 
 /**
@@ -353,7 +224,7 @@ export function speedBounds() {
 
 /**
  * Set the current speed by INDEX (human 1..steps), clamped to bounds.
- * Mirrors the computed multiplier to legacy {@link cfg.speed} and emits "speed".
+ * Mirrors the computed multiplier to legacy {@link cfg.speed} and emits "speed.change".
  * @param {number} next - Target speed index (e.g., 6 for “6/10”).
  * @returns {void}
  */
@@ -369,7 +240,7 @@ export function setSpeed(next) {
   emit('speed.step', { index: active.speed, total: speedBounds().max });
 
   // Emit the multiplier (legacy behavior), but callers can read the label via getSpeedLabel()
-  emit('speed', cfg.speed);
+  emit('speed.change', cfg.speed);
 }
 
 /**
@@ -462,64 +333,66 @@ export function labels() {
 // -------------------------
 
 /**
- * Set the active mode by legacy "persona" name and emit "mode".
- * Also updates the structured selection pointers.
+ * Find which family contains a mode key.
+ * @param {string} modeName - Mode key (e.g., "crypto", "matrix").
+ * @returns {string|null} Family key, or null if no family lists the mode.
+ */
+export function familyOf(modeName) {
+  for (const [famId, fam] of Object.entries(registry.families)) {
+    if (fam.modes[modeName]) return famId;
+  }
+  return null;
+}
+
+/**
+ * Point the structured selection (and legacy cfg.persona) at a mode without emitting.
+ * Used by setMode and by boot-time restores that run before the bus is wired.
  * @param {string} modeName - Mode key (e.g., "crypto", "sysadmin").
+ * @param {string} [flavorId] - Flavor to select; falls back to the mode's first flavor.
  * @returns {void}
  */
-export function setMode(modeName) {
-  // Update legacy field and emit as before
+export function selectMode(modeName, flavorId) {
   cfg.persona = modeName;
 
   // Also map it into the registry selection so the rest of the app
   // can use family->mode->flavor now.
-  // Find which family contains this mode name:
-  for (const [famId, fam] of Object.entries(registry.families)) {
-    if (fam.modes[modeName]) {
-      active.familyId = famId;
-      active.modeId = modeName;
-      active.flavorId = fam.modes[modeName].flavorsOrder[0];
-      initDefaults();
-      break;
-    }
-  }
+  const famId = familyOf(modeName);
+  if (!famId) return;
+  const mode = registry.families[famId].modes[modeName];
+  active.familyId = famId;
+  active.modeId = modeName;
+  active.flavorId = mode.flavors[flavorId] ? flavorId : mode.flavorsOrder[0];
+  initDefaults();
+}
 
-  emit('mode', modeName);
+/**
+ * Set the active mode by legacy "persona" name and emit "style.change".
+ * Also updates the structured selection pointers.
+ * @param {string} modeName - Mode key (e.g., "crypto", "sysadmin").
+ * @returns {void}
+ */
+export function setMode(modeName) {
+  selectMode(modeName);
+  emit('style.change', modeName);
 }
 
 /**
- * Set the current theme (vibe) by name and emit "theme".
+ * Set the current theme (vibe) by name and emit "vibe.change".
  * @param {string} theme - Theme key (e.g., "classic", "clu").
  * @returns {void}
  */
 export function setTheme(theme) {
   cfg.theme = theme;
+  cfg.vibe = theme; // keep themes.js (which reads cfg.vibe first) in step
   active.themeId = theme;
-  emit('theme', theme);
-}
-
-// --- taxonomy: map mode keys -> { family, typeLabel } ---
-export const taxonomy = {
-  // system
-  liveOutput: { family: 'system', typeLabel: 'liveOutput' },
-  crypto: { family: 'system', typeLabel: 'crypto' },
-  sysadmin: { family: 'system', typeLabel: 'sysadmin' },
-  // developer
-  coding: { family: 'developer', typeLabel: 'coding' },
-  mining: { family: 'developer', typeLabel: 'mining' },
-  // rain
-  matrix: { family: 'rain', typeLabel: 'matrix' },
-  bsd: { family: 'rain', typeLabel: 'bsd' },
-  rain_bsd: { family: 'rain', typeLabel: 'bsd' },
-  digitalrain: { family: 'rain', typeLabel: 'digital rain' },
-  drizzle: { family: 'rain', typeLabel: 'drizzle' },
-  // fire
-  fire: { family: 'fire', typeLabel: 'fire' },
-  fireAscii: { family: 'fire', typeLabel: 'fireAscii' },
-};
+  emit('vibe.change', theme);
+}
+
+// --- taxonomy: map mode keys -> { family, typeLabel }, filled by registerMode ---
+export const taxonomy = Object.create(null);
 
 /**
- * Compute labels for a given mode id (fallbacks to static taxonomy).
+ * Compute labels for a given mode id (from its registered info, else the taxonomy table).
  * @param {string} id - Mode key to label.
  * @returns {{familyLabel:string,typeLabel:string}} UI labels.
  */
@@ -530,7 +403,7 @@ export function labelsForMode(id) {
     const typeLabel = mod.info.flavor || mod.info.type || mod.info.variant || id;
     return { familyLabel, typeLabel };
   }
-  // fallback to static table for older modes
+  // Ids nothing registered
   const t = taxonomy[id] || { family: 'unknown', typeLabel: id || '' };
   return { familyLabel: t.family, typeLabel: t.typeLabel };
 }
@@ -546,18 +419,205 @@ export function labelsForGenreStyle(name) {
 }
 
 /**
- * Toggle the paused state and emit "paused".
+ * Read a mode's stored staged parameter (e.g. matrix tail index).
+ * @param {string} modeId - Mode key (e.g., "matrix", "fire").
+ * @param {string} key - Parameter name (e.g., "tail", "height").
+ * @param {number} fallback - Value to use when nothing is stored.
+ * @returns {number} Stored value, or the fallback.
+ */
+export function getModeParam(modeId, key, fallback) {
+  const v = cfg.params[modeId]?.[key];
+  return Number.isFinite(v) ? v : fallback;
+}
+
+/**
+ * Record a mode's staged parameter and emit "param.change" so persistence can save it.
+ * @param {string} modeId - Mode key (e.g., "matrix", "fire").
+ * @param {string} key - Parameter name (e.g., "tail", "height").
+ * @param {number} value - New value (usually a 1..10 stage index).
+ * @returns {void}
+ */
+export function setModeParam(modeId, key, value) {
+  if (!Number.isFinite(value)) return;
+  if (!cfg.params[modeId]) cfg.params[modeId] = {};
+  if (cfg.params[modeId][key] === value) return;
+  cfg.params[modeId][key] = value;
+  emit('param.change', { modeId, key, value });
+}
+
+// -------------------------
+// Per-mode control schema
+// -------------------------
+
+/**
+ * A tunable a mode declares in its `controls` array. Values are stored through
+ * setModeParam (so they persist and can be set from the URL):
+ *   stages - 1-based index into `stages`; the mode reads stages[index - 1]
+ *   range  - number in min..max, snapped to step
+ *   toggle - stored as 0/1, read as a boolean
+ * @typedef {object} ModeControl
+ * @property {string} key - Param key (e.g. "tail").
+ * @property {string} [label] - Human label for the menu and toasts (defaults to key).
+ * @property {'stages'|'range'|'toggle'} [type] - Defaults to "stages" when stages are given, else "range".
+ * @property {number[]} [stages] - Values for indices 1..N.
+ * @property {number} [min] - Range lower bound (default 1).
+ * @property {number} [max] - Range upper bound (default 10).
+ * @property {number} [step] - Range increment (default 1).
+ * @property {number|boolean} [default] - Initial index/value/state.
+ * @property {[string, string]} [keys] - Shift+key pair [decrease, increase], e.g. ["ArrowDown", "ArrowUp"].
+ */
+
+/**
+ * Controls declared by a mode.
+ * @param {string} modeId - Mode key.
+ * @returns {ModeControl[]} Declared controls (empty when the mode has none).
+ */
+export function controlsFor(modeId) {
+  const list = modeRegistry[modeId]?.controls;
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Numeric bounds of a control on its stored scale.
+ * @param {ModeControl} c - Control declaration.
+ * @returns {{type:string,min:number,max:number,step:number,def:number}} Type, bounds, step and default.
+ */
+export function controlBounds(c) {
+  const type = c.type || (Array.isArray(c.stages) ? 'stages' : 'range');
+  if (type === 'toggle') return { type, min: 0, max: 1, step: 1, def: c.default ? 1 : 0 };
+  const min = type === 'stages' ? 1 : Number.isFinite(c.min) ? c.min : 1;
+  const max = type === 'stages' ? c.stages.length : Number.isFinite(c.max) ? c.max : 10;
+  const step = type === 'stages' ? 1 : Number.isFinite(c.step) && c.step > 0 ? c.step : 1;
+  const def = Number.isFinite(c.default) ? c.default : Math.round((min + max) / 2);
+  return { type, min, max, step, def: Math.max(min, Math.min(max, def)) };
+}
+
+/**
+ * Snap a raw value onto a control's scale.
+ * @param {ModeControl} c - Control declaration.
+ * @param {number} v - Raw value.
+ * @returns {number} Clamped, step-aligned value.
+ */
+function snapControl(c, v) {
+  const { min, max, step } = controlBounds(c);
+  const snapped = min + Math.round((v - min) / step) * step;
+  return Math.max(min, Math.min(max, Number(snapped.toFixed(6))));
+}
+
+/**
+ * Read a control on its stored scale (stage index, range value or 0/1).
+ * @param {string} modeId - Mode key.
+ * @param {string} key - Control key.
+ * @returns {number} Current value, or the declared default.
+ */
+export function getControl(modeId, key) {
+  const c = controlsFor(modeId).find((x) => x.key === key);
+  if (!c) return getModeParam(modeId, key, NaN);
+  const v = getModeParam(modeId, key, NaN);
+  return Number.isFinite(v) ? snapControl(c, v) : controlBounds(c).def;
+}
+
+/**
+ * Read the value a mode renders with: the stage value, the range number or a boolean.
+ * @param {string} modeId - Mode key.
+ * @param {string} key - Control key.
+ * @returns {number|boolean} Effective value.
+ */
+export function controlValue(modeId, key) {
+  const c = controlsFor(modeId).find((x) => x.key === key);
+  const v = getControl(modeId, key);
+  if (!c) return v;
+  const { type } = controlBounds(c);
+  if (type === 'stages') return c.stages[v - 1];
+  if (type === 'toggle') return v === 1;
+  return v;
+}
+
+/**
+ * Set a control (clamped to its schema), store it and emit "control.change" for toasts/menus.
+ * Keys the mode doesn't declare are ignored.
+ * @param {string} modeId - Mode key.
+ * @param {string} key - Control key.
+ * @param {number|boolean} value - New index/value; booleans are accepted for toggles.
+ * @returns {void}
+ */
+export function setControl(modeId, key, value) {
+  const c = controlsFor(modeId).find((x) => x.key === key);
+  const raw = Number(value);
+  if (!c || !Number.isFinite(raw)) return;
+  const v = snapControl(c, raw);
+  setModeParam(modeId, key, v);
+
+  const { type, max } = controlBounds(c);
+  const text = type === 'toggle' ? (v ? 'on' : 'off') : type === 'stages' ? `${v}/${max}` : `${v}`;
+  emit('control.change', { modeId, key, label: c.label || key, value: v, text });
+}
+
+/**
+ * Nudge a control one step (toggles flip).
+ * @param {string} modeId - Mode key.
+ * @param {string} key - Control key.
+ * @param {number} dir - +1 to increase, -1 to decrease.
+ * @returns {void}
+ */
+export function stepControl(modeId, key, dir) {
+  const c = controlsFor(modeId).find((x) => x.key === key);
+  if (!c) return;
+  const { type, step } = controlBounds(c);
+  const cur = getControl(modeId, key);
+  setControl(modeId, key, type === 'toggle' ? 1 - cur : cur + Math.sign(dir) * step);
+}
+
+/**
+ * Toggle a CRT overlay effect, keep cfg.fx in sync, and emit "fx.change".
+ * @param {'scanlines'|'flicker'} name - Effect key in cfg.fx.
+ * @returns {boolean} The new on/off state.
+ */
+export function toggleEffect(name) {
+  cfg.fx[name] = !cfg.fx[name];
+  applyEffects(cfg.fx);
+  emit('fx.change', { ...cfg.fx });
+  return cfg.fx[name];
+}
+
+/**
+ * Configure the mode-switch transition and emit "transition.change".
+ * Unknown styles and non-numeric durations are ignored.
+ * @param {{style?:string, durationMs?:number}} next - Style key and/or duration (0..5000 ms).
+ * @returns {void}
+ */
+export function setTransition({ style, durationMs } = {}) {
+  if (transitionNames.includes(style)) cfg.transition.style = style;
+  if (Number.isFinite(durationMs)) {
+    cfg.transition.durationMs = Math.max(0, Math.min(MAX_TRANSITION_MS, Math.round(durationMs)));
+  }
+  emit('transition.change', { ...cfg.transition });
+}
+
+/**
+ * Fix the random seed, or clear it (null / "") to use a fresh one each launch; emits "seed.change".
+ * Text that isn't a plain integer is hashed, so any word can serve as a seed.
+ * @param {number|string|null} next - New seed.
+ * @returns {void}
+ */
+export function setSeed(next) {
+  cfg.seed = seedFrom(next);
+  emit('seed.change', cfg.seed);
+}
+
+/**
+ * Toggle the paused state and emit "playback.pause".
  * @returns {void}
  */
 export function togglePause() {
   cfg.paused = !cfg.paused;
-  emit('paused', cfg.paused);
+  emit('playback.pause', cfg.paused);
 }
 
 /**
- * Emit a "clear" event for consumers to wipe their state/canvas.
+ * Emit a "playback.clear" event for consumers to wipe their state/canvas.
  * @returns {void}
  */
 export function clearAll() {
-  emit('clear');
+  emit('playback.clear');
 }
@@ -0,0 +1,473 @@
+/* eslint-env browser */
+// src/js/sync.js
+// Multi-window sync: every window of the app on one machine (tabs, or one window per
+// monitor) shares style, flavor, the style's controls, vibe, speed, pause and whether the
+// playlist rotates, over a BroadcastChannel. Changes still go through the regular setters,
+// so each window behaves as if the change had been made there.
+//
+// Every window says "hello" once a second; the oldest window still saying it leads. The
+// leader answers newcomers with the full state and is the only one whose playlist
+// advances. When the leader closes, the next-oldest takes over within a few seconds.
+// A window joining keeps its own changes to itself until it has the leader's state (or
+// found nobody), so a restored session or a resuming playlist can't override the others.
+// Concurrent changes settle on one winner: each state message carries a revision counter
+// (ties broken by window id) and older revisions are ignored.
+//
+// Spanning: the windows also share a clock (animation time that follows speed and pause)
+// and their screen rectangles, so modes with `spannable: true` can draw one picture across
+// all of them. Those get ctx.span = { x, y, wall: { w, h }, time, seed }: this window's
+// offset within the bounding box of the spanning windows (CSS px), the shared clock in ms
+// and the leader's seed. Positions come from window.screenX/screenY: exact in fullscreen or
+// kiosk windows, approximate (browser toolbars) otherwise.
+//
+// Emits "sync.status" { enabled, leader, peers } when the window count or the leader changes.
+// Stored under "vn.sync": { enabled, span }
+
+import {
+  cfg,
+  active,
+  setMode,
+  setFlavor,
+  setTheme,
+  setSpeed,
+  setModeParam,
+  togglePause,
+} from './state.js';
+import { on, emit } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { activeSeed } from './rng.js';
+import { getRotationStatus, toggleRotation } from './playlist.js';
+import { readJSON, writeJSON } from './lib/storage.js';
+
+const STORAGE_KEY = 'vn.sync';
+const CHANNEL_NAME = 'vn.sync';
+const HELLO_MS = 1000;
+// A window that missed this many ms of hellos is gone (closed, crashed or frozen)
+const PEER_TIMEOUT_MS = 3500;
+// A joining window that hears no leader within this time is alone
+const SETTLE_MS = 1500;
+// Local changes that go out to the other windows
+const SHARED_EVENTS = [
+  'style.change',
+  'flavor.change',
+  'param.change',
+  'vibe.change',
+  'speed.change',
+  'playback.pause',
+];
+
+// Settings in effect: the stored ones (saved) with this page load's URL overrides on top
+const opts = { enabled: false, span: false };
+const saved = { ...opts };
+/** @type {{enabled?:boolean, span?:boolean}} From ?sync= and ?span=; never saved */
+let session = {};
+
+const self = { id: Math.random().toString(36).slice(2, 10), since: Date.now() };
+
+/**
+ * Other windows, by id, as of their last hello.
+ * @type {Map<string, {since:number, seen:number, span:boolean, rect:{x:number, y:number, w:number, h:number}, seed:number}>}
+ */
+const peers = new Map();
+
+// Shared animation clock: time = base + (Date.now() - ref) * rate, rate = speed (0 paused)
+const clock = { ref: 0, base: 0, rate: 1 };
+
+/** @type {any} BroadcastChannel while sync is on */
+let channel = null;
+let helloTimer = 0;
+let settleTimer = 0;
+// False from joining until the leader's state arrived (or nobody answered)
+let settled = false;
+let installed = false;
+// Revision of the state on screen, and the window that made it
+let rev = 0;
+let revBy = '';
+// True while a received state is applied, so it isn't sent straight back
+let applying = false;
+let queued = false;
+let lastReport = '';
+let rotating = false;
+
+/**
+ * Clean stored or requested settings.
+ * @param {any} o - Candidate settings.
+ * @returns {{enabled:boolean, span:boolean}} Clean settings.
+ */
+function sanitize(o) {
+  return { enabled: !!o?.enabled, span: !!o?.span };
+}
+
+/**
+ * Current sync settings.
+ * @returns {{enabled:boolean, span:boolean}} Copy of the settings.
+ */
+export function getSyncOptions() {
+  return { ...opts };
+}
+
+/**
+ * Work out the settings in effect and join or leave the other windows right away.
+ * @returns {{enabled:boolean, span:boolean}} The settings now in effect.
+ */
+function refresh() {
+  Object.assign(opts, sanitize({ ...saved, ...session }));
+  if (!installed) return getSyncOptions();
+  if (opts.enabled && !channel) join();
+  else if (!opts.enabled && channel) leave();
+  else if (channel) hello();
+  return getSyncOptions();
+}
+
+/**
+ * Change and persist sync settings; a field set here replaces its URL override.
+ * The setting is shared through storage, so windows opened later follow it.
+ * @param {{enabled?:boolean, span?:boolean}} next - Fields to change.
+ * @returns {{enabled:boolean, span:boolean}} The settings now in effect.
+ */
+export function setSyncOptions(next) {
+  Object.assign(saved, sanitize({ ...saved, ...next }));
+  for (const k of Object.keys(next)) delete session[k];
+  writeJSON(STORAGE_KEY, saved);
+  return refresh();
+}
+
+/**
+ * Override sync settings for this window's page load only (?sync=, ?span=); the stored ones
+ * stay as they are. May be called before installSync, which applies it on top of them.
+ * @param {{enabled?:boolean, span?:boolean}} next - Fields to override.
+ * @returns {{enabled:boolean, span:boolean}} The settings now in effect.
+ */
+export function overrideSyncOptions(next) {
+  session = { ...session, ...next };
+  return installed ? refresh() : getSyncOptions();
+}
+
+/**
+ * Shared clock reading.
+ * @param {number} [now] - Date.now() to read at.
+ * @returns {number} Animation ms.
+ */
+function clockTime(now = Date.now()) {
+  return clock.base + (now - clock.ref) * clock.rate;
+}
+
+/**
+ * Restart the clock from its current reading at the current speed and pause state, so a
+ * speed change alters the pace from now on without jumping.
+ * @returns {void}
+ */
+function rebase() {
+  const now = Date.now();
+  clock.base = clockTime(now);
+  clock.ref = now;
+  clock.rate = cfg.paused ? 0 : cfg.speed;
+}
+
+/**
+ * This window's viewport in screen coordinates (CSS px). Window borders are guessed from
+ * the outer/inner size difference; in fullscreen there are none.
+ * @returns {{x:number, y:number, w:number, h:number}} Viewport rectangle.
+ */
+function viewportRect() {
+  const border = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+  const chrome = Math.max(0, window.outerHeight - window.innerHeight - border);
+  return {
+    x: Math.round(window.screenX + border),
+    y: Math.round(window.screenY + chrome),
+    w: window.innerWidth,
+    h: window.innerHeight,
+  };
+}
+
+/**
+ * Post a message to the other windows.
+ * @param {object} msg - Message body; the window id is added.
+ * @returns {void}
+ */
+function post(msg) {
+  channel?.postMessage({ ...msg, id: self.id });
+}
+
+/**
+ * Forget windows that stopped saying hello.
+ * @returns {void}
+ */
+function prune() {
+  const cutoff = Date.now() - PEER_TIMEOUT_MS;
+  for (const [id, p] of peers) if (p.seen < cutoff) peers.delete(id);
+}
+
+/**
+ * Id of the leading window: the oldest one, ties broken by id.
+ * @returns {string} Window id.
+ */
+function leaderId() {
+  let best = self;
+  for (const [id, p] of peers) {
+    if (p.since < best.since || (p.since === best.since && id < best.id)) best = { id, ...p };
+  }
+  return best.id;
+}
+
+/**
+ * Whether another window leads, so this one should leave timed changes (the playlist) to
+ * it. False while sync is off.
+ * @returns {boolean} True when synced and not the leader.
+ */
+export function isSyncFollower() {
+  return !!channel && leaderId() !== self.id;
+}
+
+/**
+ * Sync status for the UI.
+ * @returns {{enabled:boolean, leader:boolean, peers:number}} Whether sync is on, whether this window leads, and how many windows take part (this one included).
+ */
+export function getSyncStatus() {
+  return { enabled: !!channel, leader: !isSyncFollower(), peers: channel ? peers.size + 1 : 0 };
+}
+
+/**
+ * Emit "sync.status" when the status changed since the last report.
+ * @returns {void}
+ */
+function report() {
+  const status = getSyncStatus();
+  const key = JSON.stringify(status);
+  if (key === lastReport) return;
+  lastReport = key;
+  emit('sync.status', status);
+}
+
+/**
+ * Send a heartbeat with what spanning needs, and drop silent windows.
+ * @returns {void}
+ */
+function hello() {
+  post({
+    type: 'hello',
+    since: self.since,
+    span: opts.span,
+    rect: viewportRect(),
+    seed: activeSeed(),
+  });
+  prune();
+  report();
+}
+
+/**
+ * The shared part of the current state.
+ * @returns {{mode:string, flavor:string|null, params:Record<string, number>, vibe:string, speed:number, paused:boolean, rotating:boolean, clock:{ref:number, base:number, rate:number}}} Snapshot.
+ */
+function snapshot() {
+  return {
+    mode: cfg.persona,
+    flavor: active.modeId === cfg.persona ? active.flavorId : null,
+    params: { ...(cfg.params[cfg.persona] || {}) },
+    vibe: cfg.vibe ?? cfg.theme,
+    speed: active.speed,
+    paused: cfg.paused,
+    rotating: getRotationStatus().running,
+    clock: { ...clock },
+  };
+}
+
+/**
+ * Send the current state as a new revision.
+ * @returns {void}
+ */
+function sendState() {
+  rev += 1;
+  revBy = self.id;
+  post({ type: 'state', rev, by: revBy, state: snapshot() });
+}
+
+/**
+ * Send the state once after the current task, so one user action (a style switch that also
+ * sets flavor defaults and speed) goes out as one message.
+ * @returns {void}
+ */
+function queueState() {
+  if (queued) return;
+  queued = true;
+  Promise.resolve().then(() => {
+    queued = false;
+    if (channel && settled) sendState();
+  });
+}
+
+/**
+ * Whether a received state turns the playlist on or off.
+ * @param {{rotating?:boolean}} s - Received snapshot.
+ * @returns {boolean} True when its rotation state differs from this window's.
+ */
+function rotationDiffers(s) {
+  return typeof s.rotating === 'boolean' && s.rotating !== getRotationStatus().running;
+}
+
+/**
+ * Apply another window's state through the regular setters. Only fields that differ are
+ * set, so nothing restarts needlessly.
+ * @param {ReturnType<typeof snapshot>} s - Received snapshot.
+ * @returns {void}
+ */
+function applyState(s) {
+  if (modeRegistry[s.mode] && s.mode !== cfg.persona) setMode(s.mode);
+  if (s.mode === cfg.persona) {
+    // Flavor first: selecting one resets its control and speed defaults
+    if (s.flavor && active.modeId === s.mode && s.flavor !== active.flavorId) {
+      setFlavor(s.flavor);
+    }
+    for (const [key, value] of Object.entries(s.params || {})) {
+      setModeParam(cfg.persona, key, value);
+    }
+  }
+  if (typeof s.vibe === 'string' && s.vibe !== (cfg.vibe ?? cfg.theme)) setTheme(s.vibe);
+  if (Number.isFinite(s.speed) && s.speed !== active.speed) setSpeed(s.speed);
+  if (typeof s.paused === 'boolean' && s.paused !== cfg.paused) togglePause();
+  // The leader's playlist switches style as it starts, which the others must hear about,
+  // so the leader toggles it after the guard (in onMessage)
+  if (isSyncFollower() && rotationDiffers(s)) toggleRotation();
+  if (s.clock) Object.assign(clock, s.clock);
+}
+
+/**
+ * Handle a message from another window.
+ * @param {{data:any}} e - Message event.
+ * @returns {void}
+ */
+function onMessage(e) {
+  const m = e.data;
+  if (!m || typeof m !== 'object' || m.id === self.id) return;
+
+  if (m.type === 'hello') {
+    peers.set(m.id, {
+      since: m.since,
+      seen: Date.now(),
+      span: !!m.span,
+      rect: m.rect,
+      seed: m.seed,
+    });
+    report();
+  } else if (m.type === 'want') {
+    if (!isSyncFollower()) post({ type: 'state', rev, by: revBy, state: snapshot(), reply: true });
+  } else if (m.type === 'state') {
+    // A reply to "want" is what the leader shows; anything else must be newer than ours
+    if (!m.reply && (m.rev < rev || (m.rev === rev && m.by <= revBy))) return;
+    rev = Math.max(rev, m.rev);
+    revBy = m.by;
+    settle();
+    applying = true;
+    try {
+      applyState(m.state);
+    } finally {
+      applying = false;
+    }
+    if (!isSyncFollower() && rotationDiffers(m.state)) toggleRotation();
+  } else if (m.type === 'bye') {
+    peers.delete(m.id);
+    report();
+  }
+}
+
+/**
+ * Open the channel, introduce this window and ask the leader for its state.
+ * @returns {void}
+ */
+function join() {
+  if (!window.BroadcastChannel) {
+    console.info('[sync] BroadcastChannel is not supported; windows stay independent');
+    return;
+  }
+  channel = new window.BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = onMessage;
+  settled = false;
+  hello();
+  post({ type: 'want' });
+  helloTimer = window.setInterval(hello, HELLO_MS);
+  settleTimer = window.setTimeout(settle, SETTLE_MS);
+}
+
+/**
+ * Start sending local changes: the leader's state arrived, or nobody answered.
+ * @returns {void}
+ */
+function settle() {
+  window.clearTimeout(settleTimer);
+  settleTimer = 0;
+  settled = true;
+}
+
+/**
+ * Say goodbye and close the channel; the others elect a new leader straight away.
+ * @returns {void}
+ */
+function leave() {
+  post({ type: 'bye' });
+  window.clearInterval(helloTimer);
+  window.clearTimeout(settleTimer);
+  helloTimer = settleTimer = 0;
+  channel.close();
+  channel = null;
+  peers.clear();
+  report();
+}
+
+/**
+ * Where this window sits in the wall of spanning windows, for ctx.span.
+ * @returns {{x:number, y:number, wall:{w:number, h:number}, time:number, seed:number}|null} Span view, or null when not spanning.
+ */
+export function spanView() {
+  if (!channel || !opts.span) return null;
+  const me = viewportRect();
+  let x0 = me.x;
+  let y0 = me.y;
+  let x1 = me.x + me.w;
+  let y1 = me.y + me.h;
+  for (const p of peers.values()) {
+    if (!p.span || !p.rect) continue;
+    x0 = Math.min(x0, p.rect.x);
+    y0 = Math.min(y0, p.rect.y);
+    x1 = Math.max(x1, p.rect.x + p.rect.w);
+    y1 = Math.max(y1, p.rect.y + p.rect.h);
+  }
+  const lead = leaderId();
+  return {
+    x: me.x - x0,
+    y: me.y - y0,
+    wall: { w: x1 - x0, h: y1 - y0 },
+    time: clockTime(),
+    seed: lead === self.id ? activeSeed() : (peers.get(lead)?.seed ?? activeSeed()),
+  };
+}
+
+/**
+ * Load the settings, start forwarding local changes and join the other windows if sync is
+ * on. Call after the session and URL settings are applied, before the playlist resumes.
+ * @returns {void}
+ */
+export function installSync() {
+  Object.assign(saved, sanitize(readJSON(STORAGE_KEY) ?? saved));
+  Object.assign(opts, sanitize({ ...saved, ...session }));
+  installed = true;
+  clock.ref = Date.now();
+  rebase();
+
+  for (const evt of SHARED_EVENTS) {
+    on(evt, () => {
+      if (applying) return;
+      if (evt === 'speed.change' || evt === 'playback.pause') rebase();
+      if (channel) queueState();
+    });
+  }
+  // "rotation.status" also reports every countdown second; only starting and stopping count
+  on('rotation.status', (status) => {
+    if (status.running === rotating) return;
+    rotating = status.running;
+    if (channel && !applying) queueState();
+  });
+  window.addEventListener('pagehide', () => post({ type: 'bye' }));
+
+  if (opts.enabled) join();
+  else report();
+}
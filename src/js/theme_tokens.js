@@ -0,0 +1,125 @@
+/* eslint-env browser */
+// src/js/theme_tokens.js
+// Theme tokens: the active vibe's colors, resolved once per vibe change instead of
+// every mode calling getComputedStyle from its frame loop. main.js refreshes the tokens
+// right after applyTheme() and hands them to modes as `ctx.theme`; a single
+// "theme.tokens" event tells everyone else.
+//
+//   ctx.theme.css.bg        "#020800ff"          (as the vibe wrote it)
+//   ctx.theme.rgba.bg       { r, g, b, a }       (parsed, alpha 0..1)
+//   ctx.theme.version       bumps on every change, a cheap cache key for derived palettes
+//
+// Token keys are the VIBE_VARS names in camelCase without the dashes: --bg → bg,
+// --code-keyword → codeKeyword, --log-warn → logWarn.
+
+import { emit } from './bus.js';
+import { VIBE_VARS, vibeVars } from './themes.js';
+import { parseColor } from './lib/palette.js';
+
+/** @typedef {import('./lib/palette.js').RGBA} RGBA */
+
+/**
+ * @typedef {object} ThemeTokens
+ * @property {number} version - Increments on every refresh (0 = fallbacks, nothing read yet).
+ * @property {string} vibe - Vibe key the tokens were resolved for.
+ * @property {Record<string,string>} css - Token key → CSS color, fallbacks filled in.
+ * @property {Record<string,RGBA>} rgba - Token key → parsed color.
+ */
+
+/**
+ * Token key for a CSS variable name.
+ * @param {string} name - Variable name (e.g. "--code-keyword").
+ * @returns {string} camelCase key (e.g. "codeKeyword").
+ */
+export function tokenKey(name) {
+  return name.replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Scratch context for colors parseColor doesn't handle (names, hsl()); the canvas
+// normalizes any valid fillStyle to hex or rgba()
+let scratch = null;
+
+/**
+ * Parse any CSS color, falling back when it can't be read.
+ * @param {string} css - Color string.
+ * @param {string} fallback - Hex color used if `css` is unrecognized.
+ * @returns {RGBA} Parsed color.
+ */
+function toRGBA(css, fallback) {
+  const direct = parseColor(css);
+  if (direct) return direct;
+  scratch ||= document.createElement('canvas').getContext?.('2d') ?? null;
+  if (scratch) {
+    scratch.fillStyle = fallback;
+    scratch.fillStyle = css;
+    const normalized = parseColor(scratch.fillStyle);
+    if (normalized) return normalized;
+  }
+  return /** @type {RGBA} */ (parseColor(fallback));
+}
+
+/**
+ * Build a token set from a variable lookup.
+ * @param {(name:string)=>string} read - Returns a variable's value, or "" when unset.
+ * @param {string} vibe - Vibe key.
+ * @param {number} version - Version number to stamp.
+ * @returns {ThemeTokens} Frozen token set.
+ */
+function build(read, vibe, version) {
+  const css = {};
+  const rgba = {};
+  for (const { name, fallback, inherit } of VIBE_VARS) {
+    const value = read(name) || (inherit && read(inherit)) || fallback;
+    const key = tokenKey(name);
+    css[key] = value;
+    rgba[key] = Object.freeze(toRGBA(value, fallback));
+  }
+  return Object.freeze({
+    version,
+    vibe,
+    css: Object.freeze(css),
+    rgba: Object.freeze(rgba),
+  });
+}
+
+/** @type {ThemeTokens} */
+let tokens = build(() => '', 'classic', 0);
+// Last version handed out, shared with tokensForVibe() so versions never repeat
+let serial = 0;
+
+/**
+ * Current tokens (fallback colors until the first refresh).
+ * @returns {ThemeTokens} Token set; replaced, never mutated, on change.
+ */
+export function themeTokens() {
+  return tokens;
+}
+
+/**
+ * Re-read the vibe variables from :root (one style read) and publish the result.
+ * Call after applyTheme(); emits "theme.tokens" with the new set.
+ * @param {string} vibe - Vibe key that was just applied.
+ * @returns {ThemeTokens} The new token set.
+ */
+export function refreshThemeTokens(vibe) {
+  const style = window.getComputedStyle(document.documentElement);
+  tokens = build(
+    (name) => style.getPropertyValue(name).trim(),
+    String(vibe || 'classic'),
+    ++serial
+  );
+  emit('theme.tokens', tokens);
+  return tokens;
+}
+
+/**
+ * Tokens for any vibe straight from its definition, without applying it or reading
+ * styles (frame export renders a vibe that isn't on screen, or runs without a DOM).
+ * Doesn't touch the current tokens or emit.
+ * @param {string} vibe - Vibe key or alias.
+ * @returns {ThemeTokens} Token set.
+ */
+export function tokensForVibe(vibe) {
+  const vars = vibeVars(vibe);
+  return build((name) => vars[name] || '', String(vibe || 'classic'), ++serial);
+}
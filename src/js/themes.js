@@ -1,7 +1,53 @@
 // src/js/themes.js
+// Vibes: named sets of CSS variables applied at :root. The seven built-ins below can be
+// joined by custom vibes made in the vibe editor (ui/vibe_panel.js) or imported from a
+// theme pack; those are stored under "vn.vibes" and behave like built-ins everywhere
+// (cycling, schedule, playlist, URL).
 import { cfg } from './state.js';
+import { emit } from './bus.js';
+import { readJSON, writeJSON } from './lib/storage.js';
 
-const THEMES = {
+const STORAGE_KEY = 'vn.vibes';
+const PACK_FORMAT = 'visual-noise/vibes';
+const ID_RE = /^[a-z][a-z0-9-]{0,31}$/;
+
+/**
+ * Every CSS variable a mode reads, grouped for the editor. When a vibe leaves a variable
+ * unset, modes get the `inherit` variable's value if there is one, else `fallback`.
+ * @type {Array<{name:string, label:string, group:string, fallback:string, inherit?:string}>}
+ */
+export const VIBE_VARS = Object.freeze([
+  { name: '--bg', label: 'Background', group: 'Base', fallback: '#000000' },
+  { name: '--fg', label: 'Foreground', group: 'Base', fallback: '#03ffaf' },
+  { name: '--accent', label: 'Accent', group: 'Base', fallback: '#00ffff' },
+  { name: '--scanline-dark', label: 'Scanline dark', group: 'Base', fallback: '#001003' },
+  { name: '--scanline-light', label: 'Scanline light', group: 'Base', fallback: '#002016' },
+  { name: '--code-keyword', label: 'Keyword', group: 'Code', fallback: '#e0b3ff' },
+  { name: '--code-string', label: 'String', group: 'Code', fallback: '#ffffff' },
+  { name: '--code-number', label: 'Number', group: 'Code', fallback: '#ffd18a' },
+  { name: '--code-comment', label: 'Comment', group: 'Code', fallback: '#03ffaf' },
+  { name: '--code-punct', label: 'Punctuation', group: 'Code', fallback: '#cfcfcf' },
+  { name: '--code-ident', label: 'Identifier', group: 'Code', fallback: '#9de7ff' },
+  {
+    name: '--output-fg',
+    label: 'Output text',
+    group: 'Code',
+    fallback: '#03ffaf',
+    inherit: '--fg',
+  },
+  { name: '--pane-divider', label: 'Pane divider', group: 'Code', fallback: '#3a3a3a' },
+  { name: '--log-info', label: 'INFO', group: 'Log', fallback: '#a9d1ff' },
+  { name: '--log-debug', label: 'DEBUG', group: 'Log', fallback: '#cfcfcf' },
+  { name: '--log-warn', label: 'WARN', group: 'Log', fallback: '#ffd37a' },
+  { name: '--log-error', label: 'ERROR', group: 'Log', fallback: '#ff9e9e' },
+  { name: '--log-pass', label: 'PASS', group: 'Log', fallback: '#b8ffb8' },
+  { name: '--log-fail', label: 'FAIL', group: 'Log', fallback: '#ffb0b0' },
+]);
+const VAR_NAMES = new Set(VIBE_VARS.map((v) => v.name));
+
+// Vibe key -> CSS variables, and key -> display label. No prototype, so a name such as
+// "constructor" only resolves once a custom vibe takes it.
+const THEMES = Object.assign(Object.create(null), {
   classic: {
     '--bg': '#020800ff',
     '--fg': '#03ffaf',
@@ -52,9 +98,9 @@ const THEMES = {
     '--scanline-dark': '#0a2a0a', // subtle deep green stripe
     '--scanline-light': '#b9d64d', // faint light green stripe
   },
-};
+});
 
-const LABELS = {
+const LABELS = Object.assign(Object.create(null), {
   classic: 'classic',
   mainframe: 'mainframe',
   msdos: 'MS-DOS',
@@ -62,17 +108,24 @@ const LABELS = {
   skynet: 'skynet',
   deepthought: 'deep thought',
   gameboy: 'Game Boy',
-};
+});
+
+const BUILTIN = new Set(Object.keys(THEMES));
+
+/** Exported list for UI menus, etc. Updated in place when custom vibes change. */
+export const themeNames = Object.keys(THEMES);
+
+// Unsaved editor values layered over the active vibe (see previewVibe)
+let preview = null;
 
 /**
- * Normalize an arbitrary input into a known vibe key.
+ * Resolve an arbitrary input to a known vibe key.
  * Accepts variants like "MS-DOS" / "ms dos" → "msdos",
  * "deep thought" → "deepthought", "game boy" → "gameboy".
- * @param {string} name - Vibe name to normalize.
- * @returns {string} Canonical key present in {@link THEMES} (defaults to "classic").
+ * @param {string} name - Vibe name to resolve.
+ * @returns {string|null} Key present in {@link THEMES}, or null if nothing matches.
  */
-function normalizeVibe(name) {
-  if (!name) return 'classic';
+function resolveVibe(name) {
   const s = String(name).trim().toLowerCase();
 
   if (s === 'deep thought' || s === 'deep_thought') return 'deepthought';
@@ -84,7 +137,27 @@ function normalizeVibe(name) {
   const collapsed = s.replace(/[\s_-]+/g, '');
   if (THEMES[collapsed]) return collapsed;
 
-  return 'classic';
+  return null;
+}
+
+/**
+ * Normalize an arbitrary input into a known vibe key.
+ * @param {string} name - Vibe name to normalize.
+ * @returns {string} Canonical key present in {@link THEMES} (defaults to "classic").
+ */
+function normalizeVibe(name) {
+  if (!name) return 'classic';
+  return resolveVibe(name) ?? 'classic';
+}
+
+/**
+ * Whether a custom vibe id would reach a built-in vibe instead of itself: a built-in key,
+ * or a spelling normalizeVibe maps to one ("ms-dos", "game-boy").
+ * @param {string} id - Candidate custom vibe id.
+ * @returns {boolean} True if the id can't be used for a custom vibe.
+ */
+export function isReservedVibeId(id) {
+  return BUILTIN.has(resolveVibe(id));
 }
 
 /**
@@ -103,8 +176,12 @@ function currentVibeKey() {
  */
 export function applyTheme(vibe) {
   const key = normalizeVibe(vibe);
-  const vars = THEMES[key] || THEMES.classic;
+  const vars = { ...(THEMES[key] || THEMES.classic), ...preview };
   const root = document.documentElement;
+  // Clear variables the previous vibe set but this one doesn't, so modes fall back
+  VIBE_VARS.forEach(({ name }) => {
+    if (!(name in vars)) root.style.removeProperty(name);
+  });
   Object.entries(vars).forEach(([k, v]) => root.style.setProperty(k, v));
 
   const label =
@@ -118,8 +195,7 @@ export function applyTheme(vibe) {
 }
 
 /**
- * Internal: set vibe in cfg and notify listeners via the event bus.
- * Falls back to directly applying the theme if no bus exists.
+ * Internal: set vibe in cfg and announce it on the bus (main.js applies it).
  * @param {string} next - Next vibe key to activate.
  * @returns {void}
  */
@@ -127,12 +203,7 @@ function setVibeInternal(next) {
   const key = normalizeVibe(next);
   if (cfg) cfg.vibe = key;
 
-  const bus = (window.app && window.app.events) || window.events;
-  if (bus && typeof bus.emit === 'function') {
-    bus.emit('vibe', key);
-  } else {
-    applyTheme(key);
-  }
+  emit('vibe.change', key);
 }
 
 /**
@@ -158,11 +229,178 @@ export function setVibeByName(name) {
   setVibeInternal(name);
 }
 
-/** Exported list for UI menus, etc. */
-export const themeNames = Object.keys(THEMES);
+/**
+ * Human label for a vibe.
+ * @param {string} key - Vibe key.
+ * @returns {string} Display label (the key if none was given).
+ */
+export function vibeLabel(key) {
+  return LABELS[key] || key;
+}
+
+/**
+ * Whether a vibe was made in the editor or imported (and so can be edited/deleted).
+ * @param {string} key - Vibe key.
+ * @returns {boolean} True for custom vibes.
+ */
+export function isCustomVibe(key) {
+  return !!THEMES[key] && !BUILTIN.has(key);
+}
+
+/**
+ * Every editable variable of a vibe, unset ones filled with the modes' fallbacks.
+ * @param {string} key - Vibe key (normalized).
+ * @returns {Record<string,string>} Variable name → CSS color.
+ */
+export function vibeVars(key) {
+  const vars = THEMES[normalizeVibe(key)] || THEMES.classic;
+  return Object.fromEntries(
+    VIBE_VARS.map(({ name, fallback, inherit }) => [
+      name,
+      vars[name] ?? (inherit && vars[inherit]) ?? fallback,
+    ])
+  );
+}
+
+/**
+ * Check a CSS color value.
+ * @param {any} v - Candidate value.
+ * @returns {boolean} True if the browser (or, without CSS.supports, a hex check) accepts it.
+ */
+function isColor(v) {
+  if (typeof v !== 'string' || !v.trim() || v.length > 64) return false;
+  if (typeof window.CSS?.supports === 'function') return window.CSS.supports('color', v);
+  return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v.trim());
+}
+
+/**
+ * Validate one custom vibe definition.
+ * @param {any} v - Candidate { id, label?, vars }.
+ * @returns {{id:string, label:string, vars:Record<string,string>}|null} Clean copy, or null.
+ */
+function cleanVibe(v) {
+  const id = String(v?.id ?? '')
+    .trim()
+    .toLowerCase();
+  if (!ID_RE.test(id) || isReservedVibeId(id) || !v.vars || typeof v.vars !== 'object') {
+    return null;
+  }
+  const vars = {};
+  for (const [k, val] of Object.entries(v.vars)) {
+    if (VAR_NAMES.has(k) && isColor(val)) vars[k] = val.trim();
+  }
+  if (!vars['--bg'] || !vars['--fg']) return null;
+  const label = typeof v.label === 'string' && v.label.trim() ? v.label.trim().slice(0, 40) : id;
+  return { id, label, vars };
+}
+
+/**
+ * Custom vibes as stored / exported.
+ * @returns {Array<{id:string, label:string, vars:Record<string,string>}>} Definitions.
+ */
+export function customVibes() {
+  return themeNames
+    .filter(isCustomVibe)
+    .map((id) => ({ id, label: LABELS[id] || id, vars: { ...THEMES[id] } }));
+}
+
+/**
+ * Add or replace a custom vibe in the registry (no persistence, no event).
+ * @param {{id:string, label:string, vars:Record<string,string>}} v - Clean definition.
+ * @returns {void}
+ */
+function addVibe(v) {
+  THEMES[v.id] = v.vars;
+  LABELS[v.id] = v.label;
+  if (!themeNames.includes(v.id)) themeNames.push(v.id);
+}
+
+/**
+ * Persist the custom vibes and tell listeners the list changed.
+ * @returns {void}
+ */
+function commitCustom() {
+  writeJSON(STORAGE_KEY, { format: PACK_FORMAT, version: 1, vibes: customVibes() });
+  emit('vibe.list', themeNames.slice());
+}
+
+/**
+ * Create or update a custom vibe. Built-in keys, and ids that normalize to one, are refused.
+ * @param {{id:string, label?:string, vars:Record<string,string>}} def - Vibe definition.
+ * @returns {string|null} The saved key, or null if the definition was rejected.
+ */
+export function saveCustomVibe(def) {
+  const v = cleanVibe(def);
+  if (!v) return null;
+  addVibe(v);
+  commitCustom();
+  return v.id;
+}
+
+/**
+ * Remove a custom vibe; the active vibe falls back to classic if it was the one removed.
+ * @param {string} key - Custom vibe key.
+ * @returns {boolean} True if something was removed.
+ */
+export function deleteCustomVibe(key) {
+  if (!isCustomVibe(key)) return false;
+  delete THEMES[key];
+  delete LABELS[key];
+  themeNames.splice(themeNames.indexOf(key), 1);
+  commitCustom();
+  if ((cfg.vibe ?? cfg.theme) === key) setVibeInternal('classic');
+  return true;
+}
+
+/**
+ * Show unsaved variable values on the running mode, or drop them (null).
+ * Re-applies the active vibe so modes that cache colours refresh.
+ * @param {Record<string,string>|null} vars - Draft variables.
+ * @returns {void}
+ */
+export function previewVibe(vars) {
+  preview = vars ? { ...vars } : null;
+  setVibeInternal(currentVibeKey());
+}
+
+/**
+ * Build a theme pack for export.
+ * @param {string[]} [keys] - Custom vibes to include (default: all).
+ * @returns {{format:string, version:number, vibes:Array<object>}} Pack object.
+ */
+export function exportVibePack(keys) {
+  const vibes = customVibes().filter((v) => !keys || keys.includes(v.id));
+  return { format: PACK_FORMAT, version: 1, vibes };
+}
+
+/**
+ * Add the vibes from a theme pack. Invalid entries and built-in (or aliased) ids are skipped;
+ * an id that already exists as a custom vibe is replaced.
+ * @param {any} pack - Parsed pack ({ vibes: [...] } or a bare array).
+ * @returns {{added:string[], skipped:number}} Result summary.
+ */
+export function importVibePack(pack) {
+  const list = Array.isArray(pack) ? pack : Array.isArray(pack?.vibes) ? pack.vibes : [];
+  const added = [];
+  for (const raw of list) {
+    const v = cleanVibe(raw);
+    if (!v) continue;
+    addVibe(v);
+    added.push(v.id);
+  }
+  if (added.length) commitCustom();
+  return { added, skipped: list.length - added.length };
+}
+
+// Custom vibes join the registry at load, before the session restore validates cfg.vibe
+(readJSON(STORAGE_KEY)?.vibes || []).forEach((raw) => {
+  const v = cleanVibe(raw);
+  if (v) addVibe(v);
+});
 
 /**
  * Initialize the vibe at startup, tolerating legacy cfg.theme.
+ * Falls back to the (possibly restored) state.js cfg before "classic".
  * Applies via the event bus so listeners (and labels) update.
  * @returns {void}
  */
@@ -172,6 +410,8 @@ export function initThemes() {
     window.app?.state?.theme ?? // legacy
     window.app?.cfg?.vibe ??
     window.app?.cfg?.theme ?? // legacy
+    cfg?.vibe ??
+    cfg?.theme ??
     'classic';
   setVibeInternal(initial);
 }
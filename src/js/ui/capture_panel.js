@@ -0,0 +1,233 @@
+/* eslint-env browser */
+// src/js/ui/capture_panel.js
+// Settings panel for canvas capture (see ../capture.js): format, length, overlays and a
+// Record/Stop button. The "g" hotkey records with the same settings. Below it, offline
+// frame export (../frame_export.js): size, fps, length, pre-roll, seamless loop and where
+// to save.
+
+import { cfg } from '../state.js';
+import { on } from '../bus.js';
+import {
+  CAPTURE_FORMATS,
+  getCaptureOptions,
+  setCaptureOptions,
+  captureSupport,
+  isCapturing,
+  toggleCapture,
+} from '../capture.js';
+import {
+  EXPORT_SIZES,
+  EXPORT_FPS,
+  EXPORT_OUTPUTS,
+  getExportOptions,
+  setExportOptions,
+  canExportToFolder,
+  isExporting,
+  exportFrames,
+  cancelFrameExport,
+  canLoop,
+} from '../frame_export.js';
+
+const FORMAT_LABELS = { webm: 'WebM video', gif: 'GIF loop' };
+const SIZE_LABELS = { screen: 'Screen', '720p': '720p', '1080p': '1080p', '4k': '4K' };
+const OUTPUT_LABELS = { zip: 'ZIP download', folder: 'Folder…' };
+
+/**
+ * Fill a select with options.
+ * @param {any} select - Element to fill.
+ * @param {Array<string|number>} values - Option values, in order.
+ * @param {string|number} current - Value to select.
+ * @param {(v:any) => string} label - Option text.
+ * @param {(v:any) => boolean} [disabled] - Whether an option is unavailable.
+ * @returns {void}
+ */
+function fillSelect(select, values, current, label, disabled = () => false) {
+  select.textContent = '';
+  for (const v of values) {
+    const opt = document.createElement('option');
+    opt.value = String(v);
+    opt.textContent = label(v);
+    opt.disabled = disabled(v);
+    opt.selected = v === current;
+    select.append(opt);
+  }
+}
+
+/**
+ * Create the capture panel and wire the footer "Capture" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initCapturePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'capturePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Capture');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Capture</strong>
+      <button type="button" data-act="close" aria-label="Close capture">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Records the visuals only: no cursor, toasts or menu bar. GIFs are scaled to 480 px wide
+      and kept to 10 s. Press g to start or stop from the keyboard.
+    </p>
+    <div class="vn-capture-fields">
+      <label>Format <select data-field="format"></select></label>
+      <label>Seconds <input data-field="seconds" type="number" min="1" step="1" /></label>
+      <label>
+        <input data-field="overlays" type="checkbox" />
+        Include scanlines/flicker (when on)
+      </label>
+    </div>
+    <div class="vn-panel-foot">
+      <span></span>
+      <button type="button" data-act="record">Record</button>
+    </div>
+    <div class="vn-panel-head vn-capture-sub"><strong>Export frames</strong></div>
+    <p class="vn-panel-note">
+      Renders the current style offline on a fixed clock as numbered PNGs (frame_00000.png…)
+      for editors or ffmpeg. The live view pauses meanwhile; with a seed set, every export
+      of the same settings gives the same frames.
+    </p>
+    <div class="vn-capture-fields">
+      <label>Size <select data-field="size"></select></label>
+      <label>FPS <select data-field="fps"></select></label>
+      <label>Seconds <input data-field="exportSeconds" type="number" min="1" step="1" /></label>
+      <label>Pre-roll <input data-field="warmup" type="number" min="0" step="1" /></label>
+      <label>Save as <select data-field="output"></select></label>
+      <label>
+        <input data-field="loop" type="checkbox" />
+        Seamless loop (fire and rain styles)
+      </label>
+    </div>
+    <div class="vn-panel-foot">
+      <span></span>
+      <button type="button" data-act="export">Render frames</button>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const format = panel.querySelector('[data-field="format"]');
+  const seconds = panel.querySelector('[data-field="seconds"]');
+  const overlays = panel.querySelector('[data-field="overlays"]');
+  const recordBtn = panel.querySelector('[data-act="record"]');
+  const size = panel.querySelector('[data-field="size"]');
+  const fps = panel.querySelector('[data-field="fps"]');
+  const exportSeconds = panel.querySelector('[data-field="exportSeconds"]');
+  const warmup = panel.querySelector('[data-field="warmup"]');
+  const output = panel.querySelector('[data-field="output"]');
+  const loop = panel.querySelector('[data-field="loop"]');
+  const exportBtn = panel.querySelector('[data-act="export"]');
+  const btn = document.getElementById('captureBtn');
+
+  const render = () => {
+    const support = captureSupport();
+    const o = getCaptureOptions();
+    fillSelect(
+      format,
+      CAPTURE_FORMATS,
+      o.format,
+      (f) => (support[f] ? FORMAT_LABELS[f] : `${FORMAT_LABELS[f]} (unsupported)`),
+      (f) => !support[f]
+    );
+    seconds.value = String(o.seconds);
+    seconds.max = o.format === 'gif' ? '10' : '60';
+    overlays.checked = o.overlays;
+
+    const x = getExportOptions();
+    const folder = canExportToFolder();
+    fillSelect(size, Object.keys(EXPORT_SIZES), x.size, (k) => SIZE_LABELS[k] ?? k);
+    fillSelect(fps, EXPORT_FPS, x.fps, String);
+    exportSeconds.value = String(x.seconds);
+    exportSeconds.max = '120';
+    warmup.value = String(x.warmup);
+    warmup.max = '30';
+    fillSelect(
+      output,
+      EXPORT_OUTPUTS,
+      x.output,
+      (k) => (k === 'folder' && !folder ? `${OUTPUT_LABELS[k]} (unsupported)` : OUTPUT_LABELS[k]),
+      (k) => k === 'folder' && !folder
+    );
+    loop.checked = x.loop;
+    loop.disabled = !canLoop(cfg.persona);
+  };
+
+  const syncRecording = () => {
+    const busy = isCapturing();
+    recordBtn.textContent = busy ? 'Stop' : 'Record';
+    btn?.setAttribute('aria-pressed', String(busy));
+    btn?.classList.toggle('is-recording', busy);
+  };
+
+  const syncExporting = () => {
+    exportBtn.textContent = isExporting() ? 'Cancel' : 'Render frames';
+  };
+
+  panel.addEventListener('change', () => {
+    setCaptureOptions({
+      format: format.value,
+      seconds: Number(seconds.value),
+      overlays: overlays.checked,
+    });
+    setExportOptions({
+      size: size.value,
+      fps: Number(fps.value),
+      seconds: Number(exportSeconds.value),
+      warmup: Number(warmup.value),
+      output: output.value,
+      loop: loop.checked,
+    });
+    render(); // clamped seconds, per-format limit
+  });
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    syncRecording();
+    syncExporting();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('select, input, button')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    if (act === 'close') close();
+    else if (act === 'record') {
+      // Close first so the panel isn't in the way while choosing what to record
+      if (toggleCapture()) close();
+      syncRecording();
+    } else if (act === 'export') {
+      // Called straight from the click: choosing a folder needs the user activation
+      if (isExporting()) cancelFrameExport();
+      else exportFrames();
+    }
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  on('capture.status', syncRecording);
+  on('export.status', syncExporting);
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
@@ -0,0 +1,111 @@
+/* eslint-env browser */
+// src/js/ui/history_panel.js
+// History list for undo/redo (see ../history.js): every look this session, newest first.
+// Picking one goes back to it; Undo and Redo step one entry.
+
+import { on } from '../bus.js';
+import { getHistory, goTo, undo, redo } from '../history.js';
+
+/**
+ * Create the history panel and wire the footer "History" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initHistoryPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'historyPanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'History');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>History</strong>
+      <button type="button" data-act="close" aria-label="Close history">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Style, vibe, speed, control and overlay changes this session. Pick one to go back to
+      that look; Ctrl+Z and Ctrl+Shift+Z step through them.
+    </p>
+    <ol class="vn-history-list" data-field="list"></ol>
+    <div class="vn-panel-foot">
+      <span data-field="status" aria-live="polite"></span>
+      <span>
+        <button type="button" data-act="undo">Undo</button>
+        <button type="button" data-act="redo">Redo</button>
+      </span>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+  const list = field('list');
+  const status = field('status');
+  const undoBtn = panel.querySelector('[data-act="undo"]');
+  const redoBtn = panel.querySelector('[data-act="redo"]');
+  const btn = document.getElementById('historyBtn');
+
+  const render = () => {
+    const { entries, index } = getHistory();
+    list.replaceChildren(
+      ...entries
+        .map((entry, i) => {
+          const li = document.createElement('li');
+          const item = document.createElement('button');
+          item.type = 'button';
+          item.dataset.index = String(i);
+          item.textContent = entry.label;
+          item.title = new Date(entry.at).toLocaleTimeString();
+          if (i === index) item.setAttribute('aria-current', 'true');
+          if (i > index) item.classList.add('is-undone');
+          li.append(item);
+          return li;
+        })
+        .reverse()
+    );
+    status.textContent = entries.length ? `${index + 1} of ${entries.length}` : 'No changes yet';
+    undoBtn.disabled = index <= 0;
+    redoBtn.disabled = index >= entries.length - 1;
+  };
+
+  on('history.change', () => {
+    if (!panel.hidden) render();
+  });
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('[aria-current="true"]')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const el = e.target.closest?.('[data-act], [data-index]');
+    if (!el) return;
+    if (el.dataset.index) goTo(Number(el.dataset.index));
+    else if (el.dataset.act === 'close') close();
+    else if (el.dataset.act === 'undo') undo();
+    else if (el.dataset.act === 'redo') redo();
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
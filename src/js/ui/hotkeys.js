@@ -10,6 +10,8 @@
  * @param {object} root0 - Handlers and hooks for hotkeys.
  * @param {(dir:number)=>void} root0.cycleFamily - Switch family: -1 (prev) or +1 (next).
  * @param {(dir:number)=>void} root0.cycleFlavor - Switch flavor within current family: -1 or +1.
+ * @param {(dir:number)=>void} [root0.stepFlavor] - Optional: switch the current style's own flavor ("{" / "}").
+ * @param {(key:string)=>boolean} [root0.stepControl] - Optional: Shift+Arrow on the active mode's controls; returns true when a control took the key.
  * @param {(n:number)=>void}   root0.selectModeNum - Select mode by number 1–10 (0 maps to 10).
  * @param {(dir:number)=>void} root0.cycleTheme - Cycle theme/vibe: -1 (prev) or +1 (next).
  * @param {()=>void}           root0.toggleControls - Toggle the controls HUD visibility.
@@ -17,11 +19,20 @@
  * @param {()=>void}           [root0.toggleAwake] - Optional: toggle Keep Awake (WakeLock).
  * @param {()=>void}           [root0.toggleScanlines] - Optional: toggle CRT scanlines ("s").
  * @param {()=>void}           [root0.toggleFlicker] - Optional: toggle flicker ("v").
+ * @param {()=>void}           [root0.togglePerf] - Optional: toggle the diagnostics overlay ("d").
+ * @param {()=>void}           [root0.exportPerf] - Optional: export the frame-time log ("Shift+D").
+ * @param {()=>void}           [root0.toggleCapture] - Optional: start/stop a recording ("g").
+ * @param {()=>void}           [root0.undo] - Optional: undo the last look change (Ctrl/Cmd+Z).
+ * @param {()=>void}           [root0.redo] - Optional: redo it (Ctrl/Cmd+Shift+Z or Ctrl+Y).
+ * @param {(n:number)=>void}   [root0.recallScene] - Optional: recall scene 1–9 (Alt+1..9).
+ * @param {()=>void}           [root0.toggleSettings] - Optional: open/close the settings drawer ("o").
  * @returns {void}
  */
 export function installHotkeys({
   cycleFamily,
   cycleFlavor,
+  stepFlavor,
+  stepControl,
   selectModeNum,
   cycleTheme,
   toggleControls,
@@ -29,18 +40,33 @@ export function installHotkeys({
   toggleAwake,
   toggleScanlines,
   toggleFlicker,
+  togglePerf,
+  exportPerf,
+  toggleCapture,
+  undo,
+  redo,
+  recallScene,
+  toggleSettings,
 }) {
   const helpHTML = `
     <div class="hud-help">
       <div><strong>Families:</strong> [ / ]</div>
-      <div><strong>Flavors:</strong> ; / '  <span class="alt">or Shift+[ / Shift+]</span></div>
+      <div><strong>Styles:</strong> ; / '</div>
+      <div><strong>Flavors:</strong> Shift+[ / Shift+]  <span class="alt">e.g. matrix binary/hex</span></div>
       <div><strong>Modes:</strong> 1–9, 0 = 10</div>
+      <div><strong>Mode controls:</strong> Shift+Arrows  <span class="alt">e.g. rain tail/spawn</span></div>
       <div><strong>Themes (Vibes):</strong> , / .  <span class="alt">or t / Shift+T</span></div>
       <div><strong>Controls:</strong> m (toggle)</div>
       <div><strong>Keep&nbsp;Awake:</strong> a</div>
       <div><strong>Scanlines:</strong> s</div>
       <div><strong>Flicker:</strong> v</div>
       <div><strong>Clear:</strong> c</div>
+      <div><strong>Rotation:</strong> r  <span class="alt">Shift+R = next</span></div>
+      <div><strong>Diagnostics:</strong> d  <span class="alt">Shift+D = export JSON</span></div>
+      <div><strong>Capture:</strong> g  <span class="alt">start/stop recording</span></div>
+      <div><strong>Undo / Redo:</strong> Ctrl+Z / Ctrl+Shift+Z</div>
+      <div><strong>Scenes:</strong> Alt+1–9</div>
+      <div><strong>Settings:</strong> o  <span class="alt">Esc closes</span></div>
     </div>
   `;
 
@@ -53,7 +79,7 @@ export function installHotkeys({
   const isInputLike = (el) => {
     if (!el) return false;
     const tag = el.tagName?.toLowerCase();
-    return tag === 'input' || tag === 'textarea' || el.isContentEditable;
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
   };
 
   // if (el.repeat) return;
@@ -78,6 +104,14 @@ export function installHotkeys({
         e.stopPropagation();
       };
 
+      // --- Undo / redo: Ctrl+Z (Cmd+Z), Ctrl+Shift+Z or Ctrl+Y ---
+      const z = k === 'z' || k === 'Z' || code === 'KeyZ';
+      const y = k === 'y' || k === 'Y' || code === 'KeyY';
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && (z || y)) {
+        const fn = z && !s ? undo : redo;
+        if (typeof fn === 'function') return doAct(fn);
+      }
+
       // --- Controls toggle: m ---
       if (!s && (k === 'm' || k === 'M')) return doAct(toggleControls);
 
@@ -103,6 +137,18 @@ export function installHotkeys({
         return doAct(cycleFamily, +1);
       }
 
+      // --- Flavors of the current style prev/next: { / } (Shift+[ / Shift+]) ---
+      if (
+        typeof stepFlavor === 'function' &&
+        s &&
+        !e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        (k === '{' || k === '}' || code === 'BracketLeft' || code === 'BracketRight')
+      ) {
+        return doAct(stepFlavor, k === '{' || code === 'BracketLeft' ? -1 : +1);
+      }
+
       // --- Styles prev/next: ; / ' (no modifiers) ---
       if (
         !e.shiftKey &&
@@ -117,6 +163,32 @@ export function installHotkeys({
         return doAct(cycleFlavor, +1);
       }
 
+      // --- Active mode's controls: Shift+Arrows (schema keys) ---
+      if (
+        typeof stepControl === 'function' &&
+        s &&
+        !e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        k.startsWith('Arrow') &&
+        stepControl(k)
+      ) {
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
+
+      // --- Scenes: Alt+1..9 (by physical key; Option+digit types a symbol on macOS) ---
+      if (
+        typeof recallScene === 'function' &&
+        e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        /^Digit[1-9]$/.test(code)
+      ) {
+        return doAct(recallScene, Number(code.slice(5)));
+      }
+
       // --- Direct mode select: 1..9, 0=10 ---
       if (!e.altKey && !e.ctrlKey && !e.metaKey && /^[0-9]$/.test(k)) {
         const n = k === '0' ? 10 : parseInt(k, 10);
@@ -143,6 +215,36 @@ export function installHotkeys({
         return doAct(toggleFlicker);
       }
 
+      // --- Diagnostics overlay: d / Shift+D exports ---
+      if (!e.altKey && !e.ctrlKey && !e.metaKey && (k === 'd' || k === 'D' || code === 'KeyD')) {
+        if (s && typeof exportPerf === 'function') return doAct(exportPerf);
+        if (!s && typeof togglePerf === 'function') return doAct(togglePerf);
+      }
+
+      // --- Capture: g starts/stops a recording (format/length from the Capture panel) ---
+      if (
+        typeof toggleCapture === 'function' &&
+        !s &&
+        !e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        (k === 'g' || k === 'G' || code === 'KeyG')
+      ) {
+        return doAct(toggleCapture);
+      }
+
+      // --- Settings drawer: o ---
+      if (
+        typeof toggleSettings === 'function' &&
+        !s &&
+        !e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        (k === 'o' || k === 'O' || code === 'KeyO')
+      ) {
+        return doAct(toggleSettings);
+      }
+
       // Note: "c" for Clear is handled elsewhere; we intentionally avoid binding it here.
     },
     { capture: true }
@@ -0,0 +1,126 @@
+/* eslint-env browser */
+// src/js/ui/idle_panel.js
+// Settings panel for the screensaver (see ../idle.js): on/off, idle minutes, the style to
+// show, fullscreen and wake lock, plus "Start now" to try it. Changes apply immediately.
+
+import { labelsForMode } from '../state.js';
+import { registry } from '../modes/index.js';
+import { getIdleOptions, setIdleOptions, startScreensaver } from '../idle.js';
+
+/**
+ * Create the screensaver panel and wire the footer "Screensaver" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initIdlePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'idlePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Screensaver');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Screensaver</strong>
+      <button type="button" data-act="close" aria-label="Close screensaver">×</button>
+    </div>
+    <p class="vn-panel-note">
+      After the set minutes without mouse or keyboard input, hides the controls and shows the
+      chosen style. Any key, click or larger mouse move puts things back; that key or click
+      does nothing else. Browsers only allow fullscreen after a click, so an idle start stays
+      windowed unless the page is already fullscreen or runs as a kiosk.
+    </p>
+    <div class="vn-idle-fields">
+      <label><input data-field="enabled" type="checkbox" /> On</label>
+      <label>After <input data-field="minutes" type="number" min="1" step="1" /> min</label>
+      <label>Style <select data-field="mode"></select></label>
+      <label><input data-field="fullscreen" type="checkbox" /> Fullscreen</label>
+      <label><input data-field="awake" type="checkbox" /> Keep screen awake</label>
+    </div>
+    <div class="vn-panel-foot">
+      <span></span>
+      <button type="button" data-act="start">Start now</button>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+  const enabled = field('enabled');
+  const minutes = field('minutes');
+  const mode = field('mode');
+  const fullscreen = field('fullscreen');
+  const awake = field('awake');
+  const btn = document.getElementById('idleBtn');
+
+  const render = () => {
+    const o = getIdleOptions();
+    enabled.checked = o.enabled;
+    minutes.value = String(o.minutes);
+    minutes.max = '240';
+    // Read per render so plugin modes added after init are offered
+    mode.textContent = '';
+    for (const id of ['', ...Object.keys(registry)]) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      if (id) {
+        const { familyLabel, typeLabel } = labelsForMode(id);
+        opt.textContent = `${familyLabel} • ${typeLabel}`;
+      } else {
+        opt.textContent = 'current style';
+      }
+      opt.selected = id === o.mode;
+      mode.append(opt);
+    }
+    fullscreen.checked = o.fullscreen;
+    awake.checked = o.awake;
+  };
+
+  panel.addEventListener('change', () => {
+    setIdleOptions({
+      enabled: enabled.checked,
+      minutes: Number(minutes.value),
+      mode: mode.value,
+      fullscreen: fullscreen.checked,
+      awake: awake.checked,
+    });
+    render(); // clamped minutes
+  });
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('input, select, button')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    if (act === 'close') close();
+    else if (act === 'start') {
+      // Straight from the click, so fullscreen is allowed
+      close();
+      startScreensaver();
+    }
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
@@ -0,0 +1,40 @@
+/* eslint-env browser */
+// src/js/ui/inert.js
+// Purpose: Take hidden UI (the footer controls, the settings drawer) out of the tab order
+// and the accessibility tree, and move focus out before it hides.
+// Exports: setInert, moveFocusOutOf
+
+/**
+ * Mark a container inert and aria-hidden, or clear both.
+ * @param {any} container - Element to update (ignored when null).
+ * @param {boolean} on - True while the container is hidden.
+ * @returns {void}
+ */
+export function setInert(container, on) {
+  if (!container) return;
+  if (on) {
+    container.setAttribute('inert', '');
+    container.setAttribute('aria-hidden', 'true');
+  } else {
+    container.removeAttribute('inert');
+    container.removeAttribute('aria-hidden');
+  }
+}
+
+/**
+ * If focus is inside a container, move it to a safe target (the stage, else the body)
+ * so it isn't lost when the container becomes inert.
+ * @param {any} container - Element about to hide (ignored when null).
+ * @returns {void}
+ */
+export function moveFocusOutOf(container) {
+  if (!container) return;
+  const active = document.activeElement;
+  if (active && container.contains(active)) {
+    const fallback = document.getElementById('stage') || document.body;
+    const hadTabIndex = fallback.hasAttribute('tabindex');
+    if (!hadTabIndex) fallback.setAttribute('tabindex', '-1');
+    fallback.focus({ preventScroll: true });
+    if (!hadTabIndex) fallback.removeAttribute('tabindex');
+  }
+}
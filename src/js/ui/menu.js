@@ -9,12 +9,16 @@ import {
   togglePause,
   clearAll,
   labelsForMode,
-  emit,
+  toggleEffect,
+  setSeed,
 } from '../state.js';
+import { emit, on } from '../bus.js';
 import { registry } from '../modes/index.js';
 import { themeNames, setThemeByName, cycleTheme } from '../themes.js';
 import { WakeLock } from '../lib/wake_lock.js';
-import { toggleScanlines, toggleFlicker } from '../ui/effects.js';
+import { toggleRotation, nextEntry, getRotationStatus } from '../playlist.js';
+import { cyclePowerSetting, getPowerStatus } from '../power.js';
+import { activeSeed } from '../rng.js';
 import { notify, NOTIFY } from './notify.js';
 
 /**
@@ -124,6 +128,60 @@ export function syncFlickerButton() {
   btn.classList.toggle('is-flicker', on);
 }
 
+/**
+ * Format seconds as m:ss for the rotation countdown.
+ * @param {number} sec - Whole seconds remaining.
+ * @returns {string} e.g. "1:05".
+ */
+function formatCountdown(sec) {
+  const m = Math.floor(sec / 60);
+  const s = String(sec % 60).padStart(2, '0');
+  return `${m}:${s}`;
+}
+
+/**
+ * Sync the Rotate button with the playlist: pressed state plus time to the next entry.
+ * @param {{running:boolean, remainingSec:number}} [status] - Rotation status (read if omitted).
+ * @returns {void} - No return value.
+ */
+export function syncRotateButton(status = getRotationStatus()) {
+  const btn = document.getElementById('rotateBtn');
+  if (!btn) return;
+  const on = !!status.running;
+
+  btn.textContent = on ? `Rotate ${formatCountdown(status.remainingSec)}` : 'Rotate';
+  btn.setAttribute('aria-pressed', String(on));
+  btn.title = 'Toggle playlist rotation (R) — Shift+click: next';
+  btn.classList.toggle('is-rotating', on);
+}
+
+/**
+ * Sync the Power button with the active profile (and whether it was picked automatically).
+ * @param {{setting:string, id:string, label:string, reason:string}} [status] - Power status (read if omitted).
+ * @returns {void} - No return value.
+ */
+export function syncPowerButton(status = getPowerStatus()) {
+  const btn = document.getElementById('powerBtn');
+  if (!btn) return;
+  const auto = status.setting === 'auto';
+
+  btn.textContent = auto ? `Power: Auto · ${status.label}` : `Power: ${status.label}`;
+  btn.title = `Power profile — ${status.label} (${status.reason}). Click: next, Shift+click: previous`;
+  btn.dataset.profile = status.id;
+  btn.classList.toggle('is-saving', status.id !== 'full');
+}
+
+/**
+ * Sync the Seed field with cfg.seed; when unset, the placeholder shows this launch's seed.
+ * @returns {void} - No return value.
+ */
+export function syncSeedInput() {
+  const input = document.getElementById('seedInput');
+  if (!input) return;
+  input.value = cfg.seed == null ? '' : String(cfg.seed);
+  input.placeholder = `random (${activeSeed()})`;
+}
+
 /* ----------------------------------------
    Init footer/menu wiring
 ---------------------------------------- */
@@ -150,8 +208,12 @@ export function initMenu() {
   const awakeBtn = document.getElementById('awakeBtn');
   const scanBtn = document.getElementById('scanBtn');
   const flickerBtn = document.getElementById('flickerBtn');
+  const rotateBtn = document.getElementById('rotateBtn');
+  const powerBtn = document.getElementById('powerBtn');
+  const seedInput = document.getElementById('seedInput');
 
-  const modes = Object.keys(registry);
+  let modes = Object.keys(registry);
+  on('style.register', () => (modes = Object.keys(registry)));
 
   // Label updaters
   const setModeLabel = () => {
@@ -256,6 +318,8 @@ export function initMenu() {
       togglePause();
       syncPauseButton();
     };
+    // Pause can also come from the settings drawer, the remote or the automation API
+    on('playback.pause', syncPauseButton);
   }
 
   if (clearBtn) clearBtn.onclick = () => clearAll();
@@ -275,7 +339,7 @@ export function initMenu() {
       }
     }
     LS?.setItem?.('vn.keepAwake', next ? '1' : '0');
-    emit('power', next);
+    emit('power.awake', next);
     syncAwakeButton();
   };
 
@@ -288,7 +352,7 @@ export function initMenu() {
       if (wantOn) effective = (await WakeLock.enable()) === true;
       if (!wantOn) WakeLock.disable();
       LS?.setItem?.('vn.keepAwake', effective ? '1' : '0');
-      emit('power', effective);
+      emit('power.awake', effective);
       syncAwakeButton();
     })();
 
@@ -296,8 +360,9 @@ export function initMenu() {
     awakeBtn.onclick = toggleAwakeCentral;
     syncAwakeButton();
 
-    // Resync when visibility/focus affects WakeLock
+    // Resync when visibility/focus affects WakeLock (or the schedule changes it)
     const resync = () => syncAwakeButton();
+    on('power.awake', resync);
     document.addEventListener('visibilitychange', resync);
     window.addEventListener('focus', resync);
     window.addEventListener('blur', resync);
@@ -307,8 +372,7 @@ export function initMenu() {
   if (scanBtn) {
     syncScanlinesButton();
     scanBtn.onclick = () => {
-      toggleScanlines();
-      const on = document.body.classList.contains('scanlines');
+      const on = toggleEffect('scanlines');
       syncScanlinesButton();
       // toast
       notify(NOTIFY.state, `Scanlines: ${on ? 'ON' : 'OFF'}`, { coalesce: true });
@@ -318,14 +382,48 @@ export function initMenu() {
   if (flickerBtn) {
     syncFlickerButton();
     flickerBtn.onclick = () => {
-      toggleFlicker();
-      const on = document.body.classList.contains('flicker');
+      const on = toggleEffect('flicker');
       syncFlickerButton();
       // toast
       notify(NOTIFY.state, `Flicker: ${on ? 'ON' : 'OFF'}`, { coalesce: true });
     };
   }
 
+  // Overlays can also change from undo, the remote or the automation API
+  on('fx.change', () => {
+    syncScanlinesButton();
+    syncFlickerButton();
+  });
+
+  // --- Playlist rotation (Shift+click skips to the next entry) ---
+  if (rotateBtn) {
+    rotateBtn.onclick = (e) => {
+      if (e.shiftKey && getRotationStatus().running) {
+        nextEntry(+1);
+        return;
+      }
+      const running = toggleRotation();
+      notify(NOTIFY.state, `Rotation: ${running ? 'ON' : 'OFF'}`, { coalesce: true });
+    };
+    on('rotation.status', syncRotateButton);
+  }
+
+  // --- Power profile (auto → full → balanced → saver); toast comes from notify.js ---
+  if (powerBtn) {
+    powerBtn.onclick = (e) => cyclePowerSetting(e.shiftKey ? -1 : +1);
+    on('power.profile', syncPowerButton);
+  }
+
+  // --- Seed: numbers or any word; empty goes back to random. Toast comes from notify.js ---
+  if (seedInput) {
+    syncSeedInput();
+    seedInput.addEventListener('change', () => setSeed(seedInput.value));
+    seedInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') seedInput.blur();
+    });
+    on('seed.change', syncSeedInput);
+  }
+
   // --- Optional: local hotkey for Awake ('a') if you want it here.
   // If your global hotkeys already handle this, you can delete this block.
   document.addEventListener('keydown', (e) => {
@@ -346,4 +444,6 @@ export function initMenu() {
   syncAwakeButton();
   syncScanlinesButton();
   syncFlickerButton();
+  syncRotateButton();
+  syncPowerButton();
 }
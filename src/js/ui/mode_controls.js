@@ -0,0 +1,111 @@
+/* eslint-env browser */
+// src/js/ui/mode_controls.js
+// Footer row of sliders/toggles generated from the active mode's `controls` schema
+// (see ModeControl in ../state.js). Rebuilt on mode switches; kept in sync when
+// values change elsewhere (hotkeys, flavors, URL config). The settings drawer builds its
+// copy of the row from the same helpers.
+
+import { cfg, controlsFor, controlBounds, getControl, setControl } from '../state.js';
+import { on } from '../bus.js';
+
+/**
+ * Local typedef alias so eslint-plugin-jsdoc recognizes DOM types.
+ * @typedef {globalThis.HTMLElement} HTMLElement
+ */
+
+/**
+ * Readout text for a control value (matches the toast wording).
+ * @param {import('../state.js').ModeControl} c - Control declaration.
+ * @param {number} v - Stored value.
+ * @returns {string} e.g. "3/10", "25" or "on".
+ */
+export function readout(c, v) {
+  const { type, max } = controlBounds(c);
+  if (type === 'toggle') return v ? 'on' : 'off';
+  return type === 'stages' ? `${v}/${max}` : `${v}`;
+}
+
+/**
+ * Build one labelled input for a control.
+ * @param {string} modeId - Mode the control belongs to.
+ * @param {import('../state.js').ModeControl} c - Control declaration.
+ * @returns {HTMLElement} Label wrapping the input and its readout.
+ */
+export function makeControl(modeId, c) {
+  const { type, min, max, step } = controlBounds(c);
+  const v = getControl(modeId, c.key);
+
+  const label = document.createElement('label');
+  label.className = 'vn-param';
+  label.append(`${c.label || c.key} `);
+
+  const input = document.createElement('input');
+  input.dataset.key = c.key;
+  if (type === 'toggle') {
+    input.type = 'checkbox';
+    input.checked = v === 1;
+  } else {
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(v);
+  }
+
+  const out = document.createElement('output');
+  out.textContent = readout(c, v);
+
+  label.append(input, out);
+  return label;
+}
+
+/**
+ * Bring the inputs built by makeControl back in line with the stored values.
+ * @param {HTMLElement} root - Element holding the inputs.
+ * @param {string} modeId - Mode the inputs were built for.
+ * @returns {void}
+ */
+export function syncControls(root, modeId) {
+  for (const c of controlsFor(modeId)) {
+    const input = root.querySelector(`input[data-key="${c.key}"]`);
+    if (!input) continue;
+    const v = getControl(modeId, c.key);
+    if (input.type === 'checkbox') input.checked = v === 1;
+    else input.value = String(v);
+    input.nextElementSibling.textContent = readout(c, v);
+  }
+}
+
+/**
+ * Render the active mode's controls into #modeControls and keep them live.
+ * The row is hidden for modes that declare no controls.
+ * @returns {void}
+ */
+export function initModeControls() {
+  const row = document.getElementById('modeControls');
+  if (!row) return;
+
+  const render = () => {
+    const modeId = cfg.persona;
+    const list = controlsFor(modeId);
+    row.replaceChildren(...list.map((c) => makeControl(modeId, c)));
+    row.hidden = list.length === 0;
+    row.dataset.mode = modeId;
+  };
+
+  row.addEventListener('input', (e) => {
+    const input = e.target;
+    const key = input?.dataset?.key;
+    if (!key) return;
+    const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+    setControl(row.dataset.mode, key, value);
+  });
+
+  on('style.change', render);
+  on('style.register', render);
+  on('param.change', (p) => {
+    if (p?.modeId === row.dataset.mode) syncControls(row, row.dataset.mode);
+  });
+
+  render();
+}
@@ -21,6 +21,10 @@ const NOTIFY = Object.freeze({
   speed: 'notify.speed',
   state: 'notify.state',
   power: 'notify.power',
+  capture: 'notify.capture',
+  remote: 'notify.remote',
+  message: 'notify.message',
+  scene: 'notify.scene',
 
   // Fire
   fireHeight: 'notify.fire.height',
@@ -30,6 +34,9 @@ const NOTIFY = Object.freeze({
   rainTail: 'notify.rain.tail',
   rainSpawn: 'notify.rain.spawn',
 
+  // Per-mode controls (channel = `${NOTIFY.param}.${key}`)
+  param: 'notify.param',
+
   // Legacy aliases
   system: 'notify.genre',
   program: 'notify.style',
@@ -81,8 +88,21 @@ const CHANNEL_OPTIONS = {
   // State changes
   [NOTIFY.state]: { coalesce: true, durationMs: 1200, coalesceWindowMs: 1200 },
 
+  // LAN remote: connection changes, and messages sent from a phone (long enough to read)
+  [NOTIFY.remote]: { coalesce: true, durationMs: 2000, coalesceWindowMs: 2000 },
+  [NOTIFY.message]: { durationMs: 8000 },
+
+  // Scene recall and scene list changes
+  [NOTIFY.scene]: { coalesce: true, durationMs: 1600, coalesceWindowMs: 1200 },
+
+  // Recording progress: one toast updated for the whole recording + encoding
+  [NOTIFY.capture]: { coalesce: true, durationMs: 2500, coalesceWindowMs: 5 * 60 * 1000 },
+
   [NOTIFY.rainTail]: { coalesce: true, durationMs: 900, coalesceWindowMs: 500 },
   [NOTIFY.rainSpawn]: { coalesce: true, durationMs: 900, coalesceWindowMs: 500 },
+
+  // Mode control sliders (applies to every `notify.param.*` channel)
+  [NOTIFY.param]: { coalesce: true, durationMs: 900, coalesceWindowMs: 500 },
 };
 
 // -------------------------
@@ -183,7 +203,8 @@ function flushPending() {
  * @returns {{coalesce?:boolean, durationMs:number, coalesceWindowMs:number}} Effective options for this channel.
  */
 function getChannelOpts(channel) {
-  return Object.assign({}, DEFAULTS, CHANNEL_OPTIONS[channel] || {});
+  const family = channel.startsWith(`${NOTIFY.param}.`) ? CHANNEL_OPTIONS[NOTIFY.param] : null;
+  return Object.assign({}, DEFAULTS, CHANNEL_OPTIONS[channel] || family || {});
 }
 
 /**
@@ -301,6 +322,14 @@ function titleForChannel(channel) {
       return 'State';
     case NOTIFY.power:
       return 'Power';
+    case NOTIFY.capture:
+      return 'Capture';
+    case NOTIFY.remote:
+      return 'Remote';
+    case NOTIFY.message:
+      return 'Message';
+    case NOTIFY.scene:
+      return 'Scene';
     case NOTIFY.fireHeight:
       return 'Fire • Height';
     case NOTIFY.fireFuel:
@@ -463,7 +492,7 @@ function parseStepPayload(payload) {
  * @returns {void} No return value.
  */
 function wireBus(on) {
-  // Mode/Genre → two toasts
+  // Style → genre and style toasts
   const startLabelsFor = (modeName) => {
     if (_labelsForGenreStyle) {
       const out = _labelsForGenreStyle(modeName);
@@ -476,17 +505,17 @@ function wireBus(on) {
     }
   };
 
-  on('genre', startLabelsFor);
-  on('mode', startLabelsFor);
+  on('style.change', startLabelsFor);
 
-  on('style', (id) => notify(NOTIFY.style, String(id), { coalesce: true }));
-  on('flavor', (id) => notify(NOTIFY.style, String(id), { coalesce: true }));
+  // state.setFlavor emits { modeId, flavorId, name }
+  on('flavor.change', (p) =>
+    notify(NOTIFY.style, String(p.name ?? p.flavorId), { coalesce: true })
+  );
 
-  on('vibe', (v) => notify(NOTIFY.vibe, String(v), { coalesce: true }));
-  on('theme', (v) => notify(NOTIFY.vibe, String(v), { coalesce: true })); // legacy alias
+  on('vibe.change', (v) => notify(NOTIFY.vibe, String(v), { coalesce: true }));
 
   // --- SPEED ---
-  on('speed', (payload) => {
+  on('speed.change', (payload) => {
     const justStepped = now() - _lastSpeedStepAt <= getChannelOpts(NOTIFY.speed).coalesceWindowMs;
 
     if (payload && typeof payload === 'object') {
@@ -513,58 +542,83 @@ function wireBus(on) {
   });
   // --- /SPEED ---
 
-  on('paused', (p) => notify(NOTIFY.state, p ? 'Paused' : 'Resumed', { coalesce: true }));
-  on('clear', () => notify(NOTIFY.state, 'Cleared', { coalesce: true }));
-  on('power', (isOn) =>
+  on('playback.pause', (p) => notify(NOTIFY.state, p ? 'Paused' : 'Resumed', { coalesce: true }));
+  on('playback.clear', () => notify(NOTIFY.state, 'Cleared', { coalesce: true }));
+  on('power.awake', (isOn) =>
     notify(NOTIFY.power, `Screen awake: ${isOn ? 'ON' : 'OFF'}`, { coalesce: true })
   );
+  // Power profile (frame cap / render scale) — see power.js
+  on('power.profile', (p) => {
+    if (!p?.label) return;
+    const auto = p.setting === 'auto';
+    const why = auto ? (p.reason === 'auto' ? ' (auto)' : ` (auto: ${p.reason})`) : '';
+    notify(NOTIFY.power, `Profile: ${p.label}${why}`, { coalesce: true });
+  });
 
-  // Fire controls (numeric + step)
+  // Recording progress (see capture.js)
+  on('capture.status', (c) => {
+    const fmt = String(c?.format ?? '').toUpperCase();
+    const msg = {
+      recording: () => `● REC ${fmt} ${c.elapsed}/${c.seconds}s`,
+      encoding: () => `Encoding ${fmt} ${Math.round(c.progress * 100)}%`,
+      done: () => `Saved ${c.file}`,
+      error: () => `${fmt} failed: ${c.error}`,
+    }[c?.state];
+    if (msg) notify(NOTIFY.capture, msg());
+  });
+  // Offline frame export (see frame_export.js), same toast as recordings
+  on('export.status', (x) => {
+    const size = `${x?.width}×${x?.height} @ ${x?.fps} fps`;
+    const msg = {
+      start: () => `Rendering ${x.frames} frames${x.loop ? ' (loop)' : ''}, ${size}`,
+      rendering: () => `Rendering frames ${Math.round(x.progress * 100)}%`,
+      done: () => (x.file ? `Saved ${x.frames} frames to ${x.file}` : 'Frame export cancelled'),
+      error: () => `Frame export failed: ${x.error}`,
+    }[x?.state];
+    if (msg) notify(NOTIFY.capture, msg());
+  });
+  // LAN remote (see remote.js): pairing and connection changes, and phone messages
+  on('remote.status', (r) => {
+    if (r?.joined) notify(NOTIFY.remote, 'Phone connected');
+    else if (r?.state === 'connected' && r.remotes === 0) notify(NOTIFY.remote, `Code ${r.code}`);
+    else if (r?.state === 'error') notify(NOTIFY.remote, r.error ?? 'Relay error');
+  });
+  on('remote.message', (m) => {
+    if (m?.text) notify(NOTIFY.message, String(m.text));
+  });
+  on('seed.change', (s) => notify(NOTIFY.state, `Seed: ${s ?? 'random'}`, { coalesce: true }));
+
+  // Fire controls (numeric, from setFireHeight/setFireFuel)
   on('fire.height', (h) => {
     const val = typeof h === 'number' ? h.toFixed(2) : String(h);
     notify(NOTIFY.fireHeight, `Height: ${val}×`, { coalesce: true });
   });
-  on('fire.height.step', (payload) => {
-    const step = parseStepPayload(payload);
-    if (step) {
-      notify(NOTIFY.fireHeight, `Height: ${step.index}/${step.total}`, { coalesce: true });
-    }
-  });
 
   on('fire.fuel', (f) => {
     const val = typeof f === 'number' && f.toFixed ? f.toFixed(0) : String(f);
     notify(NOTIFY.fireFuel, `Fuel: ${val}%`, { coalesce: true });
   });
-  on('fire.fuel.step', (payload) => {
-    const step = parseStepPayload(payload);
-    if (step) {
-      notify(NOTIFY.fireFuel, `Fuel: ${step.index}/${step.total}`, { coalesce: true });
-    }
+
+  // Schema-driven mode controls (see controlsFor/setControl in state.js)
+  on('control.change', (p) => {
+    if (!p?.key) return;
+    const genre = _labelsForMode?.(p.modeId)?.familyLabel;
+    notify(`${NOTIFY.param}.${p.key}`, `${p.label}: ${p.text}`, {
+      coalesce: true,
+      title: genre ? `${genre} • ${p.label}` : p.label,
+    });
   });
 
-  // --- Rain intensity (NEW) ---
-  // Numeric + step (X/N), mirroring Fire
+  // --- Rain intensity (numeric, for external emitters) ---
   on('rain.tail', (m) => {
     const val = typeof m === 'number' && m.toFixed ? m.toFixed(2) : String(m);
     notify(NOTIFY.rainTail, `Tail: ${val}×`, { coalesce: true });
   });
-  on('rain.tail.step', (payload) => {
-    const step = parseStepPayload(payload);
-    if (step) {
-      notify(NOTIFY.rainTail, `Tail: ${step.index}/${step.total}`, { coalesce: true });
-    }
-  });
 
   on('rain.spawn', (p) => {
     const val = typeof p === 'number' && p.toFixed ? p.toFixed(0) : String(p);
     notify(NOTIFY.rainSpawn, `Spawn: ${val}%`, { coalesce: true });
   });
-  on('rain.spawn.step', (payload) => {
-    const step = parseStepPayload(payload);
-    if (step) {
-      notify(NOTIFY.rainSpawn, `Spawn: ${step.index}/${step.total}`, { coalesce: true });
-    }
-  });
 }
 
 /**
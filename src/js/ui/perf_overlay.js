@@ -0,0 +1,96 @@
+/* eslint-env browser */
+// src/js/ui/perf_overlay.js
+// Diagnostics overlay ("d"): FPS, frame-time percentiles, per-mode frame() cost and the
+// render setup, refreshed a few times a second from ../perf.js. Shift+D (or the button)
+// exports the rolling history as JSON.
+
+import { on } from '../bus.js';
+import { perfStats, perfEnv, exportPerfJSON } from '../perf.js';
+import { notify, NOTIFY } from './notify.js';
+
+const REFRESH_MS = 250;
+
+/**
+ * Format a size as "W×H".
+ * @param {{w:number,h:number}|undefined} s - Size.
+ * @returns {string} Text, or "—" if unknown.
+ */
+const size = (s) => (s ? `${s.w}×${s.h}` : '—');
+
+/**
+ * Overlay text for the current stats and environment.
+ * @returns {string} Multi-line report.
+ */
+function renderText() {
+  const st = perfStats();
+  const env = perfEnv();
+  const mode = st.modes[env.mode];
+  const other = Object.entries(st.modes).filter(([id]) => id !== env.mode);
+  const fx = env.fx || {};
+  const lines = [
+    `FPS     ${st.fps.toFixed(1)}${env.power?.fps ? `  (cap ${env.power.fps})` : ''}`,
+    `frame   p50 ${st.frame.p50}  p95 ${st.frame.p95}  p99 ${st.frame.p99}  max ${st.frame.max} ms`,
+    `js      avg ${st.work.avg}  p95 ${st.work.p95} ms`,
+    `mode    ${env.mode ?? '—'}  ${mode ? `avg ${mode.avg}  p95 ${mode.p95}  max ${mode.max} ms` : ''}`,
+    ...other.map(([id, m]) => `        ${id}  avg ${m.avg}  p95 ${m.p95} ms (previous)`),
+    `canvas  ${size(env.backing)} @ dpr ${env.dpr ?? '—'}  (css ${size(env.css)})`,
+    `speed   ${env.speed ?? '—'}×${env.paused ? '  paused' : ''}`,
+    `fx      scanlines ${fx.scanlines ? 'on' : 'off'}  flicker ${fx.flicker ? 'on' : 'off'}`,
+  ];
+  if (env.power) lines.push(`power   ${env.power.label} (${env.power.setting})`);
+  if (env.seed != null) lines.push(`seed    ${env.seed}`);
+  return lines.join('\n');
+}
+
+/**
+ * Create the overlay (hidden) and keep it refreshed while visible.
+ * @returns {{toggle:()=>boolean, exportJSON:()=>void}} Overlay controls.
+ */
+export function initPerfOverlay() {
+  const box = document.createElement('div');
+  box.id = 'perfOverlay';
+  box.className = 'vn-perf';
+  box.hidden = true;
+  box.dataset.ignoreGlobalOpen = '';
+  box.setAttribute('role', 'status');
+  box.setAttribute('aria-label', 'Performance');
+  box.innerHTML = `
+    <pre class="vn-perf-text"></pre>
+    <button type="button" data-act="export" title="Export history as JSON (Shift+D)">Export JSON</button>
+  `;
+  document.body.append(box);
+
+  const text = box.querySelector('.vn-perf-text');
+  let timer = 0;
+
+  const paint = () => {
+    if (text) text.textContent = renderText();
+  };
+
+  const toggle = () => {
+    box.hidden = !box.hidden;
+    window.clearInterval(timer);
+    timer = 0;
+    if (!box.hidden) {
+      paint();
+      timer = window.setInterval(paint, REFRESH_MS);
+    }
+    return !box.hidden;
+  };
+
+  const exportJSON = () => {
+    exportPerfJSON();
+    notify(NOTIFY.state, 'Performance log exported', { coalesce: true });
+  };
+
+  box.addEventListener('click', (e) => {
+    if (e.target?.closest?.('[data-act="export"]')) exportJSON();
+  });
+
+  // Mode switches reset the per-mode line right away instead of on the next tick
+  on('style.change', () => {
+    if (!box.hidden) paint();
+  });
+
+  return { toggle, exportJSON };
+}
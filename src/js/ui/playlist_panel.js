@@ -0,0 +1,245 @@
+/* eslint-env browser */
+// src/js/ui/playlist_panel.js
+// Settings panel for the rotation playlist (see ../playlist.js).
+// Edits a draft copy of the entries and the shuffle flag; nothing changes until Save.
+
+import { cfg, active, familyOf, labelsForMode } from '../state.js';
+import { registry } from '../modes/index.js';
+import { themeNames } from '../themes.js';
+import {
+  DEFAULT_DURATION_SEC,
+  MIN_DURATION_SEC,
+  defaultPlaylist,
+  getPlaylist,
+  setPlaylist,
+  setShuffle,
+} from '../playlist.js';
+import { notify, NOTIFY } from './notify.js';
+
+/**
+ * Local typedef alias so eslint-plugin-jsdoc recognizes DOM types.
+ * @typedef {globalThis.HTMLElement} HTMLElement
+ */
+
+/**
+ * Build a <select>, with a leading "—" (unset) option unless the field is required.
+ * @param {string} field - Entry field the select edits.
+ * @param {Array<[string, string]>} options - [value, label] pairs.
+ * @param {string} value - Current value ('' for unset).
+ * @param {string} label - Accessible label.
+ * @param {boolean} [required] - Leave out the unset option.
+ * @returns {HTMLElement} The select element.
+ */
+function makeSelect(field, options, value, label, required = false) {
+  const sel = document.createElement('select');
+  sel.dataset.field = field;
+  sel.setAttribute('aria-label', label);
+  for (const [v, text] of required ? options : [['', '—'], ...options]) {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = text;
+    opt.selected = v === value;
+    sel.append(opt);
+  }
+  return sel;
+}
+
+/**
+ * Build a small action button for a row.
+ * @param {string} act - data-act value.
+ * @param {string} text - Button text.
+ * @param {string} label - Accessible label.
+ * @param {boolean} disabled - Grey it out (first/last row).
+ * @returns {HTMLElement} The button.
+ */
+function makeButton(act, text, label, disabled) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.dataset.act = act;
+  b.textContent = text;
+  b.disabled = disabled;
+  b.setAttribute('aria-label', label);
+  return b;
+}
+
+/**
+ * Create the playlist panel (opened from the settings drawer).
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initPlaylistPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'playlistPanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Playlist');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Playlist</strong>
+      <button type="button" data-act="close" aria-label="Close playlist">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Rotate (R) steps through these in order. Vibe and speed "—" keep the current setting.
+      Saving an unedited list keeps following every style, plugins included.
+    </p>
+    <label><input type="checkbox" data-field="shuffle" /> Shuffle each cycle</label>
+    <div class="vn-rules"></div>
+    <div class="vn-panel-foot">
+      <button type="button" data-act="add">Add current look</button>
+      <button type="button" data-act="reset">Use every style</button>
+      <button type="button" data-act="save">Save</button>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const list = panel.querySelector('.vn-rules');
+  const shuffleBox = panel.querySelector('[data-field="shuffle"]');
+  const speedOptions = Array.from({ length: 10 }, (_, i) => [String(i + 1), `speed ${i + 1}`]);
+
+  /** @type {Array<object>} */
+  let draft = [];
+  // False while the draft is still the taxonomy cycle, so saving it keeps it automatic
+  let edited = false;
+
+  const render = () => {
+    // Read per render so plugin modes and custom vibes added after init are offered
+    const modeOptions = Object.keys(registry)
+      .filter((m) => familyOf(m))
+      .map((m) => {
+        const { familyLabel, typeLabel } = labelsForMode(m);
+        return [m, `${familyLabel} / ${typeLabel}`];
+      });
+    const vibeOptions = themeNames.map((v) => [v, v]);
+    list.textContent = '';
+    if (!draft.length) {
+      const empty = document.createElement('p');
+      empty.className = 'vn-panel-note';
+      empty.textContent = 'No entries; saving goes back to every style.';
+      list.append(empty);
+    }
+    draft.forEach((entry, i) => {
+      const row = document.createElement('div');
+      row.className = 'vn-rule';
+      row.dataset.index = String(i);
+
+      const secs = document.createElement('input');
+      secs.type = 'number';
+      secs.dataset.field = 'durationSec';
+      secs.min = String(MIN_DURATION_SEC);
+      secs.step = '1';
+      secs.value = String(entry.durationSec);
+      secs.setAttribute('aria-label', 'Seconds on this entry');
+
+      row.append(
+        makeSelect('mode', modeOptions, entry.mode, 'Style', true),
+        makeSelect('vibe', vibeOptions, entry.vibe ?? '', 'Vibe'),
+        makeSelect('speed', speedOptions, entry.speed != null ? String(entry.speed) : '', 'Speed'),
+        secs,
+        's',
+        makeButton('up', '↑', 'Move up', i === 0),
+        makeButton('down', '↓', 'Move down', i === draft.length - 1),
+        makeButton('remove', 'Remove', 'Remove entry', false)
+      );
+      list.append(row);
+    });
+  };
+
+  // Field edits -> draft
+  list.addEventListener('change', (e) => {
+    const el = e.target;
+    const entry = draft[Number(el.closest?.('.vn-rule')?.dataset.index)];
+    if (!entry) return;
+    const field = el.dataset.field;
+    const v = el.value;
+    edited = true;
+    if (field === 'durationSec') {
+      const n = Math.round(Number(v));
+      entry.durationSec = Number.isFinite(n) ? Math.max(MIN_DURATION_SEC, n) : DEFAULT_DURATION_SEC;
+      el.value = String(entry.durationSec);
+    } else if (field === 'speed') entry.speed = v ? Number(v) : undefined;
+    else if (field === 'mode') entry.mode = v;
+    else if (field) entry[field] = v || undefined;
+  });
+
+  const close = () => {
+    panel.hidden = true;
+  };
+
+  const open = () => {
+    const current = getPlaylist();
+    draft = current.entries;
+    edited = current.custom;
+    shuffleBox.checked = current.shuffle;
+    render();
+    panel.hidden = false;
+    panel.querySelector('input, select, button')?.focus();
+  };
+
+  /**
+   * Swap a row with its neighbour and keep focus on the moved row's button.
+   * @param {number} i - Row index.
+   * @param {number} dir - -1 up, +1 down.
+   * @param {string} act - Button to refocus.
+   * @returns {void}
+   */
+  const move = (i, dir, act) => {
+    const j = i + dir;
+    if (j < 0 || j >= draft.length) return;
+    [draft[i], draft[j]] = [draft[j], draft[i]];
+    edited = true;
+    render();
+    const btn = list.querySelector(`[data-index="${j}"] [data-act="${act}"]`);
+    (btn?.disabled ? list.querySelector(`[data-index="${j}"] select`) : btn)?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    const i = Number(e.target.closest?.('.vn-rule')?.dataset.index);
+    if (act === 'close') close();
+    else if (act === 'add') {
+      draft.push({
+        mode: cfg.persona,
+        vibe: cfg.vibe ?? cfg.theme,
+        speed: active.speed,
+        durationSec: DEFAULT_DURATION_SEC,
+      });
+      edited = true;
+      render();
+    } else if (act === 'reset') {
+      draft = defaultPlaylist();
+      edited = false;
+      render();
+    } else if (act === 'up' || act === 'down') {
+      move(i, act === 'up' ? -1 : +1, act);
+    } else if (act === 'remove') {
+      draft.splice(i, 1);
+      edited = true;
+      render();
+    } else if (act === 'save') {
+      const count = setPlaylist(edited ? draft : []);
+      setShuffle(shuffleBox.checked);
+      const current = getPlaylist();
+      draft = current.entries;
+      edited = current.custom;
+      render();
+      notify(
+        NOTIFY.state,
+        count
+          ? `Playlist saved: ${count} entr${count === 1 ? 'y' : 'ies'}`
+          : 'Playlist saved: every style',
+        { coalesce: true }
+      );
+    }
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  return { open, close };
+}
@@ -0,0 +1,131 @@
+/* eslint-env browser */
+// src/js/ui/remote_panel.js
+// Settings panel for the LAN remote (see ../remote.js): on/off, relay address, and the
+// pairing code a phone enters on remote.html. Changes apply immediately.
+
+import { on } from '../bus.js';
+import {
+  getRemoteOptions,
+  setRemoteOptions,
+  getRemoteStatus,
+  remotePageUrl,
+  DEFAULT_RELAY_PORT,
+} from '../remote.js';
+
+/**
+ * Create the remote panel and wire the footer "Remote" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initRemotePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'remotePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Phone remote');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Phone remote</strong>
+      <button type="button" data-act="close" aria-label="Close remote">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Change genre, style, vibe and speed, pause, clear or show a message from a phone on
+      the same network. Start the relay on a computer on the network
+      (<code>npm run remote:relay</code>), then open the address below on the phone and
+      enter the code. Nothing leaves your network.
+    </p>
+    <div class="vn-remote-fields">
+      <label><input data-field="enabled" type="checkbox" /> Accept a phone remote</label>
+      <label>
+        Relay
+        <input data-field="relay" type="text" spellcheck="false"
+          placeholder="this host:${DEFAULT_RELAY_PORT}" />
+      </label>
+    </div>
+    <div class="vn-remote-fields">
+      <span>Code <strong class="vn-remote-code" data-field="code"></strong></span>
+      <button type="button" data-act="new-code">New code</button>
+      <span data-field="url"></span>
+    </div>
+    <div class="vn-panel-foot">
+      <span data-field="status" aria-live="polite"></span>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+  const enabled = field('enabled');
+  const relay = field('relay');
+  const code = field('code');
+  const url = field('url');
+  const status = field('status');
+  const btn = document.getElementById('remoteBtn');
+
+  const renderStatus = () => {
+    const s = getRemoteStatus();
+    const phones = s.remotes === 1 ? '1 phone' : `${s.remotes} phones`;
+    status.textContent = {
+      off: 'Off',
+      connecting: 'Connecting to the relay…',
+      connected: s.remotes ? `Connected · ${phones}` : 'Connected · waiting for a phone',
+      error: `${s.error ?? 'Relay error'} (retrying)`,
+    }[s.state];
+  };
+
+  const render = () => {
+    const o = getRemoteOptions();
+    enabled.checked = o.enabled;
+    relay.value = o.relay;
+    code.textContent = o.code;
+    try {
+      url.textContent = `Phone: ${remotePageUrl()}`;
+    } catch {
+      url.textContent = 'Check the relay address';
+    }
+    renderStatus();
+  };
+
+  panel.addEventListener('change', () => {
+    setRemoteOptions({ enabled: enabled.checked, relay: relay.value });
+    render();
+  });
+  on('remote.status', renderStatus);
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('input, select, button')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    if (act === 'close') close();
+    else if (act === 'new-code') {
+      setRemoteOptions({ code: 'new' });
+      render();
+    }
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
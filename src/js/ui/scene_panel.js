@@ -0,0 +1,187 @@
+/* eslint-env browser */
+// src/js/ui/scene_panel.js
+// Scenes panel (see ../scenes.js): save the current look under a name, recall, reorder or
+// delete scenes, and move them between displays as a JSON file.
+
+import { on } from '../bus.js';
+import {
+  listScenes,
+  saveScene,
+  deleteScene,
+  moveScene,
+  applyScene,
+  exportScenes,
+  importScenes,
+  MAX_SCENES,
+} from '../scenes.js';
+import { downloadJSON } from '../lib/download.js';
+import { notify, NOTIFY } from './notify.js';
+
+/**
+ * Recall a scene and say so in a toast.
+ * @param {string|number} ref - Scene name, or its position (0 = Alt+1).
+ * @returns {boolean} True if the scene was applied.
+ */
+export function recallScene(ref) {
+  const res = applyScene(ref);
+  notify(NOTIFY.scene, res.ok ? res.scene.name : res.error, { coalesce: true });
+  return res.ok;
+}
+
+/**
+ * Create the scenes panel and wire the footer "Scenes" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initScenePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'scenePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Scenes');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Scenes</strong>
+      <button type="button" data-act="close" aria-label="Close scenes">×</button>
+    </div>
+    <p class="vn-panel-note">
+      A scene keeps the style, flavor, vibe, speed, the style's controls and scanlines and
+      flicker. Save the current look under a name, then recall it here or with Alt+1–9 for
+      the first nine. Export a file to use the same scenes on another display.
+    </p>
+    <form class="vn-scene-fields" data-field="form">
+      <input data-field="name" type="text" maxlength="40" spellcheck="false"
+        placeholder="Scene name" aria-label="Scene name" />
+      <button type="submit">Save current look</button>
+    </form>
+    <ol class="vn-scene-list" data-field="list"></ol>
+    <div class="vn-panel-foot">
+      <span data-field="status" aria-live="polite"></span>
+      <span>
+        <button type="button" data-act="import">Import…</button>
+        <button type="button" data-act="export">Export</button>
+        <input type="file" accept=".json,application/json" hidden />
+      </span>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+  const form = field('form');
+  const nameInput = field('name');
+  const list = field('list');
+  const status = field('status');
+  const fileInput = panel.querySelector('input[type="file"]');
+  const btn = document.getElementById('scenesBtn');
+
+  const render = () => {
+    const scenes = listScenes();
+    list.replaceChildren(
+      ...scenes.map((scene, i) => {
+        const li = document.createElement('li');
+        li.dataset.name = scene.name;
+        li.innerHTML = `
+          <span class="vn-scene-key"></span>
+          <button type="button" data-act="apply"></button>
+          <button type="button" data-act="up" aria-label="Move up">↑</button>
+          <button type="button" data-act="down" aria-label="Move down">↓</button>
+          <button type="button" data-act="delete">×</button>
+        `;
+        li.querySelector('.vn-scene-key').textContent = i < 9 ? `Alt+${i + 1}` : '';
+        li.querySelector('[data-act="apply"]').textContent = scene.name;
+        li.querySelector('[data-act="up"]').disabled = i === 0;
+        li.querySelector('[data-act="down"]').disabled = i === scenes.length - 1;
+        li.querySelector('[data-act="delete"]').setAttribute('aria-label', `Delete ${scene.name}`);
+        return li;
+      })
+    );
+    status.textContent = scenes.length
+      ? `${scenes.length} of ${MAX_SCENES} scenes`
+      : 'No scenes yet';
+  };
+
+  on('scene.list', () => {
+    if (!panel.hidden) render();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+    const scene = saveScene(name);
+    notify(NOTIFY.scene, scene ? `Saved: ${scene.name}` : `Scene list is full (${MAX_SCENES})`, {
+      coalesce: true,
+    });
+    if (scene) nameInput.value = '';
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const { added, skipped } = importScenes(JSON.parse(await file.text()));
+      notify(
+        NOTIFY.scene,
+        `Imported ${added.length} scene${added.length === 1 ? '' : 's'}` +
+          (skipped ? ` (${skipped} skipped)` : ''),
+        { coalesce: true }
+      );
+    } catch (err) {
+      notify(NOTIFY.scene, `Import failed: ${err?.message ?? 'not a scene file'}`, {
+        coalesce: true,
+      });
+    }
+  });
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    nameInput.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    const name = e.target.closest?.('li')?.dataset.name;
+    if (act === 'close') close();
+    else if (act === 'apply') recallScene(name);
+    else if (act === 'up' || act === 'down') moveScene(name, act === 'up' ? -1 : +1);
+    else if (act === 'delete') {
+      deleteScene(name);
+      notify(NOTIFY.scene, `Deleted: ${name}`, { coalesce: true });
+    } else if (act === 'export') {
+      const pack = exportScenes();
+      if (!pack.scenes.length) {
+        notify(NOTIFY.scene, 'No scenes to export yet', { coalesce: true });
+        return;
+      }
+      downloadJSON('visual-noise-scenes.json', pack);
+    } else if (act === 'import') fileInput.click();
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
@@ -0,0 +1,233 @@
+/* eslint-env browser */
+// src/js/ui/schedule_panel.js
+// Settings panel for the time-of-day schedule (see ../schedule.js).
+// Edits a draft copy of the rules; nothing changes until Save.
+
+import { registry } from '../modes/index.js';
+import { themeNames } from '../themes.js';
+import { getRules, setRules } from '../schedule.js';
+import { notify, NOTIFY } from './notify.js';
+
+/**
+ * Local typedef alias so eslint-plugin-jsdoc recognizes DOM types.
+ * @typedef {globalThis.HTMLElement} HTMLElement
+ */
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const BRIGHTNESS_STEPS = [100, 80, 60, 40, 20];
+
+/**
+ * Build a <select> with a leading "—" (unset) option.
+ * @param {string} field - Rule field the select edits.
+ * @param {Array<[string, string]>} options - [value, label] pairs.
+ * @param {string} value - Current value ('' for unset).
+ * @param {string} label - Accessible label.
+ * @returns {HTMLElement} The select element.
+ */
+function makeSelect(field, options, value, label) {
+  const sel = document.createElement('select');
+  sel.dataset.field = field;
+  sel.setAttribute('aria-label', label);
+  for (const [v, text] of [['', '—'], ...options]) {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = text;
+    opt.selected = v === value;
+    sel.append(opt);
+  }
+  return sel;
+}
+
+/**
+ * Build a time input.
+ * @param {string} field - "start" or "end".
+ * @param {string} value - "HH:MM".
+ * @param {string} label - Accessible label.
+ * @returns {HTMLElement} The input element.
+ */
+function makeTime(field, value, label) {
+  const input = document.createElement('input');
+  input.type = 'time';
+  input.dataset.field = field;
+  input.value = value;
+  input.required = true;
+  input.setAttribute('aria-label', label);
+  return input;
+}
+
+/**
+ * Create the schedule panel and wire the footer "Schedule" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initSchedulePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'schedulePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Schedule');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Schedule</strong>
+      <button type="button" data-act="close" aria-label="Close schedule">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Local time. An end before the start runs overnight; equal times run all day.
+      Later rules win where windows overlap. No days ticked = every day.
+    </p>
+    <div class="vn-rules"></div>
+    <div class="vn-panel-foot">
+      <button type="button" data-act="add">Add rule</button>
+      <button type="button" data-act="save">Save</button>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const list = panel.querySelector('.vn-rules');
+  const speedOptions = Array.from({ length: 10 }, (_, i) => [String(i + 1), `speed ${i + 1}`]);
+  const brightOptions = BRIGHTNESS_STEPS.map((b) => [String(b), `${b}%`]);
+  const awakeOptions = [
+    ['on', 'keep awake'],
+    ['off', 'release'],
+  ];
+
+  /** @type {Array<object>} */
+  let draft = [];
+
+  const render = () => {
+    // Read per render so plugin modes and custom vibes added after init are offered
+    const modeOptions = Object.keys(registry).map((m) => [m, m]);
+    const vibeOptions = themeNames.map((v) => [v, v]);
+    list.textContent = '';
+    if (!draft.length) {
+      const empty = document.createElement('p');
+      empty.className = 'vn-panel-note';
+      empty.textContent = 'No rules yet.';
+      list.append(empty);
+    }
+    draft.forEach((rule, i) => {
+      const row = document.createElement('div');
+      row.className = 'vn-rule';
+      row.dataset.index = String(i);
+
+      const days = document.createElement('span');
+      days.className = 'vn-days';
+      DAY_LABELS.forEach((d, n) => {
+        const lab = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.day = String(n);
+        box.checked = !!rule.days?.includes(n);
+        box.setAttribute('aria-label', DAY_NAMES[n]);
+        lab.append(box, d);
+        days.append(lab);
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.act = 'remove';
+      remove.textContent = 'Remove';
+
+      row.append(
+        makeTime('start', rule.start, 'Start time'),
+        makeTime('end', rule.end, 'End time'),
+        days,
+        makeSelect('mode', modeOptions, rule.mode ?? '', 'Style'),
+        makeSelect('vibe', vibeOptions, rule.vibe ?? '', 'Vibe'),
+        makeSelect('speed', speedOptions, rule.speed != null ? String(rule.speed) : '', 'Speed'),
+        makeSelect(
+          'brightness',
+          brightOptions,
+          rule.brightness != null ? String(rule.brightness) : '',
+          'Brightness'
+        ),
+        makeSelect(
+          'awake',
+          awakeOptions,
+          rule.awake == null ? '' : rule.awake ? 'on' : 'off',
+          'Wake lock'
+        ),
+        remove
+      );
+      list.append(row);
+    });
+  };
+
+  // Field edits -> draft
+  list.addEventListener('change', (e) => {
+    const el = e.target;
+    const row = el.closest?.('.vn-rule');
+    if (!row) return;
+    const rule = draft[Number(row.dataset.index)];
+    if (!rule) return;
+
+    if (el.dataset.day != null) {
+      const picked = [...row.querySelectorAll('input[data-day]')]
+        .filter((b) => b.checked)
+        .map((b) => Number(b.dataset.day));
+      rule.days = picked.length ? picked : undefined;
+      return;
+    }
+    const field = el.dataset.field;
+    const v = el.value;
+    if (field === 'start' || field === 'end') rule[field] = v;
+    else if (field === 'speed' || field === 'brightness') rule[field] = v ? Number(v) : undefined;
+    else if (field === 'awake') rule.awake = v ? v === 'on' : undefined;
+    else if (field) rule[field] = v || undefined;
+  });
+
+  const close = () => {
+    panel.hidden = true;
+    document.getElementById('scheduleBtn')?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    draft = getRules();
+    render();
+    panel.hidden = false;
+    document.getElementById('scheduleBtn')?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('input, select, button')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    if (act === 'close') close();
+    else if (act === 'add') {
+      draft.push({ id: `rule-${Date.now().toString(36)}`, start: '18:00', end: '23:00' });
+      render();
+    } else if (act === 'remove') {
+      draft.splice(Number(e.target.closest('.vn-rule').dataset.index), 1);
+      render();
+    } else if (act === 'save') {
+      const kept = setRules(draft);
+      const dropped = draft.length - kept.length;
+      draft = kept;
+      render();
+      notify(
+        NOTIFY.state,
+        `Schedule saved: ${kept.length} rule${kept.length === 1 ? '' : 's'}` +
+          (dropped ? ` (${dropped} invalid dropped)` : ''),
+        { coalesce: true }
+      );
+    }
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  const btn = document.getElementById('scheduleBtn');
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
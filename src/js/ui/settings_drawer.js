@@ -0,0 +1,425 @@
+/* eslint-env browser */
+// src/js/ui/settings_drawer.js
+// Settings drawer: the footer's settings in one place, laid out for the keyboard. Genre,
+// style, flavor and vibe pickers come from the registries (plugin styles and custom vibes
+// included); speed and the style's controls are sliders; the overlays and the transition
+// sit under Effects; Session, Schedule and Advanced link to the matching panels.
+//
+// Closed, the drawer is inert and aria-hidden, the same way the ControlsVisibility shim in
+// ui.js hides the footer (see inert.js). Open, Tab stays inside it and Escape closes it.
+
+import {
+  cfg,
+  active,
+  registry,
+  getNode,
+  labelsForMode,
+  setMode,
+  setFlavor,
+  speedBounds,
+  setSpeed,
+  getSpeedLabel,
+  togglePause,
+  toggleEffect,
+  setTransition,
+  transitionNames,
+  setSeed,
+  controlsFor,
+  setControl,
+} from '../state.js';
+import { on } from '../bus.js';
+import { registry as modeRegistry } from '../modes/index.js';
+import { themeNames, vibeLabel, setVibeByName } from '../themes.js';
+import { POWER_SETTINGS, PROFILES, getPowerStatus, setPowerSetting } from '../power.js';
+import { clearSession } from '../persist.js';
+import { getRules } from '../schedule.js';
+import { getPlaylist } from '../playlist.js';
+import { getIdleOptions } from '../idle.js';
+import { activeSeed } from '../rng.js';
+import { makeControl, syncControls } from './mode_controls.js';
+import { setInert, moveFocusOutOf } from './inert.js';
+import { notify, NOTIFY } from './notify.js';
+
+const FOCUSABLE = 'button, select, input, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Styles of a genre that are loaded and can run.
+ * @param {string} genre - Genre (family) id.
+ * @returns {string[]} Mode keys in menu order.
+ */
+function stylesOf(genre) {
+  return (registry.families[genre]?.modesOrder ?? []).filter((id) => modeRegistry[id]);
+}
+
+/**
+ * Replace a select's options, keeping the chosen value.
+ * @param {any} select - Select element.
+ * @param {[string, string][]} items - Value/label pairs.
+ * @param {string} value - Value to select.
+ * @returns {void}
+ */
+function fillSelect(select, items, value) {
+  select.replaceChildren(
+    ...items.map(([v, label]) => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = label;
+      return opt;
+    })
+  );
+  select.value = value;
+}
+
+/**
+ * Create the settings drawer and wire the footer "Settings" button to open it.
+ * @param {object} [opts] - Panels the drawer links to.
+ * @param {Record<string, {open:()=>void}>} [opts.panels] - Panel controls by name: scenes,
+ *   history, schedule, playlist, idle, sync, remote, capture, vibes.
+ * @param {{toggle:()=>boolean}} [opts.perf] - Diagnostics overlay (see perf_overlay.js).
+ * @returns {{open:()=>void, close:()=>void, toggle:()=>void}} Drawer controls.
+ */
+export function initSettingsDrawer({ panels = {}, perf } = {}) {
+  const drawer = document.createElement('aside');
+  drawer.id = 'settingsDrawer';
+  drawer.className = 'vn-drawer';
+  drawer.dataset.ignoreGlobalOpen = '';
+  drawer.setAttribute('role', 'dialog');
+  drawer.setAttribute('aria-modal', 'true');
+  drawer.setAttribute('aria-label', 'Settings');
+  drawer.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Settings</strong>
+      <button type="button" data-act="close" aria-label="Close settings">×</button>
+    </div>
+    <section aria-label="Look">
+      <h3>Look</h3>
+      <label>Genre <select data-field="genre"></select></label>
+      <label>Style <select data-field="style"></select></label>
+      <label>Flavor <select data-field="flavor"></select></label>
+      <label>Vibe <select data-field="vibe"></select></label>
+    </section>
+    <section aria-label="Motion">
+      <h3>Motion</h3>
+      <label class="vn-param">
+        Speed <input data-field="speed" type="range" step="1" /><output data-field="speedOut"></output>
+      </label>
+      <label class="vn-check"><input data-field="paused" type="checkbox" /> Paused</label>
+      <div data-field="params" role="group" aria-label="Style controls"></div>
+    </section>
+    <section aria-label="Effects">
+      <h3>Effects</h3>
+      <label class="vn-check"><input data-fx="scanlines" type="checkbox" /> Scanlines</label>
+      <label class="vn-check"><input data-fx="flicker" type="checkbox" /> Flicker</label>
+      <label>Transition <select data-field="transition"></select></label>
+      <label>
+        Transition ms <input data-field="duration" type="number" min="0" max="5000" step="100" />
+      </label>
+    </section>
+    <section aria-label="Session">
+      <h3>Session</h3>
+      <p class="vn-panel-note">
+        The look is saved on this device and restored on the next visit. A fixed seed replays
+        the same look; leave it empty for a new one each launch.
+      </p>
+      <label>Seed <input data-field="seed" type="text" spellcheck="false" /></label>
+      <div class="vn-drawer-actions">
+        <button type="button" data-act="forget">Forget saved session</button>
+        <button type="button" data-panel="scenes">Scenes…</button>
+        <button type="button" data-panel="history">History…</button>
+      </div>
+    </section>
+    <section aria-label="Schedule">
+      <h3>Schedule</h3>
+      <p class="vn-panel-note" data-field="schedule"></p>
+      <div class="vn-drawer-actions">
+        <button type="button" data-panel="schedule">Schedule…</button>
+        <button type="button" data-panel="playlist">Playlist…</button>
+        <button type="button" data-panel="idle">Screensaver…</button>
+      </div>
+    </section>
+    <section aria-label="Advanced">
+      <h3>Advanced</h3>
+      <label>Power <select data-field="power"></select></label>
+      <p class="vn-panel-note" data-field="powerNote"></p>
+      <label class="vn-check"><input data-field="perf" type="checkbox" /> Diagnostics overlay</label>
+      <div class="vn-drawer-actions">
+        <button type="button" data-panel="vibes">Vibes…</button>
+        <button type="button" data-panel="capture">Capture…</button>
+        <button type="button" data-panel="sync">Sync…</button>
+        <button type="button" data-panel="remote">Remote…</button>
+      </div>
+    </section>
+  `;
+  document.body.append(drawer);
+  setInert(drawer, true);
+
+  const field = (name) => drawer.querySelector(`[data-field="${name}"]`);
+  const genreSel = field('genre');
+  const styleSel = field('style');
+  const flavorSel = field('flavor');
+  const vibeSel = field('vibe');
+  const speed = field('speed');
+  const speedOut = field('speedOut');
+  const paused = field('paused');
+  const params = field('params');
+  const transitionSel = field('transition');
+  const duration = field('duration');
+  const seed = field('seed');
+  const scheduleNote = field('schedule');
+  const powerSel = field('power');
+  const powerNote = field('powerNote');
+  const perfBox = field('perf');
+  const btn = document.getElementById('settingsBtn');
+  let opener = null;
+
+  fillSelect(
+    powerSel,
+    POWER_SETTINGS.map((s) => [s, s === 'auto' ? 'Auto' : PROFILES[s].label]),
+    'auto'
+  );
+  fillSelect(
+    transitionSel,
+    transitionNames.map((t) => [t, t]),
+    cfg.transition.style
+  );
+  drawer.querySelectorAll('[data-panel]').forEach((b) => {
+    b.hidden = !panels[b.dataset.panel];
+  });
+  perfBox.closest('label').hidden = !perf;
+
+  const isOpen = () => drawer.classList.contains('is-open');
+
+  // --- Paint from state (each part on its own so events touch only what changed) ---
+  const paintLook = () => {
+    const style = cfg.persona;
+    const genre = active.familyId;
+    fillSelect(
+      genreSel,
+      registry.order
+        .filter((g) => stylesOf(g).length)
+        .map((g) => [g, labelsForMode(stylesOf(g)[0]).familyLabel]),
+      genre
+    );
+    fillSelect(
+      styleSel,
+      stylesOf(genre).map((id) => [id, labelsForMode(id).typeLabel]),
+      style
+    );
+    const mode = getNode().mode;
+    fillSelect(
+      flavorSel,
+      (mode?.flavorsOrder ?? []).map((f) => [f, mode.flavors[f]?.name ?? f]),
+      active.flavorId
+    );
+    flavorSel.disabled = flavorSel.options.length < 2;
+  };
+
+  const paintVibes = () => {
+    fillSelect(
+      vibeSel,
+      themeNames.map((v) => [v, vibeLabel(v)]),
+      cfg.vibe ?? cfg.theme
+    );
+  };
+
+  const paintSpeed = () => {
+    const { min, max } = speedBounds();
+    speed.min = String(min);
+    speed.max = String(max);
+    speed.value = String(active.speed);
+    speedOut.textContent = getSpeedLabel();
+  };
+
+  const paintParams = () => {
+    const modeId = cfg.persona;
+    params.replaceChildren(...controlsFor(modeId).map((c) => makeControl(modeId, c)));
+    params.dataset.mode = modeId;
+  };
+
+  const paintEffects = () => {
+    drawer.querySelectorAll('[data-fx]').forEach((box) => {
+      box.checked = !!cfg.fx[box.dataset.fx];
+    });
+    transitionSel.value = cfg.transition.style;
+    duration.value = String(cfg.transition.durationMs);
+  };
+
+  const paintSeed = () => {
+    if (document.activeElement === seed) return;
+    seed.value = cfg.seed == null ? '' : String(cfg.seed);
+    seed.placeholder = `random (${activeSeed()})`;
+  };
+
+  const paintSchedule = () => {
+    const n = getRules().length;
+    const idle = getIdleOptions();
+    const list = getPlaylist();
+    const count = list.entries.length;
+    scheduleNote.textContent =
+      `${n ? `${n} schedule rule${n === 1 ? '' : 's'}` : 'No schedule rules'}. ` +
+      (list.custom
+        ? `Playlist of ${count} entr${count === 1 ? 'y' : 'ies'}`
+        : 'Playlist of every style') +
+      (list.shuffle ? ', shuffled. ' : '. ') +
+      (idle.enabled ? `Screensaver after ${idle.minutes} min.` : 'Screensaver off.');
+  };
+
+  const paintPower = (status = getPowerStatus()) => {
+    powerSel.value = status.setting;
+    powerNote.textContent = `Now: ${status.label} (${status.reason})`;
+  };
+
+  const paint = () => {
+    paintLook();
+    paintVibes();
+    paintSpeed();
+    paintParams();
+    paintEffects();
+    paintSeed();
+    paintSchedule();
+    paintPower();
+    paused.checked = !!cfg.paused;
+    perfBox.checked = document.getElementById('perfOverlay')?.hidden === false;
+  };
+
+  // --- Follow changes made elsewhere (hotkeys, the footer, schedule, remote, undo) ---
+  const whileOpen = (fn) => (payload) => {
+    if (isOpen()) fn(payload);
+  };
+  on(
+    'style.change',
+    whileOpen(() => {
+      paintLook();
+      paintSpeed();
+      paintParams();
+    })
+  );
+  on('style.register', whileOpen(paintLook));
+  on(
+    'flavor.change',
+    whileOpen(() => {
+      paintLook();
+      paintSpeed();
+    })
+  );
+  on('vibe.change', whileOpen(paintVibes));
+  on('vibe.list', whileOpen(paintVibes));
+  on('speed.change', whileOpen(paintSpeed));
+  on(
+    'param.change',
+    whileOpen((p) => {
+      if (p?.modeId === params.dataset.mode) syncControls(params, params.dataset.mode);
+    })
+  );
+  on('fx.change', whileOpen(paintEffects));
+  on('transition.change', whileOpen(paintEffects));
+  on('seed.change', whileOpen(paintSeed));
+  on(
+    'playback.pause',
+    whileOpen((p) => (paused.checked = !!p))
+  );
+  on('schedule.change', whileOpen(paintSchedule));
+  on('rotation.status', whileOpen(paintSchedule));
+  on('power.profile', whileOpen(paintPower));
+
+  // --- Apply changes ---
+  drawer.addEventListener('input', (e) => {
+    const el = e.target;
+    if (el === speed) setSpeed(Number(speed.value));
+    else if (el.dataset?.key && params.contains(el)) {
+      setControl(
+        params.dataset.mode,
+        el.dataset.key,
+        el.type === 'checkbox' ? el.checked : Number(el.value)
+      );
+    }
+  });
+
+  drawer.addEventListener('change', (e) => {
+    const el = e.target;
+    if (el === genreSel) {
+      const first = stylesOf(genreSel.value)[0];
+      if (first && first !== cfg.persona) setMode(first);
+    } else if (el === styleSel) {
+      if (styleSel.value !== cfg.persona) setMode(styleSel.value);
+    } else if (el === flavorSel) setFlavor(flavorSel.value);
+    else if (el === vibeSel) setVibeByName(vibeSel.value);
+    else if (el === paused) {
+      if (paused.checked !== !!cfg.paused) togglePause();
+    } else if (el.dataset?.fx) {
+      if (el.checked !== !!cfg.fx[el.dataset.fx]) toggleEffect(el.dataset.fx);
+    } else if (el === transitionSel) setTransition({ style: transitionSel.value });
+    else if (el === duration) setTransition({ durationMs: Number(duration.value) });
+    else if (el === seed) setSeed(seed.value);
+    else if (el === powerSel) setPowerSetting(powerSel.value);
+    else if (el === perfBox) perfBox.checked = !!perf?.toggle();
+  });
+
+  const close = () => {
+    if (!isOpen()) return;
+    moveFocusOutOf(drawer);
+    drawer.classList.remove('is-open');
+    setInert(drawer, true);
+    btn?.setAttribute('aria-expanded', 'false');
+    // Back to where the user was, unless that has been hidden meanwhile (the footer)
+    if (opener?.isConnected && !opener.closest?.('[inert]')) opener.focus({ preventScroll: true });
+    opener = null;
+  };
+
+  const open = () => {
+    if (isOpen()) return;
+    opener = document.activeElement;
+    paint();
+    setInert(drawer, false);
+    drawer.classList.add('is-open');
+    btn?.setAttribute('aria-expanded', 'true');
+    genreSel.focus({ preventScroll: true });
+  };
+
+  const toggle = () => (isOpen() ? close() : open());
+
+  drawer.addEventListener('click', (e) => {
+    const el = e.target.closest?.('[data-act], [data-panel]');
+    if (!el) return;
+    if (el.dataset.act === 'close') close();
+    else if (el.dataset.act === 'forget') {
+      clearSession();
+      notify(NOTIFY.state, 'Saved session forgotten', { coalesce: true });
+    } else if (el.dataset.panel) {
+      // The panels are separate dialogs; hand over to them rather than stack on top
+      opener = null;
+      close();
+      panels[el.dataset.panel]?.open();
+    }
+  });
+
+  drawer.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.key === 'Tab') {
+      // Keep Tab inside the drawer while it is open
+      const items = [...drawer.querySelectorAll(FOCUSABLE)].filter(
+        (el) => !el.disabled && !el.closest('[hidden]')
+      );
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last?.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first?.focus();
+      }
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', drawer.id);
+    btn.onclick = toggle;
+  }
+
+  return { open, close, toggle };
+}
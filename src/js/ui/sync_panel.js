@@ -0,0 +1,100 @@
+/* eslint-env browser */
+// src/js/ui/sync_panel.js
+// Settings panel for multi-window sync (see ../sync.js): on/off, spanning, and how many
+// windows take part and which one leads. Changes apply immediately.
+
+import { on } from '../bus.js';
+import { getSyncOptions, setSyncOptions, getSyncStatus } from '../sync.js';
+
+/**
+ * Create the sync panel and wire the footer "Sync" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initSyncPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'syncPanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Sync windows');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Sync windows</strong>
+      <button type="button" data-act="close" aria-label="Close sync">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Windows of Visual Noise on this computer show the same style, vibe, speed and pause
+      state, and follow one playlist. With spanning on, matrix rain runs across all of them
+      as one picture, placed by where each window sits on screen; use fullscreen windows
+      for seamless edges.
+    </p>
+    <div class="vn-sync-fields">
+      <label><input data-field="enabled" type="checkbox" /> Sync with other windows</label>
+      <label><input data-field="span" type="checkbox" /> Span across windows</label>
+    </div>
+    <div class="vn-panel-foot">
+      <span data-field="status" aria-live="polite"></span>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+  const enabled = field('enabled');
+  const span = field('span');
+  const status = field('status');
+  const btn = document.getElementById('syncBtn');
+
+  const renderStatus = () => {
+    const s = getSyncStatus();
+    if (!s.enabled) status.textContent = 'Off';
+    else if (s.peers === 1) status.textContent = 'No other windows yet';
+    else status.textContent = `${s.peers} windows · ${s.leader ? 'this one leads' : 'following'}`;
+  };
+
+  const render = () => {
+    const o = getSyncOptions();
+    enabled.checked = o.enabled;
+    span.checked = o.span;
+    span.disabled = !o.enabled;
+    renderStatus();
+  };
+
+  panel.addEventListener('change', () => {
+    setSyncOptions({ enabled: enabled.checked, span: span.checked });
+    render();
+  });
+  on('sync.status', renderStatus);
+
+  const close = () => {
+    panel.hidden = true;
+    btn?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    render();
+    panel.hidden = false;
+    btn?.setAttribute('aria-expanded', 'true');
+    panel.querySelector('input, select, button')?.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    if (e.target.closest?.('[data-act]')?.dataset.act === 'close') close();
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
@@ -9,7 +9,12 @@ import {
   togglePause,
   clearAll,
   labelsForMode,
+  toggleEffect,
+  stepFlavor,
+  controlsFor,
+  stepControl,
 } from '../state.js';
+import { on, emit } from '../bus.js';
 import { registry } from '../modes/index.js';
 import { themeNames, setThemeByName, cycleTheme } from '../themes.js';
 import {
@@ -20,9 +25,24 @@ import {
   syncFlickerButton,
 } from './menu.js';
 import { installHotkeys } from './hotkeys.js';
+import { initSchedulePanel } from './schedule_panel.js';
+import { initPlaylistPanel } from './playlist_panel.js';
+import { initIdlePanel } from './idle_panel.js';
+import { initSyncPanel } from './sync_panel.js';
+import { initRemotePanel } from './remote_panel.js';
+import { initHistoryPanel } from './history_panel.js';
+import { initScenePanel, recallScene } from './scene_panel.js';
+import { initVibePanel } from './vibe_panel.js';
+import { initCapturePanel } from './capture_panel.js';
+import { initModeControls } from './mode_controls.js';
+import { initPerfOverlay } from './perf_overlay.js';
+import { initSettingsDrawer } from './settings_drawer.js';
+import { toggleRotation, nextEntry, getRotationStatus } from '../playlist.js';
+import { toggleCapture } from '../capture.js';
+import { undo, redo, getHistory } from '../history.js';
 import { WakeLock } from '../lib/wake_lock.js';
-import { toggleScanlines, toggleFlicker } from './effects.js';
 import { notify, NOTIFY } from './notify.js';
+import { setInert, moveFocusOutOf } from './inert.js';
 
 // --- ControlsVisibility shim ---
 // Aligns with styles.css (#controls.is-visible + body.has-controls-visible)
@@ -40,6 +60,7 @@ import { notify, NOTIFY } from './notify.js';
 
   let hideTimer = null;
   let pausedByHover = false;
+  let locked = false; // kiosk: never open (see lock())
 
   const updateBodyPad = () => {
     if (!el) return;
@@ -60,32 +81,10 @@ import { notify, NOTIFY } from './notify.js';
     hideTimer = window.setTimeout(hide, autoHideMs);
   };
 
-  // --- a11y helpers ---
-  const moveFocusOutOf = (container) => {
-    if (!container) return;
-    const active = document.activeElement;
-    if (active && container.contains(active)) {
-      // Move focus to a safe, temporary target (stage or body)
-      const fallback = document.getElementById('stage') || document.body;
-      const hadTabIndex = fallback.hasAttribute('tabindex');
-      if (!hadTabIndex) fallback.setAttribute('tabindex', '-1');
-      fallback.focus({ preventScroll: true });
-      if (!hadTabIndex) fallback.removeAttribute('tabindex');
-    }
-  };
-
-  const setInert = (container, on) => {
-    if (!container) return;
-    if (on) {
-      container.setAttribute('inert', '');
-      container.setAttribute('aria-hidden', 'true');
-    } else {
-      container.removeAttribute('inert');
-      container.removeAttribute('aria-hidden');
-    }
-  };
+  // a11y helpers (setInert, moveFocusOutOf) live in inert.js; the settings drawer uses them too
 
   const show = () => {
+    if (locked) return;
     if (el) {
       setInert(el, false); // re-enable interaction first
       el.classList.add(EL_ON);
@@ -112,6 +111,12 @@ import { notify, NOTIFY } from './notify.js';
     return isOpen ? hide() : show();
   };
 
+  // Keep the controls closed regardless of clicks/keys/gestures (e.g. ?hideControls=1)
+  const lock = (on = true) => {
+    locked = !!on;
+    if (locked) hide();
+  };
+
   // --- reset timer on activity anywhere
   const resetOnActivity = (e) => {
     // If controls aren’t open, no need to reset
@@ -146,7 +151,7 @@ import { notify, NOTIFY } from './notify.js';
   window.addEventListener('pointermove', resetOnActivity, { passive: true });
   window.addEventListener('keydown', resetOnActivity, { capture: true });
 
-  window.ControlsVisibility = { show, hide, toggle };
+  window.ControlsVisibility = { show, hide, toggle, lock };
 
   // Fallback custom events (already emitted by other code)
   window.addEventListener('ui:controls:show', show, { capture: true });
@@ -170,7 +175,8 @@ export function initUI() {
   const fullBtn = document.getElementById('fullBtn');
 
   // Modes list from registry
-  const modes = Object.keys(registry);
+  let modes = Object.keys(registry);
+  on('style.register', () => (modes = Object.keys(registry)));
 
   // Label updaters (used by keyboard handler too)
   const setModeLabel = () => {
@@ -206,6 +212,20 @@ export function initUI() {
 
   // Initialize the bottom menu (labels + buttons)
   initMenu();
+  const panels = {
+    schedule: initSchedulePanel(),
+    playlist: initPlaylistPanel(),
+    idle: initIdlePanel(),
+    sync: initSyncPanel(),
+    remote: initRemotePanel(),
+    history: initHistoryPanel(),
+    scenes: initScenePanel(),
+    vibes: initVibePanel(),
+    capture: initCapturePanel(),
+  };
+  initModeControls();
+  const perfOverlay = initPerfOverlay();
+  const settings = initSettingsDrawer({ panels, perf: perfOverlay });
 
   // Fullscreen toggle
   if (fullBtn) {
@@ -293,6 +313,18 @@ export function initUI() {
     }
   };
 
+  // Shift+Arrow → whichever control of the active mode declares that key
+  const stepModeControl = (key) => {
+    const modeId = cfg.persona;
+    for (const c of controlsFor(modeId)) {
+      const i = Array.isArray(c.keys) ? c.keys.indexOf(key) : -1;
+      if (i < 0) continue;
+      stepControl(modeId, c.key, i === 0 ? -1 : +1);
+      return true;
+    }
+    return false;
+  };
+
   const toggleControls = () => {
     // Use toggle (help text says "m (toggle)")
     window.ControlsVisibility?.toggle?.();
@@ -318,15 +350,28 @@ export function initUI() {
     }
 
     // notify + refresh button label
-    window.app?.events?.emit?.('power', next);
+    emit('power.awake', next);
     syncAwakeButton();
   };
 
+  // Undo/redo with a toast naming the change (the list lives in the History panel)
+  const stepHistory = (dir) => {
+    const moved = dir < 0 ? undo() : redo();
+    const { entries, index } = getHistory();
+    const what = dir < 0 ? 'Undo' : 'Redo';
+    const label = entries[dir < 0 ? index + 1 : index]?.label;
+    notify(NOTIFY.state, moved ? `${what}: ${label}` : `Nothing to ${what.toLowerCase()}`, {
+      coalesce: true,
+    });
+  };
+
   // ...
 
   installHotkeys({
     cycleFamily,
     cycleFlavor,
+    stepFlavor,
+    stepControl: stepModeControl,
     selectModeNum,
     cycleTheme: cycleVibe,
     toggleControls,
@@ -337,24 +382,30 @@ export function initUI() {
     toggleAwake,
     // NEW: S / V hotkeys -> toggle + sync + toast
     toggleScanlines: () => {
-      toggleScanlines();
-      const on = document.body.classList.contains('scanlines');
+      const on = toggleEffect('scanlines');
       syncScanlinesButton();
       notify(NOTIFY.state, `Scanlines: ${on ? 'ON' : 'OFF'}`, { coalesce: true });
     },
     toggleFlicker: () => {
-      toggleFlicker();
-      const on = document.body.classList.contains('flicker');
+      const on = toggleEffect('flicker');
       syncFlickerButton();
       notify(NOTIFY.state, `Flicker: ${on ? 'ON' : 'OFF'}`, { coalesce: true });
     },
+    togglePerf: perfOverlay.toggle,
+    exportPerf: perfOverlay.exportJSON,
+    toggleCapture,
+    undo: () => stepHistory(-1),
+    redo: () => stepHistory(+1),
+    recallScene: (n) => recallScene(n - 1),
+    toggleSettings: settings.toggle,
   });
 
   // --- Minimal supplemental keys not handled by hotkeys.js ---
   window.addEventListener('keydown', (e) => {
     if (e.repeat) return;
     const tag = document.activeElement?.tagName?.toLowerCase();
-    if (tag === 'input' || tag === 'textarea' || document.activeElement?.isContentEditable) return;
+    if (tag === 'input' || tag === 'textarea' || tag === 'select') return;
+    if (document.activeElement?.isContentEditable) return;
 
     const k = e.key?.toLowerCase?.();
 
@@ -378,6 +429,14 @@ export function initUI() {
     } else if (k === 'c') {
       e.preventDefault();
       clearAll();
+    } else if (k === 'r' && !e.altKey && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      if (e.shiftKey) {
+        if (getRotationStatus().running) nextEntry(+1);
+      } else {
+        const running = toggleRotation();
+        notify(NOTIFY.state, `Rotation: ${running ? 'ON' : 'OFF'}`, { coalesce: true });
+      }
     }
   });
 
@@ -0,0 +1,313 @@
+/* eslint-env browser */
+// src/js/ui/vibe_panel.js
+// Vibe editor: edit every CSS variable the modes read, previewed live on the running
+// style, then save it as a custom vibe (see ../themes.js). Theme packs import/export
+// as JSON files.
+
+import { cfg } from '../state.js';
+import {
+  VIBE_VARS,
+  themeNames,
+  vibeLabel,
+  vibeVars,
+  isCustomVibe,
+  isReservedVibeId,
+  saveCustomVibe,
+  deleteCustomVibe,
+  previewVibe,
+  exportVibePack,
+  importVibePack,
+  setVibeByName,
+} from '../themes.js';
+import { downloadJSON } from '../lib/download.js';
+import { notify, NOTIFY } from './notify.js';
+
+/**
+ * Local typedef alias so eslint-plugin-jsdoc recognizes DOM types.
+ * @typedef {globalThis.HTMLElement} HTMLElement
+ */
+
+/**
+ * Best #rrggbb for a color picker, or null when the value isn't plain hex.
+ * @param {string} v - CSS color.
+ * @returns {string|null} Six-digit hex (alpha dropped).
+ */
+function toPickerHex(v) {
+  const s = String(v).trim().toLowerCase();
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(s)) return s.slice(0, 7);
+  if (/^#[0-9a-f]{3,4}$/.test(s)) return `#${s[1]}${s[1]}${s[2]}${s[2]}${s[3]}${s[3]}`;
+  return null;
+}
+
+/**
+ * Turn a label into a vibe key that isn't taken (other than by `own`).
+ * @param {string} label - Human name.
+ * @param {string|null} own - Key being edited, which may be reused.
+ * @returns {string} Lowercase key (letters, digits, "-").
+ */
+function keyFor(label, own) {
+  const base =
+    String(label)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^[^a-z]+|-+$/g, '')
+      .slice(0, 28) || 'vibe';
+  let key = base;
+  const taken = (k) => (themeNames.includes(k) || isReservedVibeId(k)) && k !== own;
+  for (let n = 2; taken(key); n++) key = `${base}-${n}`;
+  return key;
+}
+
+/**
+ * One editable variable: swatch picker plus a text field for exact values (alpha, rgb()).
+ * @param {{name:string, label:string}} def - Variable definition.
+ * @param {string} value - Current value.
+ * @returns {HTMLElement} Row element.
+ */
+function makeVar(def, value) {
+  const row = document.createElement('label');
+  row.className = 'vn-vibe-var';
+  row.dataset.name = def.name;
+
+  const pick = document.createElement('input');
+  pick.type = 'color';
+  pick.dataset.role = 'pick';
+  const hex = toPickerHex(value);
+  pick.value = hex || '#000000';
+  pick.disabled = !hex;
+
+  const text = document.createElement('input');
+  text.type = 'text';
+  text.dataset.role = 'text';
+  text.value = value;
+  text.spellcheck = false;
+  text.setAttribute('aria-label', `${def.label} (${def.name})`);
+
+  row.append(pick, ` ${def.label} `, text);
+  return row;
+}
+
+/**
+ * Create the vibe editor panel and wire the footer "Vibes" button to open it.
+ * @returns {{open:()=>void, close:()=>void}} Panel controls.
+ */
+export function initVibePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'vibePanel';
+  panel.className = 'vn-panel';
+  panel.hidden = true;
+  panel.dataset.ignoreGlobalOpen = '';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Vibe editor');
+  panel.innerHTML = `
+    <div class="vn-panel-head">
+      <strong>Vibe editor</strong>
+      <button type="button" data-act="close" aria-label="Close vibe editor">×</button>
+    </div>
+    <p class="vn-panel-note">
+      Edits preview on the running style. Save adds the vibe to the cycle, schedule and
+      playlist; closing without saving restores the current vibe.
+    </p>
+    <div class="vn-vibe-meta">
+      <label>Start from <select data-field="base"></select></label>
+      <label>Name <input type="text" data-field="label" maxlength="40" /></label>
+    </div>
+    <div class="vn-vibe-vars"></div>
+    <div class="vn-panel-foot">
+      <span>
+        <button type="button" data-act="import">Import pack…</button>
+        <button type="button" data-act="export">Export pack</button>
+        <input type="file" accept=".json,application/json" hidden />
+      </span>
+      <span>
+        <button type="button" data-act="delete">Delete</button>
+        <button type="button" data-act="save">Save</button>
+      </span>
+    </div>
+  `;
+  document.body.append(panel);
+
+  const baseSel = panel.querySelector('select[data-field="base"]');
+  const labelInput = panel.querySelector('input[data-field="label"]');
+  const varsBox = panel.querySelector('.vn-vibe-vars');
+  const fileInput = panel.querySelector('input[type="file"]');
+  const deleteBtn = panel.querySelector('[data-act="delete"]');
+
+  /** @type {{base:string, id:string|null, label:string, vars:Record<string,string>}} */
+  let draft = { base: 'classic', id: null, label: '', vars: {} };
+  let previewing = false;
+  let raf = 0;
+
+  // Coalesce rapid picker input into one preview per frame
+  const schedulePreview = () => {
+    if (raf) return;
+    raf = window.requestAnimationFrame(() => {
+      raf = 0;
+      previewing = true;
+      previewVibe(draft.vars);
+    });
+  };
+
+  const stopPreview = () => {
+    if (raf) window.cancelAnimationFrame(raf);
+    raf = 0;
+    if (previewing) previewVibe(null);
+    previewing = false;
+  };
+
+  /**
+   * Start a draft from an existing vibe (custom vibes are edited in place).
+   * @param {string} key - Vibe key.
+   * @returns {void}
+   */
+  const loadFrom = (key) => {
+    const custom = isCustomVibe(key);
+    draft = {
+      base: key,
+      id: custom ? key : null,
+      label: custom ? vibeLabel(key) : `${vibeLabel(key)} custom`,
+      vars: vibeVars(key),
+    };
+  };
+
+  const render = () => {
+    baseSel.textContent = '';
+    for (const key of themeNames) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = vibeLabel(key) + (isCustomVibe(key) ? ' *' : '');
+      opt.selected = key === draft.base;
+      baseSel.append(opt);
+    }
+    labelInput.value = draft.label;
+    deleteBtn.disabled = !draft.id;
+
+    varsBox.textContent = '';
+    let group = '';
+    for (const def of VIBE_VARS) {
+      if (def.group !== group) {
+        group = def.group;
+        const h = document.createElement('div');
+        h.className = 'vn-vibe-group';
+        h.textContent = group;
+        varsBox.append(h);
+      }
+      varsBox.append(makeVar(def, draft.vars[def.name]));
+    }
+  };
+
+  varsBox.addEventListener('input', (e) => {
+    const el = e.target;
+    const row = el.closest?.('.vn-vibe-var');
+    if (!row) return;
+    const name = row.dataset.name;
+    const text = row.querySelector('input[data-role="text"]');
+    const pick = row.querySelector('input[data-role="pick"]');
+    if (el.dataset.role === 'pick') {
+      draft.vars[name] = el.value;
+      text.value = el.value;
+    } else {
+      const v = el.value.trim();
+      if (!window.CSS?.supports?.('color', v)) return; // wait for a valid color
+      draft.vars[name] = v;
+      const hex = toPickerHex(v);
+      pick.disabled = !hex;
+      if (hex) pick.value = hex;
+    }
+    schedulePreview();
+  });
+
+  baseSel.addEventListener('change', () => {
+    loadFrom(baseSel.value);
+    render();
+    schedulePreview();
+  });
+
+  labelInput.addEventListener('input', () => {
+    draft.label = labelInput.value;
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const { added, skipped } = importVibePack(JSON.parse(await file.text()));
+      notify(
+        NOTIFY.vibe,
+        `Imported ${added.length} vibe${added.length === 1 ? '' : 's'}` +
+          (skipped ? ` (${skipped} invalid skipped)` : ''),
+        { coalesce: true }
+      );
+      render();
+    } catch (err) {
+      notify(NOTIFY.vibe, `Import failed: ${err?.message ?? 'not a theme pack'}`, {
+        coalesce: true,
+      });
+    }
+  });
+
+  const close = () => {
+    stopPreview();
+    panel.hidden = true;
+    document.getElementById('vibeEditBtn')?.setAttribute('aria-expanded', 'false');
+  };
+
+  const open = () => {
+    loadFrom(cfg.vibe);
+    render();
+    panel.hidden = false;
+    document.getElementById('vibeEditBtn')?.setAttribute('aria-expanded', 'true');
+    baseSel.focus();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const act = e.target.closest?.('[data-act]')?.dataset.act;
+    if (act === 'close') close();
+    else if (act === 'save') {
+      const label = draft.label.trim() || 'custom';
+      const key = saveCustomVibe({ id: keyFor(label, draft.id), label, vars: draft.vars });
+      if (!key) {
+        notify(NOTIFY.vibe, 'Vibe not saved: check the colors', { coalesce: true });
+        return;
+      }
+      draft.id = key;
+      draft.base = key;
+      setVibeByName(key);
+      stopPreview();
+      render();
+      notify(NOTIFY.vibe, `Saved vibe: ${label}`, { coalesce: true });
+    } else if (act === 'delete' && draft.id) {
+      const label = vibeLabel(draft.id);
+      stopPreview();
+      deleteCustomVibe(draft.id);
+      loadFrom(cfg.vibe);
+      render();
+      notify(NOTIFY.vibe, `Deleted vibe: ${label}`, { coalesce: true });
+    } else if (act === 'export') {
+      const pack = exportVibePack();
+      if (!pack.vibes.length) {
+        notify(NOTIFY.vibe, 'No custom vibes to export yet', { coalesce: true });
+        return;
+      }
+      downloadJSON('visual-noise-vibes.json', pack);
+    } else if (act === 'import') fileInput.click();
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  const btn = document.getElementById('vibeEditBtn');
+  if (btn) {
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', panel.id);
+    btn.onclick = () => (panel.hidden ? open() : close());
+  }
+
+  return { open, close };
+}
@@ -0,0 +1,331 @@
+/* eslint-env browser */
+// src/js/url_config.js
+// Launch configuration from the URL (kiosk bookmarks) and live "link to this look" hashes.
+//
+// Accepted in the query string and/or the hash (hash wins when both set a key):
+//   ?genre=rain&style=matrix&vibe=clu&speed=7&fx=scanlines&tail=8&hideControls=1
+//
+//   genre        family key (system, developer, rain, fire); picks its first style unless style is set
+//   style        mode key or label (matrix, "digital rain", bsd…); a flavor name of the mode also works
+//   flavor       explicit flavor of the chosen style
+//   vibe         vibe name or alias (theme= is accepted too)
+//   speed        speed index 1..10
+//   fx           comma list of CRT effects to turn on (scanlines,flicker); "none" turns all off
+//   <control>    any control the chosen style declares (tail, spawn, height, fuel, bar, split…);
+//                stage index, range value, or 1/0 (on/off) for toggles, clamped to the schema
+//   transition   mode-switch style: fade, wipe, glitch-dissolve, scanline-roll or none
+//   transitionMs transition duration in ms (0 = hard cut)
+//   seed         fixed random seed (number or any word) so the look replays identically
+//   hideControls 1 keeps the footer controls from ever opening
+//   sync         1/0 turns multi-window sync on/off for this page load (see sync.js)
+//   span         1/0 turns spanning across the synced windows on/off (1 also turns sync on)
+//   remote       1/0 turns the LAN remote on/off for this page load, or a relay address
+//                (host:port) to use and turn it on (see remote.js)
+//   sync, span and remote are not saved; the stored settings apply again on the next load.
+
+import {
+  cfg,
+  active,
+  registry,
+  familyOf,
+  getNode,
+  setMode,
+  setFlavor,
+  setSpeed,
+  setTransition,
+  setSeed,
+  controlsFor,
+  setControl,
+} from './state.js';
+import { on } from './bus.js';
+import { registry as modeRegistry } from './modes/index.js';
+import { setVibeByName } from './themes.js';
+import { applyEffects } from './ui/effects.js';
+import { overrideSyncOptions } from './sync.js';
+import { overrideRemoteOptions } from './remote.js';
+
+// Debounce hash rewrites (browsers throttle history.replaceState)
+const SYNC_DELAY_MS = 250;
+
+let hideControls = false;
+
+/**
+ * Parse a 1..10 stage index.
+ * @param {string|null} raw - Raw URL value.
+ * @returns {number|null} Clamped integer index, or null if not numeric.
+ */
+function parseIndex(raw) {
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return null;
+  return Math.max(1, Math.min(10, Math.round(n)));
+}
+
+/**
+ * Parse a mode control value: a number, or on/off words for toggles.
+ * @param {string|null} raw - Raw URL value.
+ * @returns {number|null} Numeric value (1/0 for on/off), or null if unusable.
+ */
+function parseControlValue(raw) {
+  if (raw == null || raw === '') return null;
+  if (/^(true|yes|on)$/i.test(raw)) return 1;
+  if (/^(false|no|off)$/i.test(raw)) return 0;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Control keys declared by any registered mode.
+ * @returns {string[]} Unique control keys.
+ */
+function allControlKeys() {
+  const keys = new Set();
+  for (const id of Object.keys(modeRegistry)) for (const c of controlsFor(id)) keys.add(c.key);
+  return [...keys];
+}
+
+/**
+ * Parse a boolean-ish flag ("1", "true", "yes", "on", or present with no value).
+ * @param {string|null} raw - Raw URL value.
+ * @returns {boolean} True when the flag is set.
+ */
+function parseFlag(raw) {
+  if (raw == null) return false;
+  return ['', '1', 'true', 'yes', 'on'].includes(raw.trim().toLowerCase());
+}
+
+/**
+ * Find a mode key by key or display name, optionally limited to one family.
+ * @param {string} name - Mode key or label (case-insensitive).
+ * @param {string} [familyId] - Family to search; all families when omitted.
+ * @returns {string|null} Mode key, or null if nothing matches.
+ */
+function findMode(name, familyId) {
+  const want = name.trim().toLowerCase();
+  const families = familyId ? [familyId] : registry.order;
+  for (const famId of families) {
+    const fam = registry.families[famId];
+    if (!fam) continue;
+    for (const key of fam.modesOrder) {
+      const label = String(fam.modes[key]?.name ?? '').toLowerCase();
+      if (key.toLowerCase() === want || label === want) return key;
+    }
+  }
+  // Modes outside the taxonomy (e.g. gameplay) are still startable by key
+  return !familyId && Object.hasOwn(modeRegistry, name) ? name : null;
+}
+
+/**
+ * Read the launch configuration from a query string and hash.
+ * Unknown keys are ignored; values are validated when applied.
+ * @param {string} [search] - Query string (defaults to location.search).
+ * @param {string} [hash] - Hash fragment (defaults to location.hash).
+ * @returns {{genre?:string, style?:string, flavor?:string, vibe?:string, speed?:number, fx?:string[], params:Record<string, number>, transition?:string, transitionMs?:number, seed?:string, hideControls:boolean, sync?:boolean, span?:boolean, remote?:boolean|string}} Parsed config.
+ */
+export function parseUrlConfig(search = window.location.search, hash = window.location.hash) {
+  const q = new window.URLSearchParams(search);
+  const h = new window.URLSearchParams(String(hash).replace(/^#/, ''));
+  const get = (key) => (h.has(key) ? h.get(key) : q.get(key));
+
+  const out = { params: {}, hideControls: parseFlag(get('hideControls')) };
+
+  const genre = get('genre');
+  if (genre) out.genre = genre.trim().toLowerCase();
+  const style = get('style');
+  if (style) out.style = style;
+  const flavor = get('flavor');
+  if (flavor) out.flavor = flavor.trim();
+  const vibe = get('vibe') ?? get('theme');
+  if (vibe) out.vibe = vibe;
+
+  const speed = parseIndex(get('speed'));
+  if (speed != null) out.speed = speed;
+
+  const fx = get('fx');
+  if (fx != null) {
+    out.fx = fx
+      .split(/[\s,|]+/)
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  const transition = get('transition');
+  if (transition) out.transition = transition.trim().toLowerCase();
+  const transitionMs = Number(get('transitionMs') ?? NaN);
+  if (Number.isFinite(transitionMs)) out.transitionMs = transitionMs;
+
+  const seed = get('seed');
+  if (seed?.trim()) out.seed = seed.trim();
+
+  const sync = get('sync');
+  if (sync != null) out.sync = parseFlag(sync);
+  const span = get('span');
+  if (span != null) out.span = parseFlag(span);
+  // remote=1/0, or remote=<relay address>
+  const remote = get('remote')?.trim();
+  if (remote != null) {
+    const isFlag = /^(1|0|on|off|true|false|yes|no)?$/i.test(remote);
+    out.remote = isFlag ? parseFlag(remote) : remote;
+  }
+
+  for (const key of allControlKeys()) {
+    const n = parseControlValue(get(key));
+    if (n != null) out.params[key] = n;
+  }
+  return out;
+}
+
+/**
+ * Apply a parsed URL config through the regular setters.
+ * Call at boot, before the first mode starts, so the mode's init() sees the values.
+ * @param {ReturnType<typeof parseUrlConfig>} conf - Parsed config.
+ * @returns {boolean} True if anything was applied.
+ */
+export function applyUrlConfig(conf) {
+  let applied = false;
+
+  const fam = conf.genre ? registry.families[conf.genre] : null;
+  if (conf.genre && !fam) console.warn(`[url] unknown genre "${conf.genre}"`);
+
+  let modeName = conf.style ? findMode(conf.style, fam ? conf.genre : undefined) : null;
+  // "style" may also name a flavor of the selected mode
+  let flavor = conf.flavor ?? (conf.style && !modeName ? conf.style.trim() : null);
+  if (!modeName && fam) {
+    modeName = familyOf(cfg.persona) === conf.genre ? cfg.persona : fam.modesOrder[0];
+  }
+
+  if (modeName) {
+    setMode(modeName);
+    applied = true;
+  }
+  if (flavor && !getNode().mode?.flavors?.[flavor]) {
+    console.warn(`[url] unknown style/flavor "${flavor}"`);
+    flavor = null;
+  }
+  if (flavor) {
+    setFlavor(flavor);
+    applied = true;
+  }
+
+  if (conf.speed != null) {
+    setSpeed(conf.speed);
+    applied = true;
+  }
+
+  for (const [key, value] of Object.entries(conf.params)) {
+    if (!controlsFor(cfg.persona).some((c) => c.key === key)) continue;
+    setControl(cfg.persona, key, value);
+    applied = true;
+  }
+
+  if (conf.vibe) {
+    setVibeByName(conf.vibe);
+    cfg.theme = cfg.vibe;
+    active.themeId = cfg.vibe;
+    applied = true;
+  }
+
+  if (conf.fx) {
+    for (const k of Object.keys(cfg.fx)) cfg.fx[k] = conf.fx.includes(k);
+    applyEffects(cfg.fx);
+    applied = true;
+  }
+
+  if (conf.transition || conf.transitionMs != null) {
+    setTransition({ style: conf.transition, durationMs: conf.transitionMs });
+    applied = true;
+  }
+
+  if (conf.seed) {
+    setSeed(conf.seed);
+    applied = true;
+  }
+
+  if (conf.sync != null || conf.span != null) {
+    const next = {};
+    if (conf.sync != null) next.enabled = conf.sync;
+    if (conf.span != null) next.span = conf.span;
+    if (conf.span) next.enabled = true;
+    overrideSyncOptions(next);
+    applied = true;
+  }
+
+  if (conf.remote != null) {
+    // An address means "use this relay", and turns Remote on
+    if (typeof conf.remote === 'string') {
+      overrideRemoteOptions({ enabled: true, relay: conf.remote });
+    } else overrideRemoteOptions({ enabled: conf.remote });
+    applied = true;
+  }
+
+  if (conf.hideControls) {
+    hideControls = true;
+    window.ControlsVisibility?.lock?.(true);
+    applied = true;
+  }
+  return applied;
+}
+
+/**
+ * Serialize the current look as a hash fragment (without the leading "#").
+ * @returns {string} e.g. "genre=rain&style=matrix&vibe=clu&speed=7&fx=scanlines&tail=8&transition=fade&transitionMs=700".
+ */
+export function currentLookHash() {
+  const pairs = [];
+  const add = (k, v) => pairs.push(`${k}=${encodeURIComponent(String(v))}`);
+
+  const genre = familyOf(cfg.persona);
+  if (genre) add('genre', genre);
+  add('style', cfg.persona);
+  const { mode } = getNode();
+  if (genre && active.flavorId && active.flavorId !== mode?.flavorsOrder?.[0]) {
+    add('flavor', active.flavorId);
+  }
+  add('vibe', cfg.vibe ?? cfg.theme);
+  if (active.speed != null) add('speed', active.speed);
+
+  const fxOn = Object.keys(cfg.fx).filter((k) => cfg.fx[k]);
+  pairs.push(`fx=${fxOn.length ? fxOn.join(',') : 'none'}`);
+
+  const params = cfg.params[cfg.persona] || {};
+  for (const { key } of controlsFor(cfg.persona)) {
+    if (Number.isFinite(params[key])) add(key, params[key]);
+  }
+  add('transition', cfg.transition.style);
+  add('transitionMs', cfg.transition.durationMs);
+  if (cfg.seed != null) add('seed', cfg.seed);
+  if (hideControls) add('hideControls', 1);
+  return pairs.join('&');
+}
+
+/**
+ * Keep location.hash in step with the selection so the address bar is always a
+ * shareable link to what's on screen. Uses replaceState, so history isn't spammed.
+ * @returns {void}
+ */
+export function installHashSync() {
+  let timer = 0;
+  const write = () => {
+    timer = 0;
+    const next = `#${currentLookHash()}`;
+    if (window.location.hash === next) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${search}${next}`);
+  };
+  const schedule = () => {
+    if (timer) window.clearTimeout(timer);
+    timer = window.setTimeout(write, SYNC_DELAY_MS);
+  };
+
+  [
+    'style.change',
+    'flavor.change',
+    'vibe.change',
+    'speed.change',
+    'fx.change',
+    'param.change',
+    'transition.change',
+    'seed.change',
+  ].forEach((evt) => on(evt, schedule));
+  write();
+}
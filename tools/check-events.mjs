@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// tools/check-events.mjs
+// Checks the bus's legacy event names (src/js/bus.js) in Node: emitting an old name reaches
+// subscribers of the new one with the new payload, and old-name subscribers get the old
+// payload back, for the aliases whose payload changed shape and a plain rename.
+//
+//   npm run check:events
+
+import assert from 'node:assert/strict';
+
+// Just enough of window/document for the app modules to load
+globalThis.window = globalThis;
+globalThis.location = { search: '', hash: '', pathname: '/' };
+globalThis.document = {
+  body: { classList: { toggle: () => {}, add: () => {}, remove: () => {} } },
+  documentElement: { style: { setProperty: () => {}, removeProperty: () => {} } },
+  getElementById: () => null,
+  createElement: () => ({}),
+};
+
+// The bus first, as a plugin page would load it
+const { on, off, emit } = await import('../src/js/bus.js');
+const { cfg } = await import('../src/js/state.js');
+
+const warn = console.warn;
+console.warn = () => {}; // deprecation notices are expected here
+
+/**
+ * Subscribe and collect the payloads a name receives.
+ * @param {string} name - Event name.
+ * @returns {{got:any[], fn:(payload:any)=>void, stop:()=>void}} Collected payloads and handles.
+ */
+function collect(name) {
+  const got = [];
+  const fn = (payload) => got.push(payload);
+  return { got, fn, stop: on(name, fn) };
+}
+
+const checks = {
+  'old "style" emit reaches "flavor.change" as { modeId, flavorId }'() {
+    const sub = collect('flavor.change');
+    emit('style', 'katakana');
+    sub.stop();
+    assert.deepEqual(sub.got, [{ modeId: cfg.persona, flavorId: 'katakana' }]);
+  },
+  'old "style" subscribers get the flavor id'() {
+    const sub = collect('style');
+    emit('flavor.change', { modeId: 'matrix', flavorId: 'binary', name: 'Binary' });
+    emit('style', 'hex');
+    sub.stop();
+    assert.deepEqual(sub.got, ['binary', 'hex']);
+  },
+  'off() with the old name removes the subscriber'() {
+    const sub = collect('style');
+    off('style', sub.fn);
+    emit('style', 'classic');
+    assert.deepEqual(sub.got, []);
+  },
+  'old "modes" keeps its { added } payload both ways'() {
+    const now = collect('style.register');
+    const old = collect('modes');
+    emit('modes', { added: 'tides' });
+    emit('style.register', 'waves');
+    now.stop();
+    old.stop();
+    assert.deepEqual(now.got, ['tides', 'waves']);
+    assert.deepEqual(old.got, [{ added: 'tides' }, { added: 'waves' }]);
+  },
+  'renamed-only aliases pass the payload through'() {
+    const now = collect('vibe.change');
+    const old = collect('theme');
+    emit('theme', 'clu');
+    now.stop();
+    old.stop();
+    assert.deepEqual(now.got, ['clu']);
+    assert.deepEqual(old.got, ['clu']);
+  },
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    check();
+    process.stdout.write(`ok   ${name}\n`);
+  } catch (err) {
+    failed++;
+    process.stdout.write(`FAIL ${name}\n${err.message}\n`);
+  }
+}
+console.warn = warn;
+process.exitCode = failed ? 1 : 0;
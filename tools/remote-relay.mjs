@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+// tools/remote-relay.mjs
+// LAN remote relay: serves the app and the phone remote (remote.html) over plain HTTP and
+// passes messages between them over a WebSocket at /relay. No internet access and no npm
+// packages needed, so it runs on the box that drives the display.
+//
+//   npm run remote:relay                      (or: node tools/remote-relay.mjs --port 8787)
+//
+// Then open http://<this-box>:8787/ on the display, turn on Remote in its menu bar, and
+// open http://<this-box>:8787/remote.html on a phone and enter the display's pairing code.
+//
+// Protocol (JSON text messages):
+//   → { type: 'join', role: 'display', code: '123456', key: '<32 hex digits>' }
+//   → { type: 'join', role: 'remote', code: '123456' }
+//   ← { type: 'joined', role, displays? }     or { type: 'error', message }
+//                                              (displays: only in the reply to a remote)
+//   remote → display   { type: 'cmd', cmd, value?, step?, text? }   (see src/js/remote.js)
+//   display → remotes  { type: 'state', state }                    (the last one is replayed to new remotes)
+//   relay → remotes    { type: 'displays', count }                 when a display joins or leaves
+//   relay → displays   { type: 'remotes', count }                  when a remote joins or leaves
+//
+// Codes are six digits chosen by the display. The first display to join a code claims it with
+// its key (a secret kept in that browser); another display may only join the same code with the
+// same key, e.g. the same display reconnecting. A remote may only join a code that a display
+// holds. Each address gets a budget of wrong guesses, in either role, that refills over time;
+// joining a code it holds does not refill it.
+//
+// Browsers only get a WebSocket if the page's origin is the relay itself (the app it serves)
+// or one listed with --origin, so a web page elsewhere cannot pair through a visitor's browser.
+
+import { Buffer } from 'node:buffer';
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, sep } from 'node:path';
+import { setInterval } from 'node:timers';
+import { URL, fileURLToPath } from 'node:url';
+
+const USAGE = `Usage: npm run remote:relay -- [options]
+
+  --port <n>       port to listen on (default 8787)
+  --host <addr>    address to listen on (default 0.0.0.0, all interfaces)
+  --origin <list>  comma-separated page origins that may connect besides the relay's own,
+                   e.g. http://display.lan:8080
+`;
+
+// Options that take no value
+const FLAGS = ['help'];
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Messages are small JSON; anything bigger is a misbehaving client
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const PING_MS = 30000;
+// Wrong pairing codes allowed per address within FAILURE_WINDOW_MS
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 60000;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+};
+
+/**
+ * Parse "--key value" / "--key=value" / "--flag" arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Record<string,string>} Option values by key.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error(`unexpected argument "${argv[i]}"`);
+    args[m[1]] = m[2] ?? (FLAGS.includes(m[1]) ? '1' : argv[++i]);
+    if (args[m[1]] == null) throw new Error(`missing value for --${m[1]}`);
+  }
+  return args;
+}
+
+/**
+ * Parse --origin into normalized origins.
+ * @param {string} list - Comma-separated origins.
+ * @returns {Set<string>} Origins such as "http://display.lan:8080".
+ */
+function parseOrigins(list) {
+  const origins = new Set();
+  for (const item of list.split(',')) {
+    if (!item.trim()) continue;
+    let origin;
+    try {
+      origin = new URL(item.trim()).origin;
+    } catch {
+      origin = 'null';
+    }
+    if (origin === 'null') throw new Error(`--origin: "${item.trim()}" is not an http(s) origin`);
+    origins.add(origin);
+  }
+  return origins;
+}
+
+/**
+ * Whether a WebSocket request may connect. Browsers always send Origin, so a request without
+ * one comes from a script or tool rather than a web page and is let through.
+ * @param {string|undefined} origin - Origin header.
+ * @param {string|undefined} host - Host header (the relay as the page saw it).
+ * @param {Set<string>} origins - Extra origins from --origin.
+ * @returns {boolean} True to accept the upgrade.
+ */
+function originAllowed(origin, host, origins) {
+  if (origin == null) return true;
+  if (origins.has(origin)) return true;
+  try {
+    const url = new URL(origin);
+    return /^https?:$/.test(url.protocol) && url.host === host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serve a file of the repo (the app, the remote page and their assets).
+ * Paths outside the repo, dotfiles, node_modules and tools are refused.
+ * @param {import('node:http').IncomingMessage} req - Request.
+ * @param {import('node:http').ServerResponse} res - Response.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function serveStatic(req, res) {
+  let path = decodeURIComponent(new URL(req.url, 'http://relay').pathname);
+  if (path === '/') path = '/index.html';
+  if (path === '/remote') path = '/remote.html';
+  const file = normalize(join(ROOT, path));
+  const parts = path.split('/');
+  const type = TYPES[extname(file)];
+  if (
+    !file.startsWith(ROOT.endsWith(sep) ? ROOT : ROOT + sep) ||
+    parts.some((p) => p.startsWith('.')) ||
+    ['node_modules', 'tools'].includes(parts[1]) ||
+    !type ||
+    req.method !== 'GET'
+  ) {
+    res.writeHead(404).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'content-type': type, 'cache-control': 'no-cache' }).end(body);
+  } catch {
+    res.writeHead(404).end();
+  }
+}
+
+/**
+ * Encode a text frame (server frames are not masked).
+ * @param {string} text - Message.
+ * @returns {Buffer} Frame bytes.
+ */
+function textFrame(text) {
+  return frame(0x1, Buffer.from(text));
+}
+
+/**
+ * Encode one unfragmented frame.
+ * @param {number} opcode - WebSocket opcode.
+ * @param {Buffer} payload - Payload bytes.
+ * @returns {Buffer} Frame bytes.
+ */
+function frame(opcode, payload) {
+  const n = payload.length;
+  const head = n < 126 ? Buffer.alloc(2) : n < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  head[0] = 0x80 | opcode;
+  if (n < 126) {
+    head[1] = n;
+  } else if (n < 65536) {
+    head[1] = 126;
+    head.writeUInt16BE(n, 2);
+  } else {
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(n), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+/**
+ * One WebSocket connection: decodes client frames, answers pings and closes.
+ */
+class Peer {
+  /**
+   * @param {import('node:net').Socket} socket - Upgraded socket.
+   * @param {string} address - Remote address (for the pairing lockout).
+   * @param {(peer:Peer, msg:any) => void} onMessage - Called with each parsed JSON message.
+   * @param {(peer:Peer) => void} onClose - Called once when the connection ends.
+   */
+  constructor(socket, address, onMessage, onClose) {
+    this.socket = socket;
+    this.address = address;
+    this.buf = Buffer.alloc(0);
+    this.alive = true;
+    this.closed = false;
+    this.role = null;
+    this.code = null;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('close', () => this.end());
+    socket.on('error', () => this.end());
+  }
+
+  /**
+   * Send a JSON message.
+   * @param {object} msg - Message.
+   * @returns {void}
+   */
+  send(msg) {
+    if (!this.closed) this.socket.write(textFrame(JSON.stringify(msg)));
+  }
+
+  /**
+   * Close with a status code.
+   * @param {number} [code] - WebSocket close code.
+   * @returns {void}
+   */
+  close(code = 1000) {
+    if (this.closed) return;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code);
+    this.socket.end(frame(0x8, body));
+    this.end(false);
+  }
+
+  /**
+   * Forget the connection (once).
+   * @param {boolean} [destroy] - Also drop the socket (false after a graceful close).
+   * @returns {void}
+   */
+  end(destroy = true) {
+    if (this.closed) return;
+    this.closed = true;
+    if (destroy) this.socket.destroy();
+    this.onClose(this);
+  }
+
+  /**
+   * Decode as many whole frames as have arrived.
+   * @param {Buffer} chunk - Bytes from the socket.
+   * @returns {void}
+   */
+  receive(chunk) {
+    this.buf = Buffer.concat([this.buf, chunk]);
+    while (this.buf.length >= 2 && !this.closed) {
+      const fin = this.buf[0] & 0x80;
+      const opcode = this.buf[0] & 0x0f;
+      const masked = this.buf[1] & 0x80;
+      let len = this.buf[1] & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (this.buf.length < 4) return;
+        len = this.buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (this.buf.length < 10) return;
+        len = Number(this.buf.readBigUInt64BE(2));
+        off = 10;
+      }
+      // Clients must mask; fragments aren't needed for messages this small
+      if (!masked || !fin || len > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+        return;
+      }
+      if (this.buf.length < off + 4 + len) return;
+      const mask = this.buf.subarray(off, off + 4);
+      const payload = Buffer.from(this.buf.subarray(off + 4, off + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this.buf = this.buf.subarray(off + 4 + len);
+
+      if (opcode === 0x1) {
+        let msg = null;
+        try {
+          msg = JSON.parse(payload.toString('utf8'));
+        } catch {
+          // not JSON: ignored
+        }
+        if (msg && typeof msg === 'object') this.onMessage(this, msg);
+      } else if (opcode === 0x8) {
+        this.close();
+      } else if (opcode === 0x9) {
+        this.socket.write(frame(0xa, payload));
+      } else if (opcode === 0xa) {
+        this.alive = true;
+      }
+    }
+  }
+}
+
+/**
+ * Pairing rooms and message routing.
+ * @returns {{connect:(socket:any, address:string, head:Buffer) => void, ping:() => void}} Relay.
+ */
+function createRelay() {
+  /** @type {Map<string, {displays:Set<Peer>, remotes:Set<Peer>, state:any, key:string}>} */
+  const rooms = new Map();
+  /** @type {Map<string, number[]>} Times of each address's recent wrong guesses */
+  const failures = new Map();
+  const peers = new Set();
+
+  const room = (code) => {
+    if (!rooms.has(code)) {
+      rooms.set(code, { displays: new Set(), remotes: new Set(), state: null, key: '' });
+    }
+    return rooms.get(code);
+  };
+
+  // Wrong guesses of an address still inside the window, dropping expired ones
+  const recentFailures = (address) => {
+    const since = Date.now() - FAILURE_WINDOW_MS;
+    const times = (failures.get(address) ?? []).filter((t) => t > since);
+    if (times.length) failures.set(address, times);
+    else failures.delete(address);
+    return times;
+  };
+
+  const tellRemotes = (r, msg) => {
+    for (const p of r.remotes) p.send(msg);
+  };
+
+  const tellDisplays = (r, msg) => {
+    for (const p of r.displays) p.send(msg);
+  };
+
+  const join = (peer, msg) => {
+    const code = String(msg.code ?? '');
+    const role = msg.role === 'display' ? 'display' : 'remote';
+    if (!/^\d{6}$/.test(code)) {
+      peer.send({ type: 'error', message: 'Pairing codes have six digits' });
+      return;
+    }
+    const key = String(msg.key ?? '');
+    if (role === 'display' && !/^[0-9a-f]{32}$/.test(key)) {
+      peer.send({ type: 'error', message: 'Displays need a key; update the app' });
+      return;
+    }
+    const recent = recentFailures(peer.address);
+    if (recent.length >= MAX_FAILURES) {
+      peer.send({ type: 'error', message: 'Too many wrong codes; try again in a minute' });
+      return;
+    }
+    const existing = rooms.get(code);
+    const wrong =
+      role === 'display' ? existing?.key && existing.key !== key : !existing?.displays.size;
+    if (wrong) {
+      failures.set(peer.address, [...recent, Date.now()]);
+      peer.send({
+        type: 'error',
+        message:
+          role === 'display'
+            ? 'Another display holds that code; pick a new one'
+            : 'No display is showing that code',
+      });
+      return;
+    }
+    leave(peer);
+    const r = room(code);
+    peer.role = role;
+    peer.code = code;
+    if (role === 'display') {
+      r.key ||= key;
+      r.displays.add(peer);
+      peer.send({ type: 'joined', role });
+    } else {
+      r.remotes.add(peer);
+      peer.send({ type: 'joined', role, displays: r.displays.size });
+    }
+    if (role === 'display') {
+      tellRemotes(r, { type: 'displays', count: r.displays.size });
+      peer.send({ type: 'remotes', count: r.remotes.size });
+    } else {
+      if (r.state) peer.send({ type: 'state', state: r.state });
+      tellDisplays(r, { type: 'remotes', count: r.remotes.size });
+    }
+    console.log(`[remote-relay] ${role} joined ${code} from ${peer.address}`);
+  };
+
+  const leave = (peer) => {
+    const r = peer.code && rooms.get(peer.code);
+    if (!r) return;
+    if (peer.role === 'display') {
+      r.displays.delete(peer);
+      tellRemotes(r, { type: 'displays', count: r.displays.size });
+    } else {
+      r.remotes.delete(peer);
+      tellDisplays(r, { type: 'remotes', count: r.remotes.size });
+    }
+    if (!r.displays.size && !r.remotes.size) rooms.delete(peer.code);
+    peer.code = peer.role = null;
+  };
+
+  const onMessage = (peer, msg) => {
+    if (msg.type === 'join') return join(peer, msg);
+    const r = peer.code && rooms.get(peer.code);
+    if (!r) return;
+    if (msg.type === 'cmd' && peer.role === 'remote') {
+      for (const d of r.displays) d.send(msg);
+    } else if (msg.type === 'state' && peer.role === 'display') {
+      r.state = msg.state;
+      tellRemotes(r, { type: 'state', state: msg.state });
+    }
+  };
+
+  const onClose = (peer) => {
+    leave(peer);
+    peers.delete(peer);
+  };
+
+  return {
+    connect(socket, address, head) {
+      const peer = new Peer(socket, address, onMessage, onClose);
+      peers.add(peer);
+      if (head.length) peer.receive(head);
+    },
+    // Drop connections that stopped answering pings (phones going to sleep)
+    ping() {
+      for (const address of failures.keys()) recentFailures(address);
+      for (const p of peers) {
+        if (!p.alive) {
+          p.end();
+          continue;
+        }
+        p.alive = false;
+        p.socket.write(frame(0x9, Buffer.alloc(0)));
+      }
+    },
+  };
+}
+
+/**
+ * Addresses phones on the LAN can use to reach this box.
+ * @returns {string[]} IPv4 addresses of the non-internal interfaces.
+ */
+function lanAddresses() {
+  return Object.values(networkInterfaces())
+    .flat()
+    .filter((i) => i && i.family === 'IPv4' && !i.internal)
+    .map((i) => i.address);
+}
+
+/**
+ * Start the relay.
+ * @returns {void}
+ */
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const port = Number(args.port ?? 8787);
+  if (!Number.isInteger(port) || port < 1 || port > 65535)
+    throw new Error('--port must be 1..65535');
+
+  const origins = parseOrigins(args.origin ?? '');
+
+  const relay = createRelay();
+  const server = createServer((req, res) => {
+    serveStatic(req, res).catch(() => res.writeHead(500).end());
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    if (new URL(req.url, 'http://relay').pathname !== '/relay' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    if (!originAllowed(req.headers.origin, req.headers.host, origins)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    const accept = createHash('sha1')
+      .update(key + WS_GUID)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    relay.connect(socket, req.socket.remoteAddress ?? '?', head);
+  });
+
+  setInterval(() => relay.ping(), PING_MS).unref();
+
+  server.listen(port, args.host ?? '0.0.0.0', () => {
+    console.log(`[remote-relay] listening on port ${port}`);
+    for (const ip of ['localhost', ...lanAddresses()]) {
+      console.log(`[remote-relay]   display  http://${ip}:${port}/`);
+      console.log(`[remote-relay]   remote   http://${ip}:${port}/remote.html`);
+    }
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`[remote-relay] ${err?.message || err}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// tools/render-frames.mjs
+// Headless frame export: the same fixed-clock driver as "Export frames" in the capture
+// panel (src/js/frame_export.js), run in Node against a canvas package, for scripted
+// video pipelines.
+//
+//   npm install --no-save @napi-rs/canvas        (or: canvas)
+//   npm run render:frames -- --look "genre=rain&style=matrix&vibe=clu&seed=42" \
+//     --size 1080p --fps 60 --seconds 10 --out frames/
+//   ffmpeg -framerate 60 -i frames/frame_%05d.png -pix_fmt yuv420p matrix.mp4
+//
+// --look takes the settings of a "link to this look" (see src/js/url_config.js): genre,
+// style, flavor, vibe, speed, seed and the style's controls. Custom vibes live in browser
+// storage, so only the built-in vibes are available here.
+
+import { mkdirSync, writeFileSync, openSync, writeSync, closeSync } from 'node:fs';
+import { join } from 'node:path';
+import { createZip } from '../src/js/lib/zip.js';
+
+const USAGE = `Usage: npm run render:frames -- [options]
+
+  --look <query>   look settings, as in a look link ("genre=fire&vibe=clu&seed=7")
+  --seed <seed>    fixed seed (overrides the look's)
+  --size <size>    720p, 1080p, 4k or WIDTHxHEIGHT (default 1080p)
+  --dpr <n>        device pixels per CSS pixel (default: 1, 2 from 4K up)
+  --fps <n>        frames per second (default 30)
+  --seconds <n>    length of the saved sequence (default 10)
+  --warmup <n>     seconds rendered and discarded first (default 2)
+  --loop           make the sequence loop seamlessly (fire and rain styles)
+  --out <path>     output folder, or a file ending in .zip (default frames)
+`;
+
+// Options that take no value
+const FLAGS = ['help', 'loop'];
+
+/**
+ * Parse "--key value" / "--key=value" / "--flag" arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Record<string,string>} Option values by key.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error(`unexpected argument "${argv[i]}"`);
+    args[m[1]] = m[2] ?? (FLAGS.includes(m[1]) ? '1' : argv[++i]);
+    if (args[m[1]] == null) throw new Error(`missing value for --${m[1]}`);
+  }
+  return args;
+}
+
+/**
+ * Find a Node canvas implementation.
+ * @returns {Promise<((w:number, h:number) => any)|null>} Canvas factory, or null if none is installed.
+ */
+async function loadCanvas() {
+  for (const name of ['@napi-rs/canvas', 'canvas']) {
+    try {
+      const mod = await import(name);
+      const createCanvas = mod.createCanvas ?? mod.default?.createCanvas;
+      if (createCanvas) return createCanvas;
+    } catch {
+      // not installed, try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Just enough of window/document for the app modules the driver pulls in.
+ * @param {(w:number, h:number) => any} createCanvas - Canvas factory.
+ * @returns {void}
+ */
+function installGlobals(createCanvas) {
+  globalThis.window = globalThis;
+  globalThis.devicePixelRatio = 1;
+  globalThis.location = { search: '', hash: '', pathname: '/' };
+  globalThis.document = {
+    body: { classList: { toggle: () => {}, add: () => {}, remove: () => {} } },
+    documentElement: { style: { setProperty: () => {}, removeProperty: () => {} } },
+    getElementById: () => null,
+    createElement: (tag) => (tag === 'canvas' ? createCanvas(1, 1) : {}),
+  };
+}
+
+/**
+ * Render the requested frames.
+ * @returns {Promise<void>} Resolves when the last frame is written.
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const createCanvas = await loadCanvas();
+  if (!createCanvas) {
+    throw new Error(
+      'needs a canvas package: npm install --no-save @napi-rs/canvas (or canvas), then run again'
+    );
+  }
+  installGlobals(createCanvas);
+
+  // App modules read the globals above at load time, so import them now
+  const state = await import('../src/js/state.js');
+  const { registerBuiltinModes } = await import('../src/js/mode_api.js');
+  const { parseUrlConfig, applyUrlConfig } = await import('../src/js/url_config.js');
+  const { tokensForVibe } = await import('../src/js/theme_tokens.js');
+  const { activeSeed } = await import('../src/js/rng.js');
+  const fx = await import('../src/js/frame_export.js');
+
+  // The app's bus, where older scripts look for it (as main.js does)
+  window.events = (await import('../src/js/bus.js')).events;
+  registerBuiltinModes();
+  applyUrlConfig(parseUrlConfig(`?${args.look ?? ''}`, ''));
+  if (args.seed != null) state.setSeed(args.seed);
+
+  const { cfg, active } = state;
+  const modeId = cfg.persona;
+  const size = fx.resolveSize(args.size ?? '1080p');
+  const job = {
+    modeId,
+    flavorId: active.modeId === modeId ? active.flavorId : undefined,
+    ...size,
+    dpr: args.dpr != null ? Number(args.dpr) : size.dpr,
+    fps: Number(args.fps ?? 30),
+    seconds: Number(args.seconds ?? 10),
+    warmup: Number(args.warmup ?? 2),
+    loop: !!args.loop && fx.canLoop(modeId),
+    speed: cfg.speed,
+    theme: tokensForVibe(cfg.vibe || 'classic'),
+    createCanvas,
+  };
+  for (const key of ['dpr', 'fps', 'seconds', 'warmup']) {
+    if (!(job[key] >= 0)) throw new Error(`--${key} must be a number`);
+  }
+  if (args.loop && !job.loop) console.warn(`[render-frames] ${modeId} can't loop; --loop ignored`);
+
+  const out = args.out ?? 'frames';
+  const zipped = out.endsWith('.zip');
+  let fd = null;
+  let zip = null;
+  if (zipped) {
+    // Stream entries straight to the file instead of holding every frame in memory
+    fd = openSync(out, 'w');
+    zip = createZip((part) => writeSync(fd, part));
+  } else {
+    mkdirSync(out, { recursive: true });
+  }
+
+  console.log(
+    `[render-frames] ${modeId} ${job.width}x${job.height} @ ${job.fps} fps, ` +
+      `${job.seconds}s${job.loop ? ' loop' : ''}, vibe ${cfg.vibe || 'classic'}, seed ${activeSeed()} → ${out}`
+  );
+
+  let lastPct = -1;
+  const saved = await fx.renderFrames(job, async (canvas, i, total) => {
+    const bytes = await fx.framePng(canvas);
+    if (zip) zip.add(fx.frameName(i), bytes);
+    else writeFileSync(join(out, fx.frameName(i)), bytes);
+    const pct = Math.floor(((i + 1) / total) * 10) * 10;
+    if (pct !== lastPct) {
+      lastPct = pct;
+      console.log(`[render-frames] ${i + 1}/${total} (${pct}%)`);
+    }
+  });
+
+  if (zip) {
+    for (const part of zip.finish()) writeSync(fd, part);
+    closeSync(fd);
+  }
+  console.log(`[render-frames] wrote ${saved} frames`);
+}
+
+main().catch((err) => {
+  console.error(`[render-frames] ${err?.message || err}`);
+  process.exitCode = 1;
+});